@@ -4,7 +4,11 @@
  */
 
 import { NoNewListingsWarning } from './errors.js';
-import { storeListings, getKnownListingHashesForJobAndProvider } from './services/storage/listingsStorage.js';
+import {
+  storeListings,
+  getKnownListingHashesForJobAndProvider,
+  trackListingChanges,
+} from './services/storage/listingsStorage.js';
 import { getJob } from './services/storage/jobStorage.js';
 import * as notify from './notification/notify.js';
 import Extractor from './services/extractor/extractor.js';
@@ -13,22 +17,38 @@ import logger from './services/logger.js';
 import { geocodeAddress } from './services/geocoding/geoCodingService.js';
 import { distanceMeters } from './services/listings/distanceCalculator.js';
 import { getUserSettings } from './services/storage/settingsStorage.js';
-import { updateListingDistance } from './services/storage/listingsStorage.js';
+import { updateListingDistance, linkSimilarListings } from './services/storage/listingsStorage.js';
+import { matchesFilterRules } from './services/listings/filterRules.js';
+import { buildPageUrl, normalizeMaxPages } from './services/pagination.js';
+import { storeJobRun } from './services/storage/jobRunStorage.js';
+import { runStages } from './pipeline/stages.js';
+import { recordProviderHealth } from './services/providerHealth/providerHealthService.js';
+import { withProvider } from './services/proxy/proxyPool.js';
+import { toCanonicalListing, countViolations } from './services/listings/listingSchema.js';
+import { getActiveCooldown } from './services/botCooldown/botCooldownService.js';
+import { queueForDigest, splitByDelivery } from './services/notificationDigest/digestService.js';
+
+/** @typedef {import('./services/listings/listingSchema.js').Listing} Listing */
 
 /**
- * @typedef {Object} Listing
- * @property {string} id Stable unique identifier (hash) of the listing.
- * @property {string} title Title or headline of the listing.
- * @property {string} [address] Optional address/location text.
- * @property {string} [price] Optional price text/value.
- * @property {string} [url] Link to the listing detail page.
- * @property {any} [meta] Provider-specific additional metadata.
+ * Details of a listing which are only shown on its expose page, fetched by providers supporting it.
+ *
+ * @typedef {Object} ListingDetails
+ * @property {number|null} rooms Number of rooms.
+ * @property {string|null} floor Floor as shown by the provider, e.g. "2 von 4".
+ * @property {number|null} constructionYear
+ * @property {string|null} energyClass Energy efficiency class, e.g. "B".
+ * @property {string|null} heating Heating type, e.g. "Zentralheizung".
+ * @property {number|null} additionalCosts Additional costs per month in €.
+ * @property {string[]} images Urls of all images.
  */
 
+const LISTING_DETAIL_FIELDS = ['rooms', 'floor', 'constructionYear', 'energyClass', 'heating', 'additionalCosts'];
+
 /**
  * @typedef {Object} SimilarityCache
- * @property {(title:string, address?:string)=>boolean} hasSimilarEntries Returns true if a similar entry is known.
- * @property {(title:string, address?:string)=>void} addCacheEntry Adds a new entry to the similarity cache.
+ * @property {(listing:Object)=>Object|null} findAndAddEntry Returns the known similar entry, or adds the listing
+ * to the cache and returns null.
  */
 
 /**
@@ -37,13 +57,19 @@ import { updateListingDistance } from './services/storage/listingsStorage.js';
  *
  * The execution flow is:
  * 1) Prepare provider URL (sorting, etc.)
- * 2) Extract raw listings from the provider
+ * 2) Extract raw listings from the provider (page by page, if the provider supports pagination)
  * 3) Normalize listings to the provider schema
- * 4) Filter out incomplete/blacklisted listings
- * 5) Identify new listings (vs. previously stored hashes)
- * 6) Persist new listings
- * 7) Filter out entries similar to already seen ones
- * 8) Dispatch notifications
+ * 4) Filter out incomplete/blacklisted listings and those not matching the job's filter rules
+ * 5) Track price changes of already known listings and notify about watched ones
+ * 6) Identify new listings (vs. previously stored hashes)
+ * 7) Fetch the details of new listings, if the provider supports it
+ * 8) Persist new listings
+ * 9) Filter out entries similar to already seen ones
+ * 10) Dispatch notifications
+ *
+ * Custom stages (lib/pipeline/stage) enabled for the job run after step 3, after step 7 and before step 10.
+ *
+ * Every execution is recorded in the job run history, including the number of listings per stage.
  */
 class FredyPipelineExecutioner {
   /**
@@ -53,23 +79,30 @@ class FredyPipelineExecutioner {
    * @param {string} providerConfig.url Base URL to crawl.
    * @param {string} [providerConfig.sortByDateParam] Query parameter used to enforce sorting by date (provider-specific).
    * @param {string} [providerConfig.waitForSelector] CSS selector to wait for before parsing content.
+   * @param {('puppeteer'|'fetch')} [providerConfig.extractionMode] How pages are loaded, defaults to puppeteer.
    * @param {Object.<string, string>} providerConfig.crawlFields Mapping of field names to selectors/paths to extract.
    * @param {string} providerConfig.crawlContainer CSS selector for the container holding listing items.
    * @param {(raw:any)=>Listing} providerConfig.normalize Function to convert raw scraped data into a Listing shape.
    * @param {(listing:Listing)=>boolean} providerConfig.filter Function to filter out unwanted listings.
    * @param {(url:string, waitForSelector?:string)=>Promise<void>|Promise<Listing[]>} [providerConfig.getListings] Optional override to fetch listings.
+   * @param {import('./services/pagination.js').PaginationConfig} [providerConfig.pagination] Optional pagination capability.
+   * @param {(listing:Listing)=>Promise<ListingDetails|null>} [providerConfig.getListingDetails] Optional, fetches the details of a new listing.
    *
    * @param {Object} notificationConfig Notification configuration passed to notification adapters.
    * @param {string} providerId The ID of the provider currently in use.
    * @param {string} jobKey Key of the job that is currently running (from within the config).
    * @param {SimilarityCache} similarityCache Cache instance for checking similar entries.
+   * @param {import('./services/listings/filterRules.js').FilterRules} [filterRules] Numeric filter rules of the job.
    */
-  constructor(providerConfig, notificationConfig, providerId, jobKey, similarityCache) {
+  constructor(providerConfig, notificationConfig, providerId, jobKey, similarityCache, filterRules = null) {
     this._providerConfig = providerConfig;
     this._notificationConfig = notificationConfig;
     this._providerId = providerId;
     this._jobKey = jobKey;
     this._similarityCache = similarityCache;
+    this._filterRules = filterRules;
+    this._nextPageUrl = null;
+    this._runStats = {};
   }
 
   /**
@@ -79,17 +112,138 @@ class FredyPipelineExecutioner {
    * after notifications have been sent; resolves to void when there are no new listings.
    */
   execute() {
-    return Promise.resolve(urlModifier(this._providerConfig.url, this._providerConfig.sortByDateParam))
-      .then(this._providerConfig.getListings?.bind(this) ?? this._getListings.bind(this))
-      .then(this._normalize.bind(this))
-      .then(this._filter.bind(this))
-      .then(this._findNew.bind(this))
-      .then(this._geocode.bind(this))
-      .then(this._save.bind(this))
-      .then(this._calculateDistance.bind(this))
-      .then(this._filterBySimilarListings.bind(this))
-      .then(this._notify.bind(this))
-      .catch(this._handleError.bind(this));
+    const startedAt = Date.now();
+    this._runStats = {};
+    // hitting a site right after it detected us as a bot makes the block worse, see botCooldownService.js
+    const cooldown = getActiveCooldown(this._providerConfig.url);
+    if (cooldown != null) {
+      logger.info(
+        `Skipping provider '${this._providerId}', ${cooldown.domain} is cooling down after a bot detection ` +
+          `until ${new Date(cooldown.cooldownUntil).toISOString()}.`,
+      );
+      this._storeRun(startedAt, 'cooldown');
+      return Promise.resolve();
+    }
+    // requests to the provider go through its proxies, see proxyPool.js
+    return withProvider(this._providerId, () =>
+      Promise.resolve(urlModifier(this._providerConfig.url, this._providerConfig.sortByDateParam))
+        .then(this._getPages.bind(this))
+        .then(this._normalize.bind(this))
+        .then(this._runStages('afterNormalize'))
+        .then(this._filter.bind(this))
+        .then(this._trackPriceChanges.bind(this))
+        .then(this._findNew.bind(this))
+        .then(this._fetchDetails.bind(this))
+        .then(this._runStages('afterFindNew'))
+        .then(this._geocode.bind(this))
+        .then(this._save.bind(this))
+        .then(this._calculateDistance.bind(this))
+        .then(this._filterBySimilarListings.bind(this))
+        .then(this._runStages('beforeNotify'))
+        .then(this._notify.bind(this))
+        .then((listings) => {
+          this._storeRun(startedAt, 'success');
+          return listings;
+        })
+        .catch((err) => {
+          this._storeRun(startedAt, err?.name === 'NoNewListingsWarning' ? 'no_new_listings' : 'error', err);
+          return this._handleError(err);
+        }),
+    );
+  }
+
+  /**
+   * Dry-run of the pipeline, used to preview a job before saving it. Only the first result page is
+   * fetched, normalized and checked against the filters. Nothing is stored, no notifications are sent
+   * and the similarity cache is not touched.
+   *
+   * @returns {Promise<Array<Listing & {filteredBy: string|null}>>} All parsed listings, each annotated with
+   * the reason it would be filtered out (null if it would be kept).
+   */
+  async preview() {
+    const url = urlModifier(this._providerConfig.url, this._providerConfig.sortByDateParam);
+    const getListings = this._providerConfig.getListings?.bind(this) ?? this._getListings.bind(this);
+    // a preview must not pause the runs of all jobs using the site, see proxyPool.js#withProvider
+    const pages = await withProvider(this._providerId, () => getListings(url), { reportBotDetections: false });
+    const listings = this._normalize(pages || []);
+    return listings.map((listing) => ({ ...listing, filteredBy: this._getFilterReason(listing) }));
+  }
+
+  /**
+   * Create a pipeline step running the custom stages (see lib/pipeline/stage) of a hook which are enabled
+   * for this job.
+   *
+   * @param {('afterNormalize'|'afterFindNew'|'beforeNotify')} hook
+   * @returns {(listings: Listing[]) => Promise<Listing[]>}
+   */
+  _runStages(hook) {
+    return async (listings) => {
+      const job = getJob(this._jobKey);
+      if (job == null || !Array.isArray(job.stages) || job.stages.length === 0) return listings;
+      return runStages(hook, listings, { job, jobKey: this._jobKey, providerId: this._providerId });
+    };
+  }
+
+  /**
+   * Record this execution in the job run history and the provider health. Failing to do so must never break
+   * the pipeline.
+   *
+   * @param {number} startedAt Timestamp the execution started.
+   * @param {('success'|'no_new_listings'|'error'|'cooldown')} status
+   * @param {Error} [err] Error that stopped the pipeline.
+   * @returns {void}
+   */
+  _storeRun(startedAt, status, err = null) {
+    try {
+      storeJobRun({
+        jobId: this._jobKey,
+        providerId: this._providerId,
+        startedAt,
+        finishedAt: Date.now(),
+        status,
+        stats: this._runStats,
+        error: status === 'error' ? String(err?.message ?? err) : null,
+      });
+    } catch (e) {
+      logger.warn(`Could not store job run (Provider: '${this._providerId}')`, e);
+    }
+    // a skipped or blocked run tells nothing about the health of the provider
+    if (status === 'cooldown' || this._runStats.botDetected) return;
+    recordProviderHealth({
+      jobId: this._jobKey,
+      providerId: this._providerId,
+      providerUrl: this._providerConfig.url,
+      status,
+      stats: this._runStats,
+      error: err,
+    }).catch((e) => logger.warn(`Could not record provider health (Provider: '${this._providerId}')`, e));
+  }
+
+  /**
+   * Enrich new listings with the details of their expose page, if the provider supports it. Only new
+   * listings are enriched, as this costs one request per listing. If fetching fails, the listing is kept as it is.
+   *
+   * @param {Listing[]} newListings New listings to enrich.
+   * @returns {Promise<Listing[]>} Resolves with the listings (potentially with added details).
+   */
+  async _fetchDetails(newListings) {
+    const getListingDetails = this._providerConfig.getListingDetails;
+    if (typeof getListingDetails !== 'function') return newListings;
+    for (const listing of newListings) {
+      try {
+        const details = await getListingDetails(listing);
+        if (details == null) continue;
+        for (const field of LISTING_DETAIL_FIELDS) {
+          if (details[field] != null) listing[field] = details[field];
+        }
+        if (Array.isArray(details.images) && details.images.length > 0) {
+          listing.images = details.images;
+        }
+      } catch (error) {
+        logger.warn(`Could not fetch details of listing '${listing.link}' (Provider: '${this._providerId}').`, error);
+      }
+    }
+    return newListings;
   }
 
   /**
@@ -111,6 +265,68 @@ class FredyPipelineExecutioner {
     return newListings;
   }
 
+  /**
+   * Fetch up to `maxPages` (job setting) result pages. Fetching stops early when a page holds no
+   * listings or only listings that are already known, as results are sorted by date and the following
+   * pages will not contain anything new either. Listings showing up on multiple pages are only kept once.
+   *
+   * @param {string} url The url of the first result page.
+   * @returns {Promise<Listing[]>} Resolves with the raw listings of all fetched pages.
+   */
+  async _getPages(url) {
+    const pagination = this._providerConfig.pagination;
+    const getListings = this._providerConfig.getListings?.bind(this) ?? this._getListings.bind(this);
+    const maxPages = pagination == null ? 1 : normalizeMaxPages(getJob(this._jobKey)?.maxPages);
+    if (maxPages === 1) {
+      const listings = (await getListings(url)) || [];
+      this._runStats.found = listings.length;
+      this._runStats.pages = 1;
+      this._recordBotDetection(url);
+      return listings;
+    }
+
+    const knownHashes = new Set(getKnownListingHashesForJobAndProvider(this._jobKey, this._providerId) || []);
+    const seenHashes = new Set();
+    const listings = [];
+    let pageUrl = url;
+    let pagesFetched = 0;
+    while (pagesFetched < maxPages && pageUrl != null) {
+      this._nextPageUrl = null;
+      const pageListings = (await getListings(pageUrl)) || [];
+      pagesFetched++;
+      const hashes = pageListings.map((listing) => this._providerConfig.normalize({ ...listing }).id);
+      pageListings.forEach((listing, idx) => {
+        if (!seenHashes.has(hashes[idx])) {
+          seenHashes.add(hashes[idx]);
+          listings.push(listing);
+        }
+      });
+      if (hashes.length === 0 || hashes.every((hash) => knownHashes.has(hash))) {
+        break;
+      }
+      pageUrl = pagination.nextPageSelector ? this._nextPageUrl : buildPageUrl(url, pagination, pagesFetched);
+    }
+    logger.debug(`Fetched ${listings.length} listings from ${pagesFetched} pages (Provider: '${this._providerId}')`);
+    this._runStats.found = listings.length;
+    this._runStats.pages = pagesFetched;
+    this._recordBotDetection(url);
+    return listings;
+  }
+
+  /**
+   * Flag a run which found nothing because the site blocks us: it detected us as a bot during this run (see
+   * puppeteerExtractor.js and proxyPool.js#proxyFetch) or since the run has been started, so that the extraction
+   * has been skipped (see Extractor#execute).
+   *
+   * @param {string} url The url of the first result page.
+   * @returns {void}
+   */
+  _recordBotDetection(url) {
+    if (this._runStats.found === 0 && getActiveCooldown(url) != null) {
+      this._runStats.botDetected = true;
+    }
+  }
+
   /**
    * Fetch listings from the provider, using the default Extractor flow unless
    * a provider-specific getListings override is supplied.
@@ -119,16 +335,25 @@ class FredyPipelineExecutioner {
    * @returns {Promise<Listing[]>} Resolves with an array of listings (empty when none found).
    */
   _getListings(url) {
-    const extractor = new Extractor();
+    const extractor = new Extractor({
+      extractionMode: this._providerConfig.extractionMode,
+      consentSelector: this._providerConfig.consentSelector,
+      resourcePolicy: this._providerConfig.resourcePolicy,
+    });
     return new Promise((resolve, reject) => {
       extractor
-        .execute(url, this._providerConfig.waitForSelector)
+        .execute(url, this._providerConfig.waitForSelector, this._providerConfig.crawlContainer)
         .then(() => {
           const listings = extractor.parseResponseText(
             this._providerConfig.crawlContainer,
             this._providerConfig.crawlFields,
             url,
           );
+          this._recordParseStats(extractor.parseStats);
+          this._recordTransferStats(extractor.transferStats);
+          if (this._providerConfig.pagination?.nextPageSelector) {
+            this._nextPageUrl = extractor.parseNextPageUrl(this._providerConfig.pagination.nextPageSelector, url);
+          }
           resolve(listings == null ? [] : listings);
         })
         .catch((err) => {
@@ -139,26 +364,112 @@ class FredyPipelineExecutioner {
   }
 
   /**
-   * Normalize raw listings into the provider-specific Listing shape.
+   * Add the traffic of a page loaded with Puppeteer to the run stats.
+   *
+   * @param {import('./services/extractor/resourceBlocking.js').TransferStats|null} stats
+   * @returns {void}
+   */
+  _recordTransferStats(stats) {
+    if (stats == null) return;
+    for (const key of ['requests', 'blockedRequests', 'bytes']) {
+      this._runStats[key] = (this._runStats[key] ?? 0) + stats[key];
+    }
+  }
+
+  /**
+   * Add the parse statistics of a page to the run stats. Fields only count as empty if they are empty on
+   * every page.
+   *
+   * @param {import('./services/extractor/parser/parser.js').ParseStats|null} stats
+   * @returns {void}
+   */
+  _recordParseStats(stats) {
+    if (stats == null) return;
+    const emptyFields = this._runStats.emptyFields;
+    this._runStats.containers = (this._runStats.containers ?? 0) + stats.containers;
+    this._runStats.withoutId = (this._runStats.withoutId ?? 0) + stats.withoutId;
+    this._runStats.emptyFields =
+      emptyFields == null ? stats.emptyFields : emptyFields.filter((field) => stats.emptyFields.includes(field));
+  }
+
+  /**
+   * Normalize raw listings with the normalize function of the provider and convert them into the canonical
+   * Listing schema (see listingSchema.js). Schema violations are counted per field in the run stats and logged,
+   * so that broken parsers become visible.
    *
    * @param {any[]} listings Raw listing entries from the extractor or override.
    * @returns {Listing[]} Normalized listings.
    */
   _normalize(listings) {
-    return listings.map(this._providerConfig.normalize);
+    const results = listings.map((raw) => {
+      // normalize replaces the id of the provider with a hash, most providers modify the raw listing in place
+      const nativeId = raw?.id;
+      return toCanonicalListing(this._providerConfig.normalize(raw), nativeId);
+    });
+    const violations = results.map((result) => result.violations).filter((v) => v.length > 0);
+    this._runStats.invalid = violations.length;
+    this._runStats.schemaViolations = countViolations(violations);
+    if (violations.length > 0) {
+      const example = violations[0][0];
+      logger.warn(
+        `${violations.length} of ${listings.length} listings violate the listing schema ` +
+          `(Provider: '${this._providerId}', e.g. ${example.message}: ${JSON.stringify(example.value)})`,
+      );
+    }
+    return results.map((result) => result.listing);
   }
 
   /**
-   * Filter out listings that are missing required fields and those rejected by the
-   * provider's blacklist/filter function.
+   * Filter out listings that are missing required fields, those rejected by the
+   * provider's blacklist/filter function and those not matching the job's filter rules
+   * (price, size, rooms, price per m²).
    *
    * @param {Listing[]} listings Listings to filter.
-   * @returns {Listing[]} Filtered listings that pass validation and provider filter.
+   * @returns {Listing[]} Filtered listings that pass validation, provider filter and filter rules.
    */
   _filter(listings) {
+    const filteredListings = listings.filter((listing) => this._getFilterReason(listing) == null);
+    this._runStats.filtered = listings.length - filteredListings.length;
+    return filteredListings;
+  }
+
+  /**
+   * Determine why a listing would be filtered out.
+   *
+   * @param {Listing} listing
+   * @returns {('incomplete'|'blacklist'|'filterRules'|null)} The reason or null if the listing is kept.
+   */
+  _getFilterReason(listing) {
     const keys = Object.keys(this._providerConfig.crawlFields);
-    const filteredListings = listings.filter((item) => keys.every((key) => key in item));
-    return filteredListings.filter(this._providerConfig.filter);
+    if (!keys.every((key) => key in listing)) return 'incomplete';
+    if (!this._providerConfig.filter(listing)) return 'blacklist';
+    if (!matchesFilterRules(listing, this._filterRules)) return 'filterRules';
+    return null;
+  }
+
+  /**
+   * Record price changes of already known listings (matched by their provider-native id) and
+   * send a dedicated "price changed" notification for listings that are on a watch list.
+   * A failing notification does not stop the pipeline.
+   *
+   * @param {Listing[]} listings Listings of the current run.
+   * @returns {Promise<Listing[]>} The same listings, unchanged.
+   */
+  async _trackPriceChanges(listings) {
+    const changes = trackListingChanges(this._jobKey, this._providerId, listings);
+    this._runStats.priceChanges = changes.length;
+    const watchedChanges = changes.filter((change) => change.watcherCount > 0);
+    if (watchedChanges.length > 0 && this._notificationConfig != null) {
+      logger.debug(`Notifying about ${watchedChanges.length} price changes (Provider: '${this._providerId}')`);
+      try {
+        await Promise.all(
+          notify.sendPriceChanges(this._providerId, watchedChanges, this._notificationConfig, this._jobKey),
+        );
+      } catch (err) {
+        logger.error(err);
+      }
+    }
+    return listings;
   }
 
   /**
@@ -173,6 +484,7 @@ class FredyPipelineExecutioner {
     const hashes = getKnownListingHashesForJobAndProvider(this._jobKey, this._providerId) || [];
 
     const newListings = listings.filter((o) => !hashes.includes(o.id));
+    this._runStats.new = newListings.length;
     if (newListings.length === 0) {
       throw new NoNewListingsWarning();
     }
@@ -180,7 +492,8 @@ class FredyPipelineExecutioner {
   }
 
   /**
-   * Send notifications for new listings using the configured notification adapter(s).
+   * Send notifications for new listings using the configured notification adapter(s). Listings for adapters
+   * sending digests are queued for their next digest instead.
    *
    * @param {Listing[]} newListings New listings to notify about.
    * @returns {Promise<Listing[]>} Resolves to the provided listings after notifications complete.
@@ -190,7 +503,10 @@ class FredyPipelineExecutioner {
     if (newListings.length === 0) {
       throw new NoNewListingsWarning();
     }
-    const sendNotifications = notify.send(this._providerId, newListings, this._notificationConfig, this._jobKey);
+    this._runStats.notified = newListings.length;
+    const { instant, digest } = splitByDelivery(this._notificationConfig);
+    queueForDigest(this._jobKey, this._providerId, newListings, digest);
+    const sendNotifications = notify.send(this._providerId, newListings, instant, this._jobKey);
     return Promise.all(sendNotifications).then(() => newListings);
   }
 
@@ -243,26 +559,42 @@ class FredyPipelineExecutioner {
   }
 
   /**
-   * Remove listings that are similar to already known entries according to the similarity cache.
-   * Adds the remaining listings to the cache.
+   * Remove listings that are similar to already known entries according to the similarity cache
+   * (e.g. the same flat listed on another provider). Similar listings are linked in the database, so the
+   * listing detail shows on which providers a property is listed. Adds the remaining listings to the cache.
    *
    * @param {Listing[]} listings Listings to filter by similarity.
    * @returns {Listing[]} Listings considered unique enough to keep.
    */
   _filterBySimilarListings(listings) {
-    return listings.filter((listing) => {
-      const similar = this._similarityCache.checkAndAddEntry({
+    const uniqueListings = listings.filter((listing) => {
+      const similar = this._similarityCache.findAndAddEntry({
+        jobId: this._jobKey,
+        hash: listing.id,
+        provider: this._providerId,
         title: listing.title,
         address: listing.address,
         price: listing.price,
+        size: listing.size,
+        latitude: listing.latitude,
+        longitude: listing.longitude,
       });
-      if (similar) {
-        logger.debug(
-          `Filtering similar entry for title '${listing.title}' and address '${listing.address}' (Provider: '${this._providerId}')`,
-        );
+      if (similar == null) return true;
+
+      logger.debug(
+        `Filtering similar entry for title '${listing.title}' and address '${listing.address}' (Provider: '${this._providerId}')`,
+      );
+      if (similar.jobId != null && similar.hash != null) {
+        try {
+          linkSimilarListings({ jobId: this._jobKey, hash: listing.id }, similar);
+        } catch (error) {
+          logger.warn('Could not link similar listings.', error);
+        }
       }
-      return !similar;
+      return false;
     });
+    this._runStats.deduplicated = listings.length - uniqueListings.length;
+    return uniqueListings;
   }
 
   /**
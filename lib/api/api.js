@@ -7,6 +7,7 @@ import { notificationAdapterRouter } from './routes/notificationAdapterRouter.js
 import { authInterceptor, cookieSession, adminInterceptor } from './security.js';
 import { generalSettingsRouter } from './routes/generalSettingsRoute.js';
 import { providerRouter } from './routes/providerRouter.js';
+import { stageRouter } from './routes/stageRouter.js';
 import { versionRouter } from './routes/versionRouter.js';
 import { loginRouter } from './routes/loginRoute.js';
 import { userRouter } from './routes/userRoute.js';
@@ -23,6 +24,12 @@ import { listingsRouter } from './routes/listingsRouter.js';
 import { getSettings } from '../services/storage/settingsStorage.js';
 import { dashboardRouter } from './routes/dashboardRouter.js';
 import { backupRouter } from './routes/backupRouter.js';
+import { customProviderRouter } from './routes/customProviderRouter.js';
+import { browserPoolRouter } from './routes/browserPoolRouter.js';
+import { browserProfileRouter } from './routes/browserProfileRouter.js';
+import { executionQueueRouter } from './routes/executionQueueRouter.js';
+import { snapshotRouter } from './routes/snapshotRouter.js';
+import { proxyRouter } from './routes/proxyRouter.js';
 const service = restana();
 const staticService = files(path.join(getDirName(), '../ui/public'));
 const PORT = (await getSettings()).port || 9998;
@@ -42,7 +49,14 @@ service.use('/api/admin', adminInterceptor());
 service.use('/api/jobs/notificationAdapter', notificationAdapterRouter);
 service.use('/api/admin/generalSettings', generalSettingsRouter);
 service.use('/api/admin/backup', backupRouter);
+service.use('/api/admin/customProviders', customProviderRouter);
+service.use('/api/admin/browserPool', browserPoolRouter);
+service.use('/api/admin/browserProfiles', browserProfileRouter);
+service.use('/api/admin/executionQueue', executionQueueRouter);
+service.use('/api/admin/snapshots', snapshotRouter);
+service.use('/api/admin/proxies', proxyRouter);
 service.use('/api/jobs/provider', providerRouter);
+service.use('/api/jobs/stages', stageRouter);
 service.use('/api/admin/users', userRouter);
 service.use('/api/user/settings', userSettingsRouter);
 service.use('/api/version', versionRouter);
@@ -0,0 +1,14 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import restana from 'restana';
+import { getBrowserPoolStats } from '../../services/extractor/browserPool.js';
+const service = restana();
+const browserPoolRouter = service.newRouter();
+browserPoolRouter.get('/', async (req, res) => {
+  res.body = getBrowserPoolStats();
+  res.send();
+});
+export { browserPoolRouter };
@@ -0,0 +1,23 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import restana from 'restana';
+import { listProfiles, resetProfile } from '../../services/extractor/browserProfiles.js';
+const service = restana();
+const browserProfileRouter = service.newRouter();
+browserProfileRouter.get('/', async (req, res) => {
+  res.body = await listProfiles();
+  res.send();
+});
+browserProfileRouter.delete('/:domain', async (req, res) => {
+  try {
+    await resetProfile(req.params.domain);
+  } catch (error) {
+    res.send(error);
+    return;
+  }
+  res.send();
+});
+export { browserProfileRouter };
@@ -0,0 +1,97 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import restana from 'restana';
+import logger from '../../services/logger.js';
+import * as customProviderStorage from '../../services/storage/customProviderStorage.js';
+import { getJobs } from '../../services/storage/jobStorage.js';
+import { getSettings } from '../../services/storage/settingsStorage.js';
+import {
+  normalizeCustomProvider,
+  testCustomProvider,
+  validateCustomProvider,
+} from '../../services/customProviders/customProviderService.js';
+
+/**
+ * Custom Provider Admin Router
+ *
+ * Endpoints:
+ * - GET /api/admin/customProviders
+ *   Returns all custom provider definitions.
+ * - POST /api/admin/customProviders
+ *   Creates or updates (if an id is given) a definition.
+ * - POST /api/admin/customProviders/test
+ *   Runs a definition against the given url and returns the parsed listings. Nothing is stored.
+ * - DELETE /api/admin/customProviders/:id
+ *   Removes a definition, as long as no job uses it.
+ */
+const service = restana();
+const customProviderRouter = service.newRouter();
+
+customProviderRouter.get('/', async (req, res) => {
+  res.body = customProviderStorage.getCustomProviders();
+  res.send();
+});
+
+customProviderRouter.post('/test', async (req, res) => {
+  const { url, ...rawDefinition } = req.body || {};
+  const definition = normalizeCustomProvider(rawDefinition);
+  const error = validateCustomProvider(definition);
+  if (error != null) {
+    res.send(new Error(error));
+    return;
+  }
+  try {
+    new URL(url);
+  } catch {
+    res.send(new Error('Please paste the url of a result page of the provider.'));
+    return;
+  }
+  try {
+    res.body = await testCustomProvider(definition, url);
+    res.send();
+  } catch (err) {
+    logger.warn('Testing custom provider failed', err);
+    res.send(new Error(`Testing the provider failed: ${err?.message ?? err}`));
+  }
+});
+
+customProviderRouter.post('/', async (req, res) => {
+  const settings = await getSettings();
+  if (settings.demoMode) {
+    res.send(new Error('In demo mode, it is not allowed to change or add providers.'));
+    return;
+  }
+  const definition = normalizeCustomProvider(req.body);
+  const error = validateCustomProvider(definition);
+  if (error != null) {
+    res.send(new Error(error));
+    return;
+  }
+  if (definition.id != null && customProviderStorage.getCustomProvider(definition.id) == null) {
+    res.send(new Error('Provider not found.'));
+    return;
+  }
+  res.body = { id: customProviderStorage.upsertCustomProvider(definition) };
+  res.send();
+});
+
+customProviderRouter.delete('/:id', async (req, res) => {
+  const settings = await getSettings();
+  if (settings.demoMode) {
+    res.send(new Error('In demo mode, it is not allowed to remove providers.'));
+    return;
+  }
+  const { id } = req.params;
+  const usedBy = getJobs().filter((job) => (job.provider || []).some((provider) => provider.id === id));
+  if (usedBy.length > 0) {
+    res.send(new Error(`This provider is used by the following jobs: ${usedBy.map((job) => job.name).join(', ')}.`));
+    return;
+  }
+  customProviderStorage.removeCustomProvider(id);
+  res.send();
+});
+
+export { customProviderRouter };
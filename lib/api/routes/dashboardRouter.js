@@ -8,6 +8,8 @@ import * as jobStorage from '../../services/storage/jobStorage.js';
 import * as userStorage from '../../services/storage/userStorage.js';
 import { getListingsKpisForJobIds, getProviderDistributionForJobIds } from '../../services/storage/listingsStorage.js';
 import { getSettings } from '../../services/storage/settingsStorage.js';
+import { getJobScheduleInfo } from '../../services/jobs/jobScheduler.js';
+import { normalizeSchedule } from '../../services/jobs/schedule.js';
 
 const service = restana();
 export const dashboardRouter = service.newRouter();
@@ -53,12 +55,24 @@ dashboardRouter.get('/', async (req, res) => {
         }
       : { labels: [], values: [] };
 
+  // Schedule per job, the general last/next run are derived from them
+  const schedules = jobs.map((job) => ({
+    id: job.id,
+    name: job.name,
+    enabled: job.enabled,
+    schedule: normalizeSchedule(job.schedule),
+    ...getJobScheduleInfo(job),
+  }));
+  const lastRuns = schedules.map((s) => s.lastRun).filter((t) => t != null);
+  const nextRuns = schedules.map((s) => s.nextRun).filter((t) => t != null);
+
   res.body = {
     general: {
       interval: settings.interval,
-      lastRun: settings.lastRun || null,
-      nextRun: settings.lastRun == null ? 0 : settings.lastRun + settings.interval * 60000,
+      lastRun: lastRuns.length === 0 ? null : Math.max(...lastRuns),
+      nextRun: nextRuns.length === 0 ? null : Math.min(...nextRuns),
     },
+    schedules,
     kpis: {
       totalJobs,
       totalListings,
@@ -0,0 +1,14 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import restana from 'restana';
+import { getExecutionQueueStats } from '../../services/executionQueue/executionQueue.js';
+const service = restana();
+const executionQueueRouter = service.newRouter();
+executionQueueRouter.get('/', async (req, res) => {
+  res.body = getExecutionQueueStats();
+  res.send();
+});
+export { executionQueueRouter };
@@ -9,6 +9,7 @@ import fs from 'fs';
 import { ensureDemoUserExists } from '../../services/storage/userStorage.js';
 import logger from '../../services/logger.js';
 import { getSettings, upsertSettings } from '../../services/storage/settingsStorage.js';
+import { getInvalidProxies, resetProxyPool } from '../../services/proxy/proxyPool.js';
 const service = restana();
 const generalSettingsRouter = service.newRouter();
 
@@ -25,11 +26,18 @@ generalSettingsRouter.post('/', async (req, res) => {
     return;
   }
 
+  const invalidProxies = getInvalidProxies(appSettings.proxies);
+  if (invalidProxies.length > 0) {
+    res.send(new Error(`The following proxies are not valid http(s) urls: ${invalidProxies.join(', ')}`));
+    return;
+  }
+
   try {
     if (typeof sqlitepath !== 'undefined') {
       fs.writeFileSync(`${getDirName()}/../conf/config.json`, JSON.stringify({ sqlitepath }));
     }
     upsertSettings(appSettings);
+    await resetProxyPool();
     ensureDemoUserExists();
   } catch (err) {
     logger.error(err);
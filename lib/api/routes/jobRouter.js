@@ -5,6 +5,9 @@
 
 import restana from 'restana';
 import * as jobStorage from '../../services/storage/jobStorage.js';
+import * as jobRunStorage from '../../services/storage/jobRunStorage.js';
+import { getProviderHealthPerJob } from '../../services/storage/providerHealthStorage.js';
+import { getProviderCooldowns } from '../../services/botCooldown/botCooldownService.js';
 import * as userStorage from '../../services/storage/userStorage.js';
 import { isAdmin } from '../security.js';
 import logger from '../../services/logger.js';
@@ -12,6 +15,11 @@ import { bus } from '../../services/events/event-bus.js';
 import { isRunning as isJobRunning } from '../../services/jobs/run-state.js';
 import { addClient as addSseClient, removeClient } from '../../services/sse/sse-broker.js';
 import { getSettings } from '../../services/storage/settingsStorage.js';
+import { previewJob } from '../../services/jobs/jobPreviewService.js';
+import { normalizeSchedule } from '../../services/jobs/schedule.js';
+import { getInvalidBlacklistEntries } from '../../services/listings/blacklist.js';
+import { getCustomTemplate, validateTemplate } from '../../notification/messageTemplate.js';
+import { validateDelivery } from '../../services/notificationDigest/digestService.js';
 
 const service = restana();
 const jobRouter = service.newRouter();
@@ -30,8 +38,13 @@ function doesJobBelongsToUser(job, req) {
   return user.isAdmin || job.userId === user.id;
 }
 
+function canUserSeeJob(job, req) {
+  return doesJobBelongsToUser(job, req) || job.shared_with_user.includes(req.session.currentUser);
+}
+
 jobRouter.get('/', async (req, res) => {
   const isUserAdmin = isAdmin(req);
+  const providerHealth = getProviderHealthPerJob();
   //show only the jobs which belongs to the user (or all of the user is an admin)
   res.body = jobStorage
     .getJobs()
@@ -43,6 +56,8 @@ jobRouter.get('/', async (req, res) => {
       return {
         ...job,
         running: isJobRunning(job.id),
+        providerHealth: providerHealth[job.id] ?? {},
+        cooldowns: getProviderCooldowns(job.provider),
         isOnlyShared:
           !isUserAdmin &&
           job.userId !== req.session.currentUser &&
@@ -82,6 +97,7 @@ jobRouter.get('/data', async (req, res) => {
     return {
       ...job,
       running: isJobRunning(job.id),
+      cooldowns: getProviderCooldowns(job.provider),
       isOnlyShared:
         !isUserAdmin &&
         job.userId !== req.session.currentUser &&
@@ -162,8 +178,58 @@ jobRouter.post('/:jobId/run', async (req, res) => {
   }
 });
 
+// Run history of a job (one entry per provider execution)
+jobRouter.get('/:jobId/runs', async (req, res) => {
+  const { jobId } = req.params;
+  const { limit } = req.query || {};
+  const job = jobStorage.getJob(jobId);
+  if (!job) {
+    res.send({ message: 'Job not found' }, 404);
+    return;
+  }
+  if (!canUserSeeJob(job, req)) {
+    res.send({ message: 'You are trying to access a job that is not associated to your user' }, 403);
+    return;
+  }
+  res.body = jobRunStorage.getJobRuns(jobId, limit ? parseInt(limit, 10) : 50);
+  res.send();
+});
+
+// Dry-run of a (not yet saved) job: returns what each provider would find and what the filters would drop
+jobRouter.post('/preview', async (req, res) => {
+  const { provider = [], blacklist = [], filterRules = {} } = req.body || {};
+  const settings = await getSettings();
+  if (settings.demoMode) {
+    res.send({ message: 'Sorry, but previews are not available in demo mode.' }, 403);
+    return;
+  }
+  if (!Array.isArray(provider) || provider.length === 0) {
+    res.send({ message: 'Please add at least one provider.' }, 400);
+    return;
+  }
+  try {
+    res.body = await previewJob({ provider, blacklist, filterRules });
+    res.send();
+  } catch (error) {
+    logger.error(error);
+    res.send({ message: 'Unexpected error while creating the preview' }, 500);
+  }
+});
+
 jobRouter.post('/', async (req, res) => {
-  const { provider, notificationAdapter, name, blacklist = [], jobId, enabled, shareWithUsers = [] } = req.body;
+  const {
+    provider,
+    notificationAdapter,
+    name,
+    blacklist = [],
+    filterRules = {},
+    maxPages = 1,
+    schedule = {},
+    stages = [],
+    jobId,
+    enabled,
+    shareWithUsers = [],
+  } = req.body;
   const settings = await getSettings();
   try {
     let jobFromDb = jobStorage.getJob(jobId);
@@ -178,12 +244,41 @@ jobRouter.post('/', async (req, res) => {
       return;
     }
 
+    const invalidBlacklistEntries = getInvalidBlacklistEntries(blacklist);
+    if (invalidBlacklistEntries.length > 0) {
+      res.send(new Error(`Invalid blacklist entries: ${invalidBlacklistEntries.join(', ')}`));
+      return;
+    }
+
+    for (const adapter of notificationAdapter ?? []) {
+      const template = getCustomTemplate(notificationAdapter, adapter.id);
+      const templateError = template == null ? null : validateTemplate(template);
+      if (templateError != null) {
+        res.send(new Error(`The message template of ${adapter.name ?? adapter.id} is invalid: ${templateError}`));
+        return;
+      }
+      const deliveryError = validateDelivery(adapter.delivery);
+      if (deliveryError != null) {
+        res.send(new Error(`The delivery of ${adapter.name ?? adapter.id} is invalid: ${deliveryError}`));
+        return;
+      }
+    }
+
+    if (schedule?.type != null && normalizeSchedule(schedule).type !== schedule.type) {
+      res.send(new Error('The schedule is invalid. Please check the interval or the cron expression.'));
+      return;
+    }
+
     jobStorage.upsertJob({
       userId: req.session.currentUser,
       jobId,
       enabled,
       name,
       blacklist,
+      filterRules,
+      maxPages,
+      schedule,
+      stages,
       provider,
       notificationAdapter,
       shareWithUsers,
@@ -5,6 +5,12 @@
 
 import fs from 'fs';
 import restana from 'restana';
+import {
+  SAMPLE_LISTING,
+  buildTemplateContext,
+  renderTemplate,
+  validateTemplate,
+} from '../../notification/messageTemplate.js';
 const service = restana();
 const notificationAdapterRouter = service.newRouter();
 const notificationAdapterList = fs.readdirSync('./lib//notification/adapter').filter((file) => file.endsWith('.js'));
@@ -14,7 +20,7 @@ const notificationAdapter = await Promise.all(
   }),
 );
 notificationAdapterRouter.post('/try', async (req, res) => {
-  const { id, fields } = req.body;
+  const { id, fields, template } = req.body;
   const adapter = notificationAdapter.find((adapter) => adapter.config.id === id);
   if (adapter == null) {
     res.send(404);
@@ -28,6 +34,7 @@ notificationAdapterRouter.post('/try', async (req, res) => {
     fields: { ...notificationObject },
     enabled: true,
     id,
+    template,
   });
   try {
     await adapter.send({
@@ -49,6 +56,39 @@ notificationAdapterRouter.post('/try', async (req, res) => {
     res.send(new Error(Exception));
   }
 });
+/**
+ * Render the message template of an adapter against a sample listing.
+ */
+notificationAdapterRouter.post('/preview', async (req, res) => {
+  const { id, template } = req.body;
+  const adapter = notificationAdapter.find((adapter) => adapter.config.id === id);
+  if (adapter?.config.template == null) {
+    res.send(404);
+    return;
+  }
+  const error = validateTemplate(template);
+  if (error != null) {
+    res.body = { valid: false, error };
+    res.send();
+    return;
+  }
+  try {
+    const context = buildTemplateContext(SAMPLE_LISTING, {
+      jobName: 'Sample job',
+      jobKey: 'sample-job',
+      serviceName: 'immoscout',
+    });
+    res.body = {
+      valid: true,
+      format: adapter.config.template.format,
+      message: renderTemplate(template, context, adapter.config.template.format),
+    };
+  } catch (e) {
+    res.body = { valid: false, error: e.message };
+  }
+  res.send();
+});
+
 notificationAdapterRouter.get('/', async (req, res) => {
   res.body = notificationAdapter.map((adapter) => adapter.config);
   res.send();
@@ -5,6 +5,7 @@
 
 import fs from 'fs';
 import restana from 'restana';
+import { withCustomProviders } from '../../services/customProviders/customProviderService.js';
 const service = restana();
 const providerRouter = service.newRouter();
 const providerList = fs.readdirSync('./lib/provider').filter((file) => file.endsWith('.js'));
@@ -14,7 +15,7 @@ const provider = await Promise.all(
   }),
 );
 providerRouter.get('/', async (req, res) => {
-  res.body = provider.map((p) => p.metaInformation);
+  res.body = withCustomProviders(provider).map((p) => p.metaInformation);
   res.send();
 });
 export { providerRouter };
@@ -0,0 +1,14 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import restana from 'restana';
+import { getProxyHealth } from '../../services/proxy/proxyPool.js';
+const service = restana();
+const proxyRouter = service.newRouter();
+proxyRouter.get('/', async (req, res) => {
+  res.body = await getProxyHealth();
+  res.send();
+});
+export { proxyRouter };
@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import restana from 'restana';
+import fs from 'fs';
+import { deleteSnapshots, getSnapshotFile, listSnapshots } from '../../services/snapshots/snapshotService.js';
+
+/**
+ * Snapshots of failed extractions (see snapshotService.js)
+ *
+ * Endpoints:
+ * - GET /api/admin/snapshots
+ *   Lists all snapshots, newest first.
+ * - GET /api/admin/snapshots/:providerId/:id/:kind?download=true
+ *   Returns the html or the screenshot of a snapshot. The html is always sent as download, as it must not run
+ *   any scripts of the listing site in the origin of Fredy.
+ * - DELETE /api/admin/snapshots/:providerId
+ *   Removes all snapshots of a provider.
+ */
+const service = restana();
+const snapshotRouter = service.newRouter();
+
+snapshotRouter.get('/', async (req, res) => {
+  res.body = await listSnapshots();
+  res.send();
+});
+
+snapshotRouter.get('/:providerId/:id/:kind', async (req, res) => {
+  const { providerId, id, kind } = req.params;
+  const snapshot = await getSnapshotFile(providerId, id, kind);
+  if (snapshot == null) {
+    res.send(404);
+    return;
+  }
+  const download = kind === 'html' || String(req.query?.download) === 'true';
+  res.setHeader('Content-Type', snapshot.contentType);
+  res.setHeader('Content-Security-Policy', 'sandbox');
+  res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${snapshot.fileName}"`);
+  res.send(await fs.promises.readFile(snapshot.file));
+});
+
+snapshotRouter.delete('/:providerId', async (req, res) => {
+  await deleteSnapshots(req.params.providerId);
+  res.send();
+});
+export { snapshotRouter };
@@ -0,0 +1,14 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import restana from 'restana';
+import { getStages } from '../../pipeline/stages.js';
+const service = restana();
+const stageRouter = service.newRouter();
+stageRouter.get('/', async (req, res) => {
+  res.body = getStages();
+  res.send();
+});
+export { stageRouter };
@@ -15,7 +15,10 @@ class ExtendableError extends Error {
   }
 }
 class NoNewListingsWarning extends ExtendableError {}
-export { NoNewListingsWarning };
+/** Thrown in replay mode if no response has been recorded for a request (see lib/services/fixtures/fixtures.js). */
+class FixtureMissingError extends ExtendableError {}
+export { NoNewListingsWarning, FixtureMissingError };
 export default {
   NoNewListingsWarning,
+  FixtureMissingError,
 };
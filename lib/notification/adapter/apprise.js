@@ -6,6 +6,17 @@
 import { markdown2Html } from '../../services/markdown.js';
 import { getJob } from '../../services/storage/jobStorage.js';
 import fetch from 'node-fetch';
+import { getDigestTitle, renderDigestMessage, renderListingMessage } from '../messageTemplate.js';
+
+const post = (server, title, message) =>
+  fetch(server, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      body: message,
+      title: title,
+    }),
+  });
 
 export const send = ({ serviceName, newListings, notificationConfig, jobKey }) => {
   const { server } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
@@ -13,23 +24,38 @@ export const send = ({ serviceName, newListings, notificationConfig, jobKey }) =
   const jobName = job == null ? jobKey : job.name;
   const promises = newListings.map((newListing) => {
     const title = `${jobName} at ${serviceName}: ${newListing.title}`;
-    const message = `Address: ${newListing.address}\nSize: ${newListing.size}\nPrice: ${newListing.price}\nLink: ${newListing.link}`;
-    return fetch(server, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        body: message,
-        title: title,
-      }),
-    });
+    const message = renderListingMessage(config, notificationConfig, newListing, { jobName, jobKey, serviceName });
+    return post(server, title, message);
   });
   return Promise.all(promises);
 };
+export const sendDigest = ({ entries, notificationConfig, jobKey }) => {
+  const { server } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
+  const job = getJob(jobKey);
+  const jobName = job == null ? jobKey : job.name;
+  return post(
+    server,
+    getDigestTitle(entries.length, jobName),
+    renderDigestMessage(config, notificationConfig, entries, { jobName, jobKey }),
+  ).then((res) => {
+    if (!res.ok) {
+      throw new Error(`Apprise digest could not be sent. Status code: ${res.status}`);
+    }
+    return res;
+  });
+};
 export const config = {
   id: 'apprise',
   name: 'Apprise',
   readme: markdown2Html('lib/notification/adapter/apprise.md'),
   description: 'Fredy will send new listings to your Apprise instance.',
+  template: {
+    format: 'text',
+    default: `Address: {{address}}
+Size: {{size}}
+Price: {{price}}
+Link: {{link}}`,
+  },
   fields: {
     server: {
       type: 'text',
@@ -7,6 +7,7 @@ import fetch from 'node-fetch';
 import { getJob } from '../../services/storage/jobStorage.js';
 import { markdown2Html } from '../../services/markdown.js';
 import { normalizeImageUrl } from '../../utils.js';
+import { renderCustomMessage } from '../messageTemplate.js';
 
 /**
  * Generates an idempotent decimal color code. The input string-based color code is
@@ -39,9 +40,10 @@ const generateColorFromString = (str) => {
  *
  * @param {string} jobKey - Key of job (used to set embed color)
  * @param {object} listing - Object holding listing details
+ * @param {string|null} description - Rendered template of the job, replaces the fields if set
  * @returns {object} Discord webhook embed
  */
-const buildEmbed = (jobKey, listing) => {
+const buildEmbed = (jobKey, listing, description) => {
   const maxTitleLength = 252; // Max embed title length is 256 characters
   let title = String(listing.title ?? 'N/A');
   if (title.length > maxTitleLength) {
@@ -70,7 +72,8 @@ const buildEmbed = (jobKey, listing) => {
     title: title,
     color: generateColorFromString(jobKey),
     url: listing.link,
-    fields: fields,
+    // Max embed description length is 4096 characters
+    ...(description != null ? { description: description.slice(0, 4096) } : { fields }),
   };
 
   if (listing.image) {
@@ -90,7 +93,13 @@ export const send = ({ serviceName, newListings, notificationConfig, jobKey }) =
   const job = getJob(jobKey);
   const jobName = job?.name || jobKey;
 
-  const embeds = newListings.map((listing) => buildEmbed(jobKey, listing));
+  const embeds = newListings.map((listing) =>
+    buildEmbed(
+      jobKey,
+      listing,
+      renderCustomMessage(config, notificationConfig, listing, { jobName, jobKey, serviceName }),
+    ),
+  );
 
   const maxEmbedsPerMessage = 10; // Discord only allows up to 10 embeds
   const webhookPromises = [];
@@ -125,6 +134,14 @@ export const config = {
   name: 'Discord Webhook',
   readme: markdown2Html('lib/notification/adapter/discord_webhook.md'),
   description: 'Fredy will send new listings to the Discord channel of your choice.',
+  template: {
+    format: 'markdown',
+    description:
+      'The description of the embed of each listing. Without a template, price, size and address are shown as fields.',
+    default: `**Price:** {{or price "n/a"}}
+**Size:** {{or size "n/a"}}
+**Address:** {{or address "n/a"}}`,
+  },
   fields: {
     webhookUrl: {
       type: 'text',
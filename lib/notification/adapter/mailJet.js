@@ -11,6 +11,8 @@ import fetch from 'node-fetch';
 import { markdown2Html } from '../../services/markdown.js';
 import { getDirName, normalizeImageUrl } from '../../utils.js';
 import logger from '../../services/logger.js';
+import { getJob } from '../../services/storage/jobStorage.js';
+import { renderCustomMessage } from '../messageTemplate.js';
 
 const __dirname = getDirName();
 const template = fs.readFileSync(path.resolve(__dirname + '/notification/emailTemplate/template.hbs'), 'utf8');
@@ -35,7 +37,9 @@ const toBase64 = async (url) => {
   }
 };
 
-const mapListingsWithCid = async (serviceName, jobKey, listings) => {
+const mapListingsWithCid = async (serviceName, jobKey, listings, notificationConfig) => {
+  const job = getJob(jobKey);
+  const jobName = job == null ? jobKey : job.name;
   const out = [];
   const attachments = [];
 
@@ -51,6 +55,7 @@ const mapListingsWithCid = async (serviceName, jobKey, listings) => {
       price: l.price || '',
       serviceName,
       jobKey,
+      message: renderCustomMessage(config, notificationConfig, l, { jobName, jobKey, serviceName }),
       hasImage: false,
       imageCid: '',
     };
@@ -89,7 +94,7 @@ export const send = async ({ serviceName, newListings, notificationConfig, jobKe
     .map((r) => ({ Email: r.trim() }))
     .filter((r) => r.Email.length > 0);
 
-  const { listings, attachments } = await mapListingsWithCid(serviceName, jobKey, newListings);
+  const { listings, attachments } = await mapListingsWithCid(serviceName, jobKey, newListings, notificationConfig);
 
   const html = emailTemplate({
     serviceName: `Job: (${jobKey}) | Service: ${serviceName}`,
@@ -118,6 +123,14 @@ export const config = {
   name: 'MailJet',
   description: 'MailJet is being used to send new listings via mail.',
   readme: markdown2Html('lib/notification/adapter/mailJet.md'),
+  template: {
+    format: 'html',
+    description:
+      'The details of each listing in the email, below its title. Without a template, price, size and address are shown.',
+    default: `<strong>Price:</strong> {{or price "unknown"}}<br/>
+<strong>Size:</strong> {{or size "unknown"}}<br/>
+<strong>Address:</strong> {{or address "unknown"}}`,
+  },
   fields: {
     apiPublicKey: {
       type: 'text',
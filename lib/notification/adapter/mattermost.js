@@ -6,15 +6,17 @@
 import { markdown2Html } from '../../services/markdown.js';
 import { getJob } from '../../services/storage/jobStorage.js';
 import fetch from 'node-fetch';
+import { renderListingMessage } from '../messageTemplate.js';
+
 export const send = ({ serviceName, newListings, notificationConfig, jobKey }) => {
   const { webhook, channel } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
   const job = getJob(jobKey);
   const jobName = job == null ? jobKey : job.name;
   let message = `### *${jobName}* (${serviceName}) found **${newListings.length}** new listings:\n\n`;
   message += `| Title | Address | Size | Price |\n|:----|:----|:----|:----|\n`;
-  message += newListings.map(
-    (o) => `| [${o.title}](${o.link}) | ` + [o.address, o.size.replace(/2m/g, '$m^2$'), o.price].join(' | ') + ' |\n',
-  );
+  message += newListings
+    .map((o) => renderListingMessage(config, notificationConfig, o, { jobName, jobKey, serviceName }) + '\n')
+    .join('');
   return fetch(webhook, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -29,6 +31,11 @@ export const config = {
   name: 'Mattermost',
   readme: markdown2Html('lib/notification/adapter/mattermost.md'),
   description: 'Fredy will send new listings to your mattermost team chat.',
+  // one row of the table of new listings
+  template: {
+    format: 'markdown',
+    default: '| [{{title}}]({{link}}) | {{address}} | {{size}} | {{price}} |',
+  },
   fields: {
     webhook: {
       type: 'text',
@@ -7,6 +7,30 @@ import { markdown2Html } from '../../services/markdown.js';
 import { getJob } from '../../services/storage/jobStorage.js';
 import fetch from 'node-fetch';
 import { normalizeImageUrl } from '../../utils.js';
+import { getDigestTitle, renderDigestMessage, renderListingMessage } from '../messageTemplate.js';
+
+const sanitizeHeaderValue = (value) =>
+  String(value ?? '')
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[^\x20-\x7E]/g, ' ')
+    .trim();
+
+const post = (server, topic, headers, message) =>
+  fetch(`${server}/${topic}`, {
+    method: 'POST',
+    headers,
+    body: message,
+  })
+    .then((res) => {
+      if (!res.ok) {
+        throw new Error(`Ntfy message could not be sent. Status code: ${res.status}`);
+      }
+      return res.text();
+    })
+    .catch((error) => {
+      // Ensure we reject with an Error object and prevent unhandled rejections
+      throw error instanceof Error ? error : new Error(String(error));
+    });
 
 export const send = ({ serviceName, newListings, notificationConfig, jobKey }) => {
   const { priority, server, topic } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
@@ -14,17 +38,7 @@ export const send = ({ serviceName, newListings, notificationConfig, jobKey }) =
   const jobName = job == null ? jobKey : job.name;
 
   const promises = newListings.map((newListing) => {
-    const message = `
-Address: ${newListing.address}
-Size: ${newListing.size == null ? 'N/A' : newListing.size.replace(/2m/g, '$m^2$')}
-Price: ${newListing.price}
-Link: ${newListing.link}`;
-
-    const sanitizeHeaderValue = (value) =>
-      String(value ?? '')
-        .replace(/[\r\n]+/g, ' ')
-        .replace(/[^\x20-\x7E]/g, ' ')
-        .trim();
+    const message = renderListingMessage(config, notificationConfig, newListing, { jobName, jobKey, serviceName });
 
     const headers = {
       Title: sanitizeHeaderValue(newListing.title),
@@ -37,31 +51,43 @@ Link: ${newListing.link}`;
       headers.Attach = normalizeImageUrl(newListing.image);
     }
 
-    return fetch(`${server}/${topic}`, {
-      method: 'POST',
-      headers,
-      body: message,
-    })
-      .then((res) => {
-        if (!res.ok) {
-          throw new Error(`Ntfy message could not be sent. Status code: ${res.status}`);
-        }
-        return res.text();
-      })
-      .catch((error) => {
-        // Ensure we reject with an Error object and prevent unhandled rejections
-        throw error instanceof Error ? error : new Error(String(error));
-      });
+    return post(server, topic, headers, message);
   });
 
   return Promise.all(promises);
 };
 
+export const sendDigest = ({ entries, notificationConfig, jobKey }) => {
+  const { priority, server, topic } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
+  const job = getJob(jobKey);
+  const jobName = job == null ? jobKey : job.name;
+
+  const headers = {
+    Title: sanitizeHeaderValue(getDigestTitle(entries.length, jobName)),
+    Priority: sanitizeHeaderValue(priority),
+    Tags: sanitizeHeaderValue(`digest,${jobName}`),
+  };
+  // ntfy turns messages larger than 4096 bytes into attachments
+  return post(
+    server,
+    topic,
+    headers,
+    renderDigestMessage(config, notificationConfig, entries, { jobName, jobKey }, { maxLength: 4000 }),
+  );
+};
+
 export const config = {
   id: 'ntfy',
   name: 'ntfy',
   readme: markdown2Html('lib/notification/adapter/ntfy.md'),
   description: 'Fredy will send new listings to your ntfy.',
+  template: {
+    format: 'text',
+    default: `Address: {{address}}
+Size: {{or size "N/A"}}
+Price: {{price}}
+Link: {{link}}`,
+  },
   fields: {
     priority: {
       type: 'number',
@@ -6,6 +6,7 @@
 import { markdown2Html } from '../../services/markdown.js';
 import { getJob } from '../../services/storage/jobStorage.js';
 import fetch from 'node-fetch';
+import { getDigestTitle, renderDigestMessage, renderListingMessage } from '../messageTemplate.js';
 
 export const send = async ({ serviceName, newListings, notificationConfig, jobKey }) => {
   const { token, user, device } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
@@ -15,7 +16,7 @@ export const send = async ({ serviceName, newListings, notificationConfig, jobKe
   const results = await Promise.all(
     newListings.map(async (newListing) => {
       const title = `${jobName} at ${serviceName}: ${newListing.title}`;
-      const message = `Address: ${newListing.address}\nSize: ${newListing.size}\nPrice: ${newListing.price}\nLink: ${newListing.link}`;
+      const message = renderListingMessage(config, notificationConfig, newListing, { jobName, jobKey, serviceName });
 
       const form = new FormData();
       form.append('token', token);
@@ -58,11 +59,45 @@ export const send = async ({ serviceName, newListings, notificationConfig, jobKe
   return results;
 };
 
+// Pushover limits messages to 1024 characters
+export const sendDigest = async ({ entries, notificationConfig, jobKey }) => {
+  const { token, user, device } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
+  const job = getJob(jobKey);
+  const jobName = job == null ? jobKey : job.name;
+
+  const form = new FormData();
+  form.append('token', token);
+  form.append('user', user);
+  form.append('title', getDigestTitle(entries.length, jobName));
+  form.append(
+    'message',
+    renderDigestMessage(config, notificationConfig, entries, { jobName, jobKey }, { maxLength: 1024 }),
+  );
+  if (device) form.append('device', device);
+
+  const res = await fetch('https://api.pushover.net/1/messages.json', {
+    method: 'POST',
+    body: form,
+  });
+  const result = await res.json();
+  if (result.errors != null && result.errors.length > 0) {
+    return Promise.reject(result.errors.join(', '));
+  }
+  return result;
+};
+
 export const config = {
   id: 'pushover',
   name: 'Pushover',
   readme: markdown2Html('lib/notification/adapter/pushover.md'),
   description: 'Fredy will send new listings to your mobile using Pushover.',
+  template: {
+    format: 'text',
+    default: `Address: {{address}}
+Size: {{size}}
+Price: {{price}}
+Link: {{link}}`,
+  },
   fields: {
     token: {
       type: 'text',
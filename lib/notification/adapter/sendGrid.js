@@ -6,9 +6,13 @@
 import sgMail from '@sendgrid/mail';
 import { markdown2Html } from '../../services/markdown.js';
 import { normalizeImageUrl } from '../../utils.js';
+import { getJob } from '../../services/storage/jobStorage.js';
+import { renderCustomMessage } from '../messageTemplate.js';
 
-const mapListings = (serviceName, jobKey, listings) =>
-  listings.map((l) => {
+const mapListings = (serviceName, jobKey, listings, notificationConfig) => {
+  const job = getJob(jobKey);
+  const jobName = job == null ? jobKey : job.name;
+  return listings.map((l) => {
     const image = normalizeImageUrl(l.image);
     return {
       title: l.title || '',
@@ -20,10 +24,13 @@ const mapListings = (serviceName, jobKey, listings) =>
       hasImage: Boolean(image),
       // optional plain text snippet
       snippet: [l.address, l.price, l.size].filter(Boolean).join(' | '),
+      // rendered template of the job, see template.hbs
+      message: renderCustomMessage(config, notificationConfig, l, { jobName, jobKey, serviceName }),
       serviceName,
       jobKey,
     };
   });
+};
 
 export const send = ({ serviceName, newListings, notificationConfig, jobKey }) => {
   const { apiKey, receiver, from, templateId } = notificationConfig.find((adapter) => adapter.id === config.id).fields;
@@ -36,7 +43,7 @@ export const send = ({ serviceName, newListings, notificationConfig, jobKey }) =
     .map((r) => r.trim())
     .filter(Boolean);
 
-  const listings = mapListings(serviceName, jobKey, newListings);
+  const listings = mapListings(serviceName, jobKey, newListings, notificationConfig);
 
   const msg = {
     templateId,
@@ -58,6 +65,14 @@ export const config = {
   name: 'SendGrid',
   description: 'SendGrid is being used to send new listings via mail.',
   readme: markdown2Html('lib/notification/adapter/sendGrid.md'),
+  template: {
+    format: 'html',
+    description:
+      'The details of each listing in the email, below its title. Without a template, price, size and address are shown.',
+    default: `<strong>Price:</strong> {{or price "unknown"}}<br/>
+<strong>Size:</strong> {{or size "unknown"}}<br/>
+<strong>Address:</strong> {{or address "unknown"}}`,
+  },
   fields: {
     apiKey: {
       type: 'text',
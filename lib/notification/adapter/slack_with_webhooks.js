@@ -5,9 +5,11 @@
 
 import fetch from 'node-fetch';
 import { markdown2Html } from '../../services/markdown.js';
+import { getJob } from '../../services/storage/jobStorage.js';
 import { normalizeImageUrl } from '../../utils.js';
+import { getDigestTitle, renderCustomMessage, renderDigestMessage } from '../messageTemplate.js';
 
-const buildBlocks = (serviceName, jobKey, p) => {
+const buildBlocks = (serviceName, jobKey, p, message) => {
   const blocks = [
     {
       type: 'header',
@@ -17,14 +19,17 @@ const buildBlocks = (serviceName, jobKey, p) => {
       type: 'section',
       text: { type: 'mrkdwn', text: `*<${p.link}|${p.title}>*` },
     },
-    {
-      type: 'section',
-      fields: [
-        { type: 'mrkdwn', text: `*Price*\n${p.price ?? 'n/a'}` },
-        { type: 'mrkdwn', text: `*Size*\n${p.size ?? 'n/a'}` },
-        { type: 'mrkdwn', text: `*Address*\n${p.address ?? 'n/a'}` },
-      ],
-    },
+    message != null
+      ? // Max section text length is 3000 characters
+        { type: 'section', text: { type: 'mrkdwn', text: message.slice(0, 3000) } }
+      : {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*Price*\n${p.price ?? 'n/a'}` },
+            { type: 'mrkdwn', text: `*Size*\n${p.size ?? 'n/a'}` },
+            { type: 'mrkdwn', text: `*Address*\n${p.address ?? 'n/a'}` },
+          ],
+        },
   ];
 
   const img = normalizeImageUrl(p.image);
@@ -44,6 +49,22 @@ const buildBlocks = (serviceName, jobKey, p) => {
   return blocks;
 };
 
+const buildDigestBlocks = (title, digest) => [
+  {
+    type: 'header',
+    text: { type: 'plain_text', text: title, emoji: false },
+  },
+  {
+    type: 'section',
+    // Max section text length is 3000 characters
+    text: { type: 'mrkdwn', text: digest },
+  },
+  {
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: 'Powered by Fredy' }],
+  },
+];
+
 const postJson = (url, body) =>
   fetch(url, {
     method: 'POST',
@@ -55,11 +76,18 @@ export const send = ({ serviceName, newListings, notificationConfig, jobKey }) =
   const adapter = notificationConfig.find((a) => a.id === config.id);
   const webhookUrl = adapter?.fields?.webhookUrl;
   if (!webhookUrl) return Promise.resolve([]);
+  const job = getJob(jobKey);
+  const jobName = job == null ? jobKey : job.name;
 
   const promises = newListings.map((p) => {
     const body = JSON.stringify({
       text: `${serviceName} ${jobKey}: ${p.title}`,
-      blocks: buildBlocks(serviceName, jobKey, p),
+      blocks: buildBlocks(
+        serviceName,
+        jobKey,
+        p,
+        renderCustomMessage(config, notificationConfig, p, { jobName, jobKey, serviceName }),
+      ),
       unfurl_links: false,
       unfurl_media: false,
     });
@@ -69,11 +97,44 @@ export const send = ({ serviceName, newListings, notificationConfig, jobKey }) =
   return Promise.allSettled(promises);
 };
 
+export const sendDigest = ({ entries, notificationConfig, jobKey }) => {
+  const adapter = notificationConfig.find((a) => a.id === config.id);
+  const webhookUrl = adapter?.fields?.webhookUrl;
+  if (!webhookUrl) return Promise.resolve();
+  const job = getJob(jobKey);
+  const jobName = job == null ? jobKey : job.name;
+  const title = getDigestTitle(entries.length, jobName);
+  const digest = renderDigestMessage(config, notificationConfig, entries, { jobName, jobKey }, { maxLength: 3000 });
+
+  return postJson(
+    webhookUrl,
+    JSON.stringify({
+      text: title,
+      blocks: buildDigestBlocks(title, digest),
+      unfurl_links: false,
+      unfurl_media: false,
+    }),
+  ).then((res) => {
+    if (!res.ok) {
+      throw new Error(`Slack digest could not be sent. Status code: ${res.status}`);
+    }
+    return res;
+  });
+};
+
 export const config = {
   id: 'slack_with_webhooks',
   name: 'Slack with Webhooks',
   readme: markdown2Html('lib/notification/adapter/slack_with_webhooks.md'),
   description: 'Fredy will send new listings to the slack channel of your choice..',
+  template: {
+    format: 'markdown',
+    description:
+      'The text below the title of each listing. Without a template, price, size and address are shown as fields.',
+    default: `*Price:* {{or price "n/a"}}
+*Size:* {{or size "n/a"}}
+*Address:* {{or address "n/a"}}`,
+  },
   fields: {
     webhookUrl: {
       type: 'text',
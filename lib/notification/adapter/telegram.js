@@ -9,6 +9,7 @@ import fetch from 'node-fetch';
 import pThrottle from 'p-throttle';
 import { normalizeImageUrl } from '../../utils.js';
 import logger from '../../services/logger.js';
+import { renderDigestMessage, renderListingMessage, truncateMessage } from '../messageTemplate.js';
 
 const RATE_LIMIT_INTERVAL = 1000;
 const chatThrottleMap = new Map();
@@ -49,75 +50,13 @@ function getThrottled(chatId, call) {
 }
 
 /**
- * Shorten a string to a maximum length with an ellipsis suffix.
- * @param {string} str
- * @param {number} [len=90]
- * @returns {string}
- */
-function shorten(str, len = 90) {
-  if (!str) return '';
-  return str.length > len ? str.substring(0, len).trim() + '...' : str;
-}
-
-/**
- * Escape basic HTML entities for Telegram HTML parse mode.
- * @param {string} [s='']
- * @returns {string}
- */
-function escapeHtml(s = '') {
-  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-}
-
-/**
- * Build a Telegram photo caption (max 1024 characters) using HTML parse mode.
- * @param {string} jobName
- * @param {string} serviceName
- * @param {Object} o - Listing object
- * @param {string} [o.title]
- * @param {string} [o.address]
- * @param {string|number} [o.price]
- * @param {string|number} [o.size]
- * @param {string} [o.link]
- * @returns {string}
- */
-function buildCaption(jobName, serviceName, o) {
-  const title = shorten((o.title || '').replace(/\*/g, ''), 90);
-  const meta = [o.address, o.price, o.size].filter(Boolean).join(' | ');
-  return `<i>${escapeHtml(jobName)}</i> (${escapeHtml(serviceName)})\n<a href='${escapeHtml(
-    o.link || '',
-  )}'><b>${escapeHtml(title)}</b></a>\n${escapeHtml(meta)}`.slice(0, 1024);
-}
-
-/**
- * Build a Telegram message text using HTML parse mode.
- * @param {string} jobName
- * @param {string} serviceName
- * @param {Object} o - Listing object
- * @returns {string}
- */
-function buildText(jobName, serviceName, o) {
-  const title = shorten((o.title || '').replace(/\*/g, ''), 90);
-  const meta = [o.address, o.price, o.size].filter(Boolean).join(' | ');
-  return (
-    `<i>${escapeHtml(jobName)}</i> (${escapeHtml(serviceName)})\n` +
-    `<a href='${escapeHtml(o.link || '')}'><b>${escapeHtml(title)}</b></a>\n` +
-    `${escapeHtml(meta)}`
-  );
-}
-
-/**
- * Send new listings to Telegram.
- * - Respects per-chat Telegram rate limits using a lightweight throttle cache.
- * - Falls back to sendMessage when sendPhoto fails or image is missing.
+ * Resolve the chat of a job and create a throttled call of the Telegram API for it.
  *
- * @param {Object} params
- * @param {string} params.serviceName - Name of the crawler/service producing the listings.
- * @param {Array<Object>} params.newListings - Array of new listing objects.
- * @param {Array<Object>} params.notificationConfig - Notification adapters configuration array.
- * @param {string} params.jobKey - Storage job key to resolve the human readable job name.
- * @returns {Promise<Array<Response>>} Promise resolving when all send operations complete.
+ * @param {Array<Object>} notificationConfig - Notification adapters configuration array.
+ * @param {string} jobKey - Storage job key to resolve the human readable job name.
+ * @returns {{chatId: string, threadOptions: Object, jobName: string, throttledCall: Function}}
  */
-export const send = ({ serviceName, newListings = [], notificationConfig, jobKey }) => {
+function createChat(notificationConfig, jobKey) {
   const adapterCfg = notificationConfig.find((adapter) => adapter.id === config.id);
   if (!adapterCfg || !adapterCfg.fields) {
     throw new Error(`Telegram adapter configuration missing for job '${jobKey || ''}'`);
@@ -157,16 +96,35 @@ export const send = ({ serviceName, newListings = [], notificationConfig, jobKey
     return res;
   });
 
+  return { chatId, threadOptions: message_thread_id ? { message_thread_id } : {}, jobName, throttledCall };
+}
+
+/**
+ * Send new listings to Telegram.
+ * - Respects per-chat Telegram rate limits using a lightweight throttle cache.
+ * - Falls back to sendMessage when sendPhoto fails or image is missing.
+ *
+ * @param {Object} params
+ * @param {string} params.serviceName - Name of the crawler/service producing the listings.
+ * @param {Array<Object>} params.newListings - Array of new listing objects.
+ * @param {Array<Object>} params.notificationConfig - Notification adapters configuration array.
+ * @param {string} params.jobKey - Storage job key to resolve the human readable job name.
+ * @returns {Promise<Array<Response>>} Promise resolving when all send operations complete.
+ */
+export const send = ({ serviceName, newListings = [], notificationConfig, jobKey }) => {
+  const { chatId, threadOptions, jobName, throttledCall } = createChat(notificationConfig, jobKey);
+
   if (!Array.isArray(newListings) || newListings.length === 0) return Promise.resolve([]);
 
   const promises = newListings.map(async (o) => {
     const img = normalizeImageUrl(o.image);
+    const text = renderListingMessage(config, notificationConfig, o, { jobName, jobKey, serviceName });
     const textPayload = {
       chat_id: chatId,
-      text: buildText(jobName, serviceName, o),
+      text: truncateMessage(text, 4096, config.template.format),
       parse_mode: 'HTML',
       disable_web_page_preview: true,
-      ...(message_thread_id ? { message_thread_id } : {}),
+      ...threadOptions,
     };
 
     if (!img) {
@@ -178,9 +136,10 @@ export const send = ({ serviceName, newListings = [], notificationConfig, jobKey
     return await throttledCall('sendPhoto', {
       chat_id: chatId,
       photo: img,
-      caption: buildCaption(jobName, serviceName, o),
+      // photo captions are limited to 1024 characters
+      caption: truncateMessage(text, 1024, config.template.format),
       parse_mode: 'HTML',
-      ...(message_thread_id ? { message_thread_id } : {}),
+      ...threadOptions,
     }).catch(async (e) => {
       logger.error(`Error sending photo to Telegram and use a fallback: ${e.message}`);
       return await throttledCall('sendMessage', textPayload).catch((e) => {
@@ -193,15 +152,47 @@ export const send = ({ serviceName, newListings = [], notificationConfig, jobKey
   return Promise.all(promises);
 };
 
+/**
+ * Send a digest of queued listings as a single Telegram message (max 4096 characters).
+ *
+ * @param {Object} params
+ * @param {Array<{listing: Object, provider: string}>} params.entries - Queued listings, oldest first.
+ * @param {Array<Object>} params.notificationConfig - Notification adapters configuration array.
+ * @param {string} params.jobKey - Storage job key to resolve the human readable job name.
+ * @returns {Promise<Response>}
+ */
+export const sendDigest = ({ entries, notificationConfig, jobKey }) => {
+  const { chatId, threadOptions, jobName, throttledCall } = createChat(notificationConfig, jobKey);
+  return throttledCall('sendMessage', {
+    chat_id: chatId,
+    text: renderDigestMessage(
+      config,
+      notificationConfig,
+      entries,
+      { jobName, jobKey },
+      { maxLength: 4096, withTitle: true },
+    ),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...threadOptions,
+  });
+};
+
 /**
  * Telegram notification adapter configuration schema.
- * @type {{id:string,name:string,readme:string,description:string,fields:{token:{type:string,label:string,description:string},chatId:{type:string,label:string,description:string},messageThreadId?:{type:string,label:string,description:string}}}}
+ * @type {{id:string,name:string,readme:string,description:string,template:import('../messageTemplate.js').TemplateConfig,fields:{token:{type:string,label:string,description:string},chatId:{type:string,label:string,description:string},messageThreadId?:{type:string,label:string,description:string}}}}
  */
 export const config = {
   id: 'telegram',
   name: 'Telegram',
   readme: markdown2Html('lib/notification/adapter/telegram.md'),
   description: 'Fredy will send new listings to your mobile, using Telegram.',
+  template: {
+    format: 'html',
+    default: `<i>{{jobName}}</i> ({{provider}})
+<a href='{{link}}'><b>{{truncate title 90}}</b></a>
+{{join address price size}}`,
+  },
   fields: {
     token: {
       type: 'text',
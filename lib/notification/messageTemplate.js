@@ -0,0 +1,264 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Message templates of notification adapters
+ *
+ * Adapters which send a message per listing declare a `template` in their config: the Handlebars template of
+ * their message and its format. A job may override it per adapter (`template` of its notification adapter entry).
+ * Templates are rendered per listing with access to every listing field, the job name, the provider and the
+ * distance to the home address of the user.
+ *
+ * Only the helpers registered here are available, so that a broken template is detected when it is saved and not
+ * when the first listing is sent.
+ * @module messageTemplate
+ */
+import Handlebars from 'handlebars';
+
+/** Templates rendered as HTML are escaped, all other formats are sent as they are. */
+export const TEMPLATE_FORMATS = ['html', 'markdown', 'text'];
+export const MAX_TEMPLATE_LENGTH = 4000;
+
+/** Listing the previews of templates are rendered against. */
+export const SAMPLE_LISTING = {
+  id: 'sample-listing',
+  title: 'Bright 3 room apartment with balcony close to the park',
+  description: 'Renovated apartment on the 2nd floor with a south facing balcony, fitted kitchen and cellar.',
+  price: '1.250 €',
+  size: '78 m²',
+  rooms: '3',
+  address: 'Parkstraße 12, 10115 Berlin',
+  link: 'https://www.example.com/expose/123456',
+  image: 'https://www.example.com/images/123456.jpg',
+  latitude: 52.5321,
+  longitude: 13.3849,
+  distance_to_destination: 2350,
+};
+
+const handlebars = Handlebars.create();
+
+handlebars.registerHelper('truncate', (value, length) => {
+  const str = value == null ? '' : String(value);
+  const max = typeof length === 'number' ? length : 90;
+  return str.length > max ? str.substring(0, max).trim() + '...' : str;
+});
+handlebars.registerHelper('join', (...args) => {
+  const options = args.pop();
+  const separator = options.hash.separator ?? ' | ';
+  return args.filter((value) => value != null && value !== '').join(separator);
+});
+handlebars.registerHelper('or', (...args) => {
+  args.pop();
+  return args.find((value) => value != null && value !== '') ?? '';
+});
+
+const KNOWN_HELPERS = { truncate: true, join: true, or: true };
+/** @type {Map<string, Function>} */
+const compiled = new Map();
+
+/**
+ * @typedef {Object} TemplateConfig
+ * @property {('html'|'markdown'|'text')} format
+ * @property {string} default The message the adapter sends if a job does not override it, respectively the
+ * template the editor starts with for adapters with a structured message.
+ * @property {string} [description] What the template renders, shown in the editor.
+ */
+
+/**
+ * Check the syntax of a template.
+ *
+ * @param {string} source
+ * @returns {string|null} The error, null if the template is valid.
+ */
+export function validateTemplate(source) {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    return 'The template must not be empty.';
+  }
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    return `The template must not be longer than ${MAX_TEMPLATE_LENGTH} characters.`;
+  }
+  try {
+    handlebars.precompile(source, { knownHelpers: KNOWN_HELPERS, knownHelpersOnly: true });
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Format a distance in meters for humans, e.g. "850 m" or "2.4 km".
+ *
+ * @param {number|null|undefined} meters
+ * @returns {string|null}
+ */
+export function formatDistance(meters) {
+  if (meters == null || !Number.isFinite(Number(meters))) {
+    return null;
+  }
+  const m = Number(meters);
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Values a template has access to. The fields of the listing are available directly (e.g. `{{title}}`) and as
+ * `{{listing.title}}`.
+ *
+ * @param {Object} listing
+ * @param {{jobName: string, jobKey?: string, serviceName: string}} job
+ * @returns {Object}
+ */
+export function buildTemplateContext(listing, { jobName, jobKey, serviceName }) {
+  return {
+    ...listing,
+    listing,
+    jobName,
+    jobKey,
+    provider: serviceName,
+    distance: formatDistance(listing?.distance_to_destination),
+    distanceMeters: listing?.distance_to_destination ?? null,
+  };
+}
+
+/**
+ * Render a template.
+ *
+ * @param {string} source
+ * @param {Object} context See buildTemplateContext.
+ * @param {('html'|'markdown'|'text')} [format='text'] Values are escaped in html templates only.
+ * @returns {string}
+ * @throws {Error} If the template is invalid.
+ */
+export function renderTemplate(source, context, format = 'text') {
+  const key = `${format}:${source}`;
+  let template = compiled.get(key);
+  if (template == null) {
+    template = handlebars.compile(source, {
+      knownHelpers: KNOWN_HELPERS,
+      knownHelpersOnly: true,
+      noEscape: format !== 'html',
+    });
+    compiled.set(key, template);
+  }
+  return template(context).trim();
+}
+
+/**
+ * Template a job has set for an adapter.
+ *
+ * @param {Array<Object>} notificationConfig The notification adapters of the job.
+ * @param {string} adapterId
+ * @returns {string|null} null if the job uses the default message of the adapter.
+ */
+export function getCustomTemplate(notificationConfig, adapterId) {
+  const template = notificationConfig?.find((adapter) => adapter.id === adapterId)?.template;
+  return typeof template === 'string' && template.trim().length > 0 ? template : null;
+}
+
+/**
+ * Render the message of a listing with the template of the job, respectively the default of the adapter.
+ *
+ * @param {{id: string, template: TemplateConfig}} adapterConfig The config of the adapter.
+ * @param {Array<Object>} notificationConfig The notification adapters of the job.
+ * @param {Object} listing
+ * @param {{jobName: string, jobKey?: string, serviceName: string}} job
+ * @returns {string}
+ */
+export function renderListingMessage(adapterConfig, notificationConfig, listing, job) {
+  const source = getCustomTemplate(notificationConfig, adapterConfig.id) ?? adapterConfig.template.default;
+  return renderTemplate(source, buildTemplateContext(listing, job), adapterConfig.template.format);
+}
+
+/**
+ * Render the message of a listing with the template of the job. For adapters with a structured message (e.g.
+ * Discord embeds), which keep their built-in layout unless a job sets a template.
+ *
+ * @param {{id: string, template: TemplateConfig}} adapterConfig The config of the adapter.
+ * @param {Array<Object>} notificationConfig The notification adapters of the job.
+ * @param {Object} listing
+ * @param {{jobName: string, jobKey?: string, serviceName: string}} job
+ * @returns {string|null} null if the job has not set a template.
+ */
+export function renderCustomMessage(adapterConfig, notificationConfig, listing, job) {
+  const source = getCustomTemplate(notificationConfig, adapterConfig.id);
+  return source == null
+    ? null
+    : renderTemplate(source, buildTemplateContext(listing, job), adapterConfig.template.format);
+}
+
+/**
+ * Shorten a message to the maximum length a service accepts. Cutting html may leave a tag or an entity open, which
+ * services like Telegram reject, so html messages which are too long are shortened without their tags.
+ *
+ * @param {string} message
+ * @param {number} maxLength
+ * @param {('html'|'markdown'|'text')} [format='text']
+ * @returns {string}
+ */
+export function truncateMessage(message, maxLength, format = 'text') {
+  if (message.length <= maxLength) return message;
+  const text = format === 'html' ? message.replace(/<[^>]*>/g, '') : message;
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, Math.max(maxLength - 3, 0));
+  return `${format === 'html' ? cut.replace(/&[^;\s]*$/, '') : cut}...`;
+}
+
+/**
+ * Title of a digest, e.g. "Fredy found 12 new listings for Berlin".
+ *
+ * @param {number} count
+ * @param {string} jobName
+ * @returns {string}
+ */
+export function getDigestTitle(count, jobName) {
+  return `Fredy found ${count} new ${count === 1 ? 'listing' : 'listings'} for ${jobName}`;
+}
+
+/**
+ * Render a digest: the messages of all listings queued for an adapter, in a single message. Listings which do not
+ * fit into the maximum length of a message are summarized as "... and 3 more".
+ *
+ * @param {{id: string, template: TemplateConfig}} adapterConfig The config of the adapter.
+ * @param {Array<Object>} notificationConfig The notification adapters of the job.
+ * @param {Array<{listing: Object, provider: string}>} entries
+ * @param {{jobName: string, jobKey?: string}} job
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] Maximum length of the message.
+ * @param {boolean} [options.withTitle=false] Whether to start the message with the title of the digest.
+ * @returns {string}
+ */
+export function renderDigestMessage(
+  adapterConfig,
+  notificationConfig,
+  entries,
+  { jobName, jobKey },
+  { maxLength = Infinity, withTitle = false } = {},
+) {
+  const title = getDigestTitle(entries.length, jobName);
+  let digest = !withTitle
+    ? ''
+    : adapterConfig.template.format === 'html'
+      ? `<b>${Handlebars.escapeExpression(title)}</b>`
+      : title;
+  for (let i = 0; i < entries.length; i++) {
+    const { listing, provider } = entries[i];
+    const message = renderListingMessage(adapterConfig, notificationConfig, listing, {
+      jobName,
+      jobKey,
+      serviceName: provider,
+    });
+    const next = digest.length === 0 ? message : `${digest}\n\n${message}`;
+    // leave room for the summary of the listings which do not fit anymore
+    const reserved = i < entries.length - 1 ? 20 : 0;
+    if (next.length + reserved > maxLength) {
+      if (i === 0) {
+        digest = truncateMessage(next, maxLength - reserved, adapterConfig.template.format);
+        continue;
+      }
+      return `${digest}\n\n... and ${entries.length - i} more`;
+    }
+    digest = next;
+  }
+  return digest;
+}
@@ -27,3 +27,75 @@ export const send = (serviceName, newListings, notificationConfig, jobKey) => {
     .map((notificationAdapter) => findAdapter(notificationAdapter))
     .map((a) => a.send({ serviceName, newListings, notificationConfig, jobKey }));
 };
+
+/**
+ * Send a digest of queued listings with a single adapter. Adapters sending a message per listing implement
+ * `sendDigest` to send a single message instead, all others get the listings like new listings.
+ *
+ * @param {Object} notificationAdapter The notification adapter of the job.
+ * @param {Array<{listing: Object, provider: string}>} entries Queued listings, oldest first.
+ * @param {string} jobKey
+ * @returns {Promise<any>}
+ */
+export const sendDigest = async (notificationAdapter, entries, jobKey) => {
+  const a = findAdapter(notificationAdapter);
+  if (a == null || entries.length === 0) {
+    return;
+  }
+  const notificationConfig = [notificationAdapter];
+  if (a.sendDigest != null) {
+    return await a.sendDigest({ entries, notificationConfig, jobKey });
+  }
+  const serviceName = [...new Set(entries.map((entry) => entry.provider))].join(', ');
+  const result = await a.send({
+    serviceName,
+    newListings: entries.map((entry) => entry.listing),
+    notificationConfig,
+    jobKey,
+  });
+  return Array.isArray(result) ? await Promise.all(result) : result;
+};
+
+/**
+ * Send a "price changed" notification for known listings whose price has changed.
+ * The listings are passed to the adapters like new listings, with the title stating the old and new price.
+ *
+ * @param {string} serviceName
+ * @param {Array<{listing:Object, oldPrice:number, newPrice:number}>} priceChanges
+ * @param {Array<Object>} notificationConfig
+ * @param {string} jobKey
+ * @returns {Promise<any>[]}
+ */
+export const sendPriceChanges = (serviceName, priceChanges, notificationConfig, jobKey) => {
+  const changedListings = priceChanges.map(({ listing, oldPrice, newPrice }) => ({
+    ...listing,
+    title: `Price changed from ${formatPrice(oldPrice)} to ${formatPrice(newPrice)}: ${listing.title}`,
+    priceChange: { oldPrice, newPrice },
+  }));
+  return send(serviceName, changedListings, notificationConfig, jobKey);
+};
+
+/**
+ * Notify the admin that a provider seems to be broken. The alert is passed to the adapters like a new listing.
+ *
+ * @param {string} providerId
+ * @param {string} reason Why the provider is considered broken.
+ * @param {string} providerUrl
+ * @param {Array<Object>} notificationConfig The admin notification adapters.
+ * @param {string} jobKey
+ * @returns {Promise<any>[]}
+ */
+export const sendAdminAlert = (providerId, reason, providerUrl, notificationConfig, jobKey) => {
+  const alert = {
+    id: `provider-alert-${Date.now()}`,
+    title: `Provider ${providerId} seems to be broken`,
+    description: reason,
+    link: providerUrl,
+    price: null,
+    size: null,
+    address: null,
+  };
+  return send('Fredy', [alert], notificationConfig, jobKey);
+};
+
+const formatPrice = (price) => `${Number(price).toLocaleString('de-DE')} €`;
@@ -0,0 +1,20 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { getNumericValues } from '../../services/listings/listingSchema.js';
+
+export const run = ({ listings }) => {
+  return listings.map((listing) => {
+    const { price, size } = getNumericValues(listing);
+    if (price == null || size == null || size <= 0) return listing;
+    return { ...listing, pricePerSqm: Math.round((price / size) * 100) / 100 };
+  });
+};
+export const config = {
+  id: 'pricePerSqm',
+  name: 'Price per m²',
+  description: 'Adds the price per m² to new listings, so notification adapters can use it.',
+  hook: 'afterFindNew',
+};
@@ -0,0 +1,67 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import fs from 'fs';
+import logger from '../services/logger.js';
+const path = './stage';
+
+/**
+ * Points of the pipeline a stage can hook into.
+ * - afterNormalize: all parsed listings, before the blacklist and filter rules are applied
+ * - afterFindNew: only new listings, before they are geocoded and stored
+ * - beforeNotify: new listings which are about to be sent to the notification adapters
+ */
+export const STAGE_HOOKS = ['afterNormalize', 'afterFindNew', 'beforeNotify'];
+
+/** Read every stage existing in ./stage **/
+const stages = (
+  await Promise.all(
+    fs
+      .readdirSync('./lib/pipeline/stage')
+      .filter((file) => file.endsWith('.js'))
+      .map(async (stagePath) => await import(`${path}/${stagePath}`)),
+  )
+).filter((stage) => {
+  const valid = stage.config?.id != null && STAGE_HOOKS.includes(stage.config.hook) && typeof stage.run === 'function';
+  if (!valid) {
+    logger.warn(`Ignoring invalid pipeline stage '${stage.config?.id}'. A stage needs a config (id, hook) and run().`);
+  }
+  return valid;
+});
+
+/**
+ * Return the config of all available stages.
+ * @returns {Array<{id: string, name: string, description: string, hook: string}>}
+ */
+export const getStages = () => stages.map((stage) => stage.config);
+
+/**
+ * Run all stages of a hook that are enabled for the job. Stages run in order of their file name, each one
+ * gets the listings returned by the previous one. A failing stage is skipped, it never stops the pipeline.
+ *
+ * @param {('afterNormalize'|'afterFindNew'|'beforeNotify')} hook
+ * @param {Object[]} listings
+ * @param {{job: Object, jobKey: string, providerId: string}} context
+ * @returns {Promise<Object[]>} The listings returned by the last stage.
+ */
+export const runStages = async (hook, listings, context) => {
+  const enabledStages = context.job?.stages ?? [];
+  let result = listings;
+  for (const stage of stages) {
+    if (stage.config.hook !== hook || !enabledStages.includes(stage.config.id)) continue;
+    try {
+      const stageResult = await stage.run({ ...context, listings: result });
+      if (Array.isArray(stageResult)) {
+        result = stageResult;
+      }
+    } catch (error) {
+      logger.error(
+        `Pipeline stage '${stage.config.id}' failed (Provider: '${context.providerId}'). Skipping it.`,
+        error,
+      );
+    }
+  }
+  return result;
+};
@@ -3,7 +3,8 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { buildHash, isOneOf } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 let appliedBlackList = [];
 
@@ -11,7 +12,7 @@ function normalize(o) {
   const baseUrl = 'https://www.1a-immobilienmarkt.de';
   const link = `${baseUrl}/expose/${o.id}.html`;
   const price = normalizePrice(o.price);
-  const id = buildHash(o.id, price);
+  const id = buildHash(o.id);
   const image = baseUrl + o.image;
   const address = o.address == null ? null : o.address.trim().replaceAll('/', ',');
   return Object.assign(o, { id, price, link, image, address });
@@ -35,9 +36,7 @@ function normalizePrice(price) {
   return result[0];
 }
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  return titleNotBlacklisted && descNotBlacklisted;
+  return !isBlacklisted(o, appliedBlackList);
 }
 
 const config = {
@@ -3,7 +3,8 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { buildHash, isOneOf } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 
 let appliedBlackList = [];
@@ -25,14 +26,12 @@ function normalize(o) {
   const shortLink = shortenLink(o.link);
   const link = `${baseUrl}/${shortLink}`;
   const image = baseUrl + o.image;
-  const id = buildHash(parseId(shortLink), o.price);
+  const id = buildHash(parseId(shortLink));
   return Object.assign(o, { id, price, size, title, address, link, image });
 }
 
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  return titleNotBlacklisted && descNotBlacklisted;
+  return !isBlacklisted(o, appliedBlackList);
 }
 
 const config = {
@@ -3,7 +3,8 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { isOneOf, buildHash } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 let appliedBlackList = [];
 
@@ -13,19 +14,19 @@ function normalize(o) {
   const address = o.address?.split(' • ')?.pop() ?? null;
   const title = o.title || 'No title available';
   const link = o.link != null ? decodeURIComponent(o.link) : config.url;
-  const id = buildHash(title, price);
+  const id = buildHash(o.link ?? title);
   return Object.assign(o, { id, address, price, size, title, link });
 }
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  return titleNotBlacklisted && descNotBlacklisted;
+  return !isBlacklisted(o, appliedBlackList);
 }
 const config = {
   url: null,
   crawlContainer: 'div[data-testid="serp-core-classified-card-testid"]',
   sortByDateParam: 'sortby=19',
   waitForSelector: 'div[data-testid="serp-gridcontainer-testid"]',
+  //usercentrics consent of the aviv group, rendered in a shadow root
+  consentSelector: '#usercentrics-root >>> button[data-testid="uc-accept-all-button"]',
   crawlFields: {
     id: 'button@title |trim',
     title: 'button@title |trim',
@@ -40,16 +40,19 @@
  *
  */
 
-import { buildHash, isOneOf } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import {
   convertImmoscoutListingToMobileListing,
   convertWebToMobile,
 } from '../services/immoscout/immoscout-web-translator.js';
+import { parseExposeDetails } from '../services/immoscout/immoscout-expose-parser.js';
 import logger from '../services/logger.js';
+import { proxyFetch } from '../services/proxy/proxyPool.js';
 let appliedBlackList = [];
 
 async function getListings(url) {
-  const response = await fetch(url, {
+  const response = await proxyFetch(url, {
     method: 'POST',
     headers: {
       'User-Agent': 'ImmoScout_27.12_26.2_._',
@@ -86,7 +89,7 @@ async function getListings(url) {
 }
 
 async function isListingActive(link) {
-  const result = await fetch(convertImmoscoutListingToMobileListing(link), {
+  const result = await proxyFetch(convertImmoscoutListingToMobileListing(link), {
     headers: {
       'User-Agent': 'ImmoScout_27.12_26.2_._',
     },
@@ -104,17 +107,31 @@ async function isListingActive(link) {
   return -1;
 }
 
+async function getListingDetails(listing) {
+  const response = await proxyFetch(convertImmoscoutListingToMobileListing(listing.link), {
+    headers: {
+      'User-Agent': 'ImmoScout_27.12_26.2_._',
+      Accept: 'application/json',
+    },
+  });
+  if (!response.ok) {
+    logger.warn(`Error fetching expose from ImmoScout Mobile API (${response.status}):`, listing.link);
+    return null;
+  }
+  return parseExposeDetails(await response.json());
+}
+
 function nullOrEmpty(val) {
   return val == null || val.length === 0;
 }
 function normalize(o) {
   const title = nullOrEmpty(o.title) ? 'NO TITLE FOUND' : o.title.replace('NEU', '');
   const address = nullOrEmpty(o.address) ? 'NO ADDRESS FOUND' : (o.address || '').replace(/\(.*\),.*$/, '').trim();
-  const id = buildHash(o.id, o.price);
+  const id = buildHash(o.id);
   return Object.assign(o, { id, title, address });
 }
 function applyBlacklist(o) {
-  return !isOneOf(o.title, appliedBlackList);
+  return !isBlacklisted(o, appliedBlackList);
 }
 const config = {
   url: null,
@@ -128,10 +145,12 @@ const config = {
   },
   // Not required - used by filter to remove and listings that failed to parse
   sortByDateParam: 'sorting=-firstactivation',
+  pagination: { pageParam: 'pagenumber' },
   normalize: normalize,
   filter: applyBlacklist,
   getListings: getListings,
   activeTester: isListingActive,
+  getListingDetails: getListingDetails,
 };
 export const init = (sourceConfig, blacklist) => {
   config.enabled = sourceConfig.enabled;
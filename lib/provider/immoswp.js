@@ -3,7 +3,8 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { isOneOf, buildHash } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 
 let appliedBlackList = [];
@@ -15,14 +16,12 @@ function normalize(o) {
   const immoId = o.id.substring(o.id.indexOf('-') + 1, o.id.length);
   const link = `https://immo.swp.de/immobilien/${immoId}`;
   const description = o.description;
-  const id = buildHash(immoId, price);
+  const id = buildHash(immoId);
   return Object.assign(o, { id, price, size, title, link, description });
 }
 
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  return titleNotBlacklisted && descNotBlacklisted;
+  return !isBlacklisted(o, appliedBlackList);
 }
 
 const config = {
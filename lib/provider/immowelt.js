@@ -3,20 +3,19 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { buildHash, isOneOf } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 
 let appliedBlackList = [];
 
 function normalize(o) {
-  const id = buildHash(o.id, o.price);
+  const id = buildHash(o.id);
   return Object.assign(o, { id });
 }
 
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  return titleNotBlacklisted && descNotBlacklisted;
+  return !isBlacklisted(o, appliedBlackList);
 }
 
 const config = {
@@ -24,7 +23,10 @@ const config = {
   crawlContainer:
     'div[data-testid="serp-core-scrollablelistview-testid"]:not(div[data-testid="serp-enlargementlist-testid"] div[data-testid="serp-card-testid"]) div[data-testid="serp-core-classified-card-testid"]',
   sortByDateParam: 'order=DateDesc',
+  pagination: { pageParam: 'page' },
   waitForSelector: 'div[data-testid="serp-gridcontainer-testid"]',
+  //usercentrics consent of the aviv group, rendered in a shadow root
+  consentSelector: '#usercentrics-root >>> button[data-testid="uc-accept-all-button"]',
   crawlFields: {
     id: 'a@href',
     price: 'div[data-testid="cardmfe-price-testid"] | removeNewline | trim',
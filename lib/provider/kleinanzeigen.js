@@ -3,25 +3,20 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { buildHash, isOneOf } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 
 let appliedBlackList = [];
 let appliedBlacklistedDistricts = [];
 
 function normalize(o) {
-  const size = o.size || '--- m²';
-  const id = buildHash(o.id, o.price);
-  const link = `https://www.kleinanzeigen.de${o.link}`;
-  return Object.assign(o, { id, size, link });
+  const id = buildHash(o.id);
+  return Object.assign(o, { id });
 }
 
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  const isBlacklistedDistrict =
-    appliedBlacklistedDistricts.length === 0 ? false : isOneOf(o.description, appliedBlacklistedDistricts);
-  return o.title != null && !isBlacklistedDistrict && titleNotBlacklisted && descNotBlacklisted;
+  return o.title != null && !isBlacklisted(o, appliedBlacklistedDistricts) && !isBlacklisted(o, appliedBlackList);
 }
 
 const config = {
@@ -29,13 +24,18 @@ const config = {
   crawlContainer: '#srchrslt-adtable .ad-listitem ',
   //sort by date is standard oO
   sortByDateParam: null,
+  pagination: { nextPageSelector: '.pagination-next@href' },
   waitForSelector: 'body',
+  //listings are served as plain html, no browser needed
+  extractionMode: 'fetch',
+  //clicked once per browser profile when falling back to Puppeteer
+  consentSelector: '#gdpr-banner-accept',
   crawlFields: {
     id: '.aditem@data-adid | int',
     price: '.aditem-main--middle--price-shipping--price | removeNewline | trim',
-    size: '.aditem-main .text-module-end | removeNewline | trim',
+    size: '.aditem-main .text-module-end | removeNewline | trim | default(--- m²)',
     title: '.aditem-main .text-module-begin a | removeNewline | trim',
-    link: '.aditem-main .text-module-begin a@href | removeNewline | trim',
+    link: '.aditem-main .text-module-begin a@href | removeNewline | trim | absoluteUrl',
     description: '.aditem-main .aditem-main--middle--description | removeNewline | trim',
     address: '.aditem-main--top--left | trim | removeNewline',
     image: 'img@src',
@@ -52,7 +52,7 @@ export const metaInformation = {
 export const init = (sourceConfig, blacklist, blacklistedDistricts) => {
   config.enabled = sourceConfig.enabled;
   config.url = sourceConfig.url;
-  appliedBlacklistedDistricts = blacklistedDistricts || [];
+  appliedBlacklistedDistricts = (blacklistedDistricts || []).map((value) => ({ value, fields: ['description'] }));
   appliedBlackList = blacklist || [];
 };
 export { config };
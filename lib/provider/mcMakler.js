@@ -3,13 +3,14 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { isOneOf, buildHash } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 let appliedBlackList = [];
 
 function normalize(o) {
   const originalId = o.id.split('/').pop();
-  const id = buildHash(originalId, o.price);
+  const id = buildHash(originalId);
   const size = o.size ?? 'N/A m²';
   const title = o.title || 'No title available';
   const address = o.address?.replace(' / ', ' ') || null;
@@ -17,14 +18,13 @@ function normalize(o) {
   return Object.assign(o, { id, size, title, link, address });
 }
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  return titleNotBlacklisted && descNotBlacklisted;
+  return !isBlacklisted(o, appliedBlackList);
 }
 const config = {
   url: null,
   crawlContainer: 'article[data-testid="propertyCard"]',
   sortByDateParam: 'sortBy=DATE&sortOn=DESC',
+  pagination: { pageParam: 'page', firstPage: 0 },
   waitForSelector: 'ul[data-testid="listsContainer"]',
   crawlFields: {
     id: 'h2 a@href',
@@ -3,7 +3,8 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { isOneOf, buildHash } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 
 let appliedBlackList = [];
@@ -16,12 +17,12 @@ function normalize(o) {
   const link = nullOrEmpty(o.link)
     ? 'NO LINK'
     : `https://www.neubaukompass.de${o.link.substring(o.link.indexOf('/neubau'))}`;
-  const id = buildHash(o.link, o.price);
+  const id = buildHash(o.link);
   return Object.assign(o, { id, link });
 }
 
 function applyBlacklist(o) {
-  return !isOneOf(o.title, appliedBlackList);
+  return !isBlacklisted(o, appliedBlackList);
 }
 
 const config = {
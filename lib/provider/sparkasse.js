@@ -3,28 +3,29 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { isOneOf, buildHash } from '../utils.js';
+import { buildHash } from '../utils.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
 let appliedBlackList = [];
 
 function normalize(o) {
   const originalId = o.id.split('/').pop().replace('.html', '');
-  const id = buildHash(originalId, o.price);
+  const id = buildHash(originalId);
   const size = o.size?.replace(' Wohnfläche', '') ?? null;
   const title = o.title || 'No title available';
   const link = o.link != null ? `https://immobilien.sparkasse.de${o.link}` : config.url;
   return Object.assign(o, { id, size, title, link });
 }
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !isOneOf(o.description, appliedBlackList);
-  return titleNotBlacklisted && descNotBlacklisted;
+  return !isBlacklisted(o, appliedBlackList);
 }
 const config = {
   url: null,
   crawlContainer: '.estate-list-item-row',
   sortByDateParam: 'sortBy=date_desc',
   waitForSelector: 'body',
+  //listings are served as plain html, no browser needed
+  extractionMode: 'fetch',
   crawlFields: {
     id: 'div[data-testid="estate-link"] a@href',
     title: 'h3 | trim',
@@ -3,8 +3,8 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import * as utils from '../utils.js';
 import checkIfListingIsActive from '../services/listings/listingActiveTester.js';
+import { isBlacklisted } from '../services/listings/blacklist.js';
 
 let appliedBlackList = [];
 
@@ -19,9 +19,7 @@ function normalize(o) {
 }
 
 function applyBlacklist(o) {
-  const titleNotBlacklisted = !utils.isOneOf(o.title, appliedBlackList);
-  const descNotBlacklisted = !utils.isOneOf(o.description, appliedBlackList);
-  return o.id != null && o.title != null && titleNotBlacklisted && descNotBlacklisted && o.link.startsWith(o.link);
+  return o.id != null && o.title != null && !isBlacklisted(o, appliedBlackList) && o.link.startsWith(o.link);
 }
 
 const config = {
@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Cooldown after bot detections
+ *
+ * Hitting a site again right after it detected us as a bot only makes the block worse. So once a domain detected
+ * us, no requests are sent to it for a while: 15 minutes after the first detection, doubling with every further
+ * detection in a row, up to a day. A successful request resets the backoff. The cooldown is stored in the
+ * database, so that it survives restarts.
+ *
+ * Cooldowns are tracked per domain, as all jobs using a provider share its block.
+ * @module botCooldownService
+ */
+import {
+  getBotCooldown,
+  getBotCooldowns,
+  upsertBotCooldown,
+  deleteBotCooldown,
+} from '../storage/botCooldownStorage.js';
+import logger from '../logger.js';
+
+export const BASE_COOLDOWN_MS = 15 * 60_000;
+export const MAX_COOLDOWN_MS = 24 * 60 * 60_000;
+
+/**
+ * Second level labels of country code domains which are registered by many unrelated sites, e.g. "co.uk" or
+ * "com.au". Sites below them keep three labels.
+ */
+const SHARED_SECOND_LEVEL_LABELS = ['ac', 'co', 'com', 'edu', 'gov', 'net', 'or', 'org'];
+
+/**
+ * Domain a cooldown applies to, e.g. "immobilienscout24.de" for "https://www.immobilienscout24.de/Suche/..." and
+ * "https://api.mobile.immobilienscout24.de/search/list", as subdomains share the bot detection of their site.
+ *
+ * @param {string} url
+ * @returns {string|null} null if the url is invalid.
+ */
+export function getDomain(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    // ip addresses (ipv6 ones are enclosed in brackets)
+    if (/^[\d.]+$/.test(hostname) || hostname.startsWith('[')) return hostname;
+    const labels = hostname.split('.');
+    const [secondLevel, topLevel] = labels.slice(-2);
+    const shared = labels.length > 2 && topLevel?.length === 2 && SHARED_SECOND_LEVEL_LABELS.includes(secondLevel);
+    return labels.slice(shared ? -3 : -2).join('.') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {number} detections Number of detections in a row.
+ * @returns {number} Duration of the cooldown in ms.
+ */
+export function getCooldownDuration(detections) {
+  return Math.min(BASE_COOLDOWN_MS * 2 ** Math.max(detections - 1, 0), MAX_COOLDOWN_MS);
+}
+
+/**
+ * Failing to read or write a cooldown must never break an extraction.
+ */
+function safely(fn, fallback) {
+  try {
+    return fn();
+  } catch (e) {
+    logger.debug('Could not access the bot cooldowns.', e);
+    return fallback;
+  }
+}
+
+/**
+ * Return the cooldown of the domain of a url, if it is still cooling down.
+ *
+ * @param {string} url
+ * @returns {import('../storage/botCooldownStorage.js').BotCooldown|null}
+ */
+export function getActiveCooldown(url) {
+  const domain = getDomain(url);
+  if (domain == null) return null;
+  const cooldown = safely(() => getBotCooldown(domain), null);
+  return cooldown != null && cooldown.cooldownUntil > Date.now() ? cooldown : null;
+}
+
+/**
+ * Record that a request to a url has been detected as bot and start the cooldown of its domain. Detections
+ * during a cooldown (e.g. of requests which have been started before) do not extend it.
+ *
+ * @param {string} url
+ * @returns {void}
+ */
+export function reportBotDetection(url) {
+  const domain = getDomain(url);
+  if (domain == null || getActiveCooldown(url) != null) return;
+  safely(() => {
+    const detections = (getBotCooldown(domain)?.detections ?? 0) + 1;
+    const now = Date.now();
+    const cooldownUntil = now + getCooldownDuration(detections);
+    upsertBotCooldown({ domain, detections, cooldownUntil, lastDetectedAt: now, lastUrl: url });
+    logger.warn(
+      `${domain} detected us as a bot (${detections} time(s) in a row), ` +
+        `pausing requests until ${new Date(cooldownUntil).toISOString()}.`,
+    );
+  });
+}
+
+/**
+ * Record a successful request to a url, which resets the backoff of its domain.
+ *
+ * @param {string} url
+ * @returns {void}
+ */
+export function resetBotCooldown(url) {
+  const domain = getDomain(url);
+  if (domain == null) return;
+  safely(() => {
+    const cooldown = getBotCooldown(domain);
+    if (cooldown != null && cooldown.cooldownUntil <= Date.now()) {
+      deleteBotCooldown(domain);
+      logger.info(`${domain} accepts our requests again.`);
+    }
+  });
+}
+
+/**
+ * Active cooldowns of the providers of a job, shown in the ui.
+ *
+ * @param {Array<{id: string, url: string}>} providers
+ * @returns {Object.<string, import('../storage/botCooldownStorage.js').BotCooldown>} Cooldowns by provider id.
+ */
+export function getProviderCooldowns(providers) {
+  const now = Date.now();
+  const active = safely(getBotCooldowns, []).filter((cooldown) => cooldown.cooldownUntil > now);
+  const result = {};
+  if (active.length === 0) return result;
+  for (const provider of providers ?? []) {
+    const cooldown = active.find((c) => c.domain === getDomain(provider.url));
+    if (cooldown != null) result[provider.id] = cooldown;
+  }
+  return result;
+}
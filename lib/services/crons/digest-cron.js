@@ -0,0 +1,29 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import cron from 'node-cron';
+import { deliverDueDigests } from '../notificationDigest/digestService.js';
+import logger from '../logger.js';
+import { getSettings } from '../storage/settingsStorage.js';
+
+async function runTask() {
+  try {
+    await deliverDueDigests();
+  } catch (e) {
+    logger.error('Error while sending digests', e);
+  }
+}
+
+export async function initDigestCron() {
+  const settings = await getSettings();
+  if (settings.demoMode) {
+    logger.info('Do not start the digest notifications as we are in demo mode');
+    return;
+  }
+  // send digests which became due while Fredy was not running
+  await runTask();
+  // then check every minute
+  cron.schedule('* * * * *', runTask);
+}
@@ -0,0 +1,146 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Providers defined by an admin in the ui.
+ *
+ * Most providers in lib/provider are nothing more than a container selector, a selector per field and a
+ * normalize function. Custom providers are built from such a definition stored in the database and expose the
+ * same shape as a provider module (`config`, `init`, `metaInformation`), so they run through the same pipeline
+ * and the same Extractor.
+ */
+import { buildHash } from '../../utils.js';
+import { isBlacklisted } from '../listings/blacklist.js';
+import checkIfListingIsActive from '../listings/listingActiveTester.js';
+import FredyPipelineExecutioner from '../../FredyPipelineExecutioner.js';
+import { getCustomProviders } from '../storage/customProviderStorage.js';
+
+/** Listing fields which can be configured. */
+export const CUSTOM_PROVIDER_FIELDS = ['id', 'title', 'price', 'size', 'address', 'description', 'link', 'image'];
+/** Fields without which a listing cannot be identified, opened or shown. */
+export const REQUIRED_CUSTOM_PROVIDER_FIELDS = ['id', 'title', 'link'];
+
+const trimToNull = (value) => (typeof value === 'string' && value.trim().length > 0 ? value.trim() : null);
+
+/**
+ * Sanitize a definition coming from the api. Unknown and empty fields are dropped.
+ *
+ * @param {Object} definition
+ * @returns {import('../storage/customProviderStorage.js').CustomProviderDefinition}
+ */
+export function normalizeCustomProvider(definition) {
+  const crawlFields = {};
+  for (const field of CUSTOM_PROVIDER_FIELDS) {
+    const selector = trimToNull(definition?.crawlFields?.[field]);
+    if (selector != null) crawlFields[field] = selector;
+  }
+  return {
+    id: trimToNull(definition?.id),
+    name: trimToNull(definition?.name),
+    baseUrl: trimToNull(definition?.baseUrl),
+    crawlContainer: trimToNull(definition?.crawlContainer),
+    crawlFields,
+    waitForSelector: trimToNull(definition?.waitForSelector),
+    sortByDateParam: trimToNull(definition?.sortByDateParam),
+  };
+}
+
+/**
+ * Check whether a (normalized) definition can be used.
+ *
+ * @param {import('../storage/customProviderStorage.js').CustomProviderDefinition} definition
+ * @returns {string|null} The reason the definition is invalid or null if it is valid.
+ */
+export function validateCustomProvider(definition) {
+  if (definition.name == null) return 'The name is mandatory.';
+  try {
+    if (!['http:', 'https:'].includes(new URL(definition.baseUrl).protocol)) {
+      return 'The base url must start with http:// or https://.';
+    }
+  } catch {
+    return 'The base url is not a valid url.';
+  }
+  if (definition.crawlContainer == null) return 'The container selector is mandatory.';
+  const missing = REQUIRED_CUSTOM_PROVIDER_FIELDS.filter((field) => definition.crawlFields[field] == null);
+  if (missing.length > 0) return `Selectors for the following fields are mandatory: ${missing.join(', ')}.`;
+  return null;
+}
+
+/**
+ * Build a provider module out of a definition.
+ *
+ * @param {import('../storage/customProviderStorage.js').CustomProviderDefinition} definition
+ * @returns {{config: Object, init: (sourceConfig: Object, blacklist: Array) => void, metaInformation: Object}}
+ */
+export function createCustomProvider(definition) {
+  let appliedBlackList = [];
+
+  const resolveUrl = (value) => {
+    if (value == null) return null;
+    try {
+      return new URL(value, definition.baseUrl).toString();
+    } catch {
+      return value;
+    }
+  };
+
+  function normalize(o) {
+    const id = buildHash(o.id);
+    return Object.assign(o, { id, link: resolveUrl(o.link), image: resolveUrl(o.image) });
+  }
+
+  function applyBlacklist(o) {
+    return o.id != null && o.title != null && o.link != null && !isBlacklisted(o, appliedBlackList);
+  }
+
+  const config = {
+    url: null,
+    sortByDateParam: definition.sortByDateParam,
+    waitForSelector: definition.waitForSelector,
+    crawlContainer: definition.crawlContainer,
+    crawlFields: definition.crawlFields,
+    normalize: normalize,
+    filter: applyBlacklist,
+    activeTester: checkIfListingIsActive,
+  };
+
+  return {
+    config,
+    init: (sourceConfig, blacklist) => {
+      config.url = sourceConfig.url;
+      appliedBlackList = blacklist || [];
+    },
+    metaInformation: {
+      name: definition.name,
+      baseUrl: definition.baseUrl,
+      id: definition.id,
+      custom: true,
+    },
+  };
+}
+
+/**
+ * Add the custom providers to the loaded provider modules. The definitions are read on every call, so changes
+ * made in the ui apply to the next run without a restart.
+ *
+ * @param {Array<Object>} providers Provider modules of lib/provider.
+ * @returns {Array<Object>}
+ */
+export function withCustomProviders(providers) {
+  return [...providers, ...getCustomProviders().map(createCustomProvider)];
+}
+
+/**
+ * Run a (not yet saved) definition against a result page, without storing anything or sending notifications.
+ *
+ * @param {import('../storage/customProviderStorage.js').CustomProviderDefinition} definition
+ * @param {string} url Url of a result page of the provider.
+ * @returns {Promise<Array<Object>>} All parsed listings, each with `filteredBy` set to the reason it would be dropped.
+ */
+export async function testCustomProvider(definition, url) {
+  const provider = createCustomProvider({ ...definition, id: definition.id ?? 'custom-test' });
+  provider.init({ url }, []);
+  return new FredyPipelineExecutioner(provider.config, null, provider.metaInformation.id, null, null).preview();
+}
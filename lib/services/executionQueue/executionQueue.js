@@ -0,0 +1,189 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Central execution queue
+ *
+ * Running all jobs at once used to start every provider of every job in parallel, so ten jobs searching on the
+ * same site meant ten simultaneous hits on it. Two limits prevent that:
+ * - a global cap of provider runs executing at the same time (general setting `maxConcurrentExecutions`),
+ *   further runs wait in order of arrival
+ * - a request budget per domain: at most `domainRequestsPerMinute` requests, at least
+ *   `domainMinSpacingSeconds` between two of them plus a random jitter of up to `domainJitterSeconds`
+ *
+ * Every request to a listing site acquires a slot of its domain (see `acquireRequestSlot`) before it is sent,
+ * regardless of the job or provider it belongs to. Requests to the local machine are not limited.
+ * @module executionQueue
+ */
+import { getSettings } from '../storage/settingsStorage.js';
+import { getDomain } from '../botCooldown/botCooldownService.js';
+import logger from '../logger.js';
+
+export const DEFAULT_MAX_CONCURRENT_EXECUTIONS = 3;
+export const DEFAULT_REQUESTS_PER_MINUTE = 20;
+export const DEFAULT_MIN_SPACING_SECONDS = 2;
+export const DEFAULT_JITTER_SECONDS = 1;
+const MINUTE_MS = 60_000;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} requestsPerMinute 0 for no limit.
+ * @property {number} minSpacingMs
+ * @property {number} jitterMs
+ */
+
+/**
+ * @typedef {Object} DomainState
+ * @property {number[]} sentAt Times of the requests of the last minute.
+ * @property {number} nextAllowedAt
+ * @property {Promise<void>} chain Pending acquisitions, slots are handed out in order.
+ */
+
+let running = 0;
+let concurrency = DEFAULT_MAX_CONCURRENT_EXECUTIONS;
+/** @type {Array<() => void>} */
+const waiting = [];
+/** @type {Map<string, DomainState>} */
+const domains = new Map();
+const counters = { executions: 0, requests: 0, delayedRequests: 0 };
+
+const toNonNegative = (value, fallback) => {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+async function loadSettings() {
+  try {
+    return await getSettings();
+  } catch (e) {
+    logger.debug('Could not load the execution queue settings, using the defaults.', e);
+    return {};
+  }
+}
+
+async function refreshConcurrency() {
+  const settings = await loadSettings();
+  concurrency = Math.max(
+    1,
+    Math.floor(toNonNegative(settings.maxConcurrentExecutions, DEFAULT_MAX_CONCURRENT_EXECUTIONS)),
+  );
+}
+
+/**
+ * @returns {Promise<RateLimit>}
+ */
+export async function getRateLimit() {
+  const settings = await loadSettings();
+  return {
+    requestsPerMinute: Math.floor(toNonNegative(settings.domainRequestsPerMinute, DEFAULT_REQUESTS_PER_MINUTE)),
+    minSpacingMs: toNonNegative(settings.domainMinSpacingSeconds, DEFAULT_MIN_SPACING_SECONDS) * 1000,
+    jitterMs: toNonNegative(settings.domainJitterSeconds, DEFAULT_JITTER_SECONDS) * 1000,
+  };
+}
+
+/**
+ * Run a provider execution once the global cap allows it.
+ *
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export async function runQueued(task) {
+  await refreshConcurrency();
+  if (running >= concurrency) {
+    // the slot is handed over by the execution finishing first
+    await new Promise((resolve) => waiting.push(resolve));
+  } else {
+    running++;
+  }
+  counters.executions++;
+  try {
+    return await task();
+  } finally {
+    if (waiting.length > 0 && running <= concurrency) {
+      waiting.shift()();
+    } else {
+      running--;
+    }
+  }
+}
+
+/**
+ * Time the next request of a domain may be sent at.
+ *
+ * @param {DomainState} state
+ * @param {RateLimit} limit
+ * @param {number} now
+ * @returns {number}
+ */
+export function getNextSlot(state, limit, now) {
+  let next = Math.max(now, state.nextAllowedAt);
+  const recent = state.sentAt.filter((sentAt) => sentAt > now - MINUTE_MS);
+  if (limit.requestsPerMinute > 0 && recent.length >= limit.requestsPerMinute) {
+    next = Math.max(next, recent[recent.length - limit.requestsPerMinute] + MINUTE_MS);
+  }
+  return next;
+}
+
+function isLocal(url) {
+  try {
+    return LOCAL_HOSTS.includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wait until a request to the domain of a url fits into its budget. Must be called right before sending it.
+ *
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+export function acquireRequestSlot(url) {
+  const domain = getDomain(String(url));
+  if (domain == null || isLocal(String(url))) {
+    return Promise.resolve();
+  }
+  let state = domains.get(domain);
+  if (state == null) {
+    state = { sentAt: [], nextAllowedAt: 0, chain: Promise.resolve() };
+    domains.set(domain, state);
+  }
+  const acquisition = state.chain.then(async () => {
+    const limit = await getRateLimit();
+    const delay = getNextSlot(state, limit, Date.now()) - Date.now();
+    if (delay > 0) {
+      counters.delayedRequests++;
+      logger.debug(`Delaying request to ${domain} by ${Math.round(delay)} ms.`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+    const now = Date.now();
+    state.sentAt = [...state.sentAt.filter((sentAt) => sentAt > now - MINUTE_MS), now];
+    state.nextAllowedAt = now + limit.minSpacingMs + Math.random() * limit.jitterMs;
+    counters.requests++;
+  });
+  state.chain = acquisition;
+  return acquisition;
+}
+
+/**
+ * Current state of the queue, shown to admins.
+ *
+ * @returns {Object}
+ */
+export function getExecutionQueueStats() {
+  const now = Date.now();
+  return {
+    running,
+    queued: waiting.length,
+    ...counters,
+    domains: [...domains.entries()].map(([domain, state]) => ({
+      domain,
+      requestsLastMinute: state.sentAt.filter((sentAt) => sentAt > now - MINUTE_MS).length,
+      nextAllowedAt: state.nextAllowedAt,
+    })),
+  };
+}
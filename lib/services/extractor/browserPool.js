@@ -0,0 +1,406 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Shared pool of Puppeteer browsers
+ *
+ * Launching a Chromium per url is expensive, and running all jobs at once used to spawn dozens of them in
+ * parallel. The pool reuses browsers across extractions and limits the number of browsers and of concurrent
+ * pages per browser (general settings `browserPoolSize` and `browserPoolPagesPerBrowser`). Extractions beyond
+ * that limit wait for a free page.
+ *
+ * Browsers are only shared between extractions with the same launch options (proxy, headless, profile dir).
+ * They are replaced after a number of pages, as Chromium tends to grow over time, and closed when idle.
+ * A watchdog kills browsers with pages hanging for too long and cleans up crashed ones.
+ * @module browserPool
+ */
+import puppeteer from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getSettings } from '../storage/settingsStorage.js';
+import logger from '../logger.js';
+
+puppeteer.use(StealthPlugin());
+
+export const DEFAULT_POOL_SIZE = 2;
+export const DEFAULT_PAGES_PER_BROWSER = 2;
+/** A browser is replaced after serving this many pages. */
+export const MAX_PAGES_PER_BROWSER_LIFETIME = 50;
+/** Browsers without open pages are closed after this time. */
+export const IDLE_TIMEOUT_MS = 2 * 60_000;
+/** Pages open for longer than this are considered hung and their browser is killed. */
+export const HUNG_PAGE_TIMEOUT_MS = 3 * 60_000;
+const WATCHDOG_INTERVAL_MS = 30_000;
+const CLOSE_TIMEOUT_MS = 5_000;
+
+/**
+ * @typedef {Object} PooledBrowser
+ * @property {number} id
+ * @property {string} key Launch options the browser has been started with.
+ * @property {import('puppeteer').Browser|null} browser null while launching.
+ * @property {Promise<void>|null} launching
+ * @property {string} userDataDir
+ * @property {boolean} removeUserDataDir
+ * @property {Set<{openedAt: number}>} leases Pages currently open (or reserved).
+ * @property {number} uses Number of pages served.
+ * @property {number} startedAt
+ * @property {number} lastUsedAt
+ */
+
+/**
+ * Launch options of a browser.
+ *
+ * @typedef {Object} LaunchOptions
+ * @property {boolean} [headless]
+ * @property {string} [proxyUrl]
+ * @property {string} [executablePath]
+ * @property {string} [userDataDir] Dedicated profile dir. Only one browser can use a profile at a time.
+ * @property {boolean} [cleanupUserDataDir] Whether to remove the given userDataDir when the browser is closed.
+ * @property {number} [timeout] Launch timeout.
+ * @property {string[]} [args] Additional Chromium args.
+ */
+
+/** @type {PooledBrowser[]} */
+const browsers = [];
+/** @type {Array<() => void>} */
+let waiting = [];
+const counters = { launched: 0, recycled: 0, killed: 0, pagesServed: 0 };
+const limits = { size: DEFAULT_POOL_SIZE, pagesPerBrowser: DEFAULT_PAGES_PER_BROWSER };
+let watchdog = null;
+let nextId = 1;
+
+const BASE_ARGS = [
+  '--no-sandbox',
+  '--disable-gpu',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-crash-reporter',
+  '--no-first-run',
+  '--no-default-browser-check',
+];
+
+const toPositiveInt = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+async function refreshLimits() {
+  try {
+    const settings = await getSettings();
+    limits.size = toPositiveInt(settings.browserPoolSize, DEFAULT_POOL_SIZE);
+    limits.pagesPerBrowser = toPositiveInt(settings.browserPoolPagesPerBrowser, DEFAULT_PAGES_PER_BROWSER);
+  } catch (e) {
+    logger.debug('Could not load the browser pool settings, keeping the current limits.', e);
+  }
+}
+
+function keyOf(options) {
+  return JSON.stringify({
+    headless: options.headless ?? true,
+    proxyUrl: options.proxyUrl ?? null,
+    executablePath: options.executablePath ?? null,
+    userDataDir: options.userDataDir ?? null,
+  });
+}
+
+function notifyWaiting() {
+  const resolvers = waiting;
+  waiting = [];
+  resolvers.forEach((resolve) => resolve());
+}
+
+function isUsable(entry) {
+  return entry.launching != null || entry.browser?.connected !== false;
+}
+
+/**
+ * Launch a new browser. The entry is added to the pool right away, so that it counts against the limits
+ * while Chromium is starting.
+ */
+function launchBrowser(key, options) {
+  let userDataDir = options.userDataDir;
+  let removeUserDataDir = !!options.cleanupUserDataDir;
+  if (userDataDir == null) {
+    // a dedicated temporary userDataDir avoids leaking /tmp/.org.chromium.* dirs
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'puppeteer-fredy-'));
+    removeUserDataDir = true;
+  }
+  const args = [...BASE_ARGS, ...(options.args ?? [])];
+  if (options.proxyUrl) {
+    args.push(`--proxy-server=${options.proxyUrl}`);
+  }
+
+  /** @type {PooledBrowser} */
+  const entry = {
+    id: nextId++,
+    key,
+    browser: null,
+    launching: null,
+    userDataDir,
+    removeUserDataDir,
+    leases: new Set(),
+    uses: 0,
+    startedAt: Date.now(),
+    lastUsedAt: Date.now(),
+  };
+  entry.launching = puppeteer
+    .launch({
+      headless: options.headless ?? true,
+      args,
+      timeout: options.timeout || 30_000,
+      userDataDir,
+      executablePath: options.executablePath,
+    })
+    .then((browser) => {
+      entry.browser = browser;
+      entry.launching = null;
+      counters.launched++;
+      browser.on('disconnected', () => {
+        if (browsers.includes(entry)) {
+          removeBrowser(entry);
+        }
+      });
+    })
+    .catch(async (error) => {
+      await removeBrowser(entry);
+      throw error;
+    });
+  browsers.push(entry);
+  startWatchdog();
+  return entry;
+}
+
+/**
+ * Reserve a page in a browser with the given launch options, launching one if possible.
+ *
+ * @returns {{entry: PooledBrowser, lease: {openedAt: number}}|null} null if the pool is exhausted.
+ */
+function reserve(options) {
+  const key = keyOf(options);
+  const sameKey = browsers.filter((entry) => entry.key === key && isUsable(entry));
+  const candidate = sameKey
+    .filter((entry) => entry.leases.size < limits.pagesPerBrowser && entry.uses < MAX_PAGES_PER_BROWSER_LIFETIME)
+    .sort((a, b) => a.leases.size - b.leases.size)[0];
+
+  let entry = candidate;
+  if (entry == null) {
+    // a profile dir is locked by Chromium, so it cannot be used by a second browser
+    if (options.userDataDir != null && sameKey.length > 0) return null;
+    const sameProfile = browsers.filter(
+      (b) => options.userDataDir != null && b.userDataDir === options.userDataDir && b.key !== key,
+    );
+    if (sameProfile.length > 0) {
+      // e.g. launched with another proxy, its profile is released once it is idle and has been closed
+      sameProfile.filter((b) => b.leases.size === 0 && b.launching == null).forEach((b) => closeBrowser(b));
+      return null;
+    }
+    if (browsers.length >= limits.size) {
+      const idle = browsers.find((b) => b.leases.size === 0 && b.launching == null);
+      if (idle == null) return null;
+      closeBrowser(idle);
+    }
+    entry = launchBrowser(key, options);
+  }
+  const lease = { openedAt: Date.now() };
+  entry.leases.add(lease);
+  return { entry, lease };
+}
+
+async function release(entry, lease) {
+  entry.leases.delete(lease);
+  entry.uses++;
+  entry.lastUsedAt = Date.now();
+  if (entry.uses >= MAX_PAGES_PER_BROWSER_LIFETIME && entry.leases.size === 0 && browsers.includes(entry)) {
+    counters.recycled++;
+    await closeBrowser(entry);
+  }
+  notifyWaiting();
+}
+
+async function removeBrowser(entry) {
+  const index = browsers.indexOf(entry);
+  if (index !== -1) {
+    browsers.splice(index, 1);
+  }
+  try {
+    if (entry.removeUserDataDir && entry.userDataDir) {
+      await fs.promises.rm(entry.userDataDir, { recursive: true, force: true });
+    }
+  } catch {
+    // ignore
+  }
+  notifyWaiting();
+}
+
+function killProcess(entry) {
+  try {
+    entry.browser?.process()?.kill('SIGKILL');
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Close a browser, killing its process if it does not close in time.
+ */
+async function closeBrowser(entry) {
+  const index = browsers.indexOf(entry);
+  if (index !== -1) {
+    browsers.splice(index, 1);
+  }
+  if (entry.browser != null) {
+    let timer;
+    const closed = await Promise.race([
+      entry.browser.close().then(
+        () => true,
+        () => false,
+      ),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), CLOSE_TIMEOUT_MS);
+      }),
+    ]);
+    clearTimeout(timer);
+    if (!closed) {
+      killProcess(entry);
+    }
+  }
+  await removeBrowser(entry);
+}
+
+/**
+ * One round of the watchdog: remove crashed browsers, kill browsers with hung pages and close idle ones.
+ *
+ * @returns {Promise<void>}
+ */
+export async function runWatchdog() {
+  const now = Date.now();
+  for (const entry of [...browsers]) {
+    if (entry.launching != null) continue;
+    if (!entry.browser.connected) {
+      logger.warn(`Browser ${entry.id} of the pool has crashed, removing it.`);
+      killProcess(entry);
+      await removeBrowser(entry);
+    } else if ([...entry.leases].some((lease) => now - lease.openedAt > HUNG_PAGE_TIMEOUT_MS)) {
+      logger.warn(`Browser ${entry.id} of the pool has a hung page, killing it.`);
+      counters.killed++;
+      killProcess(entry);
+      await removeBrowser(entry);
+    } else if (entry.leases.size === 0 && now - entry.lastUsedAt > IDLE_TIMEOUT_MS) {
+      await closeBrowser(entry);
+    }
+  }
+  if (browsers.length === 0) {
+    stopWatchdog();
+  }
+}
+
+function startWatchdog() {
+  if (watchdog != null) return;
+  watchdog = setInterval(() => {
+    runWatchdog().catch((e) => logger.warn('Browser pool watchdog failed', e));
+  }, WATCHDOG_INTERVAL_MS);
+  watchdog.unref?.();
+}
+
+function stopWatchdog() {
+  if (watchdog == null) return;
+  clearInterval(watchdog);
+  watchdog = null;
+}
+
+/**
+ * Open a page in a pooled browser and hand it to the callback. The page is closed afterwards, the browser
+ * stays open for the next extraction. Waits if the pool is exhausted.
+ *
+ * @template T
+ * @param {LaunchOptions} options
+ * @param {(page: import('puppeteer').Page) => Promise<T>} callback
+ * @returns {Promise<T>}
+ */
+export async function withPage(options, callback) {
+  await refreshLimits();
+  let reservation = reserve(options);
+  while (reservation == null) {
+    await new Promise((resolve) => waiting.push(resolve));
+    reservation = reserve(options);
+  }
+  const { entry, lease } = reservation;
+  let page;
+  try {
+    if (entry.launching != null) {
+      await entry.launching;
+    }
+    page = await entry.browser.newPage();
+    counters.pagesServed++;
+    return await callback(page);
+  } finally {
+    try {
+      if (page != null && !page.isClosed()) {
+        await page.close();
+      }
+    } catch {
+      // ignore
+    }
+    await release(entry, lease);
+  }
+}
+
+/**
+ * Close the browsers using a profile dir, e.g. before the profile is removed.
+ *
+ * @param {string} userDataDir
+ * @returns {Promise<boolean>} false if the profile is in use by an extraction.
+ */
+export async function releaseUserDataDir(userDataDir) {
+  const using = browsers.filter((entry) => entry.userDataDir === userDataDir);
+  if (using.some((entry) => entry.leases.size > 0 || entry.launching != null)) {
+    return false;
+  }
+  await Promise.all(using.map((entry) => closeBrowser(entry)));
+  return true;
+}
+
+/**
+ * Close all browsers of the pool.
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeBrowserPool() {
+  stopWatchdog();
+  await Promise.all(
+    [...browsers].map((entry) =>
+      (entry.launching ?? Promise.resolve()).then(
+        () => closeBrowser(entry),
+        () => null,
+      ),
+    ),
+  );
+}
+
+/**
+ * Current state of the pool, shown to admins.
+ *
+ * @returns {Object}
+ */
+export function getBrowserPoolStats() {
+  return {
+    size: limits.size,
+    pagesPerBrowser: limits.pagesPerBrowser,
+    activePages: browsers.reduce((sum, entry) => sum + entry.leases.size, 0),
+    waiting: waiting.length,
+    ...counters,
+    browsers: browsers.map((entry) => ({
+      id: entry.id,
+      pid: entry.browser?.process()?.pid ?? null,
+      launching: entry.launching != null,
+      pages: entry.leases.size,
+      uses: entry.uses,
+      startedAt: entry.startedAt,
+      lastUsedAt: entry.lastUsedAt,
+    })),
+  };
+}
@@ -0,0 +1,193 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Persistent browser profiles
+ *
+ * By default, every browser starts with a fresh temporary profile, so every request looks like a brand-new
+ * visitor who has to accept the cookie consent first. A visitor running into the consent wall over and over again
+ * is a bot signal of its own. With the general setting `persistentBrowserProfiles`, each domain gets a profile
+ * dir (next to the database) which keeps its cookies, local storage and cache between runs.
+ *
+ * Providers may declare a `consentSelector`, the button dismissing the cookie consent. It is clicked once per
+ * profile. Browsers of the pool keep their cookies until they are closed, so a browser only waits for the consent
+ * of a site once, whether profiles are enabled or not.
+ * @module browserProfiles
+ */
+import fs from 'fs';
+import path from 'path';
+import { getSettings } from '../storage/settingsStorage.js';
+import { computeDbPath } from '../storage/SqliteConnection.js';
+import { getDomain } from '../botCooldown/botCooldownService.js';
+import { releaseUserDataDir } from './browserPool.js';
+import logger from '../logger.js';
+
+export const PROFILES_DIR = 'browser-profiles';
+/** Time to wait for the cookie consent to show up. */
+export const CONSENT_TIMEOUT_MS = 5_000;
+/** Metadata of a profile, stored in its dir. */
+const META_FILE = 'fredy-profile.json';
+/** Host names only, so that a domain can never point to the profiles dir itself or outside of it. */
+const VALID_DOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+/** @type {WeakMap<import('puppeteer').Browser, Set<string>>} Consent selectors a browser has already waited for. */
+const handledConsents = new WeakMap();
+
+/**
+ * @typedef {Object} BrowserProfile
+ * @property {string} domain
+ * @property {string} userDataDir
+ * @property {number} createdAt
+ * @property {number|null} lastUsedAt
+ * @property {number|null} consentDismissedAt
+ */
+
+/**
+ * @returns {Promise<boolean>}
+ */
+export async function isProfilesEnabled() {
+  try {
+    return (await getSettings()).persistentBrowserProfiles === true;
+  } catch {
+    return false;
+  }
+}
+
+async function getProfilesRoot() {
+  const { dir } = await computeDbPath();
+  return path.join(dir, PROFILES_DIR);
+}
+
+async function readMeta(userDataDir) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(userDataDir, META_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function writeMeta(profile) {
+  const { userDataDir, ...meta } = profile;
+  await fs.promises.writeFile(path.join(userDataDir, META_FILE), JSON.stringify(meta));
+}
+
+/**
+ * Profile to load a url with. Creates the profile of the domain if it does not exist yet.
+ *
+ * @param {string} url
+ * @returns {Promise<BrowserProfile|null>} null if profiles are disabled, a temporary profile is used then.
+ */
+export async function getProfile(url) {
+  const domain = getDomain(url);
+  if (domain == null || !VALID_DOMAIN.test(domain) || !(await isProfilesEnabled())) {
+    return null;
+  }
+  try {
+    const userDataDir = path.join(await getProfilesRoot(), domain);
+    await fs.promises.mkdir(userDataDir, { recursive: true });
+    const meta = await readMeta(userDataDir);
+    const profile = {
+      domain,
+      createdAt: meta?.createdAt ?? Date.now(),
+      consentDismissedAt: meta?.consentDismissedAt ?? null,
+      lastUsedAt: Date.now(),
+      userDataDir,
+    };
+    await writeMeta(profile);
+    return profile;
+  } catch (e) {
+    logger.warn(`Could not prepare the browser profile of ${domain}, using a temporary one.`, e);
+    return null;
+  }
+}
+
+/**
+ * Click the cookie consent of a page, unless it has already been dismissed in the profile or the browser of the
+ * page already waited for it. If the consent does not show up, the profile tries again in the next browser.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string|null} selector Button accepting the consent. Use `>>>` to pierce shadow roots.
+ * @param {BrowserProfile|null} profile
+ * @returns {Promise<boolean>} Whether the consent has been clicked.
+ */
+export async function dismissConsent(page, selector, profile) {
+  if (selector == null || profile?.consentDismissedAt != null) {
+    return false;
+  }
+  const browser = page.browser?.();
+  if (browser != null) {
+    const handled = handledConsents.get(browser) ?? new Set();
+    if (handled.has(selector)) return false;
+    handledConsents.set(browser, handled.add(selector));
+  }
+  try {
+    const button = await page.waitForSelector(selector, { visible: true, timeout: CONSENT_TIMEOUT_MS });
+    await button.click();
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  } catch {
+    logger.debug(`Cookie consent '${selector}' did not show up.`);
+    return false;
+  }
+  if (profile != null) {
+    profile.consentDismissedAt = Date.now();
+    await writeMeta(profile).catch((e) => logger.debug('Could not store the browser profile.', e));
+  }
+  return true;
+}
+
+async function getDirSize(dir) {
+  let size = 0;
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirSize(file);
+    } else if (entry.isFile()) {
+      size += (await fs.promises.stat(file).catch(() => ({ size: 0 }))).size;
+    }
+  }
+  return size;
+}
+
+/**
+ * All profiles on disk, shown to admins.
+ *
+ * @returns {Promise<Array<Omit<BrowserProfile, 'userDataDir'> & {size: number}>>}
+ */
+export async function listProfiles() {
+  const root = await getProfilesRoot();
+  const entries = await fs.promises.readdir(root, { withFileTypes: true }).catch(() => []);
+  const profiles = [];
+  for (const entry of entries.filter((e) => e.isDirectory())) {
+    const userDataDir = path.join(root, entry.name);
+    const meta = await readMeta(userDataDir);
+    profiles.push({
+      domain: entry.name,
+      createdAt: meta?.createdAt ?? null,
+      lastUsedAt: meta?.lastUsedAt ?? null,
+      consentDismissedAt: meta?.consentDismissedAt ?? null,
+      size: await getDirSize(userDataDir),
+    });
+  }
+  return profiles.sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Remove the profile of a domain, so that the next request starts as a new visitor again.
+ *
+ * @param {string} domain
+ * @returns {Promise<void>}
+ * @throws {Error} If the profile does not exist or is in use by an extraction.
+ */
+export async function resetProfile(domain) {
+  const root = await getProfilesRoot();
+  const userDataDir = path.resolve(root, String(domain));
+  if (!VALID_DOMAIN.test(domain) || path.dirname(userDataDir) !== path.resolve(root) || !fs.existsSync(userDataDir)) {
+    throw new Error(`There is no browser profile for ${domain}.`);
+  }
+  if (!(await releaseUserDataDir(userDataDir))) {
+    throw new Error(`The browser profile of ${domain} is in use right now, please try again in a minute.`);
+  }
+  await fs.promises.rm(userDataDir, { recursive: true, force: true });
+  logger.info(`Browser profile of ${domain} has been reset.`);
+}
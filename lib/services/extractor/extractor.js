@@ -3,13 +3,27 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { setDebug } from './utils.js';
+import { setDebug, containsContainer } from './utils.js';
 import puppeteerExtractor from './puppeteerExtractor.js';
-import { loadParser, parse } from './parser/parser.js';
+import fetchExtractor from './fetchExtractor.js';
+import { loadParser, parse, parseValue } from './parser/parser.js';
 import logger from '../logger.js';
+import { getProxy } from '../proxy/proxyPool.js';
+import { withFixture } from '../fixtures/fixtures.js';
+import { getActiveCooldown } from '../botCooldown/botCooldownService.js';
+import { acquireRequestSlot } from '../executionQueue/executionQueue.js';
+
+/**
+ * How a page is loaded:
+ * - puppeteer: in a headless Chromium, needed for sites rendering their listings with javascript
+ * - fetch: with a plain http request, falling back to puppeteer if the response does not contain the
+ *   crawl container or we have been detected as a bot
+ */
+export const EXTRACTION_MODES = ['puppeteer', 'fetch'];
 
 const DEFAULT_OPTIONS = {
   debug: false,
+  extractionMode: 'puppeteer',
   puppeteerTimeout: 60_000,
   puppeteerHeadless: true,
 };
@@ -21,6 +35,12 @@ export default class Extractor {
       ...options,
     };
     this.responseText = null;
+    /** @type {import('./parser/parser.js').ParseStats} */
+    this.parseStats = null;
+    /** @type {('puppeteer'|'fetch'|null)} How the last page has actually been loaded. */
+    this.usedExtractionMode = null;
+    /** @type {import('./resourceBlocking.js').TransferStats|null} Traffic of the last page loaded with Puppeteer. */
+    this.transferStats = null;
     setDebug(this.options);
   }
 
@@ -29,11 +49,22 @@ export default class Extractor {
    * your response will never contain what you are really looking for
    * @param url
    * @param waitForSelector
+   * @param crawlContainer selector of a listing, used to check whether a static response is usable
    */
-  execute = async (url, waitForSelector = null) => {
+  execute = async (url, waitForSelector = null, crawlContainer = null) => {
     this.responseText = null;
+    this.usedExtractionMode = null;
+    this.transferStats = null;
     try {
-      this.responseText = await puppeteerExtractor(url, waitForSelector, this.options);
+      // e.g. the next result page after the previous one has been detected as a bot
+      if (getActiveCooldown(url) != null) {
+        logger.debug(`Not loading ${url}, the site detected us as a bot and is cooling down.`);
+        return this;
+      }
+      // in record/replay mode (see fixtures.js) the loaded page is recorded or served from a fixture
+      const page = await withFixture('page', { url }, () => this._load(url, waitForSelector, crawlContainer));
+      this.responseText = page.html;
+      this.usedExtractionMode = page.extractionMode;
       if (this.responseText != null) {
         loadParser(this.responseText);
       }
@@ -43,7 +74,59 @@ export default class Extractor {
     return this;
   };
 
+  /**
+   * Load a page with the configured extraction mode. Every request waits for a slot of the request budget of
+   * its domain (see executionQueue.js).
+   *
+   * @returns {Promise<{html: string|null, extractionMode: ('puppeteer'|'fetch')}>}
+   */
+  _load = async (url, waitForSelector, crawlContainer) => {
+    if (this.options.extractionMode === 'fetch') {
+      await acquireRequestSlot(url);
+      const html = await fetchExtractor(url, waitForSelector, await this._withProxy());
+      if (containsContainer(html, crawlContainer)) {
+        return { html, extractionMode: 'fetch' };
+      }
+      logger.debug(`Static response of ${url} is not usable, falling back to Puppeteer.`);
+    }
+    await acquireRequestSlot(url);
+    const transferStats = { requests: 0, blockedRequests: 0, bytes: 0 };
+    const html = await puppeteerExtractor(url, waitForSelector, {
+      ...(await this._withProxy()),
+      crawlContainer,
+      transferStats,
+    });
+    this.transferStats = transferStats;
+    return { html, extractionMode: 'puppeteer' };
+  };
+
+  /**
+   * Options of a single request, using the next proxy of the current provider (see proxyPool.js) unless
+   * a proxy has been given explicitly.
+   */
+  _withProxy = async () => {
+    return { ...this.options, proxyUrl: this.options.proxyUrl ?? (await getProxy()) };
+  };
+
   parseResponseText = (crawlContainer, crawlFields, url) => {
-    return parse(crawlContainer, crawlFields, this.responseText, url);
+    this.parseStats = {};
+    return parse(crawlContainer, crawlFields, this.responseText, url, this.parseStats);
+  };
+
+  /**
+   * Resolve the url of the next result page using the given selector (e.g. `.pagination-next@href`).
+   * @param nextPageSelector
+   * @param url url of the current page, used to resolve relative links
+   * @returns {string|null} absolute url or null if there is no next page
+   */
+  parseNextPageUrl = (nextPageSelector, url) => {
+    if (this.responseText == null) return null;
+    const href = parseValue(nextPageSelector);
+    if (href == null) return null;
+    try {
+      return new URL(href, url).toString();
+    } catch {
+      return null;
+    }
   };
 }
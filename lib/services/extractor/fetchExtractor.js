@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import * as cheerio from 'cheerio';
+import { debug, botDetected, DEFAULT_HEADER } from './utils.js';
+import logger from '../logger.js';
+import { fetchThroughProxy, reportProxyFailure, reportProxySuccess } from '../proxy/proxyPool.js';
+
+/**
+ * Load a page with a plain http request instead of a browser. Only works for sites serving their
+ * listings as static html, but costs a fraction of the cpu and memory of a Chromium.
+ *
+ * @param {string} url
+ * @param {string|null} waitForSelector If given, only the inner html of the element is returned (like the
+ * Puppeteer extractor does).
+ * @param {Object} [options]
+ * @returns {Promise<string|null>} The page source or null if the page could not be loaded, we have been
+ * detected as a bot or the selector does not exist.
+ */
+export default async function execute(url, waitForSelector, options) {
+  try {
+    debug(`Sending request to ${url} using fetch.`);
+    const response = await fetchThroughProxy(
+      url,
+      {
+        headers: {
+          ...DEFAULT_HEADER,
+          'Accept-Language': options?.acceptLanguage || 'de-DE,de;q=0.9,en-US;q=0.7,en;q=0.5',
+        },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(options?.fetchTimeout ?? 30_000),
+      },
+      options?.proxyUrl ?? null,
+    );
+    const pageSource = await response.text();
+
+    if (botDetected(pageSource, response.status)) {
+      // no cooldown (see botCooldownService.js) yet, a browser might still get through
+      logger.warn('We have been detected as a bot :-/ Tried url: => ', url);
+      reportProxyFailure(options?.proxyUrl, 'Detected as a bot', true);
+      return null;
+    }
+    reportProxySuccess(options?.proxyUrl);
+    if (!response.ok) {
+      logger.debug(`Request to ${url} failed with status ${response.status}.`);
+      return null;
+    }
+    if (waitForSelector == null) {
+      return pageSource;
+    }
+    const element = cheerio.load(pageSource)(waitForSelector).first();
+    return element.length > 0 ? element.html() : null;
+  } catch (error) {
+    reportProxyFailure(options?.proxyUrl, error?.cause?.message ?? error?.message ?? String(error));
+    logger.debug('Error executing with fetch executor', error);
+    return null;
+  }
+}
@@ -5,6 +5,7 @@
 
 import * as cheerio from 'cheerio';
 import logger from '../../logger.js';
+import { parseNumber } from '../../listings/filterRules.js';
 
 let $ = null;
 
@@ -12,7 +13,29 @@ export function loadParser(text) {
   $ = cheerio.load(text);
 }
 
-export function parse(crawlContainer, crawlFields, text, url) {
+/**
+ * Statistics of a single parse, used to detect providers whose markup has changed.
+ *
+ * @typedef {Object} ParseStats
+ * @property {number} containers Number of elements matching the crawl container.
+ * @property {number} withoutId Number of containers dropped because no id could be parsed.
+ * @property {string[]} emptyFields Fields of crawlFields which are empty in every parsed listing.
+ */
+
+/**
+ * Parse the listings out of the loaded document.
+ *
+ * @param {string} crawlContainer Selector of a single listing.
+ * @param {Object.<string, string>} crawlFields Selector per field.
+ * @param {string} text The document.
+ * @param {string} url Url of the document, only used for logging.
+ * @param {ParseStats} [stats] Filled with the statistics of this parse, if given.
+ * @returns {Object[]|null}
+ */
+export function parse(crawlContainer, crawlFields, text, url, stats = null) {
+  if (stats != null) {
+    Object.assign(stats, { containers: 0, withoutId: 0, emptyFields: [] });
+  }
   if (!text) {
     logger.debug('No content found for ', url);
     return null;
@@ -36,33 +59,9 @@ export function parse(crawlContainer, crawlFields, text, url) {
 
     // Parse fields based on crawlFields
     for (const [key, fieldSelector] of Object.entries(crawlFields)) {
-      let value;
-
       try {
-        const selector = fieldSelector.includes('|')
-          ? fieldSelector.substring(0, fieldSelector.indexOf('|')).trim()
-          : fieldSelector;
-
-        if (selector.includes('@')) {
-          const [sel, attr] = selector.split('@');
-          if (sel.length === 0) {
-            value = container.attr(attr.trim());
-          } else {
-            value = container.find(sel.trim()).attr(attr.trim());
-          }
-        } else {
-          value = container.find(selector.trim()).text();
-        }
-
-        // Apply modifiers if specified
-        if (fieldSelector.includes('|')) {
-          /* eslint-disable no-unused-vars */
-          const [_, ...modifiers] = fieldSelector.split('|').map((s) => s.trim());
-          /* eslint-enable no-unused-vars */
-          value = applyModifiers(value, modifiers);
-        }
-
-        parsedObject[key] = value || null;
+        const value = parseField(container, fieldSelector, url);
+        parsedObject[key] = isEmpty(value) || (Array.isArray(value) && value.length === 0) ? null : value;
       } catch (error) {
         logger.error(`Error parsing field '${key}' with selector '${fieldSelector}':`, error);
         parsedObject[key] = null;
@@ -76,28 +75,157 @@ export function parse(crawlContainer, crawlFields, text, url) {
     }
   });
 
+  if (stats != null) {
+    stats.containers = $(crawlContainer).length;
+    stats.withoutId = stats.containers - result.length;
+    stats.emptyFields =
+      result.length === 0 ? [] : Object.keys(crawlFields).filter((key) => result.every((o) => o[key] == null));
+  }
   return result;
 }
 
-// Helper function to apply modifiers
-function applyModifiers(value, modifiers) {
-  if (!value) return value;
-
-  modifiers.forEach((modifier) => {
-    switch (modifier) {
-      case 'int':
-        value = parseInt(value, 10);
-        break;
-      case 'trim':
-        value = value.replace(/\s+/g, ' ').trim();
-        break;
-      case 'removeNewline':
-        value = value.replace(/\n/g, ' ');
-        break;
-      default:
-        logger.warn(`Unknown modifier: ${modifier}`);
+/**
+ * Read a single value from the loaded document, e.g. the link to the next result page.
+ * Supports the same `selector@attribute` syntax as crawlFields. Only the first match is used.
+ *
+ * @param {string} fieldSelector
+ * @returns {string|null}
+ */
+export function parseValue(fieldSelector) {
+  if ($ == null || !fieldSelector) return null;
+  const [sel, attr] = fieldSelector.split('@');
+  const element = $(sel.trim()).first();
+  if (element.length === 0) return null;
+  const value = attr == null ? element.text() : element.attr(attr.trim());
+  return value?.trim() || null;
+}
+
+/**
+ * Modifiers of a field selector, e.g. `.price | number`. Modifiers with an argument are written as
+ * `name(argument)`:
+ * - int: parse an integer
+ * - number: parse a (German) number like "1.250,50 €" into 1250.5
+ * - trim: collapse whitespace
+ * - removeNewline: replace newlines with spaces
+ * - lowercase: convert to lower case
+ * - regex(pattern): the first capture group (or the whole match) of the pattern, null if it does not match
+ * - absoluteUrl: resolve a relative url against the url of the page
+ * - default(value): the value to use if the field is empty
+ * - all: collect the values of all matching elements into an array instead of using the first one,
+ *   the other modifiers are applied to every single value
+ */
+const MODIFIERS = {
+  int: (value) => parseInt(value, 10),
+  number: (value) => parseNumber(value),
+  trim: (value) => String(value).replace(/\s+/g, ' ').trim(),
+  removeNewline: (value) => String(value).replace(/\n/g, ' '),
+  lowercase: (value) => String(value).toLowerCase(),
+  regex: (value, pattern) => {
+    const match = String(value).match(compileRegex(pattern));
+    return match == null ? null : (match[1] ?? match[0]);
+  },
+  absoluteUrl: (value, _, url) => {
+    try {
+      return new URL(value, url).toString();
+    } catch {
+      return value;
     }
-  });
+  },
+};
+
+/** @type {Map<string, RegExp>} */
+const regexCache = new Map();
+
+function compileRegex(pattern) {
+  let regex = regexCache.get(pattern);
+  if (regex == null) {
+    regex = new RegExp(pattern);
+    regexCache.set(pattern, regex);
+  }
+  return regex;
+}
 
+function isEmpty(value) {
+  return value == null || value === '' || Number.isNaN(value);
+}
+
+/**
+ * Split a field selector into the selector and its modifiers. Pipes within the parentheses of a modifier
+ * argument (e.g. `regex((\d+)|(\d+,\d+))`) or escaped with a backslash do not split.
+ *
+ * @param {string} fieldSelector e.g. `a@href | absoluteUrl`
+ * @returns {{selector: string, modifiers: Array<{name: string, arg: string|null}>}}
+ */
+export function splitFieldSelector(fieldSelector) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  for (let i = 0; i < fieldSelector.length; i++) {
+    const char = fieldSelector[i];
+    if (char === '\\' && i + 1 < fieldSelector.length) {
+      current += char + fieldSelector[++i];
+      continue;
+    }
+    if (char === '|' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')' && depth > 0) depth--;
+    current += char;
+  }
+  parts.push(current.trim());
+
+  const [selector, ...modifiers] = parts;
+  return {
+    selector,
+    modifiers: modifiers
+      .filter((modifier) => modifier.length > 0)
+      .map((modifier) => {
+        const match = modifier.match(/^(\w+)\((.*)\)$/s);
+        return match == null ? { name: modifier, arg: null } : { name: match[1], arg: match[2] };
+      }),
+  };
+}
+
+/**
+ * Parse a single field of a listing container.
+ *
+ * @param {import('cheerio').Cheerio} container
+ * @param {string} fieldSelector e.g. `.price | number` or `img@src | all | absoluteUrl`
+ * @param {string} url Url of the page, used to resolve relative urls.
+ * @returns {any}
+ */
+function parseField(container, fieldSelector, url) {
+  const { selector, modifiers } = splitFieldSelector(fieldSelector);
+  const [sel, attr] = selector.includes('@') ? selector.split('@').map((part) => part.trim()) : [selector.trim()];
+  const target = sel.length === 0 ? container : container.find(sel);
+  const read = (element) => (attr == null ? element.text() : element.attr(attr));
+
+  if (modifiers.some((modifier) => modifier.name === 'all')) {
+    return target
+      .toArray()
+      .map((element) => applyModifiers(read($(element)), modifiers, url))
+      .filter((value) => !isEmpty(value));
+  }
+  return applyModifiers(read(target), modifiers, url);
+}
+
+function applyModifiers(value, modifiers, url) {
+  for (const { name, arg } of modifiers) {
+    if (name === 'all') continue;
+    if (name === 'default') {
+      if (isEmpty(value)) value = arg;
+      continue;
+    }
+    if (isEmpty(value)) continue;
+    const modifier = MODIFIERS[name];
+    if (modifier == null) {
+      logger.warn(`Unknown modifier: ${name}`);
+      continue;
+    }
+    value = modifier(value, arg, url);
+  }
   return value;
 }
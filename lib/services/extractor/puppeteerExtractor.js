@@ -3,135 +3,122 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { debug, botDetected } from './utils.js';
+import { debug, botDetected, containsContainer } from './utils.js';
 import {
   getPreLaunchConfig,
   applyBotPreventionToPage,
   applyLanguagePersistence,
   applyPostNavigationHumanSignals,
 } from './botPrevention.js';
+import { withPage } from './browserPool.js';
+import { getProfile, dismissConsent } from './browserProfiles.js';
+import { applyResourcePolicy } from './resourceBlocking.js';
 import logger from '../logger.js';
-import fs from 'fs';
-import os from 'os';
-import path from 'path';
-
-puppeteer.use(StealthPlugin());
+import { isReportingBotDetections, reportProxyFailure, reportProxySuccess } from '../proxy/proxyPool.js';
+import { reportBotDetection, resetBotCooldown } from '../botCooldown/botCooldownService.js';
+import { captureSnapshot } from '../snapshots/snapshotService.js';
 
 export default async function execute(url, waitForSelector, options) {
-  let browser;
-  let page;
-  let result = null;
-  let userDataDir;
-  let removeUserDataDir = false;
   try {
     debug(`Sending request to ${url} using Puppeteer.`);
 
-    // Prepare a dedicated temporary userDataDir to avoid leaking /tmp/.org.chromium.* dirs
-    if (options && options.userDataDir) {
-      userDataDir = options.userDataDir;
-      removeUserDataDir = !!options.cleanupUserDataDir;
-    } else {
-      const prefix = path.join(os.tmpdir(), 'puppeteer-fredy-');
-      userDataDir = fs.mkdtempSync(prefix);
-      removeUserDataDir = true;
-    }
-
-    const launchArgs = [
-      '--no-sandbox',
-      '--disable-gpu',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-crash-reporter',
-      '--no-first-run',
-      '--no-default-browser-check',
-    ];
-    if (options?.proxyUrl) {
-      launchArgs.push(`--proxy-server=${options.proxyUrl}`);
-    }
     // Prepare bot prevention pre-launch config
     const preCfg = getPreLaunchConfig(url, options || {});
-    launchArgs.push(preCfg.langArg);
-    launchArgs.push(preCfg.windowSizeArg);
-    launchArgs.push(...preCfg.extraArgs);
 
-    browser = await puppeteer.launch({
+    // Chromium does not accept credentials in --proxy-server, they are sent per page instead
+    const proxy = splitProxyCredentials(options?.proxyUrl);
+
+    // persistent profile of the domain keeping cookies between runs, if enabled (see browserProfiles.js)
+    const profile = await getProfile(url);
+
+    // browsers are shared between extractions, see browserPool.js
+    const launchOptions = {
       headless: options?.puppeteerHeadless ?? true,
-      args: launchArgs,
-      timeout: options?.puppeteerTimeout || 30_000,
-      userDataDir,
+      proxyUrl: proxy?.server,
       executablePath: options?.executablePath, // allow using system Chrome
-    });
+      userDataDir: profile?.userDataDir ?? options?.userDataDir,
+      cleanupUserDataDir: profile == null && options?.cleanupUserDataDir,
+      timeout: options?.puppeteerTimeout || 30_000,
+      args: [preCfg.langArg, preCfg.windowSizeArg, ...preCfg.extraArgs],
+    };
 
-    page = await browser.newPage();
-    await applyBotPreventionToPage(page, preCfg);
-    // Provide languages value before navigation
-    await applyLanguagePersistence(page, preCfg);
+    return await withPage(launchOptions, async (page) => {
+      if (proxy?.credentials != null) {
+        await page.authenticate(proxy.credentials);
+      }
+      await applyBotPreventionToPage(page, preCfg);
+      // Provide languages value before navigation
+      await applyLanguagePersistence(page, preCfg);
+      // skip media, fonts and trackers, see resourceBlocking.js
+      await applyResourcePolicy(page, options?.resourcePolicy, options?.transferStats);
 
-    // Optional cookies
-    if (Array.isArray(options?.cookies) && options.cookies.length > 0) {
-      await page.setCookie(...options.cookies);
-    }
+      // Optional cookies
+      if (Array.isArray(options?.cookies) && options.cookies.length > 0) {
+        await page.setCookie(...options.cookies);
+      }
 
-    // Navigation
-    const response = await page.goto(url, {
-      waitUntil: options?.waitUntil || 'domcontentloaded',
-    });
+      // Navigation
+      const response = await page.goto(url, {
+        waitUntil: options?.waitUntil || 'domcontentloaded',
+      });
 
-    // Optionally wait and add subtle human-like interactions
-    await applyPostNavigationHumanSignals(page, preCfg);
+      // Optionally wait and add subtle human-like interactions
+      await applyPostNavigationHumanSignals(page, preCfg);
 
-    let pageSource;
-    // if we're extracting data from a SPA, we must wait for the selector
-    if (waitForSelector != null) {
-      const selectorTimeout = options?.puppeteerSelectorTimeout ?? options?.puppeteerTimeout ?? 30_000;
-      await page.waitForSelector(waitForSelector, { timeout: selectorTimeout });
-      pageSource = await page.evaluate((selector) => {
-        const el = document.querySelector(selector);
-        return el ? el.innerHTML : '';
-      }, waitForSelector);
-    } else {
-      pageSource = await page.content();
-    }
+      await dismissConsent(page, options?.consentSelector, profile);
 
-    const statusCode = response?.status?.() ?? 200;
+      const statusCode = response?.status?.() ?? 200;
 
-    if (botDetected(pageSource, statusCode)) {
-      logger.warn('We have been detected as a bot :-/ Tried url: => ', url);
-      result = null;
-    } else {
-      result = pageSource || (await page.content());
-    }
+      let pageSource;
+      // if we're extracting data from a SPA, we must wait for the selector
+      if (waitForSelector != null) {
+        const selectorTimeout = options?.puppeteerSelectorTimeout ?? options?.puppeteerTimeout ?? 30_000;
+        try {
+          await page.waitForSelector(waitForSelector, { timeout: selectorTimeout });
+        } catch (error) {
+          await captureSnapshot(page, { url, reason: `Selector '${waitForSelector}' not found`, statusCode });
+          throw error;
+        }
+        pageSource = await page.evaluate((selector) => {
+          const el = document.querySelector(selector);
+          return el ? el.innerHTML : '';
+        }, waitForSelector);
+      } else {
+        pageSource = await page.content();
+      }
+
+      if (botDetected(pageSource, statusCode)) {
+        logger.warn('We have been detected as a bot :-/ Tried url: => ', url);
+        await captureSnapshot(page, { url, reason: 'Detected as a bot', statusCode });
+        reportProxyFailure(options?.proxyUrl, 'Detected as a bot', true);
+        if (isReportingBotDetections()) reportBotDetection(url);
+        return null;
+      }
+      reportProxySuccess(options?.proxyUrl);
+      resetBotCooldown(url);
+      pageSource = pageSource || (await page.content());
+      if (!containsContainer(pageSource, options?.crawlContainer ?? null)) {
+        await captureSnapshot(page, { url, reason: 'No listings found', statusCode });
+      }
+      return pageSource;
+    });
   } catch (error) {
+    reportProxyFailure(options?.proxyUrl, error?.message ?? String(error));
     if (error?.message?.includes('Timeout')) {
       logger.debug('Error executing with puppeteer executor', error);
     } else {
       logger.warn('Error executing with puppeteer executor', error);
     }
-    result = null;
-  } finally {
-    try {
-      if (page) {
-        await page.close();
-      }
-    } catch {
-      // ignore
-    }
-    try {
-      if (browser != null) {
-        await browser.close();
-      }
-    } catch {
-      // ignore
-    }
-    try {
-      if (removeUserDataDir && userDataDir) {
-        await fs.promises.rm(userDataDir, { recursive: true, force: true });
-      }
-    } catch {
-      // ignore
-    }
+    return null;
   }
-  return result;
+}
+
+function splitProxyCredentials(proxyUrl) {
+  if (proxyUrl == null) return null;
+  const parsed = new URL(proxyUrl);
+  const credentials =
+    parsed.username || parsed.password
+      ? { username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) }
+      : null;
+  return { server: `${parsed.protocol}//${parsed.host}`, credentials };
 }
@@ -0,0 +1,186 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Resource blocking in Puppeteer
+ *
+ * We only read the DOM of the pages we load, yet every page pulls in videos, fonts, tracking scripts and ads.
+ * Requests for these are aborted before they are sent, which saves time and bandwidth. By default, media, fonts
+ * and requests to known trackers are blocked. Providers can adjust this with a `resourcePolicy` in their config
+ * (see ResourcePolicy) or disable blocking with `resourcePolicy: false`.
+ *
+ * The number of requests and the bytes transferred are counted, so that they can be shown in the run history.
+ * @module resourceBlocking
+ */
+import logger from '../logger.js';
+
+/** Puppeteer resource types blocked by default. */
+export const DEFAULT_BLOCKED_RESOURCE_TYPES = ['media', 'font'];
+
+/** Domains of common analytics, tracking and ad services. Their subdomains are blocked as well. */
+export const KNOWN_TRACKERS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googletagservices.com',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  'connect.facebook.net',
+  'facebook.com/tr',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'hotjar.io',
+  'criteo.com',
+  'criteo.net',
+  'adnxs.com',
+  'amazon-adsystem.com',
+  'taboola.com',
+  'outbrain.com',
+  'scorecardresearch.com',
+  'mouseflow.com',
+  'newrelic.com',
+  'nr-data.net',
+  'analytics.tiktok.com',
+  'adform.net',
+  'ioam.de',
+  'xiti.com',
+  'yieldlove.com',
+];
+
+/**
+ * Policy of a provider, `resourcePolicy` in its config. All properties are optional.
+ *
+ * @typedef {Object} ResourcePolicy
+ * @property {string[]} [blockResourceTypes] Puppeteer resource types to block in addition to the defaults, e.g.
+ * 'image' or 'stylesheet'.
+ * @property {string[]} [allowResourceTypes] Resource types to load although they are blocked by default.
+ * @property {string[]} [blockDomains] Domain patterns to block, e.g. 'ads.example.com' (including its subdomains)
+ * or '*.example.com' (only the subdomains).
+ * @property {string[]} [allowDomains] Domain patterns which are never blocked, e.g. a cdn the page needs.
+ * @property {boolean} [blockTrackers=true] Whether to block the KNOWN_TRACKERS.
+ */
+
+/**
+ * @typedef {Object} TransferStats
+ * @property {number} requests Requests made by the page, including blocked ones.
+ * @property {number} blockedRequests
+ * @property {number} bytes Bytes transferred over the network.
+ */
+
+/**
+ * @typedef {Object} ResolvedPolicy
+ * @property {Set<string>} blockedTypes
+ * @property {string[]} blockedDomains
+ * @property {string[]} allowedDomains
+ */
+
+/**
+ * Combine the policy of a provider with the defaults.
+ *
+ * @param {ResourcePolicy|false|null|undefined} policy
+ * @returns {ResolvedPolicy|null} null if nothing is blocked.
+ */
+export function resolveResourcePolicy(policy) {
+  if (policy === false) {
+    return null;
+  }
+  const allowedTypes = policy?.allowResourceTypes ?? [];
+  return {
+    blockedTypes: new Set(
+      [...DEFAULT_BLOCKED_RESOURCE_TYPES, ...(policy?.blockResourceTypes ?? [])].filter(
+        (type) => !allowedTypes.includes(type),
+      ),
+    ),
+    blockedDomains: [...(policy?.blockTrackers === false ? [] : KNOWN_TRACKERS), ...(policy?.blockDomains ?? [])],
+    allowedDomains: policy?.allowDomains ?? [],
+  };
+}
+
+/**
+ * Whether a url matches a domain pattern. A pattern may contain a path (e.g. 'facebook.com/tr'), which must be
+ * a prefix of the path of the url.
+ *
+ * @param {URL} url
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesDomain(url, pattern) {
+  const slash = pattern.indexOf('/');
+  const domain = (slash === -1 ? pattern : pattern.slice(0, slash)).toLowerCase();
+  const pathPrefix = slash === -1 ? null : pattern.slice(slash);
+  const hostname = url.hostname.toLowerCase();
+  const matchesHost = domain.startsWith('*.')
+    ? hostname.endsWith(domain.slice(1))
+    : hostname === domain || hostname.endsWith(`.${domain}`);
+  return matchesHost && (pathPrefix == null || url.pathname.startsWith(pathPrefix));
+}
+
+/**
+ * Whether a request of a page is blocked. The page itself is always loaded.
+ *
+ * @param {ResolvedPolicy|null} policy
+ * @param {{url: string, resourceType: string, isNavigation: boolean}} request
+ * @returns {boolean}
+ */
+export function shouldBlockRequest(policy, { url, resourceType, isNavigation }) {
+  if (policy == null || isNavigation) {
+    return false;
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return false;
+  }
+  if (policy.allowedDomains.some((pattern) => matchesDomain(parsed, pattern))) {
+    return false;
+  }
+  return (
+    policy.blockedTypes.has(resourceType) || policy.blockedDomains.some((pattern) => matchesDomain(parsed, pattern))
+  );
+}
+
+/**
+ * Block the requests of a page according to a policy and count its traffic. Must be called before navigating.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {ResourcePolicy|false|null|undefined} policy
+ * @param {TransferStats|null} [stats] Updated while the page loads.
+ * @returns {Promise<void>}
+ */
+export async function applyResourcePolicy(page, policy, stats = null) {
+  const resolved = resolveResourcePolicy(policy);
+  if (resolved != null) {
+    await page.setRequestInterception(true);
+  }
+  page.on('request', (request) => {
+    if (stats != null) stats.requests++;
+    if (resolved == null || request.isInterceptResolutionHandled?.()) return;
+    const blocked = shouldBlockRequest(resolved, {
+      url: request.url(),
+      resourceType: request.resourceType(),
+      isNavigation: request.isNavigationRequest() && request.frame() === page.mainFrame(),
+    });
+    if (blocked && stats != null) stats.blockedRequests++;
+    (blocked ? request.abort('blockedbyclient') : request.continue()).catch(() => null);
+  });
+  if (stats == null) {
+    return;
+  }
+  try {
+    const session = await page.createCDPSession();
+    await session.send('Network.enable');
+    session.on('Network.loadingFinished', (event) => {
+      stats.bytes += event.encodedDataLength ?? 0;
+    });
+  } catch (e) {
+    logger.debug('Could not count the bytes transferred by the page.', e);
+  }
+}
@@ -3,6 +3,7 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
+import * as cheerio from 'cheerio';
 import logger from '../logger.js';
 
 let debuggingOn = false;
@@ -35,3 +36,16 @@ export const botDetected = (pageSource, statusCode) => {
 
   return detectedInSource || detectedByStatus;
 };
+
+/**
+ * Whether a page source contains the container of the listings, i.e. whether it can be parsed.
+ *
+ * @param {string|null} text
+ * @param {string|null} crawlContainer
+ * @returns {boolean}
+ */
+export const containsContainer = (text, crawlContainer) => {
+  if (text == null) return false;
+  if (crawlContainer == null) return true;
+  return cheerio.load(text)(crawlContainer).length > 0;
+};
@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Record and replay of provider responses
+ *
+ * Testing providers against the live sites is slow and breaks whenever we are offline or a site changes. In
+ * record mode, every page loaded by the Extractor and every response of `proxyFetch` is written to a fixture
+ * file, in replay mode they are served from these files without any network request or browser. This way, the
+ * parsing, normalizing and filtering of a provider can be tested deterministically.
+ *
+ * The mode is set with the environment variable `FREDY_FIXTURES` (`record` or `replay`, any other value such as
+ * `live` loads the live sites), the fixtures are stored in `FREDY_FIXTURE_DIR` (default: test/provider/fixtures), one
+ * directory per provider. Run `yarn fixtures:refresh` to record them again.
+ * @module fixtures
+ */
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { getCurrentProvider } from '../proxy/proxyPool.js';
+import { FixtureMissingError } from '../../errors.js';
+import logger from '../logger.js';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+export const DEFAULT_FIXTURE_DIR = fileURLToPath(new URL('../../../test/provider/fixtures', import.meta.url));
+/** Fixtures of requests made outside of a provider context. */
+const SHARED_DIR = 'shared';
+
+/**
+ * @typedef {Object} FixtureRequest
+ * @property {string} url
+ * @property {string} [method]
+ * @property {string|null} [body]
+ */
+
+/**
+ * @returns {('record'|'replay'|null)} The active mode or null if requests go to the live sites.
+ */
+export function getFixtureMode() {
+  const mode = process.env.FREDY_FIXTURES;
+  return FIXTURE_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * @returns {string} Directory the fixtures are stored in.
+ */
+export function getFixtureDir() {
+  return process.env.FREDY_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+/**
+ * Path of the fixture of a request. Fixtures are grouped by the provider of the current execution context
+ * (see proxyPool.js#withProvider) and named after a hash of the request.
+ *
+ * @param {string} kind 'page' for pages loaded by the Extractor, 'fetch' for responses of `proxyFetch`.
+ * @param {FixtureRequest} request
+ * @returns {string}
+ */
+export function getFixturePath(kind, request) {
+  const hash = createHash('sha1')
+    .update([kind, (request.method ?? 'GET').toUpperCase(), String(request.url), request.body ?? ''].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+  return path.join(getFixtureDir(), getCurrentProvider() ?? SHARED_DIR, `${kind}-${hash}.json`);
+}
+
+/**
+ * Load the response of a request according to the fixture mode: from the fixture file in replay mode, from
+ * `load` otherwise. In record mode, the result of `load` is written to the fixture file.
+ *
+ * @template T
+ * @param {string} kind See getFixturePath.
+ * @param {FixtureRequest} request
+ * @param {() => Promise<T>} load Loads the live response, which must be serializable as json.
+ * @returns {Promise<T>}
+ */
+export async function withFixture(kind, request, load) {
+  const mode = getFixtureMode();
+  if (mode == null) {
+    return load();
+  }
+  const file = getFixturePath(kind, request);
+  if (mode === 'replay') {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+      throw new FixtureMissingError(
+        `No fixture recorded for ${request.method ?? 'GET'} ${request.url} (${file}). Run 'yarn fixtures:refresh'.`,
+      );
+    }
+    return fixture.response;
+  }
+  const response = await load();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const fixture = { request: { method: request.method ?? 'GET', url: String(request.url) }, response };
+  await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  logger.debug(`Recorded fixture ${file}`);
+  return response;
+}
@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Parser for the response of the ImmoScout mobile API `GET /expose/{id}`.
+ *
+ * The expose consists of sections rendered by the app. Structured values are found in the `attributes` of the
+ * `TOP_ATTRIBUTES` and `ATTRIBUTE_LIST` sections as label/text pairs (e.g. `{label: 'Etage:', text: '2 von 4'}`),
+ * the images in the `MEDIA` section.
+ */
+import { parseNumber } from '../listings/filterRules.js';
+
+/** Attribute labels (lower case, without trailing colon) per detail field. */
+const ATTRIBUTE_LABELS = {
+  rooms: ['zimmer'],
+  floor: ['etage'],
+  constructionYear: ['baujahr'],
+  energyClass: ['energieeffizienzklasse'],
+  heating: ['heizungsart'],
+  additionalCosts: ['nebenkosten'],
+};
+
+const NUMERIC_FIELDS = ['rooms', 'constructionYear', 'additionalCosts'];
+
+/** Size images are requested in, if the url contains placeholders. */
+const IMAGE_SIZE = { width: 1280, height: 960 };
+
+function normalizeLabel(label) {
+  return String(label ?? '')
+    .trim()
+    .replace(/:$/, '')
+    .toLowerCase();
+}
+
+function getAttributes(expose) {
+  return (expose?.sections ?? [])
+    .filter((section) => Array.isArray(section?.attributes))
+    .flatMap((section) => section.attributes);
+}
+
+function getImages(expose) {
+  return (expose?.sections ?? [])
+    .filter((section) => section?.type === 'MEDIA' && Array.isArray(section.media))
+    .flatMap((section) => section.media)
+    .filter((media) => media?.type === 'PICTURE')
+    .map((media) => media.fullImageUrl ?? media.previewImageUrl)
+    .filter((url) => typeof url === 'string' && url.length > 0)
+    .map((url) => url.replace('%WIDTH%', IMAGE_SIZE.width).replace('%HEIGHT%', IMAGE_SIZE.height));
+}
+
+/**
+ * Extract the listing details from an expose.
+ *
+ * @param {Object} expose Parsed json response of the expose endpoint.
+ * @returns {import('../../FredyPipelineExecutioner.js').ListingDetails} Details, fields not found are null.
+ */
+export function parseExposeDetails(expose) {
+  const attributes = getAttributes(expose);
+  const details = {};
+  for (const [field, labels] of Object.entries(ATTRIBUTE_LABELS)) {
+    const attribute = attributes.find((a) => labels.includes(normalizeLabel(a?.label)));
+    const text = attribute?.text == null ? null : String(attribute.text).trim();
+    details[field] = NUMERIC_FIELDS.includes(field) ? parseNumber(text) : text || null;
+  }
+  details.images = [...new Set(getImages(expose))];
+  return details;
+}
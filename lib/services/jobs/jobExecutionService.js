@@ -8,24 +8,27 @@ import { bus } from '../events/event-bus.js';
 import * as jobStorage from '../storage/jobStorage.js';
 import * as userStorage from '../storage/userStorage.js';
 import { getUser } from '../storage/userStorage.js';
-import { duringWorkingHoursOrNotSet } from '../../utils.js';
+import { createProviderConfig, duringWorkingHoursOrNotSet } from '../../utils.js';
 import FredyPipelineExecutioner from '../../FredyPipelineExecutioner.js';
 import * as similarityCache from '../similarity-check/similarityCache.js';
 import { isRunning, markFinished, markRunning } from './run-state.js';
+import { recordJobRun, startJobScheduler } from './jobScheduler.js';
 import { sendToUsers } from '../sse/sse-broker.js';
+import { withCustomProviders } from '../customProviders/customProviderService.js';
+import { runQueued } from '../executionQueue/executionQueue.js';
 
 /**
  * Initializes the job execution service.
  * - Registers event-bus listeners for `jobs:runAll`, `jobs:runOne`, and `jobs:status`.
- * - Starts the periodic scheduler (if `intervalMs` > 0) and performs an initial run respecting working hours.
+ * - Starts the per-job scheduler (if `intervalMs` > 0). Jobs without an own schedule run every `intervalMs`.
  * - Forwards job status updates to affected users via Server-Sent Events (SSE).
  *
  * This function is intentionally side-effectful and exposes no external API.
  *
  * @param {Object} deps - Dependencies required to initialize the service.
- * @param {Array<Object>} deps.providers - Loaded provider modules. Each module must expose `metaInformation.id`, `config`, and `init(config, blacklist)`.
+ * @param {Array<Object>} deps.providers - Loaded provider modules. Each module must expose `metaInformation.id`, `config`, and `init(config, blacklist)`. Custom providers defined in the ui are added on every run.
  * @param {Object} deps.settings - Global settings object (read/write). Must include `demoMode`, `interval`, and working-hours attributes used by `duringWorkingHoursOrNotSet`.
- * @param {number} deps.intervalMs - Scheduler interval in milliseconds. If not finite or <= 0, the scheduler is not started.
+ * @param {number} deps.intervalMs - Global interval in milliseconds. If not finite or <= 0, the scheduler is not started.
  * @returns {void}
  */
 export function initJobExecutionService({ providers, settings, intervalMs }) {
@@ -63,12 +66,10 @@ export function initJobExecutionService({ providers, settings, intervalMs }) {
     runSingle(jobId);
   });
 
-  // Start scheduler and initial run
+  // Start the scheduler, jobs that are due run right away (respecting their active window)
   if (Number.isFinite(intervalMs) && intervalMs > 0) {
-    setInterval(() => runAll(true), intervalMs);
+    startJobScheduler({ settings, globalIntervalMs: intervalMs, runJob: executeJob });
   }
-  // start once at startup, respecting working hours
-  runAll(true);
 
   /**
    * Resolve all recipients who should receive SSE updates for a job.
@@ -102,7 +103,6 @@ export function initJobExecutionService({ providers, settings, intervalMs }) {
       logger.debug('Working hours set. Skipping as outside of working hours.');
       return;
     }
-    settings.lastRun = now;
     jobStorage
       .getJobs()
       .filter((job) => job.enabled)
@@ -132,12 +132,14 @@ export function initJobExecutionService({ providers, settings, intervalMs }) {
   /**
    * Executes one job across all of its configured providers.
    * Emits SSE start/finish events via the bus and ensures the run-state guard is always cleared.
-   * Provider errors are surfaced via logging but do not abort other providers.
+   * Provider errors are surfaced via logging but do not abort other providers. Every provider run waits for a
+   * slot of the execution queue (see executionQueue.js).
    *
    * @param {Object} job
    * @param {string} job.id
    * @param {Array<{id:string}>} job.provider
-   * @param {Array<string>} [job.blacklist]
+   * @param {Array<Object>} [job.blacklist]
+   * @param {Object} [job.filterRules]
    * @param {*} job.notificationAdapter
    * @returns {Promise<void>}
    */
@@ -148,6 +150,7 @@ export function initJobExecutionService({ providers, settings, intervalMs }) {
     }
     const acquired = markRunning(job.id);
     if (!acquired) return;
+    recordJobRun(job.id);
     // notify listeners (SSE) that the job started
     try {
       bus.emit('jobs:status', { jobId: job.id, running: true });
@@ -155,20 +158,24 @@ export function initJobExecutionService({ providers, settings, intervalMs }) {
       logger.warn('Failed to emit start status for job', job.id, err);
     }
     try {
+      const availableProviders = withCustomProviders(providers);
       const jobProviders = job.provider.filter(
-        (p) => providers.find((loaded) => loaded.metaInformation.id === p.id) != null,
+        (p) => availableProviders.find((loaded) => loaded.metaInformation.id === p.id) != null,
+      );
+      const executions = jobProviders.map((prov) =>
+        runQueued(async () => {
+          const matchedProvider = availableProviders.find((loaded) => loaded.metaInformation.id === prov.id);
+          // the provider module is shared between jobs, runs of the same provider may overlap
+          await new FredyPipelineExecutioner(
+            createProviderConfig(matchedProvider, prov, job.blacklist),
+            job.notificationAdapter,
+            prov.id,
+            job.id,
+            similarityCache,
+            job.filterRules,
+          ).execute();
+        }),
       );
-      const executions = jobProviders.map(async (prov) => {
-        const matchedProvider = providers.find((loaded) => loaded.metaInformation.id === prov.id);
-        matchedProvider.init(prov, job.blacklist);
-        await new FredyPipelineExecutioner(
-          matchedProvider.config,
-          job.notificationAdapter,
-          prov.id,
-          job.id,
-          similarityCache,
-        ).execute();
-      });
       const results = await Promise.allSettled(executions);
       for (const r of results) {
         if (r.status === 'rejected') {
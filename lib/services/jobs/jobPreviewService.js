@@ -0,0 +1,61 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import logger from '../logger.js';
+import { createProviderConfig, getProviders } from '../../utils.js';
+import FredyPipelineExecutioner from '../../FredyPipelineExecutioner.js';
+import { normalizeFilterRules } from '../listings/filterRules.js';
+import { withCustomProviders } from '../customProviders/customProviderService.js';
+
+/**
+ * @typedef {Object} ProviderPreview
+ * @property {string} providerId
+ * @property {string|null} name Human readable provider name.
+ * @property {Array<Object>} listings Parsed listings, each with `filteredBy` set to the reason it would be dropped.
+ * @property {string|null} error Error message if the provider could not be previewed.
+ */
+
+/**
+ * Preview what a (not yet saved) job would find. Providers are executed one after another
+ * to not hammer the provider websites, each one using a dry-run of the pipeline.
+ *
+ * @param {Object} params
+ * @param {Array<{id:string, url:string}>} params.provider Provider configuration as submitted by the job form.
+ * @param {Array<Object>} [params.blacklist]
+ * @param {Object} [params.filterRules]
+ * @returns {Promise<ProviderPreview[]>}
+ */
+export async function previewJob({ provider, blacklist = [], filterRules = {} }) {
+  const providers = withCustomProviders(await getProviders());
+  const results = [];
+  for (const prov of provider) {
+    const matchedProvider = providers.find((loaded) => loaded.metaInformation.id === prov.id);
+    if (matchedProvider == null) {
+      results.push({ providerId: prov.id, name: null, listings: [], error: 'Unknown provider' });
+      continue;
+    }
+    try {
+      // the provider module is shared with the scheduled runs, which must not pick up the url of the preview
+      const listings = await new FredyPipelineExecutioner(
+        createProviderConfig(matchedProvider, prov, blacklist),
+        null,
+        prov.id,
+        null,
+        null,
+        normalizeFilterRules(filterRules),
+      ).preview();
+      results.push({ providerId: prov.id, name: matchedProvider.metaInformation.name, listings, error: null });
+    } catch (error) {
+      logger.warn(`Preview of provider '${prov.id}' failed`, error);
+      results.push({
+        providerId: prov.id,
+        name: matchedProvider.metaInformation.name,
+        listings: [],
+        error: error?.message ?? String(error),
+      });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,171 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import cron from 'node-cron';
+import logger from '../logger.js';
+import * as jobStorage from '../storage/jobStorage.js';
+import { getLastRunPerJob } from '../storage/jobRunStorage.js';
+import { calculateNextIntervalRun, isWithinActiveWindow, normalizeSchedule } from './schedule.js';
+
+/**
+ * How often interval based jobs are checked for being due.
+ */
+const TICK_MS = 30 * 1000;
+
+/**
+ * In-memory scheduling state per job. Reset on process restart, the last run is then restored from the job runs.
+ * @type {Map<string, {lastRunAt: number|null}>}
+ */
+const jobState = new Map();
+
+/**
+ * Running cron tasks per job id.
+ * @type {Map<string, {expression: string, task: import('node-cron').ScheduledTask}>}
+ */
+const cronTasks = new Map();
+
+let tickTimer = null;
+let schedulerContext = null;
+
+/**
+ * Remember that a job has been executed. Called for scheduled and manual runs.
+ *
+ * @param {string} jobId
+ * @param {number} [at=Date.now()]
+ * @returns {void}
+ */
+export function recordJobRun(jobId, at = Date.now()) {
+  jobState.set(jobId, { ...jobState.get(jobId), lastRunAt: at });
+}
+
+/**
+ * Return the last and the next run of a job.
+ * The next run is null if the job is disabled or the scheduler is not running.
+ *
+ * @param {Object} job
+ * @param {number} [now=Date.now()]
+ * @returns {{lastRun: number|null, nextRun: number|null}}
+ */
+export function getJobScheduleInfo(job, now = Date.now()) {
+  const lastRun = jobState.get(job.id)?.lastRunAt ?? null;
+  if (schedulerContext == null || !job.enabled) {
+    return { lastRun, nextRun: null };
+  }
+  const schedule = normalizeSchedule(job.schedule);
+  if (schedule.type === 'cron') {
+    const nextRun = cronTasks.get(job.id)?.task.getNextRun();
+    return { lastRun, nextRun: nextRun == null ? null : nextRun.getTime() };
+  }
+  const nextRun = calculateNextIntervalRun(schedule, lastRun, schedulerContext.globalIntervalMs, now);
+  return { lastRun, nextRun: Math.max(nextRun, now) };
+}
+
+/**
+ * Start the scheduler. Interval based jobs are checked periodically, cron based jobs get their own cron task.
+ *
+ * @param {Object} params
+ * @param {Object} params.settings Global settings (read only). Must include `demoMode` and the working hours.
+ * @param {number} params.globalIntervalMs Interval of jobs using the global schedule.
+ * @param {(job: Object) => void} params.runJob Executes a job.
+ * @returns {void}
+ */
+export function startJobScheduler({ settings, globalIntervalMs, runJob }) {
+  stopJobScheduler();
+  schedulerContext = { settings, globalIntervalMs, runJob };
+  try {
+    for (const [jobId, lastRunAt] of Object.entries(getLastRunPerJob())) {
+      if (!jobState.has(jobId)) recordJobRun(jobId, lastRunAt);
+    }
+  } catch (error) {
+    logger.warn('Could not restore last job runs.', error);
+  }
+  tickTimer = setInterval(tick, TICK_MS);
+  tick();
+}
+
+/**
+ * Stop the scheduler and all cron tasks.
+ * @returns {void}
+ */
+export function stopJobScheduler() {
+  if (tickTimer != null) clearInterval(tickTimer);
+  tickTimer = null;
+  for (const { task } of cronTasks.values()) {
+    task.destroy();
+  }
+  cronTasks.clear();
+  schedulerContext = null;
+}
+
+/**
+ * Run all interval based jobs that are due and keep the cron tasks in sync with the stored jobs.
+ * @param {number} [now=Date.now()]
+ * @returns {void}
+ */
+export function tick(now = Date.now()) {
+  if (schedulerContext == null) return;
+  const { settings, globalIntervalMs, runJob } = schedulerContext;
+  const jobs = jobStorage.getJobs().filter((job) => job.enabled);
+  syncCronTasks(jobs);
+  if (settings.demoMode) return;
+
+  for (const job of jobs) {
+    const schedule = normalizeSchedule(job.schedule);
+    if (schedule.type === 'cron') continue;
+    const lastRunAt = jobState.get(job.id)?.lastRunAt ?? null;
+    if (calculateNextIntervalRun(schedule, lastRunAt, globalIntervalMs, now) > now) continue;
+    if (!isWithinActiveWindow(schedule, settings, now)) {
+      logger.debug(`Job ${job.id} is outside of its active window. Skipping.`);
+      continue;
+    }
+    runJob(job);
+  }
+}
+
+/**
+ * Create, replace or destroy cron tasks so that every enabled cron job has exactly one task.
+ *
+ * @param {Array<Object>} jobs Enabled jobs.
+ * @returns {void}
+ */
+function syncCronTasks(jobs) {
+  const wanted = new Map();
+  for (const job of jobs) {
+    const schedule = normalizeSchedule(job.schedule);
+    if (schedule.type === 'cron') wanted.set(job.id, schedule.cron);
+  }
+
+  for (const [jobId, { expression, task }] of cronTasks) {
+    if (wanted.get(jobId) !== expression) {
+      task.destroy();
+      cronTasks.delete(jobId);
+    }
+  }
+
+  for (const [jobId, expression] of wanted) {
+    if (cronTasks.has(jobId)) continue;
+    const task = cron.schedule(expression, () => runCronJob(jobId), { name: `fredy-job-${jobId}` });
+    cronTasks.set(jobId, { expression, task });
+  }
+}
+
+/**
+ * Executed by the cron task of a job. The job is re-read, as it might have been changed since the task was created.
+ *
+ * @param {string} jobId
+ * @returns {void}
+ */
+function runCronJob(jobId) {
+  if (schedulerContext == null) return;
+  const { settings, runJob } = schedulerContext;
+  if (settings.demoMode) return;
+  const job = jobStorage.getJob(jobId);
+  if (job == null || !job.enabled) return;
+  if (!isWithinActiveWindow(normalizeSchedule(job.schedule), settings, Date.now())) {
+    logger.debug(`Job ${job.id} is outside of its active window. Skipping.`);
+    return;
+  }
+  runJob(job);
+}
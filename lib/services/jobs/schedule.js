@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import cron from 'node-cron';
+import { duringWorkingHoursOrNotSet } from '../../utils.js';
+
+/**
+ * Per-job schedule.
+ * - `global`: the job runs in the global interval and respects the global working hours.
+ * - `interval`: the job runs every `interval` minutes.
+ * - `cron`: the job runs whenever the cron expression matches.
+ * An active window overrides the global working hours for this job.
+ *
+ * @typedef {Object} JobSchedule
+ * @property {('global'|'interval'|'cron')} type
+ * @property {number|null} interval Interval in minutes (only for type `interval`).
+ * @property {string|null} cron Cron expression (only for type `cron`).
+ * @property {{from: string, to: string}|null} activeWindow Time window (HH:mm) in which the job may run.
+ */
+
+export const SCHEDULE_TYPES = ['global', 'interval', 'cron'];
+export const MIN_INTERVAL_MINUTES = 1;
+
+const RE_TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Sanitize a schedule coming from the api. Invalid or incomplete schedules fall back to the global schedule.
+ *
+ * @param {Object|null|undefined} schedule
+ * @returns {JobSchedule}
+ */
+export function normalizeSchedule(schedule) {
+  const from = schedule?.activeWindow?.from;
+  const to = schedule?.activeWindow?.to;
+  const activeWindow = RE_TIME.test(from ?? '') && RE_TIME.test(to ?? '') ? { from, to } : null;
+  const result = { type: 'global', interval: null, cron: null, activeWindow };
+
+  if (schedule?.type === 'interval') {
+    const interval = Number(schedule.interval);
+    if (Number.isFinite(interval) && interval >= MIN_INTERVAL_MINUTES) {
+      result.type = 'interval';
+      result.interval = Math.floor(interval);
+    }
+  } else if (schedule?.type === 'cron') {
+    const expression = typeof schedule.cron === 'string' ? schedule.cron.trim() : '';
+    if (expression.length > 0 && cron.validate(expression)) {
+      result.type = 'cron';
+      result.cron = expression;
+    }
+  }
+  return result;
+}
+
+/**
+ * Check whether a job may run at the given time. The active window of the job wins over the global working hours.
+ *
+ * @param {JobSchedule} schedule
+ * @param {Object} settings Global settings (`workingHours`).
+ * @param {number} now
+ * @returns {boolean}
+ */
+export function isWithinActiveWindow(schedule, settings, now) {
+  if (schedule.activeWindow != null) {
+    return duringWorkingHoursOrNotSet({ workingHours: schedule.activeWindow }, now);
+  }
+  return duringWorkingHoursOrNotSet(settings, now);
+}
+
+/**
+ * Return the interval of an interval based schedule in milliseconds.
+ *
+ * @param {JobSchedule} schedule
+ * @param {number} globalIntervalMs
+ * @returns {number}
+ */
+function getIntervalMs(schedule, globalIntervalMs) {
+  return schedule.type === 'interval' ? schedule.interval * 60 * 1000 : globalIntervalMs;
+}
+
+/**
+ * Calculate the next run of an interval based schedule. Jobs that never ran are due immediately.
+ *
+ * @param {JobSchedule} schedule
+ * @param {number|null} lastRunAt
+ * @param {number} globalIntervalMs
+ * @param {number} now
+ * @returns {number}
+ */
+export function calculateNextIntervalRun(schedule, lastRunAt, globalIntervalMs, now) {
+  if (lastRunAt == null) return now;
+  return lastRunAt + getIntervalMs(schedule, globalIntervalMs);
+}
@@ -0,0 +1,176 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Blacklist of a job, shared by all providers.
+ *
+ * An entry either excludes listings (classic blacklist) or is required (must contain). A listing is dropped
+ * if one exclude entry matches, or if required entries exist and none of them matches.
+ * Plain strings are the legacy format and behave like a case-insensitive substring match on title and description.
+ *
+ * @typedef {Object} BlacklistEntry
+ * @property {string} value The word, phrase or regular expression.
+ * @property {('contains'|'word'|'regex')} match How the value is matched. All matches are case-insensitive.
+ * @property {('exclude'|'require')} mode Whether a match drops the listing or is required to keep it.
+ * @property {Array<('title'|'description'|'address')>} fields The listing fields the entry is matched against.
+ */
+
+export const BLACKLIST_FIELDS = ['title', 'description', 'address'];
+export const BLACKLIST_MATCH_TYPES = ['contains', 'word', 'regex'];
+export const BLACKLIST_MODES = ['exclude', 'require'];
+
+const DEFAULT_FIELDS = ['title', 'description'];
+/** Regular expressions of users run against every listing, long patterns are not needed to match a listing. */
+export const MAX_REGEX_LENGTH = 100;
+
+/**
+ * Compiled matchers per blacklist array, so that regular expressions are only built once per provider run.
+ * @type {WeakMap<Array, {exclude: Array<Function>, require: Array<Function>}>}
+ */
+const compiledCache = new WeakMap();
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if a quantified group contains a quantifier itself, e.g. `(a+)+`. Such patterns may backtrack
+ * exponentially and block the process on long descriptions.
+ *
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+  // whether the open groups contain a quantifier, the first element is the pattern itself
+  const groups = [false];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      // skip the escaped char, respectively the whole unicode property escape, e.g. \p{L}
+      i = /[pP]/.test(pattern[i + 1]) && pattern[i + 2] === '{' ? pattern.indexOf('}', i) : i + 1;
+      if (i === -1) return false;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')' && groups.length > 1) {
+      const quantified = groups.pop();
+      if (quantified && ['*', '+', '{'].includes(pattern[i + 1])) return true;
+      groups[groups.length - 1] ||= quantified;
+    } else if (['*', '+', '{'].includes(char)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build the regular expression of an entry. Throws if the entry is a regex and it is invalid, too long or may
+ * backtrack catastrophically.
+ *
+ * @param {BlacklistEntry} entry
+ * @returns {RegExp}
+ */
+function buildRegExp(entry) {
+  if (entry.match === 'regex') {
+    if (entry.value.length > MAX_REGEX_LENGTH) {
+      throw new Error(`Regular expressions must not be longer than ${MAX_REGEX_LENGTH} characters.`);
+    }
+    if (hasNestedQuantifier(entry.value)) {
+      throw new Error('Regular expressions must not repeat a group which contains a repetition itself.');
+    }
+    return new RegExp(entry.value, 'iu');
+  }
+  const escaped = escapeRegExp(entry.value);
+  if (entry.match === 'word') {
+    // \b does not know about umlauts, so letters and digits are checked explicitly
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+  }
+  return new RegExp(escaped, 'iu');
+}
+
+/**
+ * Sanitize a single entry. Strings are converted into a substring entry on title and description.
+ *
+ * @param {string|Object} entry
+ * @returns {BlacklistEntry|null} The entry or null if it is empty or its value is not a valid regular expression
+ * (see buildRegExp).
+ */
+export function normalizeBlacklistEntry(entry) {
+  const raw = typeof entry === 'string' ? { value: entry } : entry;
+  const value = typeof raw?.value === 'string' ? raw.value.trim() : '';
+  if (value.length === 0) return null;
+
+  const fields = Array.isArray(raw.fields) ? BLACKLIST_FIELDS.filter((field) => raw.fields.includes(field)) : [];
+  const normalized = {
+    value,
+    match: BLACKLIST_MATCH_TYPES.includes(raw.match) ? raw.match : 'contains',
+    mode: BLACKLIST_MODES.includes(raw.mode) ? raw.mode : 'exclude',
+    fields: fields.length > 0 ? fields : DEFAULT_FIELDS,
+  };
+  try {
+    buildRegExp(normalized);
+  } catch {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Sanitize the blacklist of a job, dropping invalid entries.
+ *
+ * @param {Array<string|Object>|null|undefined} blacklist
+ * @returns {BlacklistEntry[]}
+ */
+export function normalizeBlacklist(blacklist) {
+  if (!Array.isArray(blacklist)) return [];
+  return blacklist.map(normalizeBlacklistEntry).filter((entry) => entry != null);
+}
+
+/**
+ * Return the values of all entries that cannot be used (e.g. invalid regular expressions).
+ *
+ * @param {Array<string|Object>|null|undefined} blacklist
+ * @returns {string[]}
+ */
+export function getInvalidBlacklistEntries(blacklist) {
+  if (!Array.isArray(blacklist)) return [];
+  return blacklist
+    .filter((entry) => normalizeBlacklistEntry(entry) == null)
+    .map((entry) => (typeof entry === 'string' ? entry : String(entry?.value ?? '')))
+    .filter((value) => value.trim().length > 0);
+}
+
+function compile(blacklist) {
+  let compiled = compiledCache.get(blacklist);
+  if (compiled == null) {
+    compiled = { exclude: [], require: [] };
+    for (const entry of normalizeBlacklist(blacklist)) {
+      const regExp = buildRegExp(entry);
+      compiled[entry.mode].push((listing) =>
+        entry.fields.some((field) => listing[field] != null && regExp.test(String(listing[field]))),
+      );
+    }
+    compiledCache.set(blacklist, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Check whether a listing is filtered out by the blacklist of a job.
+ *
+ * @param {{title?: string, description?: string, address?: string}} listing
+ * @param {Array<string|BlacklistEntry>|null|undefined} blacklist
+ * @returns {boolean} true if the listing must be dropped
+ */
+export function isBlacklisted(listing, blacklist) {
+  if (!Array.isArray(blacklist) || blacklist.length === 0) return false;
+  const { exclude, require } = compile(blacklist);
+  if (exclude.some((matches) => matches(listing))) return true;
+  return require.length > 0 && !require.some((matches) => matches(listing));
+}
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Numeric filter rules of a job.
+ *
+ * Rules are stored next to the blacklist of a job and are evaluated against the parsed
+ * listing values (price, size, rooms). Every rule is optional, an unset rule never filters.
+ * If a listing does not expose the value a rule needs (e.g. most providers do not deliver rooms),
+ * the listing is kept, as we cannot prove it violates the rule.
+ *
+ * @typedef {Object} FilterRules
+ * @property {number|null} [minPrice]
+ * @property {number|null} [maxPrice]
+ * @property {number|null} [minSize] Living space in m²
+ * @property {number|null} [maxSize] Living space in m²
+ * @property {number|null} [minRooms]
+ * @property {number|null} [maxRooms]
+ * @property {number|null} [maxPricePerSqm] Max price per m²
+ */
+
+export const FILTER_RULE_KEYS = [
+  'minPrice',
+  'maxPrice',
+  'minSize',
+  'maxSize',
+  'minRooms',
+  'maxRooms',
+  'maxPricePerSqm',
+];
+
+const RE_NUMBER = /\d[\d.,]*/;
+const RE_THOUSANDS_DOT = /^\d{1,3}(\.\d{3})+$/;
+
+/**
+ * Parse a number out of a listing value like "1.234,56 €", "70 m²" or "3,5 Zi.".
+ * German notation is assumed: dots are thousands separators, the comma is the decimal separator.
+ * A single dot followed by anything else than groups of 3 digits is treated as decimal point ("70.5 m²").
+ *
+ * @param {string|number|null|undefined} value
+ * @returns {number|null} Parsed number or null if nothing could be parsed.
+ */
+export function parseNumber(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value).match(RE_NUMBER);
+  if (match == null) return null;
+  let token = match[0].replace(/[.,]+$/, '');
+  if (token.includes(',')) {
+    token = token.replace(/\./g, '').replace(',', '.');
+  } else if (RE_THOUSANDS_DOT.test(token)) {
+    token = token.replace(/\./g, '');
+  }
+  const num = parseFloat(token);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Sanitize filter rules coming from the api. Unknown keys are dropped, values that are not
+ * a non-negative number are set to null.
+ *
+ * @param {Object|null|undefined} rules
+ * @returns {FilterRules}
+ */
+export function normalizeFilterRules(rules) {
+  const result = {};
+  for (const key of FILTER_RULE_KEYS) {
+    const raw = rules?.[key];
+    const num = raw == null || raw === '' ? null : Number(raw);
+    result[key] = num != null && Number.isFinite(num) && num >= 0 ? num : null;
+  }
+  return result;
+}
+
+/**
+ * Returns true if at least one rule is set.
+ * @param {FilterRules|null|undefined} rules
+ * @returns {boolean}
+ */
+export function hasFilterRules(rules) {
+  return rules != null && FILTER_RULE_KEYS.some((key) => rules[key] != null);
+}
+
+/**
+ * Check whether a listing matches all configured filter rules.
+ *
+ * @param {Object} listing Listing with the canonical values (see listingSchema.js) or the price, size and rooms texts.
+ * @param {FilterRules|null|undefined} rules
+ * @returns {boolean} true if the listing should be kept
+ */
+export function matchesFilterRules(listing, rules) {
+  if (!hasFilterRules(rules)) return true;
+
+  // prefer the canonical values, see listingSchema.js
+  const price = listing.priceAmount !== undefined ? listing.priceAmount : parseNumber(listing.price);
+  const size = listing.sizeSqm !== undefined ? listing.sizeSqm : parseNumber(listing.size);
+  const rooms = parseNumber(listing.rooms);
+
+  const inRange = (value, min, max) => {
+    if (value == null) return true;
+    if (min != null && value < min) return false;
+    return !(max != null && value > max);
+  };
+
+  if (!inRange(price, rules.minPrice, rules.maxPrice)) return false;
+  if (!inRange(size, rules.minSize, rules.maxSize)) return false;
+  if (!inRange(rooms, rules.minRooms, rules.maxRooms)) return false;
+
+  if (rules.maxPricePerSqm != null && price != null && size != null && size > 0) {
+    return price / size <= rules.maxPricePerSqm;
+  }
+  return true;
+}
@@ -5,12 +5,15 @@
 
 import { deactivateListings, getActiveOrUnknownListings } from '../storage/listingsStorage.js';
 import { getProviders } from '../../utils.js';
+import { withCustomProviders } from '../customProviders/customProviderService.js';
 import logger from '../../services/logger.js';
+import { withProvider } from '../proxy/proxyPool.js';
 
 /**
  * Runs the active-listing checker:
  * 1) Loads all listings with unknown or active status.
- * 2) Resolves each listing's provider and calls its `activeTester(link)`.
+ * 2) Resolves each listing's provider and calls its `activeTester(link)` in the context of the provider, so that
+ *    the proxies of the provider are used.
  * 3) Collects listings that are no longer active and deactivates them in one batch.
  *
  * Concurrency: network-bound checks are executed with a configurable concurrency limit.
@@ -28,7 +31,7 @@ export default async function runActiveChecker(opts = {}) {
     return;
   }
 
-  const providers = await getProviders();
+  const providers = withCustomProviders(await getProviders());
   if (!Array.isArray(providers) || providers.length === 0) {
     logger.warn('No providers available. Skipping active checks.');
     return;
@@ -90,7 +93,7 @@ export default async function runActiveChecker(opts = {}) {
     // Contract: activeTester(link) returns 1 if active, 0 if inactive
     let result;
     try {
-      result = await tester(link);
+      result = await withProvider(listingProviderId, () => tester(link), { reportBotDetections: false });
     } catch {
       result = -1;
     }
@@ -3,8 +3,9 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import fetch from 'node-fetch';
+import { proxyFetch } from '../proxy/proxyPool.js';
 import { randomBetween, sleep } from '../../utils.js';
+import { getActiveCooldown } from '../botCooldown/botCooldownService.js';
 
 const maxAttempts = 3;
 
@@ -25,16 +26,18 @@ const userAgents = [
  * - HTTP 401/403 => return -1 (most certainly detected as a bot)
  * - HTTP 404 => return 0
  * - Other statuses or network errors => retry until attempts are exhausted
+ * - The site is cooling down after a bot detection (see botCooldownService.js) => return -1 without a request
  *
  * @returns {Promise<Integer>} 1 if active, 0 if not active and -1 if detected as bot
  */
 export default async function checkIfListingIsActive(link, checkForText = null) {
+  if (getActiveCooldown(link) != null) return -1;
   await sleep(randomBetween(50, 100));
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
       const userAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
-      const res = await fetch(link, {
+      const res = await proxyFetch(link, {
         redirect: 'manual',
         headers: {
           'User-Agent': userAgent,
@@ -0,0 +1,295 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Canonical listing schema
+ *
+ * Providers return loosely shaped listings: the price is "1.234,50 € kalt", the size "3 Zimmer · 70 m²", the
+ * address one free text. Right after a provider normalized its listings, they are converted into the canonical
+ * schema below, so that the rest of the pipeline (filter rules, storage, similarity check, stages) works on typed
+ * values instead of guessing numbers from strings over and over again.
+ *
+ * The texts as shown by the provider (price, size, address) are kept for the notifications. Values which do not
+ * fit the schema are reported as violations, a provider producing them is most likely parsing the wrong element.
+ * @module listingSchema
+ */
+import { parseNumber } from './filterRules.js';
+
+/**
+ * @typedef {Object} AddressParts
+ * @property {string|null} street
+ * @property {string|null} houseNumber
+ * @property {string|null} postalCode
+ * @property {string|null} city
+ * @property {string|null} district
+ */
+
+/**
+ * A listing in the canonical schema.
+ *
+ * @typedef {Object} Listing
+ * @property {string} id Stable unique identifier (hash) of the listing.
+ * @property {string|null} nativeId Id of the listing at the provider, before the provider normalized it.
+ * @property {string} title Title or headline of the listing.
+ * @property {string} link Absolute url of the listing detail page.
+ * @property {string|null} [description]
+ * @property {string|null} [price] Price as shown by the provider, e.g. "1.234 €".
+ * @property {number|null} priceAmount
+ * @property {string|null} currency ISO 4217 code, e.g. "EUR".
+ * @property {string|null} [size] Size as shown by the provider, e.g. "70 m²".
+ * @property {number|null} sizeSqm Living space in m².
+ * @property {number|null} rooms
+ * @property {string|null} [address] Address as shown by the provider.
+ * @property {AddressParts} addressParts
+ * @property {string|null} [image] Url of the preview image.
+ * @property {string[]} images Urls of all known images.
+ */
+
+/**
+ * A value of a listing which does not fit the schema.
+ *
+ * @typedef {Object} SchemaViolation
+ * @property {string} field
+ * @property {*} value
+ * @property {string} message
+ */
+
+/** Providers only list properties in Germany, so prices without currency are in euro. */
+export const DEFAULT_CURRENCY = 'EUR';
+
+const CURRENCIES = [
+  ['EUR', /€|\bEUR\b/i],
+  ['CHF', /\bCHF\b/i],
+  ['GBP', /£|\bGBP\b/i],
+  ['USD', /\$|\bUSD\b/i],
+];
+const RE_CURRENCY = '(?:€|EUR|CHF|£|GBP|\\$|USD)';
+const RE_AMOUNT = '(\\d[\\d.,]*)';
+const RE_PRICE_BEFORE_CURRENCY = new RegExp(`${RE_AMOUNT}\\s*${RE_CURRENCY}`, 'i');
+const RE_PRICE_AFTER_CURRENCY = new RegExp(`${RE_CURRENCY}\\s*${RE_AMOUNT}`, 'i');
+const RE_PRICE_ON_REQUEST = /anfrage|request/i;
+const RE_SIZE = /(\d[\d.,]*)\s*(?:m²|m2|m\^2|qm|sqm)/i;
+const RE_ROOMS = /(\d+(?:[.,]5)?)\s*-?\s*(?:zi\b|zi\.|zimmer|räume|raum|rooms?)/i;
+const RE_NUMBERS = /\d[\d.,]*/g;
+const RE_POSTAL_CODE = /\b(\d{5})\b\s*(.*)$/;
+const RE_STREET = /^(.*?[^\d\s])\s+(\d{1,4}\s?[a-zA-Z]?(?:\s?[-/]\s?\d{1,4}\s?[a-zA-Z]?)?)$/;
+
+/** Plausible ranges, values outside of them are parsing errors. */
+const RANGES = {
+  priceAmount: [1, 100_000_000],
+  sizeSqm: [1, 100_000],
+  rooms: [0.5, 100],
+};
+
+const isBlank = (value) => value == null || (typeof value === 'string' && value.trim() === '');
+const text = (value) => (isBlank(value) ? null : String(value).trim());
+
+/**
+ * Parse a price like "1.234,50 € kalt", "1 200 €" or "CHF 1'200".
+ *
+ * @param {string|number|null|undefined} value
+ * @returns {{amount: number|null, currency: string|null}}
+ */
+export function parsePrice(value) {
+  if (isBlank(value)) return { amount: null, currency: null };
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { amount: value, currency: DEFAULT_CURRENCY } : { amount: null, currency: null };
+  }
+  // apostrophes and spaces are used as thousands separators as well
+  const str = String(value).replace(/(\d)['’\s](?=\d{3}\b)/g, '$1');
+  const match = str.match(RE_PRICE_BEFORE_CURRENCY) ?? str.match(RE_PRICE_AFTER_CURRENCY);
+  const amount = parseNumber(match?.[1] ?? str);
+  if (amount == null) return { amount: null, currency: null };
+  const currency = CURRENCIES.find(([, re]) => re.test(str))?.[0] ?? DEFAULT_CURRENCY;
+  return { amount, currency };
+}
+
+/**
+ * Parse the living space out of a text like "70,5 m²" or "3 Zimmer · 70 m² · 2. OG". Without a unit, the text
+ * must contain a single number, otherwise we cannot tell which one is the size.
+ *
+ * @param {string|number|null|undefined} value
+ * @returns {number|null}
+ */
+export function parseSize(value) {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value).match(RE_SIZE);
+  if (match != null) return parseNumber(match[1]);
+  const numbers = String(value).match(RE_NUMBERS) ?? [];
+  return numbers.length === 1 ? parseNumber(numbers[0]) : null;
+}
+
+/**
+ * Parse the number of rooms out of a text like "3,5 Zi." or "3 Zimmer · 70 m²".
+ *
+ * @param {string|number|null|undefined} value
+ * @returns {number|null}
+ */
+export function parseRooms(value) {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value).match(RE_ROOMS);
+  if (match != null) return parseNumber(match[1]);
+  const numbers = String(value).match(RE_NUMBERS) ?? [];
+  return numbers.length === 1 && !RE_SIZE.test(value) ? parseNumber(numbers[0]) : null;
+}
+
+/**
+ * Numeric values of a listing, taken from the canonical fields if the listing has been converted already and
+ * parsed from the provider texts otherwise (e.g. for listings created by stages).
+ *
+ * @param {Object} listing
+ * @returns {{price: number|null, size: number|null, rooms: number|null}}
+ */
+export function getNumericValues(listing) {
+  return {
+    price: 'priceAmount' in listing ? listing.priceAmount : parsePrice(listing.price).amount,
+    size: 'sizeSqm' in listing ? listing.sizeSqm : parseSize(listing.size),
+    rooms: parseRooms(listing.rooms),
+  };
+}
+
+/**
+ * Split a free text address like "Musterstraße 12, 10437 Berlin (Prenzlauer Berg)" into its parts. Parts which
+ * cannot be identified are null.
+ *
+ * @param {string|null|undefined} value
+ * @returns {AddressParts}
+ */
+export function parseAddress(value) {
+  const parts = { street: null, houseNumber: null, postalCode: null, city: null, district: null };
+  if (isBlank(value)) return parts;
+  const str = String(value);
+  const district = str.match(/\(([^)]*)\)/)?.[1]?.trim();
+  const segments = str
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/,|\s[·|]\s/)
+    .map((segment) => segment.replace(/\s+/g, ' ').trim())
+    .filter((segment) => segment.length > 0);
+
+  const rest = [];
+  for (const segment of segments) {
+    const postalCode = segment.match(RE_POSTAL_CODE);
+    const street = segment.match(RE_STREET);
+    if (parts.postalCode == null && postalCode != null) {
+      parts.postalCode = postalCode[1];
+      parts.city = text(postalCode[2]);
+    } else if (parts.street == null && street != null) {
+      parts.street = street[1];
+      parts.houseNumber = street[2].replace(/\s/g, '');
+    } else {
+      rest.push(segment);
+    }
+  }
+  // e.g. "Berlin, Neukölln": without a postal code, the first unknown part is most likely the city
+  if (parts.city == null) parts.city = rest.shift() ?? null;
+  parts.district = district || rest.shift() || null;
+  return parts;
+}
+
+function isAbsoluteUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function inRange(field, value) {
+  const [min, max] = RANGES[field];
+  return value >= min && value <= max;
+}
+
+/**
+ * Convert a normalized listing of a provider into the canonical schema and validate it. Unknown fields are kept
+ * as they are. Values which cannot be converted are set to null and reported as violation, the listing itself
+ * is kept, as it might still be worth a notification.
+ *
+ * @param {Object} listing Listing as returned by the normalize function of the provider.
+ * @param {string|number|null} [nativeId] Id of the listing at the provider.
+ * @returns {{listing: Listing, violations: SchemaViolation[]}}
+ */
+export function toCanonicalListing(listing, nativeId = null) {
+  const violations = [];
+  const violation = (field, value, message) => violations.push({ field, value, message });
+
+  for (const field of ['id', 'title']) {
+    if (isBlank(listing[field]) || !['string', 'number'].includes(typeof listing[field])) {
+      violation(field, listing[field], `${field} is missing`);
+    }
+  }
+  if (isBlank(listing.link)) {
+    violation('link', listing.link, 'link is missing');
+  } else if (!isAbsoluteUrl(listing.link)) {
+    violation('link', listing.link, 'link is not an absolute url');
+  }
+
+  let { amount: priceAmount, currency } = parsePrice(listing.price);
+  if (priceAmount == null && !isBlank(listing.price) && !RE_PRICE_ON_REQUEST.test(String(listing.price).trim())) {
+    violation('price', listing.price, 'price does not contain an amount');
+  } else if (priceAmount != null && !inRange('priceAmount', priceAmount)) {
+    violation('price', listing.price, `price ${priceAmount} is out of range`);
+    priceAmount = null;
+    currency = null;
+  }
+
+  let sizeSqm = parseSize(listing.size);
+  if (sizeSqm == null && !isBlank(listing.size)) {
+    violation('size', listing.size, 'size does not contain a living space in m²');
+  } else if (sizeSqm != null && !inRange('sizeSqm', sizeSqm)) {
+    violation('size', listing.size, `size ${sizeSqm} is out of range`);
+    sizeSqm = null;
+  }
+
+  // many providers only show the rooms next to the size
+  const roomsValue = isBlank(listing.rooms) && RE_ROOMS.test(String(listing.size ?? '')) ? listing.size : listing.rooms;
+  let rooms = parseRooms(roomsValue);
+  if (rooms == null && !isBlank(roomsValue)) {
+    violation('rooms', roomsValue, 'rooms is not a number');
+  } else if (rooms != null && !inRange('rooms', rooms)) {
+    violation('rooms', roomsValue, `rooms ${rooms} is out of range`);
+    rooms = null;
+  }
+
+  if (!isBlank(listing.image) && !isAbsoluteUrl(listing.image)) {
+    violation('image', listing.image, 'image is not an absolute url');
+  }
+  if (listing.images != null && !Array.isArray(listing.images)) {
+    violation('images', listing.images, 'images is not a list');
+  }
+  const images = (Array.isArray(listing.images) ? listing.images : []).filter((url) => isAbsoluteUrl(url));
+  if (images.length === 0 && isAbsoluteUrl(listing.image)) images.push(listing.image);
+
+  return {
+    listing: {
+      ...listing,
+      nativeId: isBlank(nativeId) ? null : String(nativeId),
+      priceAmount,
+      currency,
+      sizeSqm,
+      rooms,
+      addressParts: parseAddress(listing.address),
+      images,
+    },
+    violations,
+  };
+}
+
+/**
+ * Count the violations of a batch of listings per field, e.g. `{price: 3, link: 1}`.
+ *
+ * @param {SchemaViolation[][]} violationsPerListing
+ * @returns {Object.<string, number>}
+ */
+export function countViolations(violationsPerListing) {
+  const counts = {};
+  for (const violations of violationsPerListing) {
+    for (const field of new Set(violations.map((v) => v.field))) {
+      counts[field] = (counts[field] ?? 0) + 1;
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,176 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Digest notifications
+ *
+ * Jobs finding dozens of listings a day flood chats with one message per listing. Each notification adapter of a
+ * job may therefore be switched from instant delivery to a digest (`delivery` of its notification adapter entry):
+ * new listings are queued in a persisted outbox and sent as a single message every hour or once a day at a given
+ * time, summarizing all listings queued since the last digest.
+ *
+ * Price changes of watched listings are always sent instantly.
+ * @module digestService
+ */
+import * as notify from '../../notification/notify.js';
+import { getJob } from '../storage/jobStorage.js';
+import {
+  enqueueListings,
+  getOutboxEntries,
+  getOutboxGroups,
+  removeOutboxEntries,
+} from '../storage/notificationOutboxStorage.js';
+import logger from '../logger.js';
+
+export const DIGEST_SCHEDULES = ['hourly', 'daily'];
+export const DEFAULT_DIGEST_TIME = '08:00';
+/** Queued listings of a digest which keeps failing are dropped after a week. */
+export const MAX_OUTBOX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Delivery of a notification adapter, `delivery` of its entry in the job.
+ *
+ * @typedef {Object} Delivery
+ * @property {('instant'|'digest')} mode
+ * @property {('hourly'|'daily')} [schedule] Digests only.
+ * @property {string} [time] Local time of daily digests, e.g. "08:00".
+ */
+
+let delivering = false;
+
+/**
+ * @param {Object} notificationAdapter The notification adapter of a job.
+ * @returns {Delivery}
+ */
+export function getDelivery(notificationAdapter) {
+  const delivery = notificationAdapter?.delivery;
+  if (delivery?.mode !== 'digest') {
+    return { mode: 'instant' };
+  }
+  return {
+    mode: 'digest',
+    schedule: delivery.schedule === 'hourly' ? 'hourly' : 'daily',
+    time: TIME.test(delivery.time ?? '') ? delivery.time : DEFAULT_DIGEST_TIME,
+  };
+}
+
+/**
+ * @param {Delivery|null|undefined} delivery
+ * @returns {string|null} The error, null if the delivery is valid.
+ */
+export function validateDelivery(delivery) {
+  if (delivery == null || delivery.mode === 'instant') {
+    return null;
+  }
+  if (delivery.mode !== 'digest') {
+    return `Unknown delivery mode '${delivery.mode}'.`;
+  }
+  if (!DIGEST_SCHEDULES.includes(delivery.schedule)) {
+    return `The digest schedule must be one of ${DIGEST_SCHEDULES.join(', ')}.`;
+  }
+  if (delivery.schedule === 'daily' && !TIME.test(delivery.time ?? '')) {
+    return 'The time of a daily digest must be given as HH:MM.';
+  }
+  return null;
+}
+
+/**
+ * First time a digest is due after a listing has been queued: the next full hour, respectively the next
+ * occurrence of the time of a daily digest.
+ *
+ * @param {Delivery} delivery
+ * @param {number} since
+ * @returns {number}
+ */
+export function getNextDigestAt(delivery, since) {
+  const next = new Date(since);
+  if (delivery.schedule === 'hourly') {
+    next.setHours(next.getHours() + 1, 0, 0, 0);
+    return next.getTime();
+  }
+  const [hours, minutes] = (delivery.time ?? DEFAULT_DIGEST_TIME).split(':').map(Number);
+  next.setHours(hours, minutes, 0, 0);
+  if (next.getTime() <= since) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Split the notification adapters of a job into those sending instantly and those sending digests.
+ *
+ * @param {Array<Object>} notificationConfig
+ * @returns {{instant: Array<Object>, digest: Array<Object>}}
+ */
+export function splitByDelivery(notificationConfig) {
+  const instant = [];
+  const digest = [];
+  for (const adapter of notificationConfig ?? []) {
+    (getDelivery(adapter).mode === 'digest' ? digest : instant).push(adapter);
+  }
+  return { instant, digest };
+}
+
+/**
+ * Queue new listings for the next digest of adapters.
+ *
+ * @param {string} jobKey
+ * @param {string} providerId
+ * @param {Object[]} listings
+ * @param {Array<Object>} digestAdapters Notification adapters of the job sending digests.
+ * @returns {void}
+ */
+export function queueForDigest(jobKey, providerId, listings, digestAdapters) {
+  for (const adapter of digestAdapters) {
+    enqueueListings(jobKey, adapter.id, providerId, listings);
+  }
+}
+
+/**
+ * Send all digests which are due. Listings of adapters which have been switched back to instant delivery are sent
+ * right away, those of adapters which have been removed from their job are dropped.
+ *
+ * @param {number} [now]
+ * @returns {Promise<number>} Number of digests sent.
+ */
+export async function deliverDueDigests(now = Date.now()) {
+  if (delivering) {
+    return 0;
+  }
+  delivering = true;
+  let sent = 0;
+  try {
+    for (const group of getOutboxGroups()) {
+      const job = getJob(group.jobId);
+      const adapter = job?.notificationAdapter?.find((a) => a.id === group.adapterId);
+      const delivery = getDelivery(adapter);
+      if (adapter != null && delivery.mode === 'digest' && getNextDigestAt(delivery, group.oldestCreatedAt) > now) {
+        continue;
+      }
+      const entries = getOutboxEntries(group.jobId, group.adapterId);
+      if (adapter == null) {
+        removeOutboxEntries(entries.map((entry) => entry.id));
+        continue;
+      }
+      try {
+        await notify.sendDigest(adapter, entries, group.jobId);
+        removeOutboxEntries(entries.map((entry) => entry.id));
+        sent++;
+        logger.debug(`Sent a digest of ${entries.length} listings to ${group.adapterId} (Job: '${job.name}')`);
+      } catch (e) {
+        logger.error(`Could not send the digest to ${group.adapterId} (Job: '${job.name}'), retrying later.`, e);
+        const outdated = entries.filter((entry) => entry.createdAt < now - MAX_OUTBOX_AGE_MS);
+        if (outdated.length > 0) {
+          logger.warn(`Dropping ${outdated.length} listings which could not be sent to ${group.adapterId} for a week.`);
+          removeOutboxEntries(outdated.map((entry) => entry.id));
+        }
+      }
+    }
+  } finally {
+    delivering = false;
+  }
+  return sent;
+}
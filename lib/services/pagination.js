@@ -0,0 +1,49 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import queryString from 'query-string';
+
+/**
+ * Upper bound for the number of result pages a job may fetch per provider and run.
+ * More pages mean more requests against the provider, which quickly leads to bot detection.
+ */
+export const MAX_PAGES_LIMIT = 10;
+
+/**
+ * Pagination capability of a provider. A provider either declares a query parameter holding the page number
+ * (e.g. `pagenumber` for the ImmoScout mobile API) or a selector pointing to the link of the next page
+ * (only for crawlContainer based providers, using the same `selector@attribute` syntax as crawlFields).
+ *
+ * @typedef {Object} PaginationConfig
+ * @property {string} [pageParam] Query parameter holding the page number.
+ * @property {number} [firstPage=1] Number of the first page (some providers start counting at 0).
+ * @property {string} [nextPageSelector] Selector of the next page link, e.g. `.pagination-next@href`.
+ */
+
+/**
+ * Sanitize the max pages setting of a job.
+ *
+ * @param {any} maxPages
+ * @returns {number} A number between 1 and MAX_PAGES_LIMIT.
+ */
+export function normalizeMaxPages(maxPages) {
+  const num = Math.floor(Number(maxPages));
+  if (!Number.isFinite(num) || num < 1) return 1;
+  return Math.min(num, MAX_PAGES_LIMIT);
+}
+
+/**
+ * Build the url of the given page by setting the page parameter.
+ *
+ * @param {string} url The url of the first page.
+ * @param {PaginationConfig} pagination
+ * @param {number} pageIndex Zero based index of the page to fetch.
+ * @returns {string}
+ */
+export function buildPageUrl(url, pagination, pageIndex) {
+  const original = queryString.parseUrl(url);
+  const page = (pagination.firstPage ?? 1) + pageIndex;
+  return `${original.url}?${queryString.stringify({ ...original.query, [pagination.pageParam]: page })}`;
+}
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Breakage detection of providers
+ *
+ * Providers break silently when the site changes its markup: the crawl container matches nothing anymore,
+ * the id selector is gone or the required fields are always empty. Every run of a provider is checked for
+ * these symptoms. If a provider which used to return results fails for a number of consecutive runs, it is
+ * flagged as broken and the admin is notified through the configured admin notification adapter.
+ * Besides that, the listing schema violations of the last run are kept, they point to a parser which is only
+ * partly broken.
+ * @module providerHealthService
+ */
+import { getProviderHealth, upsertProviderHealth } from '../storage/providerHealthStorage.js';
+import { getSettings } from '../storage/settingsStorage.js';
+import { sendAdminAlert } from '../../notification/notify.js';
+import logger from '../logger.js';
+
+/** Number of consecutive failing runs after which a provider is considered broken. */
+export const DEFAULT_BROKEN_THRESHOLD = 3;
+
+/** Fields without which a listing cannot be processed. */
+const REQUIRED_FIELDS = ['id', 'title', 'link'];
+
+/**
+ * Find out why a provider run did not produce usable results.
+ *
+ * @param {string} status Status of the run ('success', 'no_new_listings' or 'error').
+ * @param {Object} stats Stats of the run (see FredyPipelineExecutioner#_runStats).
+ * @param {Error|string|null} [error] The error of a failed run.
+ * @returns {string|null} The reason or null if the run looks healthy.
+ */
+export function getBreakageReason(status, stats = {}, error = null) {
+  if (status === 'error') {
+    return `Run failed: ${String(error?.message ?? error ?? 'unknown error')}`;
+  }
+  if (stats.containers === 0) {
+    return 'The crawl container did not match any element.';
+  }
+  if (!stats.found) {
+    return stats.withoutId > 0
+      ? `Found ${stats.withoutId} container(s), but none of them has an id.`
+      : 'The provider did not return any listings.';
+  }
+  const emptyRequired = (stats.emptyFields ?? []).filter((field) => REQUIRED_FIELDS.includes(field));
+  if (emptyRequired.length > 0) {
+    return `Required fields are always empty: ${emptyRequired.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Record the outcome of a provider run and flag the provider as broken if it failed too often in a row.
+ * Only providers which returned results before are flagged, so that a search which simply has no matches
+ * does not cause alerts.
+ *
+ * @param {Object} run
+ * @param {string} run.jobId
+ * @param {string} run.providerId
+ * @param {string} run.providerUrl
+ * @param {string} run.status
+ * @param {Object} run.stats
+ * @param {Error|string|null} [run.error]
+ * @returns {Promise<void>}
+ */
+export async function recordProviderHealth({ jobId, providerId, providerUrl, status, stats, error }) {
+  const previous = getProviderHealth(jobId, providerId);
+  const reason = getBreakageReason(status, stats, error);
+  // failed runs do not get to the validation, keep the violations of the last run which did
+  const schemaViolations = stats?.schemaViolations ?? previous?.schemaViolations ?? {};
+
+  if (reason == null) {
+    upsertProviderHealth({
+      jobId,
+      providerId,
+      consecutiveEmptyRuns: 0,
+      lastResultAt: Date.now(),
+      broken: false,
+      brokenSince: null,
+      reason: null,
+      schemaViolations,
+    });
+    return;
+  }
+
+  const settings = await getSettings();
+  const threshold = Number(settings.providerBrokenThreshold) || DEFAULT_BROKEN_THRESHOLD;
+  const consecutiveEmptyRuns = (previous?.consecutiveEmptyRuns ?? 0) + 1;
+  const lastResultAt = previous?.lastResultAt ?? null;
+  const becameBroken = !previous?.broken && lastResultAt != null && consecutiveEmptyRuns >= threshold;
+
+  upsertProviderHealth({
+    jobId,
+    providerId,
+    consecutiveEmptyRuns,
+    lastResultAt,
+    broken: previous?.broken || becameBroken,
+    brokenSince: becameBroken ? Date.now() : (previous?.brokenSince ?? null),
+    reason,
+    schemaViolations,
+  });
+
+  if (becameBroken) {
+    logger.warn(`Provider '${providerId}' of job '${jobId}' seems to be broken: ${reason}`);
+    const adapters = settings.adminNotificationAdapter;
+    if (Array.isArray(adapters) && adapters.length > 0) {
+      Promise.all(sendAdminAlert(providerId, reason, providerUrl, adapters, jobId)).catch((e) =>
+        logger.warn(`Could not send admin alert for provider '${providerId}'`, e),
+      );
+    }
+  }
+}
@@ -6,33 +6,32 @@
 /**
  * Similarity cache
  *
- * Maintains an in-memory Set of content hashes to detect whether a listing
- * (identified by a tuple of title, price and address) has been seen before.
+ * Keeps the comparable representation (see similarityScore.js) of all known listings in memory to detect
+ * whether a listing has been seen before, either exactly (same title, price and address) or as the same
+ * property listed on another provider.
  *
  * Design notes:
  * - The cache is refreshed periodically from persistent storage. To avoid
- *   modification-during-iteration issues, the refresh builds a new Set and
+ *   modification-during-iteration issues, the refresh builds a new list and
  *   atomically swaps the reference instead of mutating in place.
- * - Hashing ignores null/undefined values but preserves falsy-yet-valid values
- *   like 0. Non-string values are coerced to strings before hashing.
+ * - Exact keys ignore null/undefined values but preserve falsy-yet-valid values
+ *   like 0. Non-string values are coerced to strings.
  *
  * This module has no persistence of its own; it relies on
  * getAllEntriesFromListings() for data hydration.
  * @module similarityCache
  */
-import crypto from 'crypto';
 import { getAllEntriesFromListings } from '../storage/listingsStorage.js';
+import { isSimilar, toSimilarityEntry } from './similarityScore.js';
 
 /** @type {number} Refresh interval in milliseconds (defaults to one hour). */
 const reloadCycle = 60 * 60 * 1000; // every hour, refresh
 
 /**
- * Internal cache of content hashes for known listings.
- *
- * Each entry is an SHA-256 hex digest produced by toHash(title, price, address).
- * @type {Set<string>}
+ * Internal cache of known listings.
+ * @type {Array<import('./similarityScore.js').SimilarityEntry>}
  */
-let cache = new Set();
+let cache = [];
 
 export const startSimilarityCacheReloader = () => {
   // Periodically refresh the cache from storage
@@ -44,56 +43,46 @@ export const startSimilarityCacheReloader = () => {
 /**
  * Initialize or refresh the similarity cache from persistent storage.
  *
- * Reads all stored listings via getAllEntriesFromListings(), computes a hash for
- * each, and swaps the in-memory Set atomically to avoid in-place mutations that
- * could interfere with concurrent iteration.
+ * Reads all stored listings via getAllEntriesFromListings() and swaps the in-memory
+ * list atomically to avoid in-place mutations that could interfere with concurrent iteration.
  *
  * This function is idempotent and safe to call at any time.
  * @returns {void}
  */
 export const initSimilarityCache = () => {
   const allEntries = getAllEntriesFromListings();
-  const newCache = new Set();
-  for (const entry of allEntries) {
-    newCache.add(toHash(entry?.title, entry?.price, entry?.address));
-  }
   // Atomic swap to avoid mutating the cache while it may be iterated elsewhere
-  cache = newCache;
+  cache = allEntries.map((entry) => toSimilarityEntry(entry));
 };
 
 /**
- * Check if a listing is already known and add it to the cache if not.
- *
- * The listing is identified by the combination of its title, price and
- * address. Null/undefined fields are ignored during hashing. Falsy-but-valid
- * values (e.g., price 0) are preserved.
+ * Find a known listing describing the same property. If there is none, the listing is added to the cache.
  *
- * @param {Object} params - Listing fields
- * @param {string|undefined|null} params.title - The listing title
- * @param {string|undefined|null} params.address - The listing address
- * @param {number|string|undefined|null} params.price - The listing price
- * @returns {boolean} true if the entry already existed in the cache (duplicate), otherwise false
+ * @param {Object} listing Listing fields (title, price, size, address, latitude, longitude).
+ * @param {string} [listing.jobId] Job the listing belongs to, used to link duplicates in the database.
+ * @param {string} [listing.hash] Provider specific id of the listing.
+ * @param {string} [listing.provider]
+ * @returns {import('./similarityScore.js').SimilarityEntry|null} The known listing or null.
  */
-export const checkAndAddEntry = ({ title, address, price }) => {
-  const hash = toHash(title, price, address);
-  if (cache.has(hash)) {
-    return true;
+export const findAndAddEntry = (listing) => {
+  const entry = toSimilarityEntry(listing);
+  const match = cache.find(
+    (known) =>
+      !(known.hash != null && known.hash === entry.hash && known.jobId === entry.jobId) && isSimilar(entry, known),
+  );
+  if (match != null) {
+    return match;
   }
-  cache.add(hash);
-  return false;
+  cache.push(entry);
+  return null;
 };
 
 /**
- * Generate an SHA-256 hash from a list of input values.
- * Null or undefined values are ignored. Falsy but valid values like 0 are preserved.
- * Non-string values are coerced to strings prior to hashing.
+ * Check if a listing is already known and add it to the cache if not.
  *
- * @param {...(string|number|null|undefined)} strings - Input values to hash
- * @returns {string} Hexadecimal hash
+ * @param {Object} listing - Listing fields, see findAndAddEntry()
+ * @returns {boolean} true if the entry already existed in the cache (duplicate), otherwise false
  */
-function toHash(...strings) {
-  const normalized = strings
-    .filter((v) => v !== null && v !== undefined)
-    .map((v) => (typeof v === 'string' ? v : String(v)));
-  return crypto.createHash('sha256').update(normalized.join('|')).digest('hex');
-}
+export const checkAndAddEntry = (listing) => {
+  return findAndAddEntry(listing) != null;
+};
@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Similarity scoring of listings
+ *
+ * Providers describe the same property slightly differently ("Musterstr. 1" vs. "Musterstraße 1, Berlin",
+ * "1.200 €" vs. "1200 € kalt"), so listings are compared component by component:
+ * - location: distance of the geocoordinates or, if missing, the normalized address. Many providers only
+ *   show the district, so a location without house number counts only half.
+ * - price and size: must be within a tolerance, otherwise the listings are never similar
+ * - title: token overlap
+ *
+ * The score is the weighted average of all components both listings expose.
+ * @module similarityScore
+ */
+import { getNumericValues } from '../listings/listingSchema.js';
+import { distanceMeters } from '../listings/distanceCalculator.js';
+
+/** Max. relative difference of price and size of two similar listings. */
+export const PRICE_TOLERANCE = 0.05;
+export const SIZE_TOLERANCE = 0.05;
+/** Listings closer than this are considered to be at the same location (geocoding is not exact). */
+export const SAME_LOCATION_METERS = 100;
+/** Min. score for two listings to be considered the same property. */
+export const SIMILARITY_THRESHOLD = 0.75;
+
+const WEIGHTS = { location: 0.4, price: 0.25, size: 0.2, title: 0.15 };
+/** Without a location, only listings with (almost) the same title are considered similar. */
+const RE_HOUSE_NUMBER = /^\d{1,4}[a-z]?$/;
+const MIN_TITLE_SCORE_WITHOUT_LOCATION = 0.8;
+
+/**
+ * Comparable representation of a listing, computed once per listing.
+ *
+ * @typedef {Object} SimilarityEntry
+ * @property {string|null} jobId
+ * @property {string|null} hash Provider specific id of the listing.
+ * @property {string|null} provider
+ * @property {string} exactKey Key of the raw title, price and address, used for exact matches.
+ * @property {number|null} price
+ * @property {number|null} size
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ * @property {string[]} addressTokens
+ * @property {boolean} preciseAddress Whether the address contains a house number.
+ * @property {string[]} titleTokens
+ */
+
+function fold(value) {
+  return String(value).toLowerCase().replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss');
+}
+
+function tokenize(value) {
+  if (value == null) return [];
+  return fold(value)
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 0);
+}
+
+/**
+ * Normalize an address into comparable tokens, e.g. "Musterstraße 1a, 10115 Berlin (Mitte)" becomes
+ * ['musterstr', '1a', '10115', 'berlin'].
+ *
+ * @param {string|null|undefined} address
+ * @returns {string[]}
+ */
+export function normalizeAddress(address) {
+  if (address == null) return [];
+  const withoutParentheses = String(address).replace(/\([^)]*\)/g, ' ');
+  return tokenize(fold(withoutParentheses).replace(/strasse\b|str\./g, 'str'));
+}
+
+/**
+ * Dice coefficient of two token lists (1 = same tokens, 0 = nothing in common).
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number}
+ */
+export function tokenSimilarity(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let common = 0;
+  for (const token of setA) {
+    if (setB.has(token)) common++;
+  }
+  return (2 * common) / (setA.size + setB.size);
+}
+
+function validCoordinate(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value !== -1 ? value : null;
+}
+
+/**
+ * Build the comparable representation of a listing.
+ *
+ * @param {Object} listing Listing as parsed by a provider or as stored in the database.
+ * @returns {SimilarityEntry}
+ */
+export function toSimilarityEntry(listing) {
+  const exactKey = [listing.title, listing.price, listing.address]
+    .filter((v) => v !== null && v !== undefined)
+    .map((v) => (typeof v === 'string' ? v : String(v)))
+    .join('|');
+  const addressTokens = normalizeAddress(listing.address);
+  const { price, size } = getNumericValues(listing);
+  return {
+    jobId: listing.jobId ?? null,
+    hash: listing.hash ?? null,
+    provider: listing.provider ?? null,
+    exactKey,
+    price,
+    size,
+    latitude: validCoordinate(listing.latitude),
+    longitude: validCoordinate(listing.longitude),
+    addressTokens,
+    preciseAddress: addressTokens.some((token) => RE_HOUSE_NUMBER.test(token)),
+    titleTokens: tokenize(listing.title).filter((token) => token.length > 2),
+  };
+}
+
+function withinTolerance(a, b, tolerance) {
+  if (a == null || b == null) return null;
+  if (a === b) return true;
+  return Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b)) <= tolerance;
+}
+
+function locationScore(a, b) {
+  // the coordinates of a district are the same for all listings in it
+  const precision = a.preciseAddress && b.preciseAddress ? 1 : 0.5;
+  if (a.latitude != null && a.longitude != null && b.latitude != null && b.longitude != null) {
+    const distance = distanceMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+    if (distance <= SAME_LOCATION_METERS) return precision;
+    return distance <= 3 * SAME_LOCATION_METERS ? precision / 2 : 0;
+  }
+  if (a.addressTokens.length > 0 && b.addressTokens.length > 0) {
+    return precision * tokenSimilarity(a.addressTokens, b.addressTokens);
+  }
+  return null;
+}
+
+/**
+ * Score how likely two listings describe the same property.
+ *
+ * @param {SimilarityEntry} a
+ * @param {SimilarityEntry} b
+ * @returns {number} Score between 0 and 1.
+ */
+export function getSimilarityScore(a, b) {
+  const price = withinTolerance(a.price, b.price, PRICE_TOLERANCE);
+  const size = withinTolerance(a.size, b.size, SIZE_TOLERANCE);
+  if (price === false || size === false) return 0;
+
+  const title =
+    a.titleTokens.length > 0 && b.titleTokens.length > 0 ? tokenSimilarity(a.titleTokens, b.titleTokens) : null;
+  const location = locationScore(a, b);
+  if (location == null && (title == null || title < MIN_TITLE_SCORE_WITHOUT_LOCATION)) return 0;
+
+  // price or size must be known, location and title alone are too vague
+  if (price == null && size == null) return 0;
+
+  const components = [
+    [WEIGHTS.location, location],
+    [WEIGHTS.price, price == null ? null : 1],
+    [WEIGHTS.size, size == null ? null : 1],
+    [WEIGHTS.title, title],
+  ].filter(([, score]) => score != null);
+  const totalWeight = components.reduce((sum, [weight]) => sum + weight, 0);
+  return components.reduce((sum, [weight, score]) => sum + weight * score, 0) / totalWeight;
+}
+
+/**
+ * Check whether two listings describe the same property. Listings of the same provider are only matched
+ * exactly, as e.g. flats of a new building often share address, price range and title.
+ *
+ * @param {SimilarityEntry} a
+ * @param {SimilarityEntry} b
+ * @returns {boolean}
+ */
+export function isSimilar(a, b) {
+  if (a.exactKey === b.exactKey) return withinTolerance(a.size, b.size, SIZE_TOLERANCE) !== false;
+  if (a.provider != null && a.provider === b.provider) return false;
+  return getSimilarityScore(a, b) >= SIMILARITY_THRESHOLD;
+}
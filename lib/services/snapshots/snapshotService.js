@@ -0,0 +1,171 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+/**
+ * Snapshots of failed extractions
+ *
+ * If a provider suddenly finds nothing, it is hard to tell whether its selectors broke, a bot detection page has
+ * been served or the search simply has no results. With the general setting `extractionSnapshots`, the Puppeteer
+ * extractor saves the html and a screenshot of pages it failed to extract listings from, so that admins can look
+ * at what the page actually looked like.
+ *
+ * Snapshots are stored next to the database, one directory per provider. Only the latest
+ * `extractionSnapshotsPerProvider` (default 10) of every provider are kept.
+ * @module snapshotService
+ */
+import fs from 'fs';
+import path from 'path';
+import { getSettings } from '../storage/settingsStorage.js';
+import { computeDbPath } from '../storage/SqliteConnection.js';
+import { getCurrentProvider } from '../proxy/proxyPool.js';
+import logger from '../logger.js';
+
+export const SNAPSHOTS_DIR = 'snapshots';
+export const DEFAULT_SNAPSHOTS_PER_PROVIDER = 10;
+/** Snapshots of extractions made outside of a provider context, e.g. the preview of a custom provider. */
+const SHARED_DIR = 'shared';
+const VALID_NAME = /^\w[\w.-]*$/;
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} id
+ * @property {string} providerId
+ * @property {string} url
+ * @property {string} reason Why the extraction failed, e.g. "Detected as a bot".
+ * @property {number|null} statusCode
+ * @property {number} createdAt
+ * @property {boolean} hasScreenshot
+ */
+
+async function getSnapshotSettings() {
+  try {
+    const settings = await getSettings();
+    const limit = parseInt(settings.extractionSnapshotsPerProvider, 10);
+    return {
+      enabled: settings.extractionSnapshots === true,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_SNAPSHOTS_PER_PROVIDER,
+    };
+  } catch {
+    return { enabled: false, limit: DEFAULT_SNAPSHOTS_PER_PROVIDER };
+  }
+}
+
+async function getSnapshotsRoot() {
+  const { dir } = await computeDbPath();
+  return path.join(dir, SNAPSHOTS_DIR);
+}
+
+async function readSnapshots(providerDir, providerId) {
+  const files = await fs.promises.readdir(providerDir).catch(() => []);
+  const snapshots = [];
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(path.join(providerDir, file), 'utf8'));
+      snapshots.push({ ...meta, providerId });
+    } catch {
+      // ignore broken snapshots
+    }
+  }
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function removeSnapshot(providerDir, id) {
+  await Promise.all(
+    ['json', 'html', 'png'].map((ext) => fs.promises.rm(path.join(providerDir, `${id}.${ext}`), { force: true })),
+  );
+}
+
+/**
+ * Save the html and a screenshot of a page the extraction failed on, if snapshots are enabled. Never throws, a
+ * failing snapshot must not make the extraction fail any worse.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {{url: string, reason: string, statusCode?: number|null}} failure
+ * @returns {Promise<Snapshot|null>} null if snapshots are disabled or the snapshot could not be saved.
+ */
+export async function captureSnapshot(page, { url, reason, statusCode = null }) {
+  const { enabled, limit } = await getSnapshotSettings();
+  if (!enabled) {
+    return null;
+  }
+  try {
+    const providerId = getCurrentProvider() ?? SHARED_DIR;
+    const providerDir = path.join(await getSnapshotsRoot(), providerId);
+    await fs.promises.mkdir(providerDir, { recursive: true });
+    const createdAt = Date.now();
+    const id = `${createdAt}-${Math.random().toString(36).slice(2, 8)}`;
+
+    await fs.promises.writeFile(path.join(providerDir, `${id}.html`), await page.content());
+    let hasScreenshot = true;
+    try {
+      await page.screenshot({ path: path.join(providerDir, `${id}.png`), type: 'png', fullPage: true });
+    } catch (e) {
+      logger.debug(`Could not take a screenshot of ${url}.`, e);
+      hasScreenshot = false;
+    }
+    const snapshot = { id, url, reason, statusCode, createdAt, hasScreenshot };
+    await fs.promises.writeFile(path.join(providerDir, `${id}.json`), JSON.stringify(snapshot));
+
+    const outdated = (await readSnapshots(providerDir, providerId)).slice(limit);
+    await Promise.all(outdated.map((old) => removeSnapshot(providerDir, old.id)));
+    logger.debug(`Saved a snapshot of ${url} (${reason}).`);
+    return { ...snapshot, providerId };
+  } catch (e) {
+    logger.warn(`Could not save a snapshot of ${url}.`, e);
+    return null;
+  }
+}
+
+/**
+ * All snapshots, newest first.
+ *
+ * @returns {Promise<Snapshot[]>}
+ */
+export async function listSnapshots() {
+  const root = await getSnapshotsRoot();
+  const providers = await fs.promises.readdir(root, { withFileTypes: true }).catch(() => []);
+  const snapshots = [];
+  for (const entry of providers.filter((e) => e.isDirectory())) {
+    snapshots.push(...(await readSnapshots(path.join(root, entry.name), entry.name)));
+  }
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * File of a snapshot.
+ *
+ * @param {string} providerId
+ * @param {string} id
+ * @param {('html'|'screenshot')} kind
+ * @returns {Promise<{file: string, contentType: string, fileName: string}|null>} null if it does not exist.
+ */
+export async function getSnapshotFile(providerId, id, kind) {
+  if (!VALID_NAME.test(providerId) || !VALID_NAME.test(id) || !['html', 'screenshot'].includes(kind)) {
+    return null;
+  }
+  const ext = kind === 'html' ? 'html' : 'png';
+  const file = path.join(await getSnapshotsRoot(), providerId, `${id}.${ext}`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return {
+    file,
+    contentType: kind === 'html' ? 'text/html; charset=utf-8' : 'image/png',
+    fileName: `${providerId}-${id}.${ext}`,
+  };
+}
+
+/**
+ * Remove all snapshots of a provider.
+ *
+ * @param {string} providerId
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshots(providerId) {
+  if (!VALID_NAME.test(providerId)) {
+    return;
+  }
+  await fs.promises.rm(path.join(await getSnapshotsRoot(), providerId), { recursive: true, force: true });
+}
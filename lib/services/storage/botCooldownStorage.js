@@ -0,0 +1,71 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import SqliteConnection from './SqliteConnection.js';
+
+/**
+ * Cooldown of a domain which detected us as a bot.
+ *
+ * @typedef {Object} BotCooldown
+ * @property {string} domain
+ * @property {number} detections Number of detections in a row.
+ * @property {number} cooldownUntil Timestamp until which no requests are sent to the domain.
+ * @property {number} lastDetectedAt
+ * @property {string|null} lastUrl Url of the last request which has been detected.
+ */
+
+const SELECT = `SELECT domain,
+                       detections,
+                       cooldown_until   AS cooldownUntil,
+                       last_detected_at AS lastDetectedAt,
+                       last_url         AS lastUrl
+                FROM bot_cooldowns`;
+
+/**
+ * @param {string} domain
+ * @returns {BotCooldown|null}
+ */
+export const getBotCooldown = (domain) => {
+  return SqliteConnection.query(`${SELECT} WHERE domain = @domain`, { domain })[0] ?? null;
+};
+
+/**
+ * @returns {BotCooldown[]}
+ */
+export const getBotCooldowns = () => {
+  return SqliteConnection.query(`${SELECT} ORDER BY domain`);
+};
+
+/**
+ * Insert or update the cooldown of a domain.
+ *
+ * @param {BotCooldown} cooldown
+ * @returns {void}
+ */
+export const upsertBotCooldown = ({ domain, detections, cooldownUntil, lastDetectedAt, lastUrl }) => {
+  SqliteConnection.execute(
+    `INSERT INTO bot_cooldowns (domain, detections, cooldown_until, last_detected_at, last_url)
+     VALUES (@domain, @detections, @cooldown_until, @last_detected_at, @last_url)
+     ON CONFLICT(domain) DO UPDATE SET detections       = excluded.detections,
+                                       cooldown_until   = excluded.cooldown_until,
+                                       last_detected_at = excluded.last_detected_at,
+                                       last_url         = excluded.last_url`,
+    {
+      domain,
+      detections,
+      cooldown_until: cooldownUntil,
+      last_detected_at: lastDetectedAt,
+      last_url: lastUrl ?? null,
+    },
+  );
+};
+
+/**
+ * @param {string} domain
+ * @returns {void}
+ */
+export const deleteBotCooldown = (domain) => {
+  SqliteConnection.execute(`DELETE FROM bot_cooldowns WHERE domain = @domain`, { domain });
+};
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { nanoid } from 'nanoid';
+import SqliteConnection from './SqliteConnection.js';
+import { toJson, fromJson } from '../../utils.js';
+
+/**
+ * Provider defined in the ui. It is executed like the providers in lib/provider, but without any code.
+ *
+ * @typedef {Object} CustomProviderDefinition
+ * @property {string} id Provider id, always starting with `custom-` to never collide with the built-in providers.
+ * @property {string} name
+ * @property {string} baseUrl Url of the website, used to resolve relative links and images.
+ * @property {string} crawlContainer Selector of a single listing on the result page.
+ * @property {Object.<string, string>} crawlFields Selector per listing field (`selector@attribute | modifier`).
+ * @property {string|null} waitForSelector Selector to wait for before the page is parsed.
+ * @property {string|null} sortByDateParam Query parameter sorting the results by date.
+ */
+
+const toDefinition = (row) => ({
+  id: row.id,
+  name: row.name,
+  baseUrl: row.base_url,
+  crawlContainer: row.crawl_container,
+  crawlFields: fromJson(row.crawl_fields, {}),
+  waitForSelector: row.wait_for_selector,
+  sortByDateParam: row.sort_by_date_param,
+});
+
+/**
+ * Return all custom providers, ordered by name.
+ *
+ * @returns {CustomProviderDefinition[]}
+ */
+export const getCustomProviders = () => {
+  return SqliteConnection.query(`SELECT * FROM custom_providers ORDER BY name COLLATE NOCASE`).map(toDefinition);
+};
+
+/**
+ * @param {string} id
+ * @returns {CustomProviderDefinition|null}
+ */
+export const getCustomProvider = (id) => {
+  const row = SqliteConnection.query(`SELECT * FROM custom_providers WHERE id = @id`, { id })[0];
+  return row == null ? null : toDefinition(row);
+};
+
+/**
+ * Insert or update a custom provider.
+ *
+ * @param {Omit<CustomProviderDefinition, 'id'> & {id?: string|null}} definition
+ * @returns {string} The id of the provider.
+ */
+export const upsertCustomProvider = ({
+  id,
+  name,
+  baseUrl,
+  crawlContainer,
+  crawlFields,
+  waitForSelector = null,
+  sortByDateParam = null,
+}) => {
+  const providerId = id || `custom-${nanoid(10)}`;
+  const now = Date.now();
+  SqliteConnection.execute(
+    `INSERT INTO custom_providers (id, name, base_url, crawl_container, crawl_fields, wait_for_selector,
+                                   sort_by_date_param, created_at, updated_at)
+     VALUES (@id, @name, @base_url, @crawl_container, @crawl_fields, @wait_for_selector, @sort_by_date_param,
+             @now, @now)
+     ON CONFLICT(id) DO UPDATE SET name               = excluded.name,
+                                   base_url           = excluded.base_url,
+                                   crawl_container    = excluded.crawl_container,
+                                   crawl_fields       = excluded.crawl_fields,
+                                   wait_for_selector  = excluded.wait_for_selector,
+                                   sort_by_date_param = excluded.sort_by_date_param,
+                                   updated_at         = excluded.updated_at`,
+    {
+      id: providerId,
+      name,
+      base_url: baseUrl,
+      crawl_container: crawlContainer,
+      crawl_fields: toJson(crawlFields),
+      wait_for_selector: waitForSelector || null,
+      sort_by_date_param: sortByDateParam || null,
+      now,
+    },
+  );
+  return providerId;
+};
+
+/**
+ * @param {string} id
+ * @returns {void}
+ */
+export const removeCustomProvider = (id) => {
+  SqliteConnection.execute(`DELETE FROM custom_providers WHERE id = @id`, { id });
+};
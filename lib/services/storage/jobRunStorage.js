@@ -0,0 +1,108 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { nanoid } from 'nanoid';
+import SqliteConnection from './SqliteConnection.js';
+import { toJson, fromJson } from '../../utils.js';
+
+/**
+ * Number of runs kept per job and provider. Older runs are removed when a new run is stored.
+ */
+const MAX_RUNS_PER_PROVIDER = 100;
+
+/**
+ * @typedef {Object} JobRun
+ * @property {string} id
+ * @property {string} jobId
+ * @property {string} provider
+ * @property {number} startedAt
+ * @property {number|null} finishedAt
+ * @property {('success'|'no_new_listings'|'error'|'cooldown')} status
+ * @property {Object.<string, number>} stats Number of listings per pipeline stage (found, filtered, new, ...) and
+ * the traffic of the pages loaded with Puppeteer (requests, blockedRequests, bytes).
+ * @property {string|null} error
+ */
+
+/**
+ * Store the result of a single provider execution of a job and prune old runs.
+ *
+ * @param {Object} params
+ * @param {string} params.jobId
+ * @param {string} params.providerId
+ * @param {number} params.startedAt
+ * @param {number} params.finishedAt
+ * @param {string} params.status
+ * @param {Object} [params.stats]
+ * @param {string|null} [params.error]
+ * @returns {void}
+ */
+export const storeJobRun = ({ jobId, providerId, startedAt, finishedAt, status, stats = {}, error = null }) => {
+  SqliteConnection.withTransaction((db) => {
+    db.prepare(
+      `INSERT INTO job_runs (id, job_id, provider, started_at, finished_at, status, stats, error)
+       VALUES (@id, @job_id, @provider, @started_at, @finished_at, @status, @stats, @error)`,
+    ).run({
+      id: nanoid(),
+      job_id: jobId,
+      provider: providerId,
+      started_at: startedAt,
+      finished_at: finishedAt,
+      status,
+      stats: toJson(stats),
+      error,
+    });
+    db.prepare(
+      `DELETE FROM job_runs
+       WHERE job_id = @job_id
+         AND provider = @provider
+         AND id NOT IN (SELECT id
+                        FROM job_runs
+                        WHERE job_id = @job_id
+                          AND provider = @provider
+                        ORDER BY started_at DESC
+                        LIMIT @limit)`,
+    ).run({ job_id: jobId, provider: providerId, limit: MAX_RUNS_PER_PROVIDER });
+  });
+};
+
+/**
+ * Return the latest runs of a job, newest first.
+ *
+ * @param {string} jobId
+ * @param {number} [limit=50]
+ * @returns {JobRun[]}
+ */
+export const getJobRuns = (jobId, limit = 50) => {
+  const safeLimit = Number.isFinite(limit) && limit > 0 ? Math.min(500, Math.floor(limit)) : 50;
+  return SqliteConnection.query(
+    `SELECT id,
+            job_id      AS jobId,
+            provider,
+            started_at  AS startedAt,
+            finished_at AS finishedAt,
+            status,
+            stats,
+            error
+     FROM job_runs
+     WHERE job_id = @jobId
+     ORDER BY started_at DESC
+     LIMIT @limit`,
+    { jobId, limit: safeLimit },
+  ).map((row) => ({ ...row, stats: fromJson(row.stats, {}) }));
+};
+
+/**
+ * Return the start of the latest run per job.
+ *
+ * @returns {Object.<string, number>} Map of job id to timestamp.
+ */
+export const getLastRunPerJob = () => {
+  const rows = SqliteConnection.query(
+    `SELECT job_id AS jobId, MAX(started_at) AS lastRun
+     FROM job_runs
+     GROUP BY job_id`,
+  );
+  return Object.fromEntries(rows.map((row) => [row.jobId, row.lastRun]));
+};
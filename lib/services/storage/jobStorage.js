@@ -7,6 +7,18 @@ import { nanoid } from 'nanoid';
 import SqliteConnection from './SqliteConnection.js';
 import logger from '../logger.js';
 import { toJson, fromJson } from '../../utils.js';
+import { normalizeFilterRules } from '../listings/filterRules.js';
+import { normalizeBlacklist } from '../listings/blacklist.js';
+import { normalizeMaxPages } from '../pagination.js';
+import { normalizeSchedule } from '../jobs/schedule.js';
+
+/**
+ * Sanitize the stage ids of a job.
+ * @param {Array<any>|null|undefined} stages
+ * @returns {string[]}
+ */
+const normalizeStages = (stages) =>
+  Array.isArray(stages) ? [...new Set(stages.filter((stage) => typeof stage === 'string' && stage.length > 0))] : [];
 
 /**
  * Insert or update a job. Preserves original owner (userId) when updating an existing job.
@@ -14,7 +26,11 @@ import { toJson, fromJson } from '../../utils.js';
  * @param {Object} params
  * @param {string} [params.jobId] - Existing job id to update; omit to insert a new job.
  * @param {string} [params.name] - Job display name.
- * @param {Array<any>} [params.blacklist] - Blacklist entries; defaults to empty array.
+ * @param {Array<Object>} [params.blacklist] - Blacklist entries (exclude or must contain); defaults to empty array.
+ * @param {Object} [params.filterRules] - Numeric filter rules (price, size, rooms, price per m²); defaults to none.
+ * @param {number} [params.maxPages] - Max number of result pages fetched per provider; defaults to 1.
+ * @param {Array<string>} [params.stages] - Ids of the custom pipeline stages enabled for this job; defaults to none.
+ * @param {Object} [params.schedule] - Interval or cron schedule plus optional active window; defaults to the global interval.
  * @param {boolean} [params.enabled] - Whether the job is enabled; defaults to true.
  * @param {Array<any>} params.provider - Provider configuration list.
  * @param {Array<any>} params.notificationAdapter - Notification adapter configuration list.
@@ -25,6 +41,10 @@ export const upsertJob = ({
   jobId,
   name,
   blacklist = [],
+  filterRules = {},
+  maxPages = 1,
+  schedule = {},
+  stages = [],
   enabled = true,
   provider,
   notificationAdapter,
@@ -40,6 +60,10 @@ export const upsertJob = ({
        SET enabled = @enabled,
            name = @name,
            blacklist = @blacklist,
+           filter_rules = @filter_rules,
+           max_pages = @max_pages,
+           schedule = @schedule,
+           stages = @stages,
            provider = @provider,
            notification_adapter = @notification_adapter,
            shared_with_user = @shareWithUsers
@@ -48,7 +72,11 @@ export const upsertJob = ({
         id,
         enabled: enabled ? 1 : 0,
         name: name ?? null,
-        blacklist: toJson(blacklist ?? []),
+        blacklist: toJson(normalizeBlacklist(blacklist)),
+        filter_rules: toJson(normalizeFilterRules(filterRules)),
+        max_pages: normalizeMaxPages(maxPages),
+        schedule: toJson(normalizeSchedule(schedule)),
+        stages: toJson(normalizeStages(stages)),
         shareWithUsers: toJson(shareWithUsers ?? []),
         provider: toJson(provider ?? []),
         notification_adapter: toJson(notificationAdapter ?? []),
@@ -56,14 +84,20 @@ export const upsertJob = ({
     );
   } else {
     SqliteConnection.execute(
-      `INSERT INTO jobs (id, user_id, enabled, name, blacklist, provider, notification_adapter, shared_with_user)
-       VALUES (@id, @user_id, @enabled, @name, @blacklist, @provider, @notification_adapter, @shareWithUsers)`,
+      `INSERT INTO jobs (id, user_id, enabled, name, blacklist, filter_rules, max_pages, schedule, stages,
+                         provider, notification_adapter, shared_with_user)
+       VALUES (@id, @user_id, @enabled, @name, @blacklist, @filter_rules, @max_pages, @schedule, @stages,
+               @provider, @notification_adapter, @shareWithUsers)`,
       {
         id,
         user_id: ownerId,
         enabled: enabled ? 1 : 0,
         name: name ?? null,
-        blacklist: toJson(blacklist ?? []),
+        blacklist: toJson(normalizeBlacklist(blacklist)),
+        filter_rules: toJson(normalizeFilterRules(filterRules)),
+        max_pages: normalizeMaxPages(maxPages),
+        schedule: toJson(normalizeSchedule(schedule)),
+        stages: toJson(normalizeStages(stages)),
         provider: toJson(provider ?? []),
         shareWithUsers: toJson(shareWithUsers ?? []),
         notification_adapter: toJson(notificationAdapter ?? []),
@@ -84,6 +118,10 @@ export const getJob = (jobId) => {
             j.enabled,
             j.name,
             j.blacklist,
+            j.filter_rules AS filterRules,
+            j.max_pages AS maxPages,
+            j.schedule,
+            j.stages,
             j.provider,
             j.shared_with_user,
             j.notification_adapter AS notificationAdapter,
@@ -98,6 +136,9 @@ export const getJob = (jobId) => {
     ...row,
     enabled: !!row.enabled,
     blacklist: fromJson(row.blacklist, []),
+    filterRules: fromJson(row.filterRules, {}),
+    schedule: fromJson(row.schedule, {}),
+    stages: fromJson(row.stages, []),
     provider: fromJson(row.provider, []),
     shared_with_user: fromJson(row.shared_with_user, []),
     notificationAdapter: fromJson(row.notificationAdapter, []),
@@ -147,6 +188,10 @@ export const getJobs = () => {
             j.enabled,
             j.name,
             j.blacklist,
+            j.filter_rules AS filterRules,
+            j.max_pages AS maxPages,
+            j.schedule,
+            j.stages,
             j.provider,
             j.shared_with_user,
             j.notification_adapter AS notificationAdapter,
@@ -159,6 +204,9 @@ export const getJobs = () => {
     ...row,
     enabled: !!row.enabled,
     blacklist: fromJson(row.blacklist, []),
+    filterRules: fromJson(row.filterRules, {}),
+    schedule: fromJson(row.schedule, {}),
+    stages: fromJson(row.stages, []),
     provider: fromJson(row.provider, []),
     shared_with_user: fromJson(row.shared_with_user, []),
     notificationAdapter: fromJson(row.notificationAdapter, []),
@@ -248,6 +296,10 @@ export const queryJobs = ({
             j.enabled,
             j.name,
             j.blacklist,
+            j.filter_rules AS filterRules,
+            j.max_pages AS maxPages,
+            j.schedule,
+            j.stages,
             j.provider,
             j.shared_with_user,
             j.notification_adapter AS notificationAdapter,
@@ -263,6 +315,9 @@ export const queryJobs = ({
     ...row,
     enabled: !!row.enabled,
     blacklist: fromJson(row.blacklist, []),
+    filterRules: fromJson(row.filterRules, {}),
+    schedule: fromJson(row.schedule, {}),
+    stages: fromJson(row.stages, []),
     provider: fromJson(row.provider, []),
     shared_with_user: fromJson(row.shared_with_user, []),
     notificationAdapter: fromJson(row.notificationAdapter, []),
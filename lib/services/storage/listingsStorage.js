@@ -3,9 +3,10 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-import { nullOrEmpty } from '../../utils.js';
+import { nullOrEmpty, toJson, fromJson } from '../../utils.js';
 import SqliteConnection from './SqliteConnection.js';
 import { nanoid } from 'nanoid';
+import { getNumericValues } from '../listings/listingSchema.js';
 
 /**
  * Return a list of known listing hashes for a given job and provider.
@@ -25,6 +26,79 @@ export const getKnownListingHashesForJobAndProvider = (jobId, providerId) => {
   ).map((r) => r.hash);
 };
 
+/**
+ * Match freshly scraped listings against the listings already stored for a job and provider and
+ * record price changes in the listing's `change_set`.
+ *
+ * Listings are matched by their hash (built from the provider-native id). Listings stored before
+ * the hash stopped including the price are matched by their link instead, their hash is migrated
+ * on the fly so that they are recognized as known listings afterwards.
+ *
+ * Each price change is appended to `change_set` as `{ field: 'price', oldValue, newValue, changedAt }`.
+ *
+ * @param {string} jobId - The job identifier.
+ * @param {string} providerId - The provider identifier.
+ * @param {Array<Object>} listings - Normalized listings (`id` is the hash, `price` the raw price text).
+ * @returns {Array<{listingId:string, listing:Object, oldPrice:number, newPrice:number, watcherCount:number}>}
+ *   Price changes of listings that are not manually deleted.
+ */
+export const trackListingChanges = (jobId, providerId, listings) => {
+  if (!Array.isArray(listings) || listings.length === 0) {
+    return [];
+  }
+
+  return SqliteConnection.withTransaction((db) => {
+    const known = db
+      .prepare(
+        `SELECT l.id, l.hash, l.link, l.price, l.change_set, l.manually_deleted,
+                (SELECT COUNT(1) FROM watch_list wl WHERE wl.listing_id = l.id) AS watcherCount
+         FROM listings l
+         WHERE l.job_id = @jobId
+           AND l.provider = @providerId`,
+      )
+      .all({ jobId, providerId });
+    if (known.length === 0) {
+      return [];
+    }
+
+    const byHash = new Map(known.map((row) => [row.hash, row]));
+    const byLink = new Map(known.filter((row) => row.link != null).map((row) => [row.link, row]));
+    const updateHash = db.prepare(`UPDATE listings SET hash = @hash WHERE id = @id`);
+    const updatePrice = db.prepare(`UPDATE listings SET price = @price, change_set = @changeSet WHERE id = @id`);
+
+    const changes = [];
+    for (const item of listings) {
+      let row = byHash.get(item.id);
+      if (row == null) {
+        row = item.link == null ? null : byLink.get(item.link);
+        if (row == null) continue;
+        updateHash.run({ id: row.id, hash: item.id });
+        byHash.set(item.id, row);
+      }
+
+      const newPrice = getNumericValues(item).price;
+      if (newPrice == null || row.price == null || newPrice === row.price) continue;
+
+      const changeSet = fromJson(row.change_set, []);
+      changeSet.push({ field: 'price', oldValue: row.price, newValue: newPrice, changedAt: Date.now() });
+      updatePrice.run({ id: row.id, price: newPrice, changeSet: toJson(changeSet) });
+
+      if (!row.manually_deleted) {
+        changes.push({
+          listingId: row.id,
+          listing: item,
+          oldPrice: row.price,
+          newPrice,
+          watcherCount: Number(row.watcherCount || 0),
+        });
+      }
+      row.price = newPrice;
+      row.change_set = toJson(changeSet);
+    }
+    return changes;
+  });
+};
+
 /**
  * Compute KPI aggregates for a given set of job IDs from the listings table.
  *
@@ -154,12 +228,21 @@ export const deactivateListings = (ids) => {
  *   id: string,            // unique id
  *   hash: string           // stable hash/id of the listing (used as unique hash)
  *   price?: string,        // e.g., "1.234 €" or "1,234€"
+ *   priceAmount?: number,  // canonical values, see listingSchema.js; parsed from price/size if missing
  *   size?: string,         // e.g., "70 m²"
+ *   sizeSqm?: number,
  *   title?: string,
  *   image?: string,        // image URL
  *   description?: string,
  *   address?: string,      // free-text address possibly containing parentheses
- *   link?: string
+ *   link?: string,
+ *   rooms?: number|string, // details of the expose page, see ListingDetails in FredyPipelineExecutioner
+ *   floor?: string,
+ *   constructionYear?: number,
+ *   energyClass?: string,
+ *   heating?: string,
+ *   additionalCosts?: number,
+ *   images?: string[]
  * }
  *
  * @param {string} jobId - The job identifier.
@@ -175,20 +258,23 @@ export const storeListings = (jobId, providerId, listings) => {
   SqliteConnection.withTransaction((db) => {
     const stmt = db.prepare(
       `INSERT INTO listings (id, hash, provider, job_id, price, size, title, image_url, description, address,
-                             link, created_at, is_active, latitude, longitude)
+                             link, created_at, is_active, latitude, longitude, rooms, floor, construction_year,
+                             energy_class, heating, additional_costs, images)
        VALUES (@id, @hash, @provider, @job_id, @price, @size, @title, @image_url, @description, @address, @link,
-               @created_at, 1, @latitude, @longitude)
+               @created_at, 1, @latitude, @longitude, @rooms, @floor, @construction_year, @energy_class, @heating,
+               @additional_costs, @images)
        ON CONFLICT(job_id, hash) DO NOTHING`,
     );
 
     for (const item of listings) {
+      const { price, size, rooms } = getNumericValues(item);
       const params = {
         id: nanoid(),
         hash: item.id,
         provider: providerId,
         job_id: jobId,
-        price: extractNumber(item.price),
-        size: extractNumber(item.size),
+        price,
+        size,
         title: item.title,
         image_url: item.image,
         description: item.description,
@@ -197,24 +283,18 @@ export const storeListings = (jobId, providerId, listings) => {
         created_at: Date.now(),
         latitude: item.latitude || null,
         longitude: item.longitude || null,
+        rooms,
+        floor: item.floor ?? null,
+        construction_year: item.constructionYear ?? null,
+        energy_class: item.energyClass ?? null,
+        heating: item.heating ?? null,
+        additional_costs: item.additionalCosts ?? null,
+        images: toJson(Array.isArray(item.images) ? item.images : []),
       };
       stmt.run(params);
     }
   });
 
-  /**
-   * Extract the first number from a string like "1.234 €" or "70 m²".
-   * Removes dots/commas before parsing. Returns null on invalid input.
-   * @param {string|undefined|null} str
-   * @returns {number|null}
-   */
-  function extractNumber(str) {
-    if (!str) return null;
-    const cleaned = str.replace(/\./g, '').replace(',', '.');
-    const num = parseFloat(cleaned);
-    return isNaN(num) ? null : num;
-  }
-
   /**
    * Remove any parentheses segments (including surrounding whitespace) from a string.
    * Returns null for empty input.
@@ -496,13 +576,47 @@ export const getListingsForMap = ({ jobId, userId = null, isAdmin = false } = {}
 };
 
 /**
- * Return all listings with only the fields: title, address, and price.
- * This is the single helper requested for simple consumers.
+ * Return all listings with only the fields needed to compare them (see similarityCache).
  *
- * @returns {{title: string|null, address: string|null, price: number|null}[]}
+ * @returns {{jobId: string, hash: string, provider: string, title: string|null, address: string|null,
+ *   price: number|null, size: number|null, latitude: number|null, longitude: number|null}[]}
  */
 export const getAllEntriesFromListings = () => {
-  return SqliteConnection.query(`SELECT title, address, price FROM listings WHERE manually_deleted = 0`);
+  return SqliteConnection.query(
+    `SELECT job_id AS jobId, hash, provider, title, address, price, size, latitude, longitude
+     FROM listings
+     WHERE manually_deleted = 0`,
+  );
+};
+
+/**
+ * Link two listings describing the same property (e.g. listed on different providers) into one
+ * "also listed on" group. If both are already part of different groups, the groups are merged.
+ *
+ * @param {{jobId: string, hash: string}} listing
+ * @param {{jobId: string, hash: string}} similarListing
+ * @returns {void}
+ */
+export const linkSimilarListings = (listing, similarListing) => {
+  SqliteConnection.withTransaction((db) => {
+    const getGroup = db.prepare(`SELECT similarity_group FROM listings WHERE job_id = @jobId AND hash = @hash`);
+    const first = getGroup.get({ jobId: listing.jobId, hash: listing.hash });
+    const second = getGroup.get({ jobId: similarListing.jobId, hash: similarListing.hash });
+    if (first == null || second == null) return;
+
+    const group = second.similarity_group ?? first.similarity_group ?? nanoid();
+    const setGroup = db.prepare(`UPDATE listings SET similarity_group = @group WHERE job_id = @jobId AND hash = @hash`);
+    setGroup.run({ group, jobId: listing.jobId, hash: listing.hash });
+    setGroup.run({ group, jobId: similarListing.jobId, hash: similarListing.hash });
+    for (const oldGroup of [first.similarity_group, second.similarity_group]) {
+      if (oldGroup != null && oldGroup !== group) {
+        db.prepare(`UPDATE listings SET similarity_group = @group WHERE similarity_group = @oldGroup`).run({
+          group,
+          oldGroup,
+        });
+      }
+    }
+  });
 };
 
 /**
@@ -597,16 +711,34 @@ export const getListingById = (id, userId = null, isAdmin = false) => {
   if (!isAdmin) {
     whereScoping = `AND (j.user_id = @userId OR EXISTS (SELECT 1 FROM json_each(j.shared_with_user) AS sw WHERE sw.value = @userId))`;
   }
-  return (
-    SqliteConnection.query(
-      `SELECT l.*, j.name AS job_name, CASE WHEN wl.id IS NOT NULL THEN 1 ELSE 0 END AS isWatched
+  const row = SqliteConnection.query(
+    `SELECT l.*, j.name AS job_name, CASE WHEN wl.id IS NOT NULL THEN 1 ELSE 0 END AS isWatched
      FROM listings l
      LEFT JOIN jobs j ON j.id = l.job_id
      LEFT JOIN watch_list wl ON wl.listing_id = l.id AND wl.user_id = @userId
      WHERE l.id = @id AND l.manually_deleted = 0 ${whereScoping}`,
-      params,
-    )[0] || null
-  );
+    params,
+  )[0];
+  if (row == null) return null;
+
+  // listings of the same property on other providers, limited to jobs the user may see
+  const alsoListedOn =
+    row.similarity_group == null
+      ? []
+      : SqliteConnection.query(
+          `SELECT l.id, l.provider, l.link, l.title, l.price, j.name AS job_name
+           FROM listings l
+           LEFT JOIN jobs j ON j.id = l.job_id
+           WHERE l.similarity_group = @group AND l.id != @id AND l.manually_deleted = 0 ${whereScoping}
+           ORDER BY l.created_at`,
+          { ...params, group: row.similarity_group },
+        );
+  return {
+    ...row,
+    change_set: fromJson(row.change_set, []),
+    images: fromJson(row.images, []),
+    also_listed_on: alsoListedOn,
+  };
 };
 
 /**
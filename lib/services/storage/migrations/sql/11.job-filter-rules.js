@@ -0,0 +1,12 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding numeric filter rules (price, size, rooms, price per m²) to jobs
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE jobs ADD COLUMN filter_rules jsonb NOT NULL DEFAULT '{}';
+  `);
+}
@@ -0,0 +1,12 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding the max number of result pages a job fetches per provider
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE jobs ADD COLUMN max_pages INTEGER NOT NULL DEFAULT 1;
+  `);
+}
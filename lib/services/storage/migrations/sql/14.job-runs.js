@@ -0,0 +1,24 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding a table to store the run history of jobs, one row per provider execution
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_runs
+    (
+      id          TEXT PRIMARY KEY,
+      job_id      TEXT    NOT NULL,
+      provider    TEXT    NOT NULL,
+      started_at  INTEGER NOT NULL,
+      finished_at INTEGER,
+      status      TEXT    NOT NULL,
+      stats       JSONB   NOT NULL DEFAULT '{}',
+      error       TEXT,
+      FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs (job_id, started_at);
+  `);
+}
@@ -0,0 +1,12 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding a per-job schedule (interval or cron expression plus an optional active window)
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE jobs ADD COLUMN schedule JSONB NOT NULL DEFAULT '{}';
+  `);
+}
@@ -0,0 +1,29 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Converting the plain blacklist words of a job into blacklist entries. Plain words were matched
+// as substring in title and description, which is kept for existing entries.
+
+export function up(db) {
+  const jobs = db.prepare(`SELECT id, blacklist FROM jobs`).all();
+  const update = db.prepare(`UPDATE jobs SET blacklist = @blacklist WHERE id = @id`);
+  for (const job of jobs) {
+    let blacklist;
+    try {
+      blacklist = JSON.parse(job.blacklist);
+    } catch {
+      blacklist = [];
+    }
+    if (!Array.isArray(blacklist)) blacklist = [];
+    const entries = blacklist
+      .map((entry) =>
+        typeof entry === 'string'
+          ? { value: entry.trim(), match: 'contains', mode: 'exclude', fields: ['title', 'description'] }
+          : entry,
+      )
+      .filter((entry) => entry != null && typeof entry.value === 'string' && entry.value.length > 0);
+    update.run({ id: job.id, blacklist: JSON.stringify(entries) });
+  }
+}
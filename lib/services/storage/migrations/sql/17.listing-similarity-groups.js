@@ -0,0 +1,14 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding a similarity group to listings. Listings of the same property on different providers
+// share a group ("also listed on").
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE listings ADD COLUMN similarity_group TEXT;
+    CREATE INDEX IF NOT EXISTS idx_listings_similarity_group ON listings (similarity_group);
+  `);
+}
@@ -0,0 +1,12 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding the custom pipeline stages enabled for a job
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE jobs ADD COLUMN stages jsonb NOT NULL DEFAULT '[]';
+  `);
+}
@@ -0,0 +1,19 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding details of the expose page (rooms, floor, construction year, energy class, heating,
+// additional costs and all images) to listings
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE listings ADD COLUMN rooms REAL;
+    ALTER TABLE listings ADD COLUMN floor TEXT;
+    ALTER TABLE listings ADD COLUMN construction_year INTEGER;
+    ALTER TABLE listings ADD COLUMN energy_class TEXT;
+    ALTER TABLE listings ADD COLUMN heating TEXT;
+    ALTER TABLE listings ADD COLUMN additional_costs REAL;
+    ALTER TABLE listings ADD COLUMN images jsonb NOT NULL DEFAULT '[]';
+  `);
+}
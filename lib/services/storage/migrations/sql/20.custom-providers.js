@@ -0,0 +1,22 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Adding providers defined by an admin in the ui (container and field selectors) instead of code
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS custom_providers (
+      id                TEXT PRIMARY KEY,
+      name              TEXT    NOT NULL,
+      base_url          TEXT    NOT NULL,
+      crawl_container   TEXT    NOT NULL,
+      crawl_fields      jsonb   NOT NULL DEFAULT '{}',
+      wait_for_selector TEXT,
+      sort_by_date_param TEXT,
+      created_at        INTEGER NOT NULL,
+      updated_at        INTEGER NOT NULL
+    );
+  `);
+}
@@ -0,0 +1,23 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Tracking the health of every provider of a job to detect providers whose markup has changed
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS provider_health (
+      job_id                 TEXT    NOT NULL,
+      provider               TEXT    NOT NULL,
+      consecutive_empty_runs INTEGER NOT NULL DEFAULT 0,
+      last_result_at         INTEGER,
+      broken                 INTEGER NOT NULL DEFAULT 0,
+      broken_since           INTEGER,
+      reason                 TEXT,
+      updated_at             INTEGER NOT NULL,
+      PRIMARY KEY (job_id, provider),
+      FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE
+    );
+  `);
+}
@@ -0,0 +1,12 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Remember the listing schema violations of the last run of every provider of a job
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE provider_health ADD COLUMN schema_violations JSONB NOT NULL DEFAULT '{}';
+  `);
+}
@@ -0,0 +1,18 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Remember per domain that we have been detected as a bot, so that the cooldown survives restarts
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bot_cooldowns (
+      domain           TEXT PRIMARY KEY,
+      detections       INTEGER NOT NULL DEFAULT 0,
+      cooldown_until   INTEGER NOT NULL,
+      last_detected_at INTEGER NOT NULL,
+      last_url         TEXT
+    );
+  `);
+}
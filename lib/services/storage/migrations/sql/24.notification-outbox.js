@@ -0,0 +1,22 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+// Migration: Outbox of listings waiting for the next digest of a notification adapter, so that they survive restarts
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notification_outbox
+    (
+      id         TEXT PRIMARY KEY,
+      job_id     TEXT    NOT NULL,
+      adapter_id TEXT    NOT NULL,
+      provider   TEXT    NOT NULL,
+      listing    JSONB   NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_outbox_job_adapter ON notification_outbox (job_id, adapter_id, created_at);
+  `);
+}
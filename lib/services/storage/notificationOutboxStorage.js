@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { nanoid } from 'nanoid';
+import SqliteConnection from './SqliteConnection.js';
+import { toJson, fromJson } from '../../utils.js';
+
+/**
+ * Listing waiting for the next digest of a notification adapter.
+ *
+ * @typedef {Object} OutboxEntry
+ * @property {string} id
+ * @property {string} jobId
+ * @property {string} adapterId
+ * @property {string} provider
+ * @property {Object} listing
+ * @property {number} createdAt
+ */
+
+/**
+ * Listings of a job waiting for the digest of an adapter.
+ *
+ * @typedef {Object} OutboxGroup
+ * @property {string} jobId
+ * @property {string} adapterId
+ * @property {number} count
+ * @property {number} oldestCreatedAt
+ */
+
+/**
+ * Queue listings for the next digest of an adapter.
+ *
+ * @param {string} jobId
+ * @param {string} adapterId
+ * @param {string} provider
+ * @param {Object[]} listings
+ * @returns {void}
+ */
+export const enqueueListings = (jobId, adapterId, provider, listings) => {
+  const createdAt = Date.now();
+  SqliteConnection.withTransaction((db) => {
+    const insert = db.prepare(
+      `INSERT INTO notification_outbox (id, job_id, adapter_id, provider, listing, created_at)
+       VALUES (@id, @job_id, @adapter_id, @provider, @listing, @created_at)`,
+    );
+    for (const listing of listings) {
+      insert.run({
+        id: nanoid(),
+        job_id: jobId,
+        adapter_id: adapterId,
+        provider,
+        listing: toJson(listing),
+        created_at: createdAt,
+      });
+    }
+  });
+};
+
+/**
+ * @returns {OutboxGroup[]}
+ */
+export const getOutboxGroups = () => {
+  return SqliteConnection.query(
+    `SELECT job_id          AS jobId,
+            adapter_id      AS adapterId,
+            COUNT(1)        AS count,
+            MIN(created_at) AS oldestCreatedAt
+     FROM notification_outbox
+     GROUP BY job_id, adapter_id`,
+  );
+};
+
+/**
+ * Queued listings of a job for an adapter, oldest first.
+ *
+ * @param {string} jobId
+ * @param {string} adapterId
+ * @returns {OutboxEntry[]}
+ */
+export const getOutboxEntries = (jobId, adapterId) => {
+  return SqliteConnection.query(
+    `SELECT id,
+            job_id     AS jobId,
+            adapter_id AS adapterId,
+            provider,
+            listing,
+            created_at AS createdAt
+     FROM notification_outbox
+     WHERE job_id = @job_id
+       AND adapter_id = @adapter_id
+     ORDER BY created_at, rowid`,
+    { job_id: jobId, adapter_id: adapterId },
+  ).map((row) => ({ ...row, listing: fromJson(row.listing, {}) }));
+};
+
+/**
+ * @param {string[]} ids
+ * @returns {void}
+ */
+export const removeOutboxEntries = (ids) => {
+  SqliteConnection.withTransaction((db) => {
+    const remove = db.prepare(`DELETE FROM notification_outbox WHERE id = @id`);
+    for (const id of ids) {
+      remove.run({ id });
+    }
+  });
+};
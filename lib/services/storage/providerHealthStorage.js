@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import SqliteConnection from './SqliteConnection.js';
+import { fromJson, toJson } from '../../utils.js';
+
+/**
+ * Health of a provider within a job.
+ *
+ * @typedef {Object} ProviderHealth
+ * @property {string} jobId
+ * @property {string} providerId
+ * @property {number} consecutiveEmptyRuns Number of runs in a row without results.
+ * @property {number|null} lastResultAt Timestamp of the last run with results.
+ * @property {boolean} broken
+ * @property {number|null} brokenSince
+ * @property {string|null} reason Why the last run is considered to have failed.
+ * @property {Object.<string, number>} schemaViolations Number of listings of the last run violating the listing
+ * schema, per field (see listingSchema.js).
+ */
+
+const SELECT = `SELECT job_id                 AS jobId,
+                       provider               AS providerId,
+                       consecutive_empty_runs AS consecutiveEmptyRuns,
+                       last_result_at         AS lastResultAt,
+                       broken,
+                       broken_since           AS brokenSince,
+                       reason,
+                       schema_violations      AS schemaViolations
+                FROM provider_health`;
+
+const toHealth = (row) => ({ ...row, broken: row.broken === 1, schemaViolations: fromJson(row.schemaViolations, {}) });
+
+/**
+ * @param {string} jobId
+ * @param {string} providerId
+ * @returns {ProviderHealth|null}
+ */
+export const getProviderHealth = (jobId, providerId) => {
+  const row = SqliteConnection.query(`${SELECT} WHERE job_id = @jobId AND provider = @providerId`, {
+    jobId,
+    providerId,
+  })[0];
+  return row == null ? null : toHealth(row);
+};
+
+/**
+ * Return the health of all providers, grouped by job and provider id.
+ *
+ * @returns {Object.<string, Object.<string, ProviderHealth>>}
+ */
+export const getProviderHealthPerJob = () => {
+  const result = {};
+  for (const row of SqliteConnection.query(SELECT)) {
+    result[row.jobId] = { ...result[row.jobId], [row.providerId]: toHealth(row) };
+  }
+  return result;
+};
+
+/**
+ * Insert or update the health of a provider within a job.
+ *
+ * @param {ProviderHealth} health
+ * @returns {void}
+ */
+export const upsertProviderHealth = ({
+  jobId,
+  providerId,
+  consecutiveEmptyRuns,
+  lastResultAt,
+  broken,
+  brokenSince,
+  reason,
+  schemaViolations,
+}) => {
+  SqliteConnection.execute(
+    `INSERT INTO provider_health (job_id, provider, consecutive_empty_runs, last_result_at, broken, broken_since,
+                                  reason, schema_violations, updated_at)
+     VALUES (@job_id, @provider, @consecutive_empty_runs, @last_result_at, @broken, @broken_since, @reason,
+             @schema_violations, @updated_at)
+     ON CONFLICT(job_id, provider) DO UPDATE SET consecutive_empty_runs = excluded.consecutive_empty_runs,
+                                                 last_result_at         = excluded.last_result_at,
+                                                 broken                 = excluded.broken,
+                                                 broken_since           = excluded.broken_since,
+                                                 reason                 = excluded.reason,
+                                                 schema_violations      = excluded.schema_violations,
+                                                 updated_at             = excluded.updated_at`,
+    {
+      job_id: jobId,
+      provider: providerId,
+      consecutive_empty_runs: consecutiveEmptyRuns,
+      last_result_at: lastResultAt ?? null,
+      broken: broken ? 1 : 0,
+      broken_since: brokenSince ?? null,
+      reason: reason ?? null,
+      schema_violations: toJson(schemaViolations ?? {}),
+      updated_at: Date.now(),
+    },
+  );
+};
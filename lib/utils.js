@@ -38,6 +38,31 @@ export function getProviders() {
   return cachedProvidersPromise;
 }
 
+/**
+ * Initialize a provider for a single run and return a config of its own.
+ *
+ * Provider modules keep the url and the blacklist of the last `init` in module state, which is shared by all
+ * jobs (and previews) using the provider. The returned config keeps the url of this run, `normalize` and `filter`
+ * initialize the provider again before each call, so that they always see the values of this run. Both are
+ * synchronous, so no other run can initialize the provider in between.
+ *
+ * @param {Object} provider Provider module (see getProviders) or custom provider.
+ * @param {Object} sourceConfig Provider configuration of the job, e.g. `{id, url}`.
+ * @param {Array} [blacklist]
+ * @returns {Object} Config to pass to the pipeline.
+ */
+export function createProviderConfig(provider, sourceConfig, blacklist) {
+  const withInit =
+    (fn) =>
+    (...args) => {
+      provider.init(sourceConfig, blacklist);
+      return fn(...args);
+    };
+  provider.init(sourceConfig, blacklist);
+  const config = provider.config;
+  return { ...config, normalize: withInit(config.normalize), filter: withInit(config.filter) };
+}
+
 /**
  * Safely stringify a value to JSON for storage.
  * - Returns null when the input is null or undefined.
@@ -165,14 +190,14 @@ function getDirName() {
 /**
  * Build a sha256 hash string from the provided inputs (ignores null/empty strings).
  * Returns null if there are no valid inputs.
- * @param {...(string|null|undefined)} inputs
+ * @param {...(string|number|null|undefined)} inputs
  * @returns {string|null}
  */
 function buildHash(...inputs) {
   if (inputs == null) {
     return null;
   }
-  const cleaned = inputs.filter((i) => i != null && i.length > 0);
+  const cleaned = inputs.filter((i) => i != null && String(i).length > 0);
   if (cleaned.length === 0) {
     return null;
   }
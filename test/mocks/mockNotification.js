@@ -10,6 +10,10 @@ export const send = (serviceName, payload) => {
   return [Promise.resolve()];
 };
 
+export const sendPriceChanges = () => {
+  return [Promise.resolve()];
+};
+
 export const get = () => {
   return tmpStore;
 };
@@ -13,6 +13,10 @@ export const getKnownListingHashesForJobAndProvider = (jobKey, providerId) => {
   return db[providerId] || [];
 };
 
+export const trackListingChanges = (jobKey, providerId, listings) => {
+  return [];
+};
+
 export const getGeocoordinatesByAddress = (any) => {
   return null;
 };
@@ -21,7 +25,15 @@ export function getUserSettings(userId) {
   return null;
 }
 
+export const storeJobRun = (run) => {
+  // noop
+};
+
 export const updateListingDistance = (id, distance) => {
   // noop
 };
+
+export const linkSimilarListings = (listing, similarListing) => {
+  // noop
+};
 /* eslint-enable no-unused-vars */
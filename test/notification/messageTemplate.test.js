@@ -0,0 +1,96 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import {
+  SAMPLE_LISTING,
+  buildTemplateContext,
+  formatDistance,
+  getDigestTitle,
+  renderCustomMessage,
+  renderDigestMessage,
+  renderListingMessage,
+  renderTemplate,
+  truncateMessage,
+  validateTemplate,
+} from '../../lib/notification/messageTemplate.js';
+
+describe('notification/messageTemplate', () => {
+  const job = { jobName: 'Berlin flats', jobKey: 'job-1', serviceName: 'immoscout' };
+  const adapterConfig = {
+    id: 'telegram',
+    template: { format: 'html', default: '<b>{{title}}</b> ({{provider}})' },
+  };
+
+  it('validates the syntax of templates', () => {
+    expect(validateTemplate('{{title}} for {{price}}')).to.equal(null);
+    expect(validateTemplate('{{#if distance}}{{distance}}{{/if}} {{truncate title 20}}')).to.equal(null);
+    expect(validateTemplate('{{#if title}}{{title}}')).to.include('Parse error');
+    expect(validateTemplate('{{unknownHelper title}}')).to.include('unknownHelper');
+    expect(validateTemplate('  ')).to.equal('The template must not be empty.');
+  });
+
+  it('provides the listing, the job, the provider and the distance to the template', () => {
+    const context = buildTemplateContext(SAMPLE_LISTING, job);
+    expect(
+      renderTemplate('{{jobName}} | {{provider}} | {{listing.title}} | {{price}} | {{distance}}', context),
+    ).to.equal(`Berlin flats | immoscout | ${SAMPLE_LISTING.title} | 1.250 € | 2.4 km`);
+    expect(formatDistance(850)).to.equal('850 m');
+    expect(formatDistance(null)).to.equal(null);
+  });
+
+  it('escapes values of html templates only', () => {
+    const context = buildTemplateContext({ title: 'Flat <3 & garden' }, job);
+    expect(renderTemplate('{{title}}', context, 'html')).to.equal('Flat &lt;3 &amp; garden');
+    expect(renderTemplate('{{title}}', context, 'markdown')).to.equal('Flat <3 & garden');
+  });
+
+  it('provides helpers for common formatting', () => {
+    const context = buildTemplateContext({ title: 'A very long title', address: 'Berlin', price: '' }, job);
+    expect(renderTemplate('{{truncate title 6}}', context)).to.equal('A very...');
+    expect(renderTemplate('{{join address price title}}', context)).to.equal('Berlin | A very long title');
+    expect(renderTemplate('{{join address title separator=", "}}', context)).to.equal('Berlin, A very long title');
+    expect(renderTemplate('{{or price size "n/a"}}', context)).to.equal('n/a');
+  });
+
+  it('uses the template of the job and falls back to the default of the adapter', () => {
+    const listing = { title: 'Flat' };
+    const custom = [{ id: 'telegram', fields: {}, template: '{{jobName}}: {{title}}' }];
+    const withoutTemplate = [{ id: 'telegram', fields: {} }];
+
+    expect(renderListingMessage(adapterConfig, custom, listing, job)).to.equal('Berlin flats: Flat');
+    expect(renderListingMessage(adapterConfig, withoutTemplate, listing, job)).to.equal('<b>Flat</b> (immoscout)');
+    expect(renderCustomMessage(adapterConfig, custom, listing, job)).to.equal('Berlin flats: Flat');
+    expect(renderCustomMessage(adapterConfig, withoutTemplate, listing, job)).to.equal(null);
+  });
+
+  it('renders a digest of several listings and summarizes those which do not fit', () => {
+    const entries = ['One', 'Two', 'Three'].map((title) => ({ listing: { title }, provider: 'immowelt' }));
+    const notificationConfig = [{ id: 'telegram', fields: {} }];
+
+    expect(getDigestTitle(1, 'Berlin flats')).to.equal('Fredy found 1 new listing for Berlin flats');
+    expect(renderDigestMessage(adapterConfig, notificationConfig, entries, job, { withTitle: true })).to.equal(
+      '<b>Fredy found 3 new listings for Berlin flats</b>\n\n' +
+        '<b>One</b> (immowelt)\n\n<b>Two</b> (immowelt)\n\n<b>Three</b> (immowelt)',
+    );
+    expect(renderDigestMessage(adapterConfig, notificationConfig, entries, job, { maxLength: 50 })).to.equal(
+      '<b>One</b> (immowelt)\n\n... and 2 more',
+    );
+  });
+
+  it('shortens messages without leaving html tags or entities open', () => {
+    const html = "<a href='https://www.example.com/expose/1'><b>Flat &amp; garden</b></a>";
+    expect(truncateMessage(html, 100, 'html')).to.equal(html);
+    expect(truncateMessage(html, 20, 'html')).to.equal('Flat &amp; garden');
+    expect(truncateMessage(html, 10, 'html')).to.equal('Flat ...');
+    expect(truncateMessage('Flat & garden', 10)).to.equal('Flat & ...');
+
+    const entries = [{ listing: { title: 'A'.repeat(60) }, provider: 'immowelt' }];
+    const digest = renderDigestMessage(adapterConfig, [{ id: 'telegram', fields: {} }], entries, job, {
+      maxLength: 40,
+    });
+    expect(digest).to.equal(`${'A'.repeat(37)}...`);
+  });
+});
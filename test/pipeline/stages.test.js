@@ -0,0 +1,33 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import { getStages, runStages } from '../../lib/pipeline/stages.js';
+
+describe('pipeline stages', () => {
+  const listings = [
+    { id: '1', price: '1.000 €', size: '50 m²' },
+    { id: '2', price: null, size: '50 m²' },
+  ];
+  const context = (stages) => ({ job: { id: 'job1', stages }, jobKey: 'job1', providerId: 'test' });
+
+  it('loads the stages from lib/pipeline/stage', () => {
+    expect(getStages().map((stage) => stage.id)).to.include('pricePerSqm');
+  });
+
+  it('only runs stages that are enabled for the job and registered for the hook', async () => {
+    expect(await runStages('afterFindNew', listings, context([]))).to.equal(listings);
+    expect(await runStages('beforeNotify', listings, context(['pricePerSqm']))).to.equal(listings);
+
+    const result = await runStages('afterFindNew', listings, context(['pricePerSqm']));
+    expect(result[0].pricePerSqm).to.equal(20);
+    expect(result[1]).to.not.have.property('pricePerSqm');
+  });
+
+  it('skips a failing stage and keeps the listings', async () => {
+    const broken = [null];
+    expect(await runStages('afterFindNew', broken, context(['pricePerSqm']))).to.equal(broken);
+  });
+});
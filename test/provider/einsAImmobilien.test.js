@@ -5,11 +5,12 @@
 
 import * as similarityCache from '../../lib/services/similarity-check/similarityCache.js';
 import { get } from '../mocks/mockNotification.js';
-import { providerConfig, mockFredy } from '../utils.js';
+import { providerConfig, mockFredy, useFixtures } from '../utils.js';
 import { expect } from 'chai';
 import * as provider from '../../lib/provider/einsAImmobilien.js';
 
 describe('#einsAImmobilien testsuite()', () => {
+  useFixtures(provider.metaInformation.id);
   provider.init(providerConfig.einsAImmobilien, [], []);
   it('should test einsAImmobilien provider', async () => {
     const Fredy = await mockFredy();
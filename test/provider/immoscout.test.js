@@ -5,11 +5,12 @@
 
 import { expect } from 'chai';
 import * as similarityCache from '../../lib/services/similarity-check/similarityCache.js';
-import { mockFredy, providerConfig } from '../utils.js';
+import { mockFredy, providerConfig, useFixtures } from '../utils.js';
 import { get } from '../mocks/mockNotification.js';
 import * as provider from '../../lib/provider/immoscout.js';
 
 describe('#immoscout provider testsuite()', () => {
+  useFixtures(provider.metaInformation.id);
   provider.init(providerConfig.immoscout, [], []);
   it('should test immoscout provider', async () => {
     const Fredy = await mockFredy();
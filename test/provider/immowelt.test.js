@@ -5,11 +5,12 @@
 
 import * as similarityCache from '../../lib/services/similarity-check/similarityCache.js';
 import { get } from '../mocks/mockNotification.js';
-import { mockFredy, providerConfig } from '../utils.js';
+import { mockFredy, providerConfig, useFixtures } from '../utils.js';
 import { expect } from 'chai';
 import * as provider from '../../lib/provider/immowelt.js';
 
 describe('#immowelt testsuite()', () => {
+  useFixtures(provider.metaInformation.id);
   it('should test immowelt provider', async () => {
     const Fredy = await mockFredy();
     provider.init(providerConfig.immowelt, [], []);
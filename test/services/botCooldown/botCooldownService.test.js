@@ -0,0 +1,88 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+
+describe('services/botCooldown/botCooldownService', () => {
+  let stored;
+  let service;
+  let now;
+  const realNow = Date.now;
+
+  beforeEach(async () => {
+    stored = new Map();
+    now = 1_000_000;
+    Date.now = () => now;
+    service = await esmock('../../../lib/services/botCooldown/botCooldownService.js', {
+      '../../../lib/services/storage/botCooldownStorage.js': {
+        getBotCooldown: (domain) => stored.get(domain) ?? null,
+        getBotCooldowns: () => [...stored.values()],
+        upsertBotCooldown: (cooldown) => stored.set(cooldown.domain, cooldown),
+        deleteBotCooldown: (domain) => stored.delete(domain),
+      },
+      '../../../lib/services/logger.js': {
+        default: { warn: () => {}, info: () => {}, debug: () => {} },
+      },
+    });
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  const url = 'https://www.immobilienscout24.de/Suche/de/berlin/wohnung-mieten';
+
+  it('shares the cooldown between the subdomains of a site', () => {
+    expect(service.getDomain(url)).to.equal('immobilienscout24.de');
+    expect(service.getDomain('https://api.mobile.immobilienscout24.de/search/list')).to.equal('immobilienscout24.de');
+    expect(service.getDomain('https://www.rightmove.co.uk/property-to-rent')).to.equal('rightmove.co.uk');
+    expect(service.getDomain('https://www.zoopla.co.uk/to-rent')).to.equal('zoopla.co.uk');
+    expect(service.getDomain('http://192.168.1.10:8080/search')).to.equal('192.168.1.10');
+    expect(service.getDomain('not a url')).to.equal(null);
+  });
+
+  it('backs off exponentially after detections in a row', () => {
+    service.reportBotDetection(url);
+    expect(service.getActiveCooldown(url).cooldownUntil).to.equal(now + service.BASE_COOLDOWN_MS);
+
+    now += service.BASE_COOLDOWN_MS;
+    expect(service.getActiveCooldown(url)).to.equal(null);
+    service.reportBotDetection(url);
+    expect(service.getActiveCooldown(url)).to.include({
+      detections: 2,
+      cooldownUntil: now + 2 * service.BASE_COOLDOWN_MS,
+    });
+
+    expect(service.getCooldownDuration(30)).to.equal(service.MAX_COOLDOWN_MS);
+  });
+
+  it('does not extend a running cooldown', () => {
+    service.reportBotDetection(url);
+    now += 60_000;
+    service.reportBotDetection('https://api.mobile.immobilienscout24.de/search/list');
+    expect(service.getActiveCooldown(url).detections).to.equal(1);
+  });
+
+  it('resets the backoff after a successful request', () => {
+    service.reportBotDetection(url);
+    now += service.BASE_COOLDOWN_MS;
+    service.resetBotCooldown(url);
+    service.reportBotDetection(url);
+    expect(service.getActiveCooldown(url).detections).to.equal(1);
+  });
+
+  it('returns the active cooldowns of the providers of a job', () => {
+    service.reportBotDetection(url);
+    expect(
+      Object.keys(
+        service.getProviderCooldowns([
+          { id: 'immoscout', url },
+          { id: 'immowelt', url: 'https://www.immowelt.de/suche' },
+        ]),
+      ),
+    ).to.deep.equal(['immoscout']);
+  });
+});
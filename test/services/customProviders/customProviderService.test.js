@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import { loadParser, parse } from '../../../lib/services/extractor/parser/parser.js';
+import {
+  createCustomProvider,
+  normalizeCustomProvider,
+  validateCustomProvider,
+} from '../../../lib/services/customProviders/customProviderService.js';
+
+describe('customProviderService', () => {
+  const definition = normalizeCustomProvider({
+    id: 'custom-coop',
+    name: ' Wohnungsgenossenschaft ',
+    baseUrl: 'https://www.example-coop.de',
+    crawlContainer: '.offer',
+    crawlFields: {
+      id: '@data-id',
+      title: 'h2 | trim',
+      price: '.rent | trim',
+      link: 'a@href',
+      image: 'img@src',
+      unknown: 'span',
+      address: ' ',
+    },
+  });
+
+  const html = `
+    <div class="offer" data-id="17"><h2> 2 Zimmer  am Park </h2><span class="rent">650 €</span>
+      <a href="/angebote/17">Details</a><img src="/img/17.jpg"></div>
+    <div class="offer" data-id="18"><h2>Tausch gesucht</h2><a href="https://other.de/18">Details</a></div>`;
+
+  it('drops unknown and empty fields', () => {
+    expect(definition.name).to.equal('Wohnungsgenossenschaft');
+    expect(Object.keys(definition.crawlFields)).to.deep.equal(['id', 'title', 'price', 'link', 'image']);
+    expect(validateCustomProvider(definition)).to.equal(null);
+  });
+
+  it('rejects definitions without base url or mandatory selectors', () => {
+    expect(validateCustomProvider({ ...definition, baseUrl: 'example-coop.de' })).to.equal(
+      'The base url is not a valid url.',
+    );
+    expect(validateCustomProvider({ ...definition, crawlFields: { id: '@data-id' } })).to.equal(
+      'Selectors for the following fields are mandatory: title, link.',
+    );
+  });
+
+  it('parses and normalizes listings like a built-in provider', () => {
+    const provider = createCustomProvider(definition);
+    provider.init({ url: 'https://www.example-coop.de/angebote' }, ['Tausch']);
+    loadParser(html);
+    const listings = parse(provider.config.crawlContainer, provider.config.crawlFields, html).map(
+      provider.config.normalize,
+    );
+
+    expect(provider.metaInformation).to.deep.equal({
+      name: 'Wohnungsgenossenschaft',
+      baseUrl: 'https://www.example-coop.de',
+      id: 'custom-coop',
+      custom: true,
+    });
+    expect(listings).to.have.length(2);
+    expect(listings[0].id).to.be.a('string').with.length(64);
+    expect(listings[0].title).to.equal('2 Zimmer am Park');
+    expect(listings[0].link).to.equal('https://www.example-coop.de/angebote/17');
+    expect(listings[0].image).to.equal('https://www.example-coop.de/img/17.jpg');
+    expect(listings[1].link).to.equal('https://other.de/18');
+    expect(listings.map(provider.config.filter)).to.deep.equal([true, false]);
+  });
+});
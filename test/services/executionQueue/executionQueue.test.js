@@ -0,0 +1,93 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+
+describe('services/executionQueue/executionQueue', () => {
+  let queue;
+  let settings;
+
+  beforeEach(async () => {
+    settings = {
+      maxConcurrentExecutions: 2,
+      domainRequestsPerMinute: 0,
+      domainMinSpacingSeconds: 0.05,
+      domainJitterSeconds: 0,
+    };
+    queue = await esmock('../../../lib/services/executionQueue/executionQueue.js', {
+      '../../../lib/services/storage/settingsStorage.js': {
+        getSettings: async () => settings,
+      },
+    });
+  });
+
+  it('limits the number of provider runs executing at the same time', async () => {
+    let open = 0;
+    let maxOpen = 0;
+    const started = [];
+    const run = (id) =>
+      queue.runQueued(async () => {
+        started.push(id);
+        maxOpen = Math.max(maxOpen, ++open);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        open--;
+        return id;
+      });
+    expect(await Promise.all([1, 2, 3, 4, 5].map(run))).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(maxOpen).to.equal(2);
+    expect(started).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(queue.getExecutionQueueStats()).to.include({ running: 0, queued: 0, executions: 5 });
+  });
+
+  it('frees the slot of a failing run', async () => {
+    settings.maxConcurrentExecutions = 1;
+    let error;
+    await queue
+      .runQueued(async () => {
+        throw new Error('broken provider');
+      })
+      .catch((e) => (error = e));
+    expect(error.message).to.equal('broken provider');
+    expect(await queue.runQueued(async () => 'next')).to.equal('next');
+  });
+
+  it('spaces the requests to a domain', async () => {
+    const sentAt = [];
+    const request = (url) => queue.acquireRequestSlot(url).then(() => sentAt.push({ url, at: Date.now() }));
+    await Promise.all([
+      request('https://www.immowelt.de/suche?page=1'),
+      request('https://www.immowelt.de/suche?page=2'),
+      request('https://www.kleinanzeigen.de/s-wohnung-mieten'),
+    ]);
+    const [first, other, second] = sentAt;
+    expect(other.url).to.contain('kleinanzeigen');
+    expect(second.at - first.at).to.be.at.least(45);
+    expect(other.at - first.at).to.be.below(45);
+    expect(queue.getExecutionQueueStats().domains.map((d) => d.domain)).to.deep.equal([
+      'immowelt.de',
+      'kleinanzeigen.de',
+    ]);
+  });
+
+  it('respects the requests per minute of a domain', () => {
+    const now = 1_000_000;
+    const state = { sentAt: [now - 50_000, now - 30_000, now - 10_000], nextAllowedAt: 0 };
+    const limit = { requestsPerMinute: 3, minSpacingMs: 0, jitterMs: 0 };
+    expect(queue.getNextSlot(state, limit, now)).to.equal(now + 10_000);
+    expect(queue.getNextSlot(state, { ...limit, requestsPerMinute: 4 }, now)).to.equal(now);
+    expect(queue.getNextSlot({ ...state, nextAllowedAt: now + 500 }, { ...limit, requestsPerMinute: 0 }, now)).to.equal(
+      now + 500,
+    );
+  });
+
+  it('does not limit requests to the local machine', async () => {
+    settings.domainMinSpacingSeconds = 10;
+    const startedAt = Date.now();
+    await queue.acquireRequestSlot('http://127.0.0.1:9998/api');
+    await queue.acquireRequestSlot('http://127.0.0.1:9998/api');
+    expect(Date.now() - startedAt).to.be.below(1000);
+  });
+});
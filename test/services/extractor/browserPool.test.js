@@ -0,0 +1,114 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import { EventEmitter } from 'node:events';
+
+describe('services/extractor/browserPool', () => {
+  let pool;
+  let launched;
+  let killed;
+
+  function fakeBrowser() {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.newPage = async () => {
+      let closed = false;
+      return { isClosed: () => closed, close: async () => (closed = true) };
+    };
+    browser.close = async () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+    };
+    browser.process = () => ({ pid: 4711, kill: () => killed.push(browser) });
+    return browser;
+  }
+
+  beforeEach(async () => {
+    launched = [];
+    killed = [];
+    pool = await esmock('../../../lib/services/extractor/browserPool.js', {
+      'puppeteer-extra': {
+        default: {
+          use: () => null,
+          launch: async () => {
+            const browser = fakeBrowser();
+            launched.push(browser);
+            return browser;
+          },
+        },
+      },
+      'puppeteer-extra-plugin-stealth': { default: () => null },
+      '../../../lib/services/storage/settingsStorage.js': {
+        getSettings: async () => ({ browserPoolSize: 1, browserPoolPagesPerBrowser: 2 }),
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await pool.closeBrowserPool();
+  });
+
+  it('reuses a browser across extractions', async () => {
+    await pool.withPage({}, async () => null);
+    await pool.withPage({}, async () => null);
+    expect(launched).to.have.length(1);
+    expect(pool.getBrowserPoolStats()).to.include({ launched: 1, pagesServed: 2, activePages: 0 });
+  });
+
+  it('limits the number of concurrent pages', async () => {
+    let open = 0;
+    let maxOpen = 0;
+    const extraction = () =>
+      pool.withPage({}, async () => {
+        maxOpen = Math.max(maxOpen, ++open);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        open--;
+      });
+    await Promise.all([extraction(), extraction(), extraction(), extraction(), extraction()]);
+    expect(maxOpen).to.equal(2);
+    expect(launched).to.have.length(1);
+  });
+
+  it('replaces idle browsers with other launch options', async () => {
+    await pool.withPage({}, async () => null);
+    await pool.withPage({ proxyUrl: 'http://proxy:8080' }, async () => null);
+    expect(launched).to.have.length(2);
+    expect(launched[0].connected).to.equal(false);
+    expect(pool.getBrowserPoolStats().browsers).to.have.length(1);
+  });
+
+  it('releases a profile dir only if no page is open', async () => {
+    let unblock;
+    const extraction = pool.withPage({ userDataDir: '/profiles/example.com' }, () => new Promise((r) => (unblock = r)));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await pool.releaseUserDataDir('/profiles/example.com')).to.equal(false);
+    unblock();
+    await extraction;
+    expect(await pool.releaseUserDataDir('/profiles/example.com')).to.equal(true);
+    expect(launched[0].connected).to.equal(false);
+    expect(pool.getBrowserPoolStats().browsers).to.have.length(0);
+  });
+
+  it('kills browsers with hung pages', async () => {
+    let unblock;
+    const hung = pool.withPage({}, () => new Promise((resolve) => (unblock = resolve)));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const now = Date.now;
+    Date.now = () => now() + pool.HUNG_PAGE_TIMEOUT_MS + 1;
+    try {
+      await pool.runWatchdog();
+    } finally {
+      Date.now = now;
+    }
+    expect(killed).to.have.length(1);
+    expect(pool.getBrowserPoolStats()).to.include({ killed: 1 });
+    expect(pool.getBrowserPoolStats().browsers).to.have.length(0);
+    unblock();
+    await hung;
+  });
+});
@@ -0,0 +1,122 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('services/extractor/browserProfiles', () => {
+  let dir;
+  let enabled;
+  let inUse;
+  let profiles;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fredy-profiles-'));
+    enabled = true;
+    inUse = false;
+    profiles = await esmock('../../../lib/services/extractor/browserProfiles.js', {
+      '../../../lib/services/storage/settingsStorage.js': {
+        getSettings: async () => ({ persistentBrowserProfiles: enabled }),
+      },
+      '../../../lib/services/storage/SqliteConnection.js': {
+        computeDbPath: async () => ({ dir, dbPath: path.join(dir, 'listings.db') }),
+      },
+      '../../../lib/services/extractor/browserPool.js': {
+        releaseUserDataDir: async () => !inUse,
+      },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function fakePage(consentShown = true) {
+    const page = { clicks: 0 };
+    page.waitForSelector = async () => {
+      if (!consentShown) throw new Error('Timeout');
+      return { click: async () => page.clicks++ };
+    };
+    return page;
+  }
+
+  it('uses a temporary profile if persistent profiles are disabled', async () => {
+    enabled = false;
+    expect(await profiles.getProfile('https://www.kleinanzeigen.de/s-wohnung-mieten')).to.equal(null);
+    expect(fs.readdirSync(dir)).to.have.length(0);
+  });
+
+  it('keeps one profile per domain', async () => {
+    const profile = await profiles.getProfile('https://www.kleinanzeigen.de/s-wohnung-mieten');
+    expect(profile.userDataDir).to.equal(path.join(dir, profiles.PROFILES_DIR, 'kleinanzeigen.de'));
+    expect(fs.existsSync(profile.userDataDir)).to.equal(true);
+    const again = await profiles.getProfile('https://m.kleinanzeigen.de/s-haus-kaufen');
+    expect(again.userDataDir).to.equal(profile.userDataDir);
+    expect(again.createdAt).to.equal(profile.createdAt);
+  });
+
+  it('dismisses the cookie consent once per profile', async () => {
+    const url = 'https://www.kleinanzeigen.de/s-wohnung-mieten';
+    const page = fakePage();
+    expect(await profiles.dismissConsent(page, '#gdpr-banner-accept', await profiles.getProfile(url))).to.equal(true);
+    expect(await profiles.dismissConsent(page, '#gdpr-banner-accept', await profiles.getProfile(url))).to.equal(false);
+    expect(page.clicks).to.equal(1);
+
+    // without a persistent profile, every request starts with the consent
+    await profiles.dismissConsent(page, '#gdpr-banner-accept', null);
+    await profiles.dismissConsent(page, '#gdpr-banner-accept', null);
+    expect(page.clicks).to.equal(3);
+  });
+
+  it('waits for the consent once per browser', async () => {
+    const browser = {};
+    const page = fakePage();
+    page.browser = () => browser;
+    expect(await profiles.dismissConsent(page, '#gdpr-banner-accept', null)).to.equal(true);
+    expect(await profiles.dismissConsent(page, '#gdpr-banner-accept', null)).to.equal(false);
+    expect(page.clicks).to.equal(1);
+
+    const otherBrowser = fakePage();
+    otherBrowser.browser = () => ({});
+    expect(await profiles.dismissConsent(otherBrowser, '#gdpr-banner-accept', null)).to.equal(true);
+  });
+
+  it('tries again if the consent did not show up', async () => {
+    const url = 'https://www.kleinanzeigen.de/s-wohnung-mieten';
+    expect(
+      await profiles.dismissConsent(fakePage(false), '#gdpr-banner-accept', await profiles.getProfile(url)),
+    ).to.equal(false);
+    expect((await profiles.getProfile(url)).consentDismissedAt).to.equal(null);
+  });
+
+  it('lists and resets profiles', async () => {
+    await profiles.getProfile('https://www.kleinanzeigen.de/s-wohnung-mieten');
+    await profiles.getProfile('https://www.immowelt.de/suche');
+    expect((await profiles.listProfiles()).map((profile) => profile.domain)).to.deep.equal([
+      'immowelt.de',
+      'kleinanzeigen.de',
+    ]);
+
+    inUse = true;
+    let error;
+    await profiles.resetProfile('immowelt.de').catch((e) => (error = e));
+    expect(error?.message).to.contain('in use');
+
+    inUse = false;
+    await profiles.resetProfile('immowelt.de');
+    expect((await profiles.listProfiles()).map((profile) => profile.domain)).to.deep.equal(['kleinanzeigen.de']);
+
+    for (const domain of ['../..', '..', '.']) {
+      error = null;
+      await profiles.resetProfile(domain).catch((e) => (error = e));
+      expect(error?.message).to.contain('no browser profile');
+    }
+    expect(fs.existsSync(dir)).to.equal(true);
+    expect((await profiles.listProfiles()).map((profile) => profile.domain)).to.deep.equal(['kleinanzeigen.de']);
+  });
+});
@@ -0,0 +1,72 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+
+describe('services/extractor/extractor', () => {
+  const STATIC_PAGE = '<div class="item" id="1"><a href="/1">Static</a></div>';
+  const BROWSER_PAGE = '<div class="item" id="2"><a href="/2">Browser</a></div>';
+  let calls;
+
+  async function createExtractor(fetchResult, options) {
+    calls = [];
+    const Extractor = (
+      await esmock('../../../lib/services/extractor/extractor.js', {
+        '../../../lib/services/extractor/fetchExtractor.js': {
+          default: async () => {
+            calls.push('fetch');
+            return fetchResult;
+          },
+        },
+        '../../../lib/services/proxy/proxyPool.js': {
+          getProxy: async () => null,
+        },
+        '../../../lib/services/executionQueue/executionQueue.js': {
+          acquireRequestSlot: async () => {},
+        },
+        '../../../lib/services/extractor/puppeteerExtractor.js': {
+          default: async () => {
+            calls.push('puppeteer');
+            return BROWSER_PAGE;
+          },
+        },
+      })
+    ).default;
+    return new Extractor(options);
+  }
+
+  const parseTitles = (extractor) =>
+    extractor.parseResponseText('.item', { id: '@id', title: 'a | trim' }, 'url').map((listing) => listing.title);
+
+  it('uses Puppeteer by default', async () => {
+    const extractor = await createExtractor(STATIC_PAGE);
+    await extractor.execute('https://example.com', 'body', '.item');
+    expect(calls).to.deep.equal(['puppeteer']);
+    expect(parseTitles(extractor)).to.deep.equal(['Browser']);
+  });
+
+  it('uses the static response in fetch mode if it contains the crawl container', async () => {
+    const extractor = await createExtractor(STATIC_PAGE, { extractionMode: 'fetch' });
+    await extractor.execute('https://example.com', 'body', '.item');
+    expect(calls).to.deep.equal(['fetch']);
+    expect(extractor.usedExtractionMode).to.equal('fetch');
+    expect(parseTitles(extractor)).to.deep.equal(['Static']);
+  });
+
+  it('falls back to Puppeteer if the static response lacks the crawl container', async () => {
+    const extractor = await createExtractor('<div>Loading...</div>', { extractionMode: 'fetch' });
+    await extractor.execute('https://example.com', 'body', '.item');
+    expect(calls).to.deep.equal(['fetch', 'puppeteer']);
+    expect(extractor.usedExtractionMode).to.equal('puppeteer');
+    expect(parseTitles(extractor)).to.deep.equal(['Browser']);
+  });
+
+  it('falls back to Puppeteer if the static request has been detected as a bot', async () => {
+    const extractor = await createExtractor(null, { extractionMode: 'fetch' });
+    await extractor.execute('https://example.com', 'body', '.item');
+    expect(calls).to.deep.equal(['fetch', 'puppeteer']);
+  });
+});
@@ -0,0 +1,36 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import fetchExtractor from '../../../lib/services/extractor/fetchExtractor.js';
+
+describe('services/extractor/fetchExtractor', () => {
+  const originalFetch = globalThis.fetch;
+
+  const respondWith = (status, body) => {
+    globalThis.fetch = async () => new Response(body, { status });
+  };
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('returns the inner html of the wait selector', async () => {
+    respondWith(200, '<html><body><main><div class="item">1</div></main></body></html>');
+    expect(await fetchExtractor('https://example.com', 'main', {})).to.equal('<div class="item">1</div>');
+  });
+
+  it('returns null if we have been detected as a bot', async () => {
+    respondWith(403, '<html><body>Access denied</body></html>');
+    expect(await fetchExtractor('https://example.com', 'body', {})).to.equal(null);
+    respondWith(200, '<html><body>Please verify you are human</body></html>');
+    expect(await fetchExtractor('https://example.com', 'body', {})).to.equal(null);
+  });
+
+  it('returns null if the wait selector does not exist', async () => {
+    respondWith(200, '<html><body><div id="app"></div></body></html>');
+    expect(await fetchExtractor('https://example.com', 'main', {})).to.equal(null);
+  });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import { loadParser, parse, splitFieldSelector } from '../../../lib/services/extractor/parser/parser.js';
+
+describe('services/extractor/parser', () => {
+  const URL = 'https://www.example.com/search/wohnungen?page=2';
+  const HTML = `
+    <ul>
+      <li class="item" data-id="4711">
+        <a href="/expose/4711?ref=list">  Helle
+          WOHNUNG  </a>
+        <span class="price">1.250,50 €</span>
+        <span class="rooms">3 Zimmer</span>
+        <span class="size"></span>
+        <img src="/img/1.jpg" /><img src="https://cdn.example.com/2.jpg" /><img />
+      </li>
+    </ul>`;
+
+  const parseField = (fieldSelector) => {
+    loadParser(HTML);
+    return parse('.item', { id: '@data-id', value: fieldSelector }, HTML, URL)[0].value;
+  };
+
+  it('keeps the existing modifiers', () => {
+    expect(parseField('@data-id | int')).to.equal(4711);
+    expect(parseField('a | removeNewline | trim')).to.equal('Helle WOHNUNG');
+  });
+
+  it('parses German numbers and prices', () => {
+    expect(parseField('.price | number')).to.equal(1250.5);
+  });
+
+  it('captures with a regular expression', () => {
+    expect(parseField('a@href | regex(/expose/(\\d+))')).to.equal('4711');
+    expect(parseField('.rooms | regex(\\d+ Zimmer)')).to.equal('3 Zimmer');
+    expect(parseField('.rooms | regex(Balkon|Terrasse)')).to.equal(null);
+  });
+
+  it('resolves relative urls against the page url', () => {
+    expect(parseField('a@href | absoluteUrl')).to.equal('https://www.example.com/expose/4711?ref=list');
+  });
+
+  it('converts to lower case', () => {
+    expect(parseField('a | trim | lowercase')).to.equal('helle wohnung');
+  });
+
+  it('uses the default value for empty fields', () => {
+    expect(parseField('.size | trim | default(--- m²)')).to.equal('--- m²');
+    expect(parseField('.price | default(on request)')).to.equal('1.250,50 €');
+  });
+
+  it('collects the values of all matching elements', () => {
+    expect(parseField('img@src | all | absoluteUrl')).to.deep.equal([
+      'https://www.example.com/img/1.jpg',
+      'https://cdn.example.com/2.jpg',
+    ]);
+    expect(parseField('video@src | all')).to.equal(null);
+  });
+
+  it('does not split on pipes within modifier arguments', () => {
+    expect(splitFieldSelector('a@href | regex((\\d+)|(x\\|y)) | int')).to.deep.equal({
+      selector: 'a@href',
+      modifiers: [
+        { name: 'regex', arg: '(\\d+)|(x\\|y)' },
+        { name: 'int', arg: null },
+      ],
+    });
+  });
+});
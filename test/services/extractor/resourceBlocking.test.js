@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import { EventEmitter } from 'node:events';
+import {
+  applyResourcePolicy,
+  resolveResourcePolicy,
+  shouldBlockRequest,
+} from '../../../lib/services/extractor/resourceBlocking.js';
+
+describe('services/extractor/resourceBlocking', () => {
+  const request = (url, resourceType = 'script', isNavigation = false) => ({ url, resourceType, isNavigation });
+
+  it('blocks media, fonts and known trackers by default', () => {
+    const policy = resolveResourcePolicy(undefined);
+    expect(shouldBlockRequest(policy, request('https://www.immowelt.de/suche', 'document', true))).to.equal(false);
+    expect(shouldBlockRequest(policy, request('https://cdn.immowelt.de/app.js'))).to.equal(false);
+    expect(shouldBlockRequest(policy, request('https://cdn.immowelt.de/1.jpg', 'image'))).to.equal(false);
+    expect(shouldBlockRequest(policy, request('https://cdn.immowelt.de/font.woff2', 'font'))).to.equal(true);
+    expect(shouldBlockRequest(policy, request('https://cdn.immowelt.de/tour.mp4', 'media'))).to.equal(true);
+    expect(shouldBlockRequest(policy, request('https://www.googletagmanager.com/gtm.js'))).to.equal(true);
+    expect(shouldBlockRequest(policy, request('https://www.facebook.com/tr?id=1', 'image'))).to.equal(true);
+    expect(shouldBlockRequest(policy, request('https://www.facebook.com/immowelt', 'document'))).to.equal(false);
+  });
+
+  it('applies the policy of a provider', () => {
+    const policy = resolveResourcePolicy({
+      blockResourceTypes: ['image'],
+      allowResourceTypes: ['font'],
+      blockDomains: ['*.ads.example.com'],
+      allowDomains: ['googletagmanager.com'],
+    });
+    expect(shouldBlockRequest(policy, request('https://cdn.immowelt.de/1.jpg', 'image'))).to.equal(true);
+    expect(shouldBlockRequest(policy, request('https://cdn.immowelt.de/font.woff2', 'font'))).to.equal(false);
+    expect(shouldBlockRequest(policy, request('https://banner.ads.example.com/1.js'))).to.equal(true);
+    expect(shouldBlockRequest(policy, request('https://ads.example.com/1.js'))).to.equal(false);
+    expect(shouldBlockRequest(policy, request('https://www.googletagmanager.com/gtm.js'))).to.equal(false);
+
+    expect(resolveResourcePolicy(false)).to.equal(null);
+    expect(
+      shouldBlockRequest(resolveResourcePolicy({ blockTrackers: false }), request('https://hotjar.com/h.js')),
+    ).to.equal(false);
+  });
+
+  it('aborts blocked requests and counts the traffic of the page', async () => {
+    const page = new EventEmitter();
+    const session = new EventEmitter();
+    const mainFrame = {};
+    page.setRequestInterception = async (enabled) => (page.intercepting = enabled);
+    page.mainFrame = () => mainFrame;
+    page.createCDPSession = async () => Object.assign(session, { send: async () => null });
+    const handled = [];
+    const fakeRequest = (url, resourceType, isNavigation = false) => ({
+      url: () => url,
+      resourceType: () => resourceType,
+      isNavigationRequest: () => isNavigation,
+      frame: () => mainFrame,
+      isInterceptResolutionHandled: () => false,
+      abort: async () => handled.push(`abort ${url}`),
+      continue: async () => handled.push(`continue ${url}`),
+    });
+
+    const stats = { requests: 0, blockedRequests: 0, bytes: 0 };
+    await applyResourcePolicy(page, undefined, stats);
+    page.emit('request', fakeRequest('https://www.immowelt.de/suche', 'document', true));
+    page.emit('request', fakeRequest('https://cdn.immowelt.de/font.woff2', 'font'));
+    session.emit('Network.loadingFinished', { encodedDataLength: 1500 });
+    session.emit('Network.loadingFinished', { encodedDataLength: 500 });
+
+    expect(page.intercepting).to.equal(true);
+    expect(handled).to.deep.equal([
+      'continue https://www.immowelt.de/suche',
+      'abort https://cdn.immowelt.de/font.woff2',
+    ]);
+    expect(stats).to.deep.equal({ requests: 2, blockedRequests: 1, bytes: 2000 });
+  });
+});
@@ -0,0 +1,93 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { getFixturePath, withFixture } from '../../../lib/services/fixtures/fixtures.js';
+import { proxyFetch, withProvider } from '../../../lib/services/proxy/proxyPool.js';
+import Extractor from '../../../lib/services/extractor/extractor.js';
+import { FixtureMissingError } from '../../../lib/errors.js';
+
+describe('services/fixtures/fixtures', () => {
+  let dir;
+  let server;
+  let url;
+  let requests;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fredy-fixtures-'));
+    process.env.FREDY_FIXTURE_DIR = dir;
+    requests = 0;
+    server = http.createServer((req, res) => {
+      requests++;
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ method: req.method, path: req.url }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/search`;
+  });
+
+  afterEach(async () => {
+    delete process.env.FREDY_FIXTURES;
+    delete process.env.FREDY_FIXTURE_DIR;
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records responses of proxyFetch per provider and replays them offline', async () => {
+    process.env.FREDY_FIXTURES = 'record';
+    const recorded = await withProvider('immoscout', () => proxyFetch(url, { method: 'POST', body: '{"page":1}' }));
+    expect(await recorded.json()).to.deep.equal({ method: 'POST', path: '/search' });
+    expect(fs.readdirSync(path.join(dir, 'immoscout'))).to.have.length(1);
+
+    process.env.FREDY_FIXTURES = 'replay';
+    await new Promise((resolve) => server.close(resolve));
+    server.listen(0);
+    const replayed = await withProvider('immoscout', () => proxyFetch(url, { method: 'POST', body: '{"page":1}' }));
+    expect(replayed.status).to.equal(200);
+    expect(replayed.headers.get('content-type')).to.equal('application/json');
+    expect(await replayed.json()).to.deep.equal({ method: 'POST', path: '/search' });
+    expect(requests).to.equal(1);
+  });
+
+  it('distinguishes requests by provider, method, url and body', () => {
+    const path1 = withProvider('a', () => getFixturePath('fetch', { url, body: '1' }));
+    expect(withProvider('a', () => getFixturePath('fetch', { url, body: '1' }))).to.equal(path1);
+    expect(withProvider('b', () => getFixturePath('fetch', { url, body: '1' }))).to.not.equal(path1);
+    expect(withProvider('a', () => getFixturePath('fetch', { url, body: '2' }))).to.not.equal(path1);
+    expect(withProvider('a', () => getFixturePath('fetch', { url, method: 'POST', body: '1' }))).to.not.equal(path1);
+    expect(withProvider('a', () => getFixturePath('page', { url, body: '1' }))).to.not.equal(path1);
+  });
+
+  it('fails in replay mode if nothing has been recorded', async () => {
+    process.env.FREDY_FIXTURES = 'replay';
+    let error;
+    try {
+      await withFixture('fetch', { url }, async () => 'live');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(FixtureMissingError);
+    expect(requests).to.equal(0);
+  });
+
+  it('serves pages of the Extractor without loading them', async () => {
+    process.env.FREDY_FIXTURES = 'record';
+    const html = '<div class="item" id="1"><a>Recorded</a></div>';
+    await withProvider('kleinanzeigen', () =>
+      withFixture('page', { url }, async () => ({ html, extractionMode: 'puppeteer' })),
+    );
+
+    process.env.FREDY_FIXTURES = 'replay';
+    const extractor = await withProvider('kleinanzeigen', () => new Extractor().execute(url, 'body', '.item'));
+    expect(extractor.usedExtractionMode).to.equal('puppeteer');
+    expect(extractor.parseResponseText('.item', { id: '@id', title: 'a' }, url)).to.deep.equal([
+      { id: '1', title: 'Recorded' },
+    ]);
+  });
+});
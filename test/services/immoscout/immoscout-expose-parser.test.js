@@ -0,0 +1,39 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { parseExposeDetails } from '../../../lib/services/immoscout/immoscout-expose-parser.js';
+import { expect } from 'chai';
+import { readFile } from 'fs/promises';
+
+const exposeData = JSON.parse(await readFile(new URL('./exposeData.json', import.meta.url)));
+
+describe('#immoscout expose parser', () => {
+  it('should extract the details of an expose', () => {
+    expect(parseExposeDetails(exposeData)).to.deep.equal({
+      rooms: 2.5,
+      floor: '2 von 4',
+      constructionYear: 1908,
+      energyClass: 'D',
+      heating: 'Zentralheizung',
+      additionalCosts: 220.5,
+      images: [
+        'https://pictures.immobilienscout24.de/listings/a1.jpg/ORIG/resize/1280x960/format/webp',
+        'https://pictures.immobilienscout24.de/listings/a2.jpg',
+      ],
+    });
+  });
+
+  it('should return empty details for an expose without sections', () => {
+    expect(parseExposeDetails({})).to.deep.equal({
+      rooms: null,
+      floor: null,
+      constructionYear: null,
+      energyClass: null,
+      heating: null,
+      additionalCosts: null,
+      images: [],
+    });
+  });
+});
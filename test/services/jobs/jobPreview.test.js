@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import { mockFredy } from '../../utils.js';
+import { get } from '../../mocks/mockNotification.js';
+
+describe('FredyPipelineExecutioner#preview()', () => {
+  const similarityCache = {
+    checkAndAddEntry: () => {
+      throw new Error('similarity cache must not be used in a preview');
+    },
+  };
+
+  const providerConfig = {
+    url: 'https://example.com/search',
+    crawlFields: { id: 'id', title: 'title', price: 'price' },
+    normalize: (o) => o,
+    filter: (o) => !o.title.includes('Tausch'),
+    getListings: async () => [
+      { id: '1', title: 'Nice flat', price: '900 €' },
+      { id: '2', title: 'Tausch gesucht', price: '500 €' },
+      { id: '3', title: 'Expensive flat', price: '2.500 €' },
+      { id: '4', price: '700 €' },
+    ],
+  };
+
+  it('annotates listings with the reason they would be filtered out without notifying', async () => {
+    const Fredy = await mockFredy();
+    const before = get();
+    const fredy = new Fredy(providerConfig, [], 'test', null, similarityCache, { maxPrice: 2000 });
+    const listings = await fredy.preview();
+
+    expect(listings.map((l) => [l.id, l.filteredBy])).to.deep.equal([
+      ['1', null],
+      ['2', 'blacklist'],
+      ['3', 'filterRules'],
+      ['4', 'incomplete'],
+    ]);
+    expect(get()).to.equal(before);
+  });
+
+  it('does not start a cooldown if the site blocks the preview', async () => {
+    const detections = [];
+    const pool = await esmock('../../../lib/services/proxy/proxyPool.js', {
+      '../../../lib/services/botCooldown/botCooldownService.js': {
+        reportBotDetection: (url) => detections.push(url),
+        resetBotCooldown: () => {},
+      },
+      '../../../lib/services/executionQueue/executionQueue.js': {
+        acquireRequestSlot: async () => {},
+      },
+      '../../../lib/services/storage/settingsStorage.js': {
+        getSettings: async () => ({ proxies: [] }),
+      },
+    });
+    const Fredy = await mockFredy({ '../lib/services/proxy/proxyPool.js': { ...pool } });
+    const blockedConfig = {
+      ...providerConfig,
+      getListings: async (url) => ((await pool.proxyFetch(url)).ok ? providerConfig.getListings() : []),
+    };
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response('Access denied', { status: 403 });
+    try {
+      const fredy = new Fredy(blockedConfig, [], 'test', null, similarityCache);
+      expect(await fredy.preview()).to.deep.equal([]);
+      expect(detections).to.deep.equal([]);
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+  });
+});
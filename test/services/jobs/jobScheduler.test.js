@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import { normalizeSchedule, isWithinActiveWindow } from '../../../lib/services/jobs/schedule.js';
+
+describe('services/jobs/jobScheduler', () => {
+  describe('#normalizeSchedule()', () => {
+    it('falls back to the global schedule for invalid input', () => {
+      expect(normalizeSchedule(undefined).type).to.equal('global');
+      expect(normalizeSchedule({ type: 'interval', interval: 0 }).type).to.equal('global');
+      expect(normalizeSchedule({ type: 'cron', cron: 'not a cron' }).type).to.equal('global');
+    });
+
+    it('keeps valid interval, cron and active window', () => {
+      expect(
+        normalizeSchedule({ type: 'interval', interval: '5', activeWindow: { from: '08:00', to: '22:00' } }),
+      ).to.deep.equal({ type: 'interval', interval: 5, cron: null, activeWindow: { from: '08:00', to: '22:00' } });
+      expect(
+        normalizeSchedule({ type: 'cron', cron: ' 0 8,18 * * * ', activeWindow: { from: '08:00' } }),
+      ).to.deep.equal({
+        type: 'cron',
+        interval: null,
+        cron: '0 8,18 * * *',
+        activeWindow: null,
+      });
+    });
+  });
+
+  describe('#isWithinActiveWindow()', () => {
+    it('prefers the active window of the job over the global working hours', () => {
+      const noon = new Date(2026, 0, 1, 12, 0).getTime();
+      const settings = { workingHours: { from: '18:00', to: '20:00' } };
+      expect(isWithinActiveWindow(normalizeSchedule({}), settings, noon)).to.equal(false);
+      expect(
+        isWithinActiveWindow(normalizeSchedule({ activeWindow: { from: '10:00', to: '14:00' } }), settings, noon),
+      ).to.equal(true);
+    });
+  });
+
+  describe('#tick()', () => {
+    let scheduler;
+    let jobs;
+    let executed;
+
+    beforeEach(async () => {
+      jobs = [];
+      executed = [];
+      scheduler = await esmock('../../../lib/services/jobs/jobScheduler.js', {
+        '../../../lib/services/storage/jobStorage.js': {
+          getJobs: () => jobs,
+          getJob: (id) => jobs.find((job) => job.id === id) ?? null,
+        },
+        '../../../lib/services/storage/jobRunStorage.js': {
+          getLastRunPerJob: () => ({ fast: 1000, slow: 1000 }),
+        },
+      });
+    });
+
+    afterEach(() => {
+      scheduler.stopJobScheduler();
+    });
+
+    it('runs every job according to its own interval', () => {
+      const minute = 60 * 1000;
+      jobs = [
+        { id: 'fast', enabled: true, schedule: { type: 'interval', interval: 5 } },
+        { id: 'slow', enabled: true, schedule: {} },
+        { id: 'new', enabled: true, schedule: { type: 'interval', interval: 5 } },
+        { id: 'off', enabled: false, schedule: {} },
+      ];
+      scheduler.startJobScheduler({
+        settings: {},
+        globalIntervalMs: 60 * minute,
+        runJob: (job) => {
+          executed.push(job.id);
+          scheduler.recordJobRun(job.id, Date.now());
+        },
+      });
+      // jobs that never ran are due right away, the others ran long ago
+      expect(executed).to.have.members(['fast', 'slow', 'new']);
+
+      executed = [];
+      const now = Date.now();
+      scheduler.tick(now + 6 * minute);
+      expect(executed).to.have.members(['fast', 'new']);
+      expect(scheduler.getJobScheduleInfo(jobs[1], now).nextRun).to.be.closeTo(now + 60 * minute, 1000);
+      expect(scheduler.getJobScheduleInfo(jobs[3], now).nextRun).to.equal(null);
+    });
+
+    it('creates a cron task for cron jobs and exposes its next run', () => {
+      jobs = [{ id: 'cron', enabled: true, schedule: { type: 'cron', cron: '0 8 * * *' } }];
+      scheduler.startJobScheduler({ settings: {}, globalIntervalMs: 60000, runJob: (job) => executed.push(job.id) });
+      expect(executed).to.deep.equal([]);
+      const { nextRun } = scheduler.getJobScheduleInfo(jobs[0]);
+      expect(new Date(nextRun).getHours()).to.equal(8);
+      expect(new Date(nextRun).getMinutes()).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import { mockFredy } from '../utils.js';
+
+describe('FredyPipelineExecutioner#_fetchDetails()', () => {
+  const providerConfig = (getListingDetails) => ({
+    url: 'https://example.com/search',
+    crawlFields: { id: 'id', title: 'title', price: 'price' },
+    normalize: (o) => o,
+    filter: () => true,
+    getListingDetails,
+  });
+
+  it('adds the details of new listings', async () => {
+    const Fredy = await mockFredy();
+    const fredy = new Fredy(
+      providerConfig(async (listing) =>
+        listing.id === '1'
+          ? { rooms: 3, floor: null, energyClass: 'B', images: ['https://example.com/1.jpg'] }
+          : { rooms: null, images: [] },
+      ),
+      [],
+      'test',
+      null,
+      null,
+    );
+    const listings = await fredy._fetchDetails([
+      { id: '1', title: 'Flat' },
+      { id: '2', title: 'Other flat', rooms: '2 Zimmer' },
+    ]);
+
+    expect(listings[0]).to.deep.equal({
+      id: '1',
+      title: 'Flat',
+      rooms: 3,
+      energyClass: 'B',
+      images: ['https://example.com/1.jpg'],
+    });
+    expect(listings[1]).to.deep.equal({ id: '2', title: 'Other flat', rooms: '2 Zimmer' });
+  });
+
+  it('keeps the listing if fetching the details fails', async () => {
+    const Fredy = await mockFredy();
+    const fredy = new Fredy(
+      providerConfig(async () => {
+        throw new Error('blocked');
+      }),
+      [],
+      'test',
+      null,
+      null,
+    );
+    expect(await fredy._fetchDetails([{ id: '1', title: 'Flat' }])).to.deep.equal([{ id: '1', title: 'Flat' }]);
+  });
+});
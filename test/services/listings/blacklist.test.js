@@ -0,0 +1,81 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import {
+  isBlacklisted,
+  normalizeBlacklist,
+  getInvalidBlacklistEntries,
+  MAX_REGEX_LENGTH,
+} from '../../../lib/services/listings/blacklist.js';
+
+describe('blacklist', () => {
+  describe('#normalizeBlacklist()', () => {
+    it('converts plain words and drops invalid entries', () => {
+      expect(
+        normalizeBlacklist(['Tausch', ' ', { value: '(', match: 'regex' }, { value: 'WBS', match: 'word' }]),
+      ).to.deep.equal([
+        { value: 'Tausch', match: 'contains', mode: 'exclude', fields: ['title', 'description'] },
+        { value: 'WBS', match: 'word', mode: 'exclude', fields: ['title', 'description'] },
+      ]);
+      expect(getInvalidBlacklistEntries(['ok', { value: '(', match: 'regex' }])).to.deep.equal(['(']);
+    });
+
+    it('rejects regular expressions which may backtrack catastrophically', () => {
+      const tooLong = 'a'.repeat(MAX_REGEX_LENGTH + 1);
+      const blacklist = [
+        { value: '(a+)+$', match: 'regex' },
+        { value: '((ab)*c)*', match: 'regex' },
+        { value: '(\\w{2,})+x', match: 'regex' },
+        { value: tooLong, match: 'regex' },
+        { value: '(?<!kein )WBS', match: 'regex' },
+        { value: '(\\p{L}x)*', match: 'regex' },
+        { value: '[(a+)]+', match: 'regex' },
+        { value: '(a+)?b', match: 'regex' },
+        { value: tooLong, match: 'contains' },
+      ];
+      expect(getInvalidBlacklistEntries(blacklist)).to.deep.equal(['(a+)+$', '((ab)*c)*', '(\\w{2,})+x', tooLong]);
+      expect(normalizeBlacklist(blacklist)).to.have.length(5);
+    });
+  });
+
+  describe('#isBlacklisted()', () => {
+    it('matches plain words as case-insensitive substring', () => {
+      expect(isBlacklisted({ title: 'Wohnungsaustausch' }, ['tausch'])).to.equal(true);
+      expect(isBlacklisted({ title: 'Nice flat' }, ['tausch'])).to.equal(false);
+    });
+
+    it('matches whole words only, including umlauts', () => {
+      const blacklist = [{ value: 'Tausch', match: 'word' }];
+      expect(isBlacklisted({ title: 'Austausch möglich' }, blacklist)).to.equal(false);
+      expect(isBlacklisted({ title: 'Nur Tausch!' }, blacklist)).to.equal(true);
+      expect(isBlacklisted({ title: 'Tauschbörse' }, blacklist)).to.equal(false);
+      expect(isBlacklisted({ title: 'Grüne Lage' }, [{ value: 'grün', match: 'word' }])).to.equal(false);
+    });
+
+    it('matches regular expressions', () => {
+      const blacklist = [{ value: '(?<!kein )WBS', match: 'regex' }];
+      expect(isBlacklisted({ title: 'WBS erforderlich' }, blacklist)).to.equal(true);
+      expect(isBlacklisted({ title: 'kein WBS nötig' }, blacklist)).to.equal(false);
+    });
+
+    it('only checks the configured fields', () => {
+      const blacklist = [{ value: 'Marzahn', fields: ['address'] }];
+      expect(isBlacklisted({ title: 'Marzahn', address: 'Berlin Mitte' }, blacklist)).to.equal(false);
+      expect(isBlacklisted({ title: 'Flat', address: 'Berlin Marzahn' }, blacklist)).to.equal(true);
+    });
+
+    it('requires at least one must contain entry to match', () => {
+      const blacklist = [
+        { value: 'Balkon', mode: 'require', match: 'word' },
+        { value: 'Terrasse', mode: 'require', match: 'word' },
+        { value: 'Souterrain', mode: 'exclude' },
+      ];
+      expect(isBlacklisted({ title: 'Flat', description: 'mit Balkon' }, blacklist)).to.equal(false);
+      expect(isBlacklisted({ title: 'Flat', description: 'mit Garten' }, blacklist)).to.equal(true);
+      expect(isBlacklisted({ title: 'Souterrain mit Terrasse' }, blacklist)).to.equal(true);
+    });
+  });
+});
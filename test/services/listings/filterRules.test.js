@@ -0,0 +1,71 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import {
+  parseNumber,
+  normalizeFilterRules,
+  matchesFilterRules,
+  hasFilterRules,
+} from '../../../lib/services/listings/filterRules.js';
+
+describe('filterRules', () => {
+  describe('#parseNumber()', () => {
+    it('parses german formatted numbers', () => {
+      expect(parseNumber('1.234,56 €')).to.equal(1234.56);
+      expect(parseNumber('1.250 €')).to.equal(1250);
+      expect(parseNumber('3,5 Zi.')).to.equal(3.5);
+      expect(parseNumber('70 m²')).to.equal(70);
+      expect(parseNumber('70.5 m²')).to.equal(70.5);
+      expect(parseNumber(42)).to.equal(42);
+    });
+
+    it('returns null for empty values', () => {
+      expect(parseNumber(null)).to.equal(null);
+      expect(parseNumber(undefined)).to.equal(null);
+      expect(parseNumber('auf Anfrage')).to.equal(null);
+    });
+  });
+
+  describe('#normalizeFilterRules()', () => {
+    it('drops unknown keys and invalid values', () => {
+      const rules = normalizeFilterRules({ minPrice: '500', maxPrice: -1, maxSize: 'abc', foo: 1, minRooms: '' });
+      expect(rules.minPrice).to.equal(500);
+      expect(rules.maxPrice).to.equal(null);
+      expect(rules.maxSize).to.equal(null);
+      expect(rules.minRooms).to.equal(null);
+      expect(rules).to.not.have.property('foo');
+      expect(normalizeFilterRules({ minPrice: 0 }).minPrice).to.equal(0);
+      expect(hasFilterRules(rules)).to.equal(true);
+      expect(hasFilterRules(normalizeFilterRules(null))).to.equal(false);
+    });
+  });
+
+  describe('#matchesFilterRules()', () => {
+    const listing = { price: '1.200 €', size: '60 m²', rooms: '2,5' };
+
+    it('keeps everything without rules', () => {
+      expect(matchesFilterRules(listing, null)).to.equal(true);
+      expect(matchesFilterRules(listing, {})).to.equal(true);
+    });
+
+    it('filters by price, size and rooms ranges', () => {
+      expect(matchesFilterRules(listing, { minPrice: 1000, maxPrice: 1500 })).to.equal(true);
+      expect(matchesFilterRules(listing, { maxPrice: 1000 })).to.equal(false);
+      expect(matchesFilterRules(listing, { minSize: 70 })).to.equal(false);
+      expect(matchesFilterRules(listing, { maxRooms: 2 })).to.equal(false);
+      expect(matchesFilterRules(listing, { minRooms: 2, maxRooms: 3 })).to.equal(true);
+    });
+
+    it('filters by price per m²', () => {
+      expect(matchesFilterRules(listing, { maxPricePerSqm: 20 })).to.equal(true);
+      expect(matchesFilterRules(listing, { maxPricePerSqm: 19 })).to.equal(false);
+    });
+
+    it('keeps listings missing the value a rule needs', () => {
+      expect(matchesFilterRules({ price: '1.200 €' }, { minRooms: 3, maxPricePerSqm: 5 })).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import {
+  parsePrice,
+  parseSize,
+  parseRooms,
+  parseAddress,
+  toCanonicalListing,
+  countViolations,
+} from '../../../lib/services/listings/listingSchema.js';
+import { mockFredy } from '../../utils.js';
+
+describe('listingSchema', () => {
+  describe('#parsePrice()', () => {
+    it('parses amount and currency', () => {
+      expect(parsePrice('1.234,50 € kalt')).to.deep.equal({ amount: 1234.5, currency: 'EUR' });
+      expect(parsePrice('1 200 EUR')).to.deep.equal({ amount: 1200, currency: 'EUR' });
+      expect(parsePrice("CHF 1'850.–")).to.deep.equal({ amount: 1850, currency: 'CHF' });
+      expect(parsePrice('Kaltmiete: 950 € zzgl. 200 € NK')).to.deep.equal({ amount: 950, currency: 'EUR' });
+      expect(parsePrice(800)).to.deep.equal({ amount: 800, currency: 'EUR' });
+      expect(parsePrice('auf Anfrage')).to.deep.equal({ amount: null, currency: null });
+    });
+  });
+
+  describe('#parseSize() / #parseRooms()', () => {
+    it('does not mix up the size and the room count', () => {
+      expect(parseSize('3 Zimmer · 70,5 m² · 2. Geschoss')).to.equal(70.5);
+      expect(parseSize('1.050 qm')).to.equal(1050);
+      expect(parseSize('65')).to.equal(65);
+      expect(parseSize('3 Zi. 65')).to.equal(null);
+      expect(parseRooms('3 Zimmer · 70,5 m² · 2. Geschoss')).to.equal(3);
+      expect(parseRooms('3,5 Zi.')).to.equal(3.5);
+      expect(parseRooms('2')).to.equal(2);
+      expect(parseRooms('70 m²')).to.equal(null);
+    });
+  });
+
+  describe('#parseAddress()', () => {
+    it('splits an address into its parts', () => {
+      expect(parseAddress('Musterstraße 12a, 10437 Berlin (Prenzlauer Berg)')).to.deep.equal({
+        street: 'Musterstraße',
+        houseNumber: '12a',
+        postalCode: '10437',
+        city: 'Berlin',
+        district: 'Prenzlauer Berg',
+      });
+      expect(parseAddress('Berlin, Neukölln')).to.deep.equal({
+        street: null,
+        houseNumber: null,
+        postalCode: null,
+        city: 'Berlin',
+        district: 'Neukölln',
+      });
+    });
+  });
+
+  describe('#toCanonicalListing()', () => {
+    const listing = {
+      id: 'hash',
+      title: 'Flat',
+      link: 'https://example.com/expose/1',
+      price: '1.234 €',
+      size: '2 Zimmer · 54 m²',
+      address: '10115 Berlin',
+      image: 'https://example.com/1.jpg',
+    };
+
+    it('adds the canonical values', () => {
+      const { listing: canonical, violations } = toCanonicalListing(listing, 1);
+      expect(violations).to.deep.equal([]);
+      expect(canonical).to.include({
+        ...listing,
+        nativeId: '1',
+        priceAmount: 1234,
+        currency: 'EUR',
+        sizeSqm: 54,
+        rooms: 2,
+      });
+      expect(canonical.addressParts).to.include({ postalCode: '10115', city: 'Berlin' });
+      expect(canonical.images).to.deep.equal(['https://example.com/1.jpg']);
+    });
+
+    it('reports values which do not fit the schema', () => {
+      const { listing: canonical, violations } = toCanonicalListing({
+        ...listing,
+        link: '/expose/1',
+        price: 'Neubau mit Balkon',
+        size: '99999999 m²',
+      });
+      expect(violations.map((v) => v.field)).to.deep.equal(['link', 'price', 'size']);
+      expect(canonical.priceAmount).to.equal(null);
+      expect(canonical.sizeSqm).to.equal(null);
+      expect(countViolations([violations, violations.slice(1, 2), []])).to.deep.equal({ link: 1, price: 2, size: 1 });
+    });
+
+    it('is applied to the listings of every provider in the pipeline', async () => {
+      const Fredy = await mockFredy();
+      const fredy = new Fredy(
+        {
+          url: 'https://example.com/search',
+          crawlFields: {},
+          normalize: (o) => Object.assign(o, { id: `hashed-${o.id}` }),
+          filter: () => true,
+        },
+        [],
+        'test',
+        null,
+        null,
+      );
+      const listings = fredy._normalize([
+        { id: '1', title: 'Flat', link: 'https://example.com/1', price: '800 €' },
+        { id: '2', title: 'Flat', link: 'https://example.com/2', price: 'Balkon' },
+      ]);
+      expect(listings[0]).to.include({ id: 'hashed-1', nativeId: '1', priceAmount: 800 });
+      expect(fredy._runStats).to.include({ invalid: 1 });
+      expect(fredy._runStats.schemaViolations).to.deep.equal({ price: 1 });
+    });
+  });
+});
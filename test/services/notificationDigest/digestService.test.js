@@ -0,0 +1,117 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+
+describe('services/notificationDigest/digestService', () => {
+  let outbox;
+  let jobs;
+  let sent;
+  let failing;
+  let service;
+
+  const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes).getTime();
+  const telegram = { id: 'telegram', fields: {}, delivery: { mode: 'digest', schedule: 'daily', time: '08:00' } };
+  const ntfy = { id: 'ntfy', fields: {}, delivery: { mode: 'digest', schedule: 'hourly' } };
+
+  beforeEach(async () => {
+    outbox = [];
+    jobs = { job1: { id: 'job1', name: 'Berlin', notificationAdapter: [telegram, ntfy] } };
+    sent = [];
+    failing = false;
+    service = await esmock('../../../lib/services/notificationDigest/digestService.js', {
+      '../../../lib/services/storage/notificationOutboxStorage.js': {
+        enqueueListings: (jobId, adapterId, provider, listings) =>
+          listings.forEach((listing) =>
+            outbox.push({ id: `${outbox.length}`, jobId, adapterId, provider, listing, createdAt: at(7, 30) }),
+          ),
+        getOutboxGroups: () => {
+          const groups = new Map();
+          for (const entry of outbox) {
+            const key = `${entry.jobId}/${entry.adapterId}`;
+            const group = groups.get(key) ?? { jobId: entry.jobId, adapterId: entry.adapterId, count: 0 };
+            group.count++;
+            group.oldestCreatedAt = Math.min(group.oldestCreatedAt ?? Infinity, entry.createdAt);
+            groups.set(key, group);
+          }
+          return [...groups.values()];
+        },
+        getOutboxEntries: (jobId, adapterId) =>
+          outbox.filter((entry) => entry.jobId === jobId && entry.adapterId === adapterId),
+        removeOutboxEntries: (ids) => {
+          outbox = outbox.filter((entry) => !ids.includes(entry.id));
+        },
+      },
+      '../../../lib/services/storage/jobStorage.js': {
+        getJob: (jobId) => jobs[jobId] ?? null,
+      },
+      '../../../lib/notification/notify.js': {
+        sendDigest: async (adapter, entries, jobKey) => {
+          if (failing) throw new Error('Service unavailable');
+          sent.push({ adapterId: adapter.id, jobKey, count: entries.length });
+        },
+      },
+      '../../../lib/services/logger.js': {
+        default: { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} },
+      },
+    });
+  });
+
+  it('splits the adapters of a job by their delivery', () => {
+    const instant = { id: 'console', fields: {} };
+    expect(service.splitByDelivery([instant, telegram])).to.deep.equal({ instant: [instant], digest: [telegram] });
+    expect(service.getDelivery({ delivery: { mode: 'digest', time: 'later' } })).to.deep.equal({
+      mode: 'digest',
+      schedule: 'daily',
+      time: service.DEFAULT_DIGEST_TIME,
+    });
+  });
+
+  it('validates the delivery of an adapter', () => {
+    expect(service.validateDelivery(undefined)).to.equal(null);
+    expect(service.validateDelivery(telegram.delivery)).to.equal(null);
+    expect(service.validateDelivery({ mode: 'digest', schedule: 'weekly' })).to.include('schedule');
+    expect(service.validateDelivery({ mode: 'digest', schedule: 'daily', time: '25:00' })).to.include('HH:MM');
+  });
+
+  it('schedules digests at the next full hour or the next time of the day', () => {
+    expect(service.getNextDigestAt(ntfy.delivery, at(7, 30))).to.equal(at(8));
+    expect(service.getNextDigestAt(telegram.delivery, at(7, 30))).to.equal(at(8));
+    expect(service.getNextDigestAt(telegram.delivery, at(8))).to.equal(at(8) + 24 * 60 * 60 * 1000);
+  });
+
+  it('sends the digests which are due and keeps the others queued', async () => {
+    service.queueForDigest('job1', 'immoscout', [{ id: 'a' }, { id: 'b' }], [telegram, ntfy]);
+    jobs.job1.notificationAdapter = [
+      telegram,
+      { ...ntfy, delivery: { mode: 'digest', schedule: 'daily', time: '20:00' } },
+    ];
+
+    expect(await service.deliverDueDigests(at(7, 59))).to.equal(0);
+    expect(await service.deliverDueDigests(at(8))).to.equal(1);
+    expect(sent).to.deep.equal([{ adapterId: 'telegram', jobKey: 'job1', count: 2 }]);
+    expect(outbox.map((entry) => entry.adapterId)).to.deep.equal(['ntfy', 'ntfy']);
+  });
+
+  it('keeps the listings queued if the digest could not be sent', async () => {
+    service.queueForDigest('job1', 'immoscout', [{ id: 'a' }], [telegram]);
+    failing = true;
+    expect(await service.deliverDueDigests(at(9))).to.equal(0);
+    expect(outbox).to.have.length(1);
+
+    expect(await service.deliverDueDigests(at(9) + service.MAX_OUTBOX_AGE_MS)).to.equal(0);
+    expect(outbox).to.have.length(0);
+  });
+
+  it('sends queued listings right away once an adapter is switched to instant and drops those of removed ones', async () => {
+    service.queueForDigest('job1', 'immoscout', [{ id: 'a' }], [telegram, ntfy]);
+    jobs.job1.notificationAdapter = [{ id: 'telegram', fields: {} }];
+
+    expect(await service.deliverDueDigests(at(7, 31))).to.equal(1);
+    expect(sent).to.deep.equal([{ adapterId: 'telegram', jobKey: 'job1', count: 1 }]);
+    expect(outbox).to.have.length(0);
+  });
+});
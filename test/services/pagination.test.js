@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import { buildPageUrl, normalizeMaxPages, MAX_PAGES_LIMIT } from '../../lib/services/pagination.js';
+
+describe('pagination', () => {
+  describe('#buildPageUrl()', () => {
+    it('sets the page parameter relative to the first page', () => {
+      expect(buildPageUrl('https://example.com/search?a=1', { pageParam: 'pagenumber' }, 1)).to.equal(
+        'https://example.com/search?a=1&pagenumber=2',
+      );
+      expect(buildPageUrl('https://example.com/search?page=0', { pageParam: 'page', firstPage: 0 }, 2)).to.equal(
+        'https://example.com/search?page=2',
+      );
+    });
+  });
+
+  describe('#normalizeMaxPages()', () => {
+    it('clamps the value', () => {
+      expect(normalizeMaxPages(undefined)).to.equal(1);
+      expect(normalizeMaxPages('3')).to.equal(3);
+      expect(normalizeMaxPages(0)).to.equal(1);
+      expect(normalizeMaxPages(1000)).to.equal(MAX_PAGES_LIMIT);
+    });
+  });
+
+  describe('FredyPipelineExecutioner#_getPages()', () => {
+    const pages = {
+      1: [{ id: 'a' }, { id: 'b' }],
+      2: [{ id: 'b' }, { id: 'c' }],
+      3: [{ id: 'known1' }, { id: 'known2' }],
+      4: [{ id: 'd' }],
+    };
+
+    async function createPipeline({ maxPages, pagination = { pageParam: 'page' } }) {
+      const Fredy = await esmock('../../lib/FredyPipelineExecutioner.js', {
+        '../../lib/services/storage/jobStorage.js': {
+          getJob: () => ({ id: 'job', maxPages }),
+        },
+        '../../lib/services/storage/listingsStorage.js': {
+          getKnownListingHashesForJobAndProvider: () => ['known1', 'known2'],
+          storeListings: () => {},
+          trackListingChanges: () => [],
+          updateListingDistance: () => {},
+        },
+        '../../lib/services/storage/jobRunStorage.js': {
+          storeJobRun: () => {},
+        },
+      });
+      const requestedUrls = [];
+      const config = {
+        pagination,
+        normalize: (o) => Object.assign(o, { id: `${o.id}` }),
+        getListings: async (url) => {
+          requestedUrls.push(url);
+          return pages[new URL(url).searchParams.get('page') ?? '1'] || [];
+        },
+      };
+      return { fredy: new Fredy(config, null, 'test', 'job', null), requestedUrls };
+    }
+
+    it('fetches a single page by default', async () => {
+      const { fredy, requestedUrls } = await createPipeline({ maxPages: 1 });
+      const listings = await fredy._getPages('https://example.com/search');
+      expect(listings.map((l) => l.id)).to.deep.equal(['a', 'b']);
+      expect(requestedUrls).to.have.length(1);
+    });
+
+    it('stops at the first page holding only known listings and removes duplicates', async () => {
+      const { fredy, requestedUrls } = await createPipeline({ maxPages: 5 });
+      const listings = await fredy._getPages('https://example.com/search');
+      expect(listings.map((l) => l.id)).to.deep.equal(['a', 'b', 'c', 'known1', 'known2']);
+      expect(requestedUrls).to.have.length(3);
+    });
+
+    it('respects max pages', async () => {
+      const { fredy, requestedUrls } = await createPipeline({ maxPages: 2 });
+      await fredy._getPages('https://example.com/search');
+      expect(requestedUrls).to.deep.equal(['https://example.com/search', 'https://example.com/search?page=2']);
+    });
+  });
+});
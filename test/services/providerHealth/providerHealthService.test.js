@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import { mockFredy } from '../../utils.js';
+
+describe('services/providerHealth/providerHealthService', () => {
+  let stored;
+  let alerts;
+  let service;
+
+  beforeEach(async () => {
+    stored = null;
+    alerts = [];
+    service = await esmock('../../../lib/services/providerHealth/providerHealthService.js', {
+      '../../../lib/services/storage/providerHealthStorage.js': {
+        getProviderHealth: () => stored,
+        upsertProviderHealth: (health) => {
+          stored = health;
+        },
+      },
+      '../../../lib/services/storage/settingsStorage.js': {
+        getSettings: async () => ({ providerBrokenThreshold: 2, adminNotificationAdapter: [{ id: 'console' }] }),
+      },
+      '../../../lib/notification/notify.js': {
+        sendAdminAlert: (providerId, reason) => {
+          alerts.push({ providerId, reason });
+          return [Promise.resolve()];
+        },
+      },
+      '../../../lib/services/logger.js': {
+        default: { warn: () => {} },
+      },
+    });
+  });
+
+  const run = (status, stats) =>
+    service.recordProviderHealth({ jobId: 'job1', providerId: 'kleinanzeigen', providerUrl: 'url', status, stats });
+
+  describe('#getBreakageReason()', () => {
+    it('detects the symptoms of a broken provider', () => {
+      expect(service.getBreakageReason('success', { found: 3, containers: 3, emptyFields: [] })).to.equal(null);
+      expect(service.getBreakageReason('error', {}, new Error('timeout'))).to.equal('Run failed: timeout');
+      expect(service.getBreakageReason('no_new_listings', { found: 0, containers: 0 })).to.contain('crawl container');
+      expect(service.getBreakageReason('no_new_listings', { found: 0, containers: 4, withoutId: 4 })).to.contain(
+        'none of them has an id',
+      );
+      expect(service.getBreakageReason('success', { found: 4, containers: 4, emptyFields: ['link', 'size'] })).to.equal(
+        'Required fields are always empty: link',
+      );
+    });
+  });
+
+  describe('#recordProviderHealth()', () => {
+    it('flags a provider as broken after consecutive empty runs and alerts once', async () => {
+      await run('success', { found: 5, containers: 5, emptyFields: [] });
+      expect(stored.lastResultAt).to.be.a('number');
+
+      await run('no_new_listings', { found: 0, containers: 0 });
+      expect(stored.broken).to.equal(false);
+      await run('no_new_listings', { found: 0, containers: 0 });
+      expect(stored.broken).to.equal(true);
+      expect(stored.consecutiveEmptyRuns).to.equal(2);
+      await run('no_new_listings', { found: 0, containers: 0 });
+      expect(alerts).to.have.length(1);
+      expect(alerts[0].providerId).to.equal('kleinanzeigen');
+
+      await run('success', { found: 1, containers: 1, emptyFields: [] });
+      expect(stored.broken).to.equal(false);
+      expect(stored.consecutiveEmptyRuns).to.equal(0);
+    });
+
+    it('keeps the schema violations of the last run which validated listings', async () => {
+      await run('success', { found: 5, containers: 5, emptyFields: [], schemaViolations: { price: 2 } });
+      expect(stored.schemaViolations).to.deep.equal({ price: 2 });
+      await run('error', {});
+      expect(stored.schemaViolations).to.deep.equal({ price: 2 });
+      await run('success', { found: 5, containers: 5, emptyFields: [], schemaViolations: {} });
+      expect(stored.schemaViolations).to.deep.equal({});
+    });
+
+    it('does not flag providers which never returned results', async () => {
+      for (let i = 0; i < 3; i++) {
+        await run('no_new_listings', { found: 0, containers: 0 });
+      }
+      expect(stored.broken).to.equal(false);
+      expect(alerts).to.have.length(0);
+    });
+  });
+
+  describe('pipeline', () => {
+    it('does not record runs which have been blocked by a bot detection', async () => {
+      const recorded = [];
+      let detected = false;
+      const Fredy = await mockFredy({
+        '../lib/services/providerHealth/providerHealthService.js': {
+          recordProviderHealth: async (health) => recorded.push(health),
+        },
+        '../lib/services/botCooldown/botCooldownService.js': {
+          getActiveCooldown: () => (detected ? { domain: 'example.com', cooldownUntil: Date.now() + 60_000 } : null),
+        },
+      });
+      const getListings = async () => {
+        // e.g. proxyFetch got a 403
+        detected = true;
+        return [];
+      };
+      const providerConfig = {
+        url: 'https://www.example.com/search',
+        crawlFields: {},
+        normalize: (o) => o,
+        filter: () => true,
+        getListings,
+      };
+
+      await new Fredy(providerConfig, null, 'example', 'job1', null).execute();
+      expect(recorded).to.have.length(0);
+
+      detected = false;
+      await new Fredy({ ...providerConfig, getListings: async () => [] }, null, 'example', 'job1', null).execute();
+      expect(recorded).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('services/snapshots/snapshotService', () => {
+  let dir;
+  let settings;
+  let provider;
+  let snapshots;
+
+  const page = {
+    content: async () => '<html><body>Access denied</body></html>',
+    screenshot: async ({ path: file }) => fs.promises.writeFile(file, 'png'),
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fredy-snapshots-'));
+    settings = { extractionSnapshots: true, extractionSnapshotsPerProvider: 2 };
+    provider = 'immowelt';
+    snapshots = await esmock('../../../lib/services/snapshots/snapshotService.js', {
+      '../../../lib/services/storage/settingsStorage.js': {
+        getSettings: async () => settings,
+      },
+      '../../../lib/services/storage/SqliteConnection.js': {
+        computeDbPath: async () => ({ dir, dbPath: path.join(dir, 'listings.db') }),
+      },
+      '../../../lib/services/proxy/proxyPool.js': {
+        getCurrentProvider: () => provider,
+      },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('does not capture anything unless enabled', async () => {
+    settings.extractionSnapshots = false;
+    expect(await snapshots.captureSnapshot(page, { url: 'https://www.immowelt.de/suche', reason: 'x' })).to.equal(null);
+    expect(await snapshots.listSnapshots()).to.deep.equal([]);
+  });
+
+  it('saves the html and a screenshot per provider', async () => {
+    const snapshot = await snapshots.captureSnapshot(page, {
+      url: 'https://www.immowelt.de/suche',
+      reason: 'Detected as a bot',
+      statusCode: 403,
+    });
+    expect(snapshot).to.include({ providerId: 'immowelt', reason: 'Detected as a bot', hasScreenshot: true });
+
+    const html = await snapshots.getSnapshotFile('immowelt', snapshot.id, 'html');
+    expect(fs.readFileSync(html.file, 'utf8')).to.contain('Access denied');
+    expect((await snapshots.getSnapshotFile('immowelt', snapshot.id, 'screenshot')).contentType).to.equal('image/png');
+    expect(await snapshots.getSnapshotFile('..', snapshot.id, 'html')).to.equal(null);
+    expect(await snapshots.getSnapshotFile('immowelt', snapshot.id, 'json')).to.equal(null);
+  });
+
+  it('keeps only the latest snapshots of every provider', async () => {
+    const capture = async (reason) => {
+      await snapshots.captureSnapshot(page, { url: 'https://www.immowelt.de/suche', reason });
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    };
+    await capture('first');
+    await capture('second');
+    await capture('third');
+    provider = 'kleinanzeigen';
+    await capture('other provider');
+
+    expect((await snapshots.listSnapshots()).map((s) => `${s.providerId}: ${s.reason}`)).to.deep.equal([
+      'kleinanzeigen: other provider',
+      'immowelt: third',
+      'immowelt: second',
+    ]);
+    expect(fs.readdirSync(path.join(dir, snapshots.SNAPSHOTS_DIR, 'immowelt'))).to.have.length(6);
+
+    await snapshots.deleteSnapshots('immowelt');
+    expect((await snapshots.listSnapshots()).map((s) => s.providerId)).to.deep.equal(['kleinanzeigen']);
+  });
+});
@@ -64,4 +64,31 @@ describe('similarityCache', () => {
     const dupZero = checkAndAddEntry({ title: 'Z', price: 0, address: 'Zero' });
     expect(dupZero).to.equal(true);
   });
+
+  it('findAndAddEntry returns the known listing of another provider describing the same property', async () => {
+    const entries = [
+      {
+        jobId: 'job1',
+        hash: 'abc',
+        provider: 'immoscout',
+        title: 'Schöne 2-Zimmer-Wohnung mit Balkon',
+        price: 950,
+        size: 55,
+        address: 'Lindenstraße 4, 50674 Köln',
+      },
+    ];
+    const { initSimilarityCache, findAndAddEntry } = await loadModuleWith({ entries });
+    initSimilarityCache();
+
+    const match = findAndAddEntry({
+      jobId: 'job1',
+      hash: 'xyz',
+      provider: 'immowelt',
+      title: '2 Zimmer Wohnung mit Balkon',
+      price: '950 €',
+      size: '55 m²',
+      address: 'Lindenstr. 4, Köln',
+    });
+    expect(match).to.include({ jobId: 'job1', hash: 'abc', provider: 'immoscout' });
+  });
 });
@@ -0,0 +1,84 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import { isSimilar, normalizeAddress, toSimilarityEntry } from '../../lib/services/similarity-check/similarityScore.js';
+
+describe('similarityScore', () => {
+  const immoscout = toSimilarityEntry({
+    provider: 'immoscout',
+    title: 'Helle 3-Zimmer-Wohnung mit Balkon in Prenzlauer Berg',
+    price: '1.250 €',
+    size: '78,5 m²',
+    address: 'Musterstraße 12, 10437 Berlin (Prenzlauer Berg)',
+  });
+
+  it('normalizes addresses', () => {
+    expect(normalizeAddress('Musterstraße 12, 10437 Berlin (Prenzlauer Berg)')).to.deep.equal([
+      'musterstr',
+      '12',
+      '10437',
+      'berlin',
+    ]);
+    expect(normalizeAddress('Musterstr. 12 Berlin')).to.deep.equal(['musterstr', '12', 'berlin']);
+  });
+
+  it('matches the same property listed differently on another provider', () => {
+    const immowelt = toSimilarityEntry({
+      provider: 'immowelt',
+      title: '3 Zimmer Wohnung mit Balkon - Prenzlauer Berg',
+      price: '1250 € kalt',
+      size: '79 m²',
+      address: 'Musterstr. 12, Berlin',
+    });
+    expect(isSimilar(immowelt, immoscout)).to.equal(true);
+  });
+
+  it('matches by coordinates when the addresses differ', () => {
+    const located = (provider, address, lat) =>
+      toSimilarityEntry({
+        provider,
+        title: 'Wohnung mit Balkon',
+        price: 900,
+        size: 60,
+        address,
+        latitude: lat,
+        longitude: 13.4,
+      });
+    expect(isSimilar(located('a', 'Hauptstr. 5, Berlin', 52.5), located('b', 'Hauptstraße 5', 52.5003))).to.equal(true);
+    expect(isSimilar(located('a', 'Hauptstr. 5, Berlin', 52.5), located('b', 'Hauptstraße 5', 52.51))).to.equal(false);
+  });
+
+  it('does not match if price or size differ too much', () => {
+    const cheaper = toSimilarityEntry({ ...immoscoutRaw(), provider: 'immowelt', price: '1.100 €' });
+    const bigger = toSimilarityEntry({ ...immoscoutRaw(), provider: 'immowelt', size: '90 m²' });
+    expect(isSimilar(cheaper, immoscout)).to.equal(false);
+    expect(isSimilar(bigger, immoscout)).to.equal(false);
+  });
+
+  it('only matches listings of the same provider exactly', () => {
+    const sameProvider = toSimilarityEntry({ ...immoscoutRaw(), title: 'Andere Wohnung im selben Haus' });
+    expect(isSimilar(sameProvider, immoscout)).to.equal(false);
+    expect(isSimilar(toSimilarityEntry(immoscoutRaw()), immoscout)).to.equal(true);
+  });
+
+  it('does not match different flats in the same district', () => {
+    const district = (provider, title) =>
+      toSimilarityEntry({ provider, title, price: 1000, size: 70, address: 'Berlin, Neukölln' });
+    expect(
+      isSimilar(district('immoscout', 'Altbau mit Dielen'), district('immowelt', 'Neubau Erstbezug mit Einbauküche')),
+    ).to.equal(false);
+  });
+
+  function immoscoutRaw() {
+    return {
+      provider: 'immoscout',
+      title: 'Helle 3-Zimmer-Wohnung mit Balkon in Prenzlauer Berg',
+      price: '1.250 €',
+      size: '78,5 m²',
+      address: 'Musterstraße 12, 10437 Berlin (Prenzlauer Berg)',
+    };
+  }
+});
@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import Database from 'better-sqlite3';
+import { up } from '../../lib/services/storage/migrations/sql/14.job-runs.js';
+
+describe('jobRunStorage', () => {
+  let db;
+  let storage;
+
+  beforeEach(async () => {
+    db = new Database(':memory:');
+    db.exec(`CREATE TABLE jobs (id TEXT PRIMARY KEY);
+             INSERT INTO jobs (id) VALUES ('job');`);
+    up(db);
+    storage = await esmock('../../lib/services/storage/jobRunStorage.js', {
+      '../../lib/services/storage/SqliteConnection.js': {
+        default: {
+          withTransaction: (cb) => db.transaction((c) => c(db))(cb),
+          query: (sql, params) => db.prepare(sql).all(params ?? {}),
+        },
+      },
+    });
+  });
+
+  it('stores runs and returns them newest first', () => {
+    storage.storeJobRun({
+      jobId: 'job',
+      providerId: 'immoscout',
+      startedAt: 1,
+      finishedAt: 2,
+      status: 'success',
+      stats: { found: 10, new: 2 },
+    });
+    storage.storeJobRun({
+      jobId: 'job',
+      providerId: 'immowelt',
+      startedAt: 3,
+      finishedAt: 4,
+      status: 'error',
+      error: 'boom',
+    });
+
+    const runs = storage.getJobRuns('job');
+    expect(runs.map((r) => r.provider)).to.deep.equal(['immowelt', 'immoscout']);
+    expect(runs[0]).to.include({ status: 'error', error: 'boom' });
+    expect(runs[1].stats).to.deep.equal({ found: 10, new: 2 });
+  });
+
+  it('keeps only the latest 100 runs per provider', () => {
+    for (let i = 0; i < 105; i++) {
+      storage.storeJobRun({ jobId: 'job', providerId: 'immoscout', startedAt: i, finishedAt: i, status: 'success' });
+    }
+    const runs = storage.getJobRuns('job', 500);
+    expect(runs).to.have.length(100);
+    expect(runs.at(-1).startedAt).to.equal(5);
+  });
+});
@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import { expect } from 'chai';
+import esmock from 'esmock';
+import Database from 'better-sqlite3';
+
+// Runs the storage functions against a real in-memory database with a minimal schema.
+async function loadStorage(db) {
+  return await esmock('../../lib/services/storage/listingsStorage.js', {
+    '../../lib/services/storage/SqliteConnection.js': {
+      default: {
+        withTransaction: (cb) => db.transaction((c) => c(db))(cb),
+        query: (sql, params) => db.prepare(sql).all(params ?? {}),
+        execute: (sql, params) => db.prepare(sql).run(params ?? {}),
+      },
+    },
+  });
+}
+
+function createDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE listings (id TEXT PRIMARY KEY, hash TEXT, provider TEXT, job_id TEXT, price INTEGER, link TEXT,
+                           change_set jsonb, similarity_group TEXT, manually_deleted INTEGER NOT NULL DEFAULT 0);
+    CREATE UNIQUE INDEX idx_listings_job_hash ON listings (job_id, hash);
+    CREATE TABLE watch_list (id TEXT PRIMARY KEY, listing_id TEXT, user_id TEXT);
+  `);
+  return db;
+}
+
+describe('listingsStorage', () => {
+  describe('#trackListingChanges()', () => {
+    let db;
+    let storage;
+
+    beforeEach(async () => {
+      db = createDb();
+      storage = await loadStorage(db);
+      db.exec(`
+        INSERT INTO listings (id, hash, provider, job_id, price, link) VALUES ('l1', 'h1', 'p', 'job', 1000, 'https://a/1');
+        INSERT INTO listings (id, hash, provider, job_id, price, link) VALUES ('l2', 'legacy', 'p', 'job', 800, 'https://a/2');
+        INSERT INTO watch_list (id, listing_id, user_id) VALUES ('w1', 'l1', 'user1');
+      `);
+    });
+
+    it('appends price changes to the change set', () => {
+      const changes = storage.trackListingChanges('job', 'p', [{ id: 'h1', price: '950 €', link: 'https://a/1' }]);
+      expect(changes).to.have.length(1);
+      expect(changes[0]).to.include({ listingId: 'l1', oldPrice: 1000, newPrice: 950, watcherCount: 1 });
+
+      const row = db.prepare(`SELECT price, change_set FROM listings WHERE id = 'l1'`).get();
+      expect(row.price).to.equal(950);
+      const changeSet = JSON.parse(row.change_set);
+      expect(changeSet).to.have.length(1);
+      expect(changeSet[0]).to.include({ field: 'price', oldValue: 1000, newValue: 950 });
+    });
+
+    it('ignores unchanged prices and unknown listings', () => {
+      const changes = storage.trackListingChanges('job', 'p', [
+        { id: 'h1', price: '1.000 €', link: 'https://a/1' },
+        { id: 'new', price: '500 €', link: 'https://a/3' },
+      ]);
+      expect(changes).to.have.length(0);
+      expect(db.prepare(`SELECT change_set FROM listings WHERE id = 'l1'`).get().change_set).to.equal(null);
+    });
+
+    it('migrates legacy hashes by matching the link', () => {
+      const changes = storage.trackListingChanges('job', 'p', [{ id: 'h2', price: '750 €', link: 'https://a/2' }]);
+      expect(changes).to.have.length(1);
+      expect(changes[0]).to.include({ listingId: 'l2', watcherCount: 0 });
+      expect(db.prepare(`SELECT hash FROM listings WHERE id = 'l2'`).get().hash).to.equal('h2');
+    });
+  });
+
+  describe('#linkSimilarListings()', () => {
+    let db;
+    let storage;
+
+    beforeEach(async () => {
+      db = createDb();
+      storage = await loadStorage(db);
+      db.exec(`
+        INSERT INTO listings (id, hash, provider, job_id) VALUES ('a', 'ha', 'immoscout', 'job');
+        INSERT INTO listings (id, hash, provider, job_id) VALUES ('b', 'hb', 'immowelt', 'job');
+        INSERT INTO listings (id, hash, provider, job_id, similarity_group) VALUES ('c', 'hc', 'immonet', 'job', 'g1');
+        INSERT INTO listings (id, hash, provider, job_id, similarity_group) VALUES ('d', 'hd', 'kleinanzeigen', 'job', 'g2');
+      `);
+    });
+
+    const groupOf = (id) =>
+      db.prepare(`SELECT similarity_group FROM listings WHERE id = @id`).get({ id }).similarity_group;
+
+    it('creates a group for two ungrouped listings', () => {
+      storage.linkSimilarListings({ jobId: 'job', hash: 'ha' }, { jobId: 'job', hash: 'hb' });
+      expect(groupOf('a')).to.be.a('string');
+      expect(groupOf('a')).to.equal(groupOf('b'));
+    });
+
+    it('joins an existing group and merges groups', () => {
+      storage.linkSimilarListings({ jobId: 'job', hash: 'ha' }, { jobId: 'job', hash: 'hc' });
+      expect(groupOf('a')).to.equal('g1');
+      storage.linkSimilarListings({ jobId: 'job', hash: 'hd' }, { jobId: 'job', hash: 'ha' });
+      expect([groupOf('a'), groupOf('c'), groupOf('d')]).to.deep.equal(['g1', 'g1', 'g1']);
+    });
+  });
+});
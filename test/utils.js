@@ -3,18 +3,61 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
+import fs from 'fs';
+import path from 'path';
 import { readFile } from 'fs/promises';
 import esmock from 'esmock';
 import * as mockStore from './mocks/mockStore.js';
-import { send } from './mocks/mockNotification.js';
+import { send, sendPriceChanges } from './mocks/mockNotification.js';
+import { closeBrowserPool } from '../lib/services/extractor/browserPool.js';
+import { getFixtureDir } from '../lib/services/fixtures/fixtures.js';
 
 export const providerConfig = JSON.parse(await readFile(new URL('./provider/testProvider.json', import.meta.url)));
 
-export const mockFredy = async () => {
+// the browser pool keeps browsers open for the next extraction, close them so that mocha can exit
+after(async () => {
+  await closeBrowserPool();
+});
+
+/**
+ * Replay the recorded responses of a provider (see lib/services/fixtures/fixtures.js), so that its test runs offline
+ * and deterministically. The test is skipped if nothing has been recorded for the provider, record it with
+ * `yarn fixtures:refresh <providerId>`. An explicitly set FREDY_FIXTURES mode always wins, set it to `live` to test
+ * against the live site.
+ */
+export const useFixtures = (providerId) => {
+  let previousMode;
+  before(function () {
+    previousMode = process.env.FREDY_FIXTURES;
+    if (previousMode != null) return;
+    if (!fs.existsSync(path.join(getFixtureDir(), providerId))) {
+      console.warn(`Skipping ${providerId}: no fixtures recorded. Run 'yarn fixtures:refresh ${providerId}'.`);
+      this.skip();
+    }
+    process.env.FREDY_FIXTURES = 'replay';
+  });
+  after(() => {
+    if (previousMode == null) {
+      delete process.env.FREDY_FIXTURES;
+    } else {
+      process.env.FREDY_FIXTURES = previousMode;
+    }
+  });
+};
+
+/**
+ * Load the pipeline without storage, geocoding and notifications.
+ *
+ * @param {Object} [mocks] Additional or replaced mocks, keyed by the path relative to this file.
+ */
+export const mockFredy = async (mocks = {}) => {
   return await esmock('../lib/FredyPipelineExecutioner', {
     '../lib/services/storage/listingsStorage.js': {
       ...mockStore,
     },
+    '../lib/services/storage/jobRunStorage.js': {
+      ...mockStore,
+    },
     '../lib/services/storage/settingsStorage.js': {
       ...mockStore,
     },
@@ -24,8 +67,16 @@ export const mockFredy = async () => {
     '../lib/services/storage/jobStorage.js': {
       getJob: (jobKey) => ({ id: jobKey, userId: 'user1' }),
     },
+    '../lib/services/providerHealth/providerHealthService.js': {
+      recordProviderHealth: async () => null,
+    },
+    '../lib/services/botCooldown/botCooldownService.js': {
+      getActiveCooldown: () => null,
+    },
     '../lib/notification/notify.js': {
       send,
+      sendPriceChanges,
     },
+    ...mocks,
   });
 };
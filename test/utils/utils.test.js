@@ -4,7 +4,7 @@
  */
 
 import { expect } from 'chai';
-import { buildHash } from '../../lib/utils.js';
+import { buildHash, createProviderConfig } from '../../lib/utils.js';
 
 describe('utilsCheck', () => {
   describe('#utilsCheck()', () => {
@@ -17,5 +17,40 @@ describe('utilsCheck', () => {
     it('should return a value', () => {
       expect(buildHash('bla', '', null)).to.be.a.string;
     });
+    it('should hash numeric inputs', () => {
+      expect(buildHash(12345)).to.equal(buildHash('12345'));
+    });
+  });
+
+  describe('#createProviderConfig()', () => {
+    // mirrors the module state of the providers in lib/provider
+    const createProvider = () => {
+      let appliedBlackList = [];
+      const config = {
+        url: null,
+        normalize: (o) => Object.assign(o, { link: o.link ?? config.url }),
+        filter: (o) => !appliedBlackList.includes(o.title),
+      };
+      return {
+        config,
+        init: (sourceConfig, blacklist) => {
+          config.url = sourceConfig.url;
+          appliedBlackList = blacklist || [];
+        },
+      };
+    };
+
+    it('keeps the url and the blacklist of each run', () => {
+      const provider = createProvider();
+      const first = createProviderConfig(provider, { url: 'https://example.com/a' }, ['Flat A']);
+      const second = createProviderConfig(provider, { url: 'https://example.com/b' }, ['Flat B']);
+
+      expect(first.url).to.equal('https://example.com/a');
+      expect(second.url).to.equal('https://example.com/b');
+      expect(first.filter({ title: 'Flat A' })).to.equal(false);
+      expect(first.filter({ title: 'Flat B' })).to.equal(true);
+      expect(second.filter({ title: 'Flat A' })).to.equal(true);
+      expect(first.normalize({})).to.deep.equal({ link: 'https://example.com/a' });
+    });
   });
 });
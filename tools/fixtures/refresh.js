@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+/**
+ * Refresh the fixtures of the provider tests
+ *
+ * Removes the recorded responses of the given providers (or of all providers) and runs their tests against the
+ * live sites in record mode (see lib/services/fixtures/fixtures.js).
+ *
+ * Usage: yarn fixtures:refresh [providerId...]
+ */
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const TEST_DIR = path.join(ROOT, 'test/provider');
+const FIXTURE_DIR = process.env.FREDY_FIXTURE_DIR || path.join(TEST_DIR, 'fixtures');
+
+/* eslint-disable no-console */
+const available = fs
+  .readdirSync(TEST_DIR)
+  .filter((file) => file.endsWith('.test.js') && file !== 'utils.test.js')
+  .map((file) => file.slice(0, -'.test.js'.length));
+const requested = process.argv.slice(2);
+const unknown = requested.filter((id) => !available.includes(id));
+if (unknown.length > 0) {
+  console.error(`Unknown provider(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+  process.exit(1);
+}
+const providers = requested.length > 0 ? requested : available;
+
+for (const id of providers) {
+  fs.rmSync(path.join(FIXTURE_DIR, id), { recursive: true, force: true });
+}
+console.log(`Recording fixtures of ${providers.join(', ')} into ${FIXTURE_DIR}`);
+
+const result = spawnSync(
+  process.execPath,
+  [
+    '--import',
+    './test/esmock-loader.mjs',
+    './node_modules/mocha/bin/mocha.js',
+    '--timeout',
+    '120000',
+    '--exit',
+    ...providers.map((id) => `test/provider/${id}.test.js`),
+  ],
+  { cwd: ROOT, stdio: 'inherit', env: { ...process.env, FREDY_FIXTURES: 'record', FREDY_FIXTURE_DIR: FIXTURE_DIR } },
+);
+process.exit(result.status ?? 1);
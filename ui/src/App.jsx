@@ -8,6 +8,9 @@ import React, { useEffect } from 'react';
 import InsufficientPermission from './components/permission/InsufficientPermission';
 import PermissionAwareRoute from './components/permission/PermissionAwareRoute';
 import GeneralSettings from './views/generalSettings/GeneralSettings';
+import CustomProviders from './views/customProviders/CustomProviders';
+import CustomProviderMutator from './views/customProviders/mutation/CustomProviderMutator';
+import Snapshots from './views/snapshots/Snapshots';
 import UserSettings from './views/userSettings/UserSettings';
 import JobMutation from './views/jobs/mutation/JobMutation';
 import UserMutator from './views/user/mutation/UserMutator';
@@ -42,6 +45,7 @@ export default function FredyApp() {
       await actions.user.getCurrentUser();
       if (!needsLogin()) {
         await actions.provider.getProvider();
+        await actions.stages.getStages();
         await actions.jobsData.getJobs();
         await actions.jobsData.getSharableUserList();
         await actions.notificationAdapter.getAdapter();
@@ -133,6 +137,38 @@ export default function FredyApp() {
                 </PermissionAwareRoute>
               }
             />
+            <Route
+              path="/customProviders/new"
+              element={
+                <PermissionAwareRoute currentUser={currentUser}>
+                  <CustomProviderMutator />
+                </PermissionAwareRoute>
+              }
+            />
+            <Route
+              path="/customProviders/edit/:providerId"
+              element={
+                <PermissionAwareRoute currentUser={currentUser}>
+                  <CustomProviderMutator />
+                </PermissionAwareRoute>
+              }
+            />
+            <Route
+              path="/customProviders"
+              element={
+                <PermissionAwareRoute currentUser={currentUser}>
+                  <CustomProviders />
+                </PermissionAwareRoute>
+              }
+            />
+            <Route
+              path="/snapshots"
+              element={
+                <PermissionAwareRoute currentUser={currentUser}>
+                  <Snapshots />
+                </PermissionAwareRoute>
+              }
+            />
 
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
           </Routes>
@@ -0,0 +1,87 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+  Title as ChartTitle,
+} from 'chart.js';
+import * as timeService from '../../services/time/timeService.js';
+
+import './ChartCard.less';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, ChartTitle);
+
+/**
+ * Renders the price history of a listing. The first point is the price at the time the listing
+ * has been found, followed by every recorded price change.
+ *
+ * @param {Object} props
+ * @param {number} props.createdAt - Timestamp the listing has been found.
+ * @param {Array<{field:string, oldValue:number, newValue:number, changedAt:number}>} props.changeSet
+ */
+export default function PriceHistoryChart({ createdAt, changeSet = [] }) {
+  const points = React.useMemo(() => {
+    const priceChanges = (changeSet || []).filter((change) => change?.field === 'price');
+    if (priceChanges.length === 0) return [];
+    return [
+      { x: createdAt, y: priceChanges[0].oldValue },
+      ...priceChanges.map((change) => ({ x: change.changedAt, y: change.newValue })),
+    ];
+  }, [createdAt, changeSet]);
+
+  const chartData = React.useMemo(
+    () => ({
+      labels: points.map((p) => timeService.format(p.x, false)),
+      datasets: [
+        {
+          label: 'Price',
+          data: points.map((p) => p.y),
+          borderColor: '#4e79a7',
+          backgroundColor: '#4e79a7',
+          stepped: true,
+        },
+      ],
+    }),
+    [points],
+  );
+
+  const options = React.useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        title: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => `${ctx.parsed.y} €`,
+          },
+        },
+      },
+      scales: {
+        x: { ticks: { color: '#fff' } },
+        y: { ticks: { color: '#fff', callback: (value) => `${value} €` } },
+      },
+    }),
+    [],
+  );
+
+  if (points.length === 0) {
+    return <div className="chartCard__no__data">No price changes so far</div>;
+  }
+  return (
+    <div style={{ height: '14rem' }}>
+      <Line data={chartData} options={options} />
+    </div>
+  );
+}
@@ -33,11 +33,14 @@ import {
   IconSearch,
   IconFilter,
   IconPlusCircle,
+  IconHistory,
 } from '@douyinfe/semi-icons';
 import { useNavigate } from 'react-router-dom';
 import ListingDeletionModal from '../../ListingDeletionModal.jsx';
+import JobRunHistory from './JobRunHistory.jsx';
 import { useActions, useSelector } from '../../../services/state/store.js';
 import { xhrDelete, xhrPut, xhrPost } from '../../../services/xhr.js';
+import { formatDuration } from '../../../services/time/timeService.js';
 import debounce from 'lodash/debounce';
 import { IllustrationNoResult, IllustrationNoResultDark } from '@douyinfe/semi-illustrations';
 
@@ -47,6 +50,16 @@ const { Text, Title } = Typography;
 
 const getPopoverContent = (text) => <article className="jobPopoverContent">{text}</article>;
 
+const getCooldownContent = (job) =>
+  getPopoverContent(
+    Object.entries(job.cooldowns).map(([providerId, cooldown]) => (
+      <div key={providerId}>
+        {providerId}: {cooldown.domain} detected Fredy as a bot, next retry in{' '}
+        {formatDuration(cooldown.cooldownUntil - Date.now())}
+      </div>
+    )),
+  );
+
 const JobGrid = () => {
   const jobsData = useSelector((state) => state.jobsData);
   const actions = useActions();
@@ -63,6 +76,7 @@ const JobGrid = () => {
 
   const [deleteModalVisible, setDeleteModalVisible] = useState(false);
   const [pendingDeletion, setPendingDeletion] = useState(null); // { type: 'job'|'listings', jobId }
+  const [runHistoryJob, setRunHistoryJob] = useState(null);
 
   const pendingJobIdRef = useRef(null);
   const evtSourceRef = useRef(null);
@@ -305,6 +319,13 @@ const JobGrid = () => {
                       RUNNING
                     </Tag>
                   )}
+                  {Object.keys(job.cooldowns ?? {}).length > 0 && (
+                    <Popover content={getCooldownContent(job)}>
+                      <Tag color="orange" variant="light" size="small">
+                        COOLING DOWN
+                      </Tag>
+                    </Popover>
+                  )}
                 </div>
               }
             >
@@ -364,6 +385,16 @@ const JobGrid = () => {
                       />
                     </div>
                   </Popover>
+                  <Popover content={getPopoverContent('Run history')}>
+                    <div>
+                      <Button
+                        type="tertiary"
+                        size="small"
+                        icon={<IconHistory />}
+                        onClick={() => setRunHistoryJob(job)}
+                      />
+                    </div>
+                  </Popover>
                   <Popover content={getPopoverContent('Edit a Job')}>
                     <div>
                       <Button
@@ -425,6 +456,7 @@ const JobGrid = () => {
           />
         </div>
       )}
+      <JobRunHistory job={runHistoryJob} onClose={() => setRunHistoryJob(null)} />
       <ListingDeletionModal
         visible={deleteModalVisible}
         title={pendingDeletion?.type === 'job' ? 'Delete Job' : 'Delete Listings'}
@@ -0,0 +1,131 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React, { useEffect, useState } from 'react';
+import { SideSheet, Table, Tag, Empty, Typography, Popover, Toast } from '@douyinfe/semi-ui-19';
+import { xhrGet } from '../../../services/xhr.js';
+import * as timeService from '../../../services/time/timeService.js';
+
+const { Text } = Typography;
+
+const STATUS = {
+  success: { color: 'green', label: 'New listings' },
+  no_new_listings: { color: 'grey', label: 'Nothing new' },
+  error: { color: 'red', label: 'Error' },
+  cooldown: { color: 'orange', label: 'Skipped (bot cooldown)' },
+};
+
+const STAT_COLUMNS = [
+  { key: 'found', title: 'Found' },
+  { key: 'invalid', title: 'Invalid' },
+  { key: 'filtered', title: 'Filtered' },
+  { key: 'new', title: 'New' },
+  { key: 'deduplicated', title: 'Duplicates' },
+  { key: 'notified', title: 'Notified' },
+  { key: 'priceChanges', title: 'Price changes' },
+];
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Side panel showing the run history of a job, one row per provider execution.
+ */
+export default function JobRunHistory({ job, onClose }) {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (job == null) return;
+    const loadRuns = async () => {
+      setLoading(true);
+      try {
+        const response = await xhrGet(`/api/jobs/${job.id}/runs`);
+        setRuns(response.json || []);
+      } catch (error) {
+        console.error('Error while trying to load the run history.', error);
+        Toast.error('Could not load the run history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRuns();
+  }, [job?.id]);
+
+  return (
+    <SideSheet title={`Run history: ${job?.name ?? ''}`} visible={job != null} onCancel={onClose} width={1000}>
+      <Table
+        size="small"
+        loading={loading}
+        rowKey="id"
+        pagination={{ pageSize: 20 }}
+        empty={<Empty description="This job has not been executed yet." />}
+        dataSource={runs}
+        columns={[
+          {
+            title: 'Started',
+            dataIndex: 'startedAt',
+            render: (value) => timeService.format(value),
+          },
+          {
+            title: 'Provider',
+            dataIndex: 'provider',
+          },
+          {
+            title: 'Duration',
+            dataIndex: 'finishedAt',
+            render: (value, run) => (value == null ? '-' : `${((value - run.startedAt) / 1000).toFixed(1)} s`),
+          },
+          {
+            title: 'Transferred',
+            dataIndex: 'stats.bytes',
+            render: (_, run) =>
+              run.stats?.bytes == null ? (
+                '-'
+              ) : (
+                <Popover
+                  content={
+                    <Text style={{ padding: '.4rem', display: 'block' }}>
+                      {run.stats.requests} requests, {run.stats.blockedRequests} of them blocked
+                    </Text>
+                  }
+                >
+                  <span>{formatBytes(run.stats.bytes)}</span>
+                </Popover>
+              ),
+          },
+          {
+            title: 'Status',
+            dataIndex: 'status',
+            render: (value, run) => {
+              const status = STATUS[value] || { color: 'grey', label: value };
+              const tag = (
+                <Tag color={status.color} size="small">
+                  {status.label}
+                </Tag>
+              );
+              return run.error ? (
+                <Popover content={<Text style={{ padding: '.4rem', display: 'block' }}>{run.error}</Text>}>
+                  {tag}
+                </Popover>
+              ) : (
+                tag
+              );
+            },
+          },
+          ...STAT_COLUMNS.map(({ key, title }) => ({
+            title,
+            dataIndex: `stats.${key}`,
+            render: (_, run) => run.stats?.[key] ?? '-',
+          })),
+        ]}
+      />
+    </SideSheet>
+  );
+}
@@ -46,6 +46,8 @@ export default function Navigation({ isAdmin }) {
       { itemKey: '/users', text: 'User Management' },
       { itemKey: '/userSettings', text: 'User Specific Settings' },
       { itemKey: '/generalSettings', text: 'General Settings' },
+      { itemKey: '/customProviders', text: 'Custom Providers' },
+      { itemKey: '/snapshots', text: 'Extraction Snapshots' },
     ];
 
     items.push({
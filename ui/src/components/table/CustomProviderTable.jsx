@@ -0,0 +1,66 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+
+import { IllustrationNoResult, IllustrationNoResultDark } from '@douyinfe/semi-illustrations';
+import { Table, Button, Empty } from '@douyinfe/semi-ui-19';
+import { IconDelete, IconEdit } from '@douyinfe/semi-icons';
+
+const empty = (
+  <Empty
+    image={<IllustrationNoResult />}
+    darkModeImage={<IllustrationNoResultDark />}
+    description={'No custom providers found.'}
+  />
+);
+
+export default function CustomProviderTable({ customProviders = [], onRemoval, onEdit } = {}) {
+  return (
+    <Table
+      pagination={false}
+      empty={empty}
+      rowKey="id"
+      columns={[
+        {
+          title: 'Name',
+          dataIndex: 'name',
+        },
+        {
+          title: 'Base url',
+          dataIndex: 'baseUrl',
+          render: (value) => (
+            <a href={value} target="_blank" rel="noopener noreferrer">
+              {value}
+            </a>
+          ),
+        },
+        {
+          title: 'Container',
+          dataIndex: 'crawlContainer',
+          render: (value) => <code>{value}</code>,
+        },
+        {
+          title: '',
+          dataIndex: 'tools',
+          render: (value, provider) => {
+            return (
+              <div style={{ float: 'right' }}>
+                <Button
+                  type="danger"
+                  icon={<IconDelete />}
+                  onClick={() => onRemoval(provider.id)}
+                  style={{ marginRight: '1rem' }}
+                />
+                <Button type="primary" icon={<IconEdit />} onClick={() => onEdit(provider.id)} />
+              </div>
+            );
+          },
+        },
+      ]}
+      dataSource={customProviders}
+    />
+  );
+}
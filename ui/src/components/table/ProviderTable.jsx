@@ -5,11 +5,23 @@
 
 import React from 'react';
 
-import { Empty, Table, Button } from '@douyinfe/semi-ui-19';
+import { Empty, Table, Button, Popover, Tag } from '@douyinfe/semi-ui-19';
 import { IconDelete, IconEdit } from '@douyinfe/semi-icons';
 import { Typography } from '@douyinfe/semi-ui';
+import { formatDuration, format } from '../../services/time/timeService.js';
 
-export default function ProviderTable({ providerData = [], onRemove, onEdit } = {}) {
+/**
+ * Table of the providers of a job. If the health of the providers is given (see provider breakage detection),
+ * broken providers and those returning listings with invalid values are flagged. Providers whose site detected
+ * Fredy as a bot are shown with the time until the next retry.
+ */
+export default function ProviderTable({
+  providerData = [],
+  providerHealth = null,
+  cooldowns = null,
+  onRemove,
+  onEdit,
+} = {}) {
   const { Text } = Typography;
   return (
     <Table
@@ -27,6 +39,77 @@ export default function ProviderTable({ providerData = [], onRemove, onEdit } =
             return <Text link={{ href: data.url, target: '_blank' }}>Open Provider</Text>;
           },
         },
+        ...(providerHealth == null
+          ? []
+          : [
+              {
+                title: 'Status',
+                dataIndex: 'status',
+                render: (_, data) => {
+                  const health = providerHealth[data.id];
+                  const cooldown = cooldowns?.[data.id];
+                  if (cooldown != null) {
+                    return (
+                      <Popover
+                        showArrow
+                        content={
+                          <div style={{ padding: '.5rem', maxWidth: '20rem' }}>
+                            {cooldown.domain} detected Fredy as a bot ({cooldown.detections} time(s) in a row). Runs are
+                            skipped until {format(cooldown.cooldownUntil, false)}.
+                          </div>
+                        }
+                      >
+                        <Tag color="orange" size="small">
+                          Cooling down, retry in {formatDuration(cooldown.cooldownUntil - Date.now())}
+                        </Tag>
+                      </Popover>
+                    );
+                  }
+                  if (health == null) {
+                    return <Text type="tertiary">No runs yet</Text>;
+                  }
+                  const violations = Object.entries(health.schemaViolations ?? {});
+                  if (!health.broken && violations.length > 0) {
+                    return (
+                      <Popover
+                        showArrow
+                        content={
+                          <div style={{ padding: '.5rem', maxWidth: '20rem' }}>
+                            Listings of the last run with invalid values:{' '}
+                            {violations.map(([field, count]) => `${field} (${count})`).join(', ')}
+                          </div>
+                        }
+                      >
+                        <Tag color="orange" size="small">
+                          Invalid values
+                        </Tag>
+                      </Popover>
+                    );
+                  }
+                  if (!health.broken) {
+                    return (
+                      <Tag color="green" size="small">
+                        OK
+                      </Tag>
+                    );
+                  }
+                  return (
+                    <Popover
+                      showArrow
+                      content={
+                        <div style={{ padding: '.5rem', maxWidth: '20rem' }}>
+                          {health.reason} (since {new Date(health.brokenSince).toLocaleString()})
+                        </div>
+                      }
+                    >
+                      <Tag color="red" size="small">
+                        Broken
+                      </Tag>
+                    </Popover>
+                  );
+                },
+              },
+            ]),
         {
           title: '',
           dataIndex: 'tools',
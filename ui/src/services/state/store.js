@@ -73,6 +73,26 @@ export const useFredyState = create(
             }
           },
         },
+        customProviders: {
+          async getCustomProviders() {
+            try {
+              const response = await xhrGet('/api/admin/customProviders');
+              set(() => ({ customProviders: Object.freeze([...response.json]) }));
+            } catch (Exception) {
+              console.error(`Error while trying to get resource for api/admin/customProviders. Error:`, Exception);
+            }
+          },
+        },
+        stages: {
+          async getStages() {
+            try {
+              const response = await xhrGet('/api/jobs/stages');
+              set(() => ({ stages: Object.freeze([...response.json]) }));
+            } catch (Exception) {
+              console.error(`Error while trying to get resource for api/jobs/stages. Error:`, Exception);
+            }
+          },
+        },
         jobsData: {
           async getJobs() {
             try {
@@ -259,6 +279,8 @@ export const useFredyState = create(
         demoMode: { demoMode: false },
         versionUpdate: {},
         provider: [],
+        stages: [],
+        customProviders: [],
         jobsData: {
           jobs: [],
           shareableUserList: [],
@@ -278,6 +300,8 @@ export const useFredyState = create(
         versionUpdate: { ...effects.versionUpdate },
         listingsData: { ...effects.listingsData },
         provider: { ...effects.provider },
+        stages: { ...effects.stages },
+        customProviders: { ...effects.customProviders },
         jobsData: { ...effects.jobsData },
         user: { ...effects.user },
         userSettings: { ...effects.userSettings },
@@ -15,3 +15,14 @@ export function format(ts, showSeconds = true) {
 }
 
 export const roundToHour = (ts) => Math.ceil(ts / (1000 * 60 * 60)) * (1000 * 60 * 60);
+
+/**
+ * Human readable duration, e.g. "1 h 5 min" or "less than a minute".
+ */
+export function formatDuration(ms) {
+  if (ms < 60_000) return 'less than a minute';
+  const minutes = Math.ceil(ms / 60_000);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes} min`;
+  return minutes % 60 === 0 ? `${hours} h` : `${hours} h ${minutes % 60} min`;
+}
@@ -3,7 +3,7 @@
  * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
  */
 
-export function transform({ id, name, fields }) {
+export function transform({ id, name, fields, template, delivery }) {
   const fieldValues = {};
   Object.keys(fields).map((key) => {
     fieldValues[key] = fields[key].value;
@@ -12,5 +12,7 @@ export function transform({ id, name, fields }) {
     id,
     name,
     fields: fieldValues,
+    ...(template != null && template.trim().length > 0 ? { template } : {}),
+    ...(delivery?.mode === 'digest' ? { delivery } : {}),
   };
 }
@@ -0,0 +1,72 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+
+import { Button, Modal, Toast } from '@douyinfe/semi-ui-19';
+import { IconPlus } from '@douyinfe/semi-icons';
+import CustomProviderTable from '../../components/table/CustomProviderTable';
+import { useActions, useSelector } from '../../services/state/store';
+import { xhrDelete } from '../../services/xhr';
+import { useNavigate } from 'react-router-dom';
+
+import './CustomProviders.less';
+
+/**
+ * Admin page listing the providers defined in the ui.
+ */
+export default function CustomProviders() {
+  const actions = useActions();
+  const navigate = useNavigate();
+  const customProviders = useSelector((state) => state.customProviders);
+  const [providerIdToBeRemoved, setProviderIdToBeRemoved] = React.useState(null);
+
+  React.useEffect(() => {
+    actions.customProviders.getCustomProviders();
+  }, []);
+
+  const onRemoval = async () => {
+    try {
+      await xhrDelete(`/api/admin/customProviders/${providerIdToBeRemoved}`);
+      Toast.success('Provider successfully removed');
+      await actions.customProviders.getCustomProviders();
+      await actions.provider.getProvider();
+    } catch (error) {
+      console.error(error);
+      Toast.error(typeof error === 'string' ? error : 'Could not remove the provider');
+    } finally {
+      setProviderIdToBeRemoved(null);
+    }
+  };
+
+  return (
+    <div>
+      <Modal
+        title="Removing provider"
+        visible={providerIdToBeRemoved != null}
+        onOk={onRemoval}
+        onCancel={() => setProviderIdToBeRemoved(null)}
+        okText="Remove"
+      >
+        <p>Do you really want to remove this provider?</p>
+      </Modal>
+
+      <Button
+        type="primary"
+        className="customProviders__newButton"
+        icon={<IconPlus />}
+        onClick={() => navigate('/customProviders/new')}
+      >
+        New Provider
+      </Button>
+
+      <CustomProviderTable
+        customProviders={customProviders}
+        onEdit={(providerId) => navigate(`/customProviders/edit/${providerId}`)}
+        onRemoval={(providerId) => setProviderIdToBeRemoved(providerId)}
+      />
+    </div>
+  );
+}
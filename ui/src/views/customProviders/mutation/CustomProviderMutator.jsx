@@ -0,0 +1,202 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+
+import { useNavigate, useParams } from 'react-router-dom';
+import { Button, Divider, Input, Toast } from '@douyinfe/semi-ui-19';
+import { IconEyeOpened, IconLink, IconListView, IconPaperclip, IconPlusCircle, IconClock } from '@douyinfe/semi-icons';
+import { SegmentPart } from '../../../components/segment/SegmentPart';
+import JobPreview from '../../jobs/mutation/components/preview/JobPreview';
+import { useActions, useSelector } from '../../../services/state/store';
+import { xhrPost } from '../../../services/xhr';
+
+import './CustomProviderMutator.less';
+
+const FIELDS = [
+  { key: 'id', label: 'Id', required: true, placeholder: 'e.g. @data-id or a@href' },
+  { key: 'title', label: 'Title', required: true, placeholder: 'e.g. h2 | trim' },
+  { key: 'link', label: 'Link', required: true, placeholder: 'e.g. a@href' },
+  { key: 'price', label: 'Price', placeholder: 'e.g. .price | trim' },
+  { key: 'size', label: 'Size', placeholder: 'e.g. .size | trim' },
+  { key: 'address', label: 'Address', placeholder: 'e.g. .address | removeNewline | trim' },
+  { key: 'description', label: 'Description', placeholder: 'e.g. p.teaser | trim' },
+  { key: 'image', label: 'Image', placeholder: 'e.g. img@src' },
+];
+
+/**
+ * Create or edit a provider defined in the ui, including a live test against a result page.
+ */
+export default function CustomProviderMutator() {
+  const params = useParams();
+  const navigate = useNavigate();
+  const actions = useActions();
+  const customProviders = useSelector((state) => state.customProviders);
+  const providerToEdit = params.providerId == null ? null : customProviders.find((p) => p.id === params.providerId);
+
+  const [name, setName] = React.useState(providerToEdit?.name ?? '');
+  const [baseUrl, setBaseUrl] = React.useState(providerToEdit?.baseUrl ?? '');
+  const [crawlContainer, setCrawlContainer] = React.useState(providerToEdit?.crawlContainer ?? '');
+  const [crawlFields, setCrawlFields] = React.useState(providerToEdit?.crawlFields ?? {});
+  const [waitForSelector, setWaitForSelector] = React.useState(providerToEdit?.waitForSelector ?? '');
+  const [sortByDateParam, setSortByDateParam] = React.useState(providerToEdit?.sortByDateParam ?? '');
+  const [testUrl, setTestUrl] = React.useState('');
+  const [testResult, setTestResult] = React.useState([]);
+  const [testing, setTesting] = React.useState(false);
+
+  React.useEffect(() => {
+    if (params.providerId != null) {
+      actions.customProviders.getCustomProviders();
+    }
+  }, [params.providerId]);
+
+  // the providers might not be loaded yet when the page is opened directly
+  React.useEffect(() => {
+    if (providerToEdit != null) {
+      setName(providerToEdit.name);
+      setBaseUrl(providerToEdit.baseUrl);
+      setCrawlContainer(providerToEdit.crawlContainer);
+      setCrawlFields(providerToEdit.crawlFields);
+      setWaitForSelector(providerToEdit.waitForSelector ?? '');
+      setSortByDateParam(providerToEdit.sortByDateParam ?? '');
+    }
+  }, [providerToEdit?.id]);
+
+  const definition = {
+    id: providerToEdit?.id ?? null,
+    name,
+    baseUrl,
+    crawlContainer,
+    crawlFields,
+    waitForSelector,
+    sortByDateParam,
+  };
+
+  const isSavingEnabled = () =>
+    name.trim().length > 0 &&
+    baseUrl.trim().length > 0 &&
+    crawlContainer.trim().length > 0 &&
+    FIELDS.filter((field) => field.required).every((field) => (crawlFields[field.key] ?? '').trim().length > 0);
+
+  const testProvider = async () => {
+    setTesting(true);
+    try {
+      const response = await xhrPost('/api/admin/customProviders/test', { ...definition, url: testUrl });
+      setTestResult([{ providerId: 'test', name: name || 'Test', listings: response.json || [], error: null }]);
+    } catch (error) {
+      console.error(error);
+      setTestResult([
+        {
+          providerId: 'test',
+          name: name || 'Test',
+          listings: [],
+          error: error.json?.message ?? 'Could not test the provider',
+        },
+      ]);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const saveProvider = async () => {
+    try {
+      await xhrPost('/api/admin/customProviders', definition);
+      await actions.customProviders.getCustomProviders();
+      await actions.provider.getProvider();
+      Toast.success('Provider successfully saved...');
+      navigate('/customProviders');
+    } catch (error) {
+      console.error(error);
+      Toast.error(error.json?.message ?? 'Could not save the provider');
+    }
+  };
+
+  return (
+    <form className="customProviderMutator">
+      <SegmentPart name="Name" Icon={IconPaperclip} helpText="The name of the provider as shown in the job editor.">
+        <Input placeholder="e.g. Wohnungsgenossenschaft Musterstadt" value={name} onChange={setName} />
+      </SegmentPart>
+      <Divider margin="1rem" />
+      <SegmentPart
+        name="Base url"
+        Icon={IconLink}
+        helpText="The url of the website. Relative links and images are resolved against it, and the search urls of jobs must belong to this website."
+      >
+        <Input placeholder="https://www.example.com" value={baseUrl} onChange={setBaseUrl} />
+      </SegmentPart>
+      <Divider margin="1rem" />
+      <SegmentPart
+        name="Selectors"
+        Icon={IconListView}
+        helpText="The container selector matches a single listing on the result page. Field selectors are relative to the container and use the syntax 'selector@attribute | modifier' (modifiers: trim, removeNewline, lowercase, int, number for prices like '1.250 €', regex(pattern) for the first capture group, absoluteUrl, default(value) and all to collect every matching element into a list). An empty selector with an attribute (e.g. '@href') reads the attribute of the container itself."
+      >
+        <div className="customProviderMutator__fields">
+          <Input
+            prefix="Container"
+            placeholder="e.g. .result-list > article"
+            value={crawlContainer}
+            onChange={setCrawlContainer}
+          />
+          {FIELDS.map((field) => (
+            <Input
+              key={field.key}
+              prefix={field.required ? `${field.label} *` : field.label}
+              placeholder={field.placeholder}
+              value={crawlFields[field.key] ?? ''}
+              onChange={(value) => setCrawlFields({ ...crawlFields, [field.key]: value })}
+            />
+          ))}
+        </div>
+      </SegmentPart>
+      <Divider margin="1rem" />
+      <SegmentPart
+        name="Loading"
+        Icon={IconClock}
+        helpText="Optional. The wait selector is waited for before the page is parsed, which is needed for pages rendering their results with JavaScript. The sort parameter is added to the search url to sort results by date."
+      >
+        <div className="customProviderMutator__fields">
+          <Input
+            prefix="Wait selector"
+            placeholder="e.g. .result-list"
+            value={waitForSelector}
+            onChange={setWaitForSelector}
+          />
+          <Input
+            prefix="Sort parameter"
+            placeholder="e.g. sort=date_desc"
+            value={sortByDateParam}
+            onChange={setSortByDateParam}
+          />
+        </div>
+      </SegmentPart>
+      <Divider margin="1rem" />
+      <SegmentPart
+        name="Test"
+        Icon={IconEyeOpened}
+        helpText="Paste the url of a result page and check which listings Fredy would find with these selectors. Nothing is stored."
+      >
+        <div className="customProviderMutator__test">
+          <Input placeholder="Url of a result page" value={testUrl} onChange={setTestUrl} />
+          <Button
+            icon={<IconEyeOpened />}
+            loading={testing}
+            disabled={!isSavingEnabled() || testUrl.trim().length === 0}
+            onClick={testProvider}
+          >
+            Test
+          </Button>
+        </div>
+        <JobPreview preview={testResult} />
+      </SegmentPart>
+      <Divider margin="1rem" />
+      <Button type="danger" style={{ marginRight: '1rem' }} onClick={() => navigate('/customProviders')}>
+        Cancel
+      </Button>
+      <Button type="primary" icon={<IconPlusCircle />} disabled={!isSavingEnabled()} onClick={saveProvider}>
+        Save
+      </Button>
+    </form>
+  );
+}
@@ -4,7 +4,7 @@
  */
 
 import React from 'react';
-import { Button, Col, Row, Toast } from '@douyinfe/semi-ui-19';
+import { Button, Col, Empty, Row, Table, Tag, Toast } from '@douyinfe/semi-ui-19';
 import {
   IconTerminal,
   IconStar,
@@ -15,6 +15,7 @@ import {
   IconNoteMoney,
   IconSearch,
   IconPlayCircle,
+  IconCalendarClock,
 } from '@douyinfe/semi-icons';
 
 import { useSelector, useActions } from '../../services/state/store';
@@ -26,6 +27,21 @@ import { SegmentPart } from '../../components/segment/SegmentPart.jsx';
 import { xhrPost } from '../../services/xhr.js';
 import { format } from '../../services/time/timeService.js';
 
+function describeSchedule(schedule, globalInterval) {
+  let text;
+  if (schedule?.type === 'interval') {
+    text = `Every ${schedule.interval} min`;
+  } else if (schedule?.type === 'cron') {
+    text = `Cron: ${schedule.cron}`;
+  } else {
+    text = `Every ${globalInterval} min (global)`;
+  }
+  if (schedule?.activeWindow != null) {
+    text += `, ${schedule.activeWindow.from} - ${schedule.activeWindow.to}`;
+  }
+  return text;
+}
+
 export default function Dashboard() {
   const actions = useActions();
   const dashboard = useSelector((state) => state.dashboard.data);
@@ -35,6 +51,7 @@ export default function Dashboard() {
 
   const kpis = dashboard?.kpis || { totalJobs: 0, totalListings: 0, providersUsed: 0 };
   const pieData = dashboard?.pie || [];
+  const schedules = dashboard?.schedules || [];
 
   return (
     <div className="dashboard">
@@ -60,7 +77,7 @@ export default function Dashboard() {
                       : format(dashboard?.general?.lastRun)
                   }
                   icon={<IconDoubleChevronLeft />}
-                  description="Last execution timestamp"
+                  description="Last execution of any job"
                 />
               </Col>
               <Col span={12} xs={24} sm={12} md={12} lg={12} xl={12}>
@@ -73,7 +90,7 @@ export default function Dashboard() {
                   }
                   valueFontSize="14px"
                   icon={<IconDoubleChevronRight />}
-                  description="Next execution timestamp"
+                  description="Next scheduled execution of any job"
                 />
               </Col>
               <Col span={12} xs={24} sm={12} md={12} lg={12} xl={12}>
@@ -150,6 +167,49 @@ export default function Dashboard() {
         </Col>
       </Row>
 
+      <SegmentPart
+        name="Schedules"
+        Icon={IconCalendarClock}
+        helpText="When each job ran last and when it will run next"
+        className="dashboard__schedules"
+      >
+        <Table
+          size="small"
+          rowKey="id"
+          pagination={false}
+          empty={<Empty description="No jobs found." />}
+          dataSource={schedules}
+          columns={[
+            {
+              title: 'Job',
+              dataIndex: 'name',
+            },
+            {
+              title: 'Schedule',
+              dataIndex: 'schedule',
+              render: (value, job) =>
+                job.enabled ? (
+                  describeSchedule(value, dashboard?.general?.interval)
+                ) : (
+                  <Tag size="small" color="grey">
+                    Disabled
+                  </Tag>
+                ),
+            },
+            {
+              title: 'Last run',
+              dataIndex: 'lastRun',
+              render: (value) => (value == null ? '---' : format(value)),
+            },
+            {
+              title: 'Next run',
+              dataIndex: 'nextRun',
+              render: (value) => (value == null ? '---' : format(value)),
+            },
+          ]}
+        />
+      </SegmentPart>
+
       <SegmentPart
         name="Provider Insights"
         Icon={IconStar}
@@ -7,10 +7,14 @@ import React from 'react';
 
 import { useActions, useSelector } from '../../services/state/store';
 
-import { Divider, TimePicker, Button, Checkbox, Input, Modal } from '@douyinfe/semi-ui-19';
+import { Divider, TimePicker, Button, Checkbox, Input, Modal, RadioGroup, Radio } from '@douyinfe/semi-ui-19';
 import { InputNumber } from '@douyinfe/semi-ui-19';
-import { xhrPost } from '../../services/xhr';
+import { xhrGet, xhrPost } from '../../services/xhr';
 import { SegmentPart } from '../../components/segment/SegmentPart';
+import NotificationAdapterTable from '../../components/table/NotificationAdapterTable';
+import NotificationAdapterMutator from '../jobs/mutation/components/notificationAdapter/NotificationAdapterMutator';
+import ProxyEditor from './components/ProxyEditor';
+import BrowserProfiles from './components/BrowserProfiles';
 import { Banner, Toast } from '@douyinfe/semi-ui-19';
 import {
   downloadBackup as downloadBackupZip,
@@ -25,6 +29,13 @@ import {
   IconLineChartStroked,
   IconSearch,
   IconFolder,
+  IconAlertTriangle,
+  IconPlusCircle,
+  IconServer,
+  IconShield,
+  IconUser,
+  IconClock,
+  IconCamera,
 } from '@douyinfe/semi-icons';
 import './GeneralSettings.less';
 
@@ -57,6 +68,24 @@ const GeneralSettings = function GeneralSettings() {
   const [demoMode, setDemoMode] = React.useState(null);
   const [analyticsEnabled, setAnalyticsEnabled] = React.useState(null);
   const [sqlitePath, setSqlitePath] = React.useState(null);
+  const [providerBrokenThreshold, setProviderBrokenThreshold] = React.useState(null);
+  const [adminNotificationAdapter, setAdminNotificationAdapter] = React.useState([]);
+  const [browserPoolSize, setBrowserPoolSize] = React.useState(null);
+  const [browserPoolPagesPerBrowser, setBrowserPoolPagesPerBrowser] = React.useState(null);
+  const [browserPoolStats, setBrowserPoolStats] = React.useState(null);
+  const [persistentBrowserProfiles, setPersistentBrowserProfiles] = React.useState(false);
+  const [maxConcurrentExecutions, setMaxConcurrentExecutions] = React.useState(null);
+  const [domainRequestsPerMinute, setDomainRequestsPerMinute] = React.useState(null);
+  const [domainMinSpacingSeconds, setDomainMinSpacingSeconds] = React.useState(null);
+  const [domainJitterSeconds, setDomainJitterSeconds] = React.useState(null);
+  const [executionQueueStats, setExecutionQueueStats] = React.useState(null);
+  const [extractionSnapshots, setExtractionSnapshots] = React.useState(false);
+  const [extractionSnapshotsPerProvider, setExtractionSnapshotsPerProvider] = React.useState(null);
+  const [proxies, setProxies] = React.useState([]);
+  const [proxyRotation, setProxyRotation] = React.useState('round-robin');
+  const [proxyHealth, setProxyHealth] = React.useState([]);
+  const [adminAdapterMutatorVisible, setAdminAdapterMutatorVisible] = React.useState(false);
+  const [editAdminAdapter, setEditAdminAdapter] = React.useState(null);
   const fileInputRef = React.useRef(null);
   const [restoreModalVisible, setRestoreModalVisible] = React.useState(false);
   const [precheckInfo, setPrecheckInfo] = React.useState(null);
@@ -81,11 +110,63 @@ const GeneralSettings = function GeneralSettings() {
       setAnalyticsEnabled(settings?.analyticsEnabled || false);
       setDemoMode(settings?.demoMode || false);
       setSqlitePath(settings?.sqlitepath);
+      setProviderBrokenThreshold(settings?.providerBrokenThreshold ?? 3);
+      setAdminNotificationAdapter(settings?.adminNotificationAdapter || []);
+      setBrowserPoolSize(settings?.browserPoolSize ?? 2);
+      setBrowserPoolPagesPerBrowser(settings?.browserPoolPagesPerBrowser ?? 2);
+      setPersistentBrowserProfiles(settings?.persistentBrowserProfiles || false);
+      setMaxConcurrentExecutions(settings?.maxConcurrentExecutions ?? 3);
+      setDomainRequestsPerMinute(settings?.domainRequestsPerMinute ?? 20);
+      setDomainMinSpacingSeconds(settings?.domainMinSpacingSeconds ?? 2);
+      setDomainJitterSeconds(settings?.domainJitterSeconds ?? 1);
+      setExtractionSnapshots(settings?.extractionSnapshots || false);
+      setExtractionSnapshotsPerProvider(settings?.extractionSnapshotsPerProvider ?? 10);
+      setProxies(settings?.proxies || []);
+      setProxyRotation(settings?.proxyRotation || 'round-robin');
     }
 
     init();
   }, [settings]);
 
+  const loadBrowserPoolStats = React.useCallback(async () => {
+    try {
+      const response = await xhrGet('/api/admin/browserPool');
+      setBrowserPoolStats(response.json);
+    } catch (e) {
+      console.error(e);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadBrowserPoolStats();
+  }, [loadBrowserPoolStats]);
+
+  const loadExecutionQueueStats = React.useCallback(async () => {
+    try {
+      const response = await xhrGet('/api/admin/executionQueue');
+      setExecutionQueueStats(response.json);
+    } catch (e) {
+      console.error(e);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadExecutionQueueStats();
+  }, [loadExecutionQueueStats]);
+
+  React.useEffect(() => {
+    async function loadProxyHealth() {
+      try {
+        const response = await xhrGet('/api/admin/proxies');
+        setProxyHealth(response.json);
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    loadProxyHealth();
+  }, []);
+
   const nullOrEmpty = (val) => val == null || val.length === 0;
 
   const handleStore = async () => {
@@ -119,6 +200,19 @@ const GeneralSettings = function GeneralSettings() {
         demoMode,
         analyticsEnabled,
         sqlitepath: sqlitePath,
+        providerBrokenThreshold,
+        adminNotificationAdapter,
+        browserPoolSize,
+        browserPoolPagesPerBrowser,
+        persistentBrowserProfiles,
+        maxConcurrentExecutions,
+        domainRequestsPerMinute,
+        domainMinSpacingSeconds,
+        domainJitterSeconds,
+        extractionSnapshots,
+        extractionSnapshotsPerProvider,
+        proxies,
+        proxyRotation,
       });
     } catch (exception) {
       console.error(exception);
@@ -335,6 +429,185 @@ const GeneralSettings = function GeneralSettings() {
 
             <Divider margin="1rem" />
 
+            <SegmentPart
+              name="Browser pool"
+              helpText="Websites which need a browser are loaded in a shared pool of Chromium instances. Limit the number of browsers and of pages loaded in parallel per browser to keep the cpu and memory usage of your server in check."
+              Icon={IconServer}
+            >
+              <div className="generalSettings__browserPool">
+                <InputNumber
+                  min={1}
+                  max={20}
+                  value={browserPoolSize}
+                  formatter={(value) => `${value}`.replace(/\D/g, '')}
+                  onChange={(value) => setBrowserPoolSize(value)}
+                  suffix={'browsers'}
+                />
+                <InputNumber
+                  min={1}
+                  max={20}
+                  value={browserPoolPagesPerBrowser}
+                  formatter={(value) => `${value}`.replace(/\D/g, '')}
+                  onChange={(value) => setBrowserPoolPagesPerBrowser(value)}
+                  suffix={'pages per browser'}
+                />
+              </div>
+              {browserPoolStats != null && (
+                <div className="generalSettings__browserPoolStats">
+                  {browserPoolStats.browsers.length} browser(s) running, {browserPoolStats.activePages} page(s) open,{' '}
+                  {browserPoolStats.waiting} waiting. Since start: {browserPoolStats.launched} launched,{' '}
+                  {browserPoolStats.pagesServed} pages served, {browserPoolStats.recycled} recycled,{' '}
+                  {browserPoolStats.killed} killed by the watchdog.
+                  <Button size="small" theme="borderless" icon={<IconRefresh />} onClick={loadBrowserPoolStats} />
+                </div>
+              )}
+            </SegmentPart>
+
+            <Divider margin="1rem" />
+
+            <SegmentPart
+              name="Request limits"
+              helpText="Limits how hard Fredy hits the listing sites. Only the given number of searches (a provider of a job) run at the same time, the others wait in a queue. Requests to the same site are spread out, no matter which job they belong to: at most the given number per minute, with a minimum gap plus a random delay between two of them. Set the requests per minute to 0 for no limit."
+              Icon={IconClock}
+            >
+              <div className="generalSettings__requestLimits">
+                <InputNumber
+                  min={1}
+                  max={50}
+                  value={maxConcurrentExecutions}
+                  formatter={(value) => `${value}`.replace(/\D/g, '')}
+                  onChange={(value) => setMaxConcurrentExecutions(value)}
+                  suffix={'searches at a time'}
+                />
+                <InputNumber
+                  min={0}
+                  max={600}
+                  value={domainRequestsPerMinute}
+                  formatter={(value) => `${value}`.replace(/\D/g, '')}
+                  onChange={(value) => setDomainRequestsPerMinute(value)}
+                  suffix={'requests per minute and site'}
+                />
+              </div>
+              <div className="generalSettings__requestLimits">
+                <InputNumber
+                  min={0}
+                  max={300}
+                  step={0.5}
+                  value={domainMinSpacingSeconds}
+                  onChange={(value) => setDomainMinSpacingSeconds(value)}
+                  suffix={'seconds between requests'}
+                />
+                <InputNumber
+                  min={0}
+                  max={300}
+                  step={0.5}
+                  value={domainJitterSeconds}
+                  onChange={(value) => setDomainJitterSeconds(value)}
+                  suffix={'seconds random delay'}
+                />
+              </div>
+              {executionQueueStats != null && (
+                <div className="generalSettings__requestLimitsStats">
+                  {executionQueueStats.running} search(es) running, {executionQueueStats.queued} waiting. Since start:{' '}
+                  {executionQueueStats.executions} searches, {executionQueueStats.requests} requests,{' '}
+                  {executionQueueStats.delayedRequests} of them delayed by the limits.
+                  <Button size="small" theme="borderless" icon={<IconRefresh />} onClick={loadExecutionQueueStats} />
+                </div>
+              )}
+            </SegmentPart>
+
+            <Divider margin="1rem" />
+
+            <SegmentPart
+              name="Browser profiles"
+              helpText="By default, every browser starts with an empty profile, so the sites see a new visitor on every request who has to accept the cookie consent first. With persistent profiles, the cookies of every site are kept between runs and the cookie consent is only dismissed once. Reset a profile if a site keeps blocking it."
+              Icon={IconUser}
+            >
+              <Checkbox
+                checked={persistentBrowserProfiles}
+                onChange={(e) => setPersistentBrowserProfiles(e.target.checked)}
+              >
+                Keep a persistent browser profile per site
+              </Checkbox>
+              <BrowserProfiles />
+            </SegmentPart>
+
+            <Divider margin="1rem" />
+
+            <SegmentPart
+              name="Extraction snapshots"
+              helpText="If enabled, Fredy saves the html and a screenshot of pages it could not find any listings on or has been detected as a bot on. Only the latest snapshots of every provider are kept. Browse them under Settings / Extraction Snapshots."
+              Icon={IconCamera}
+            >
+              <div className="generalSettings__snapshots">
+                <Checkbox checked={extractionSnapshots} onChange={(e) => setExtractionSnapshots(e.target.checked)}>
+                  Capture failed extractions
+                </Checkbox>
+                <InputNumber
+                  min={1}
+                  max={100}
+                  value={extractionSnapshotsPerProvider}
+                  disabled={!extractionSnapshots}
+                  formatter={(value) => `${value}`.replace(/\D/g, '')}
+                  onChange={(value) => setExtractionSnapshotsPerProvider(value)}
+                  suffix={'snapshots per provider'}
+                />
+              </div>
+            </SegmentPart>
+
+            <Divider margin="1rem" />
+
+            <SegmentPart
+              name="Proxies"
+              helpText="Requests to the listing sites can be sent through proxies. A proxy is either used for all providers or only for the selected ones. 'Round robin' uses the next proxy for every request, 'Sticky' keeps the proxy of a provider until it becomes unhealthy. Proxies failing repeatedly or being detected as a bot are skipped for 15 minutes."
+              Icon={IconShield}
+            >
+              <RadioGroup value={proxyRotation} onChange={(e) => setProxyRotation(e.target.value)}>
+                <Radio value="round-robin">Round robin</Radio>
+                <Radio value="sticky">Sticky</Radio>
+              </RadioGroup>
+              <ProxyEditor proxies={proxies} health={proxyHealth} onChange={setProxies} />
+            </SegmentPart>
+
+            <Divider margin="1rem" />
+
+            <SegmentPart
+              name="Provider alerts"
+              helpText="If a provider which used to return listings fails for this many runs in a row (e.g. because the website has changed), it is flagged as broken and the admin is notified through the adapters below."
+              Icon={IconAlertTriangle}
+            >
+              <InputNumber
+                min={1}
+                max={100}
+                placeholder="Consecutive failed runs"
+                value={providerBrokenThreshold}
+                formatter={(value) => `${value}`.replace(/\D/g, '')}
+                onChange={(value) => setProviderBrokenThreshold(value)}
+                suffix={'runs'}
+              />
+              <Button
+                type="primary"
+                className="generalSettings__adminAdapterButton"
+                icon={<IconPlusCircle />}
+                onClick={() => setAdminAdapterMutatorVisible(true)}
+              >
+                Add admin notification adapter
+              </Button>
+              <NotificationAdapterTable
+                notificationAdapter={adminNotificationAdapter}
+                onRemove={(adapterId) => {
+                  setEditAdminAdapter(null);
+                  setAdminNotificationAdapter(adminNotificationAdapter.filter((adapter) => adapter.id !== adapterId));
+                }}
+                onEdit={(adapterId) => {
+                  setEditAdminAdapter(adapterId);
+                  setAdminAdapterMutatorVisible(true);
+                }}
+              />
+            </SegmentPart>
+
+            <Divider margin="1rem" />
+
             <SegmentPart name="Demo Mode" helpText="If enabled, Fredy runs in demo mode." Icon={IconSearch}>
               <Banner
                 fullMode={false}
@@ -363,6 +636,25 @@ const GeneralSettings = function GeneralSettings() {
           </div>
         </React.Fragment>
       )}
+      {adminAdapterMutatorVisible && (
+        <NotificationAdapterMutator
+          visible={adminAdapterMutatorVisible}
+          onVisibilityChanged={(visible) => {
+            setEditAdminAdapter(null);
+            setAdminAdapterMutatorVisible(visible);
+          }}
+          selected={adminNotificationAdapter}
+          editNotificationAdapter={
+            editAdminAdapter == null
+              ? null
+              : adminNotificationAdapter.find((adapter) => adapter.id === editAdminAdapter)
+          }
+          onData={(data) => {
+            const oldData = adminNotificationAdapter.filter((o) => o.id !== data.id);
+            setAdminNotificationAdapter([...oldData, data]);
+          }}
+        />
+      )}
       {restoreModalVisible && (
         <Modal
           title="Restore database"
@@ -0,0 +1,122 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+import { Button, Empty, Modal, Table, Tag, Toast } from '@douyinfe/semi-ui-19';
+import { IconRefresh } from '@douyinfe/semi-icons';
+import { xhrDelete, xhrGet } from '../../../services/xhr';
+import { format } from '../../../services/time/timeService';
+import './BrowserProfiles.less';
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Persistent browser profiles stored on the server, one per domain. Resetting a profile removes its cookies, so
+ * that the next request starts as a new visitor again.
+ */
+export default function BrowserProfiles() {
+  const [profiles, setProfiles] = React.useState([]);
+  const [domainToBeReset, setDomainToBeReset] = React.useState(null);
+
+  const loadProfiles = React.useCallback(async () => {
+    try {
+      const response = await xhrGet('/api/admin/browserProfiles');
+      setProfiles(response.json);
+    } catch (e) {
+      console.error(e);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const onReset = async () => {
+    try {
+      await xhrDelete(`/api/admin/browserProfiles/${encodeURIComponent(domainToBeReset)}`);
+      Toast.success(`Browser profile of ${domainToBeReset} has been reset.`);
+      await loadProfiles();
+    } catch (error) {
+      console.error(error);
+      Toast.error(typeof error === 'string' ? error : 'Could not reset the browser profile.');
+    } finally {
+      setDomainToBeReset(null);
+    }
+  };
+
+  return (
+    <div className="browserProfiles">
+      <Modal
+        title="Resetting browser profile"
+        visible={domainToBeReset != null}
+        onOk={onReset}
+        onCancel={() => setDomainToBeReset(null)}
+        okText="Reset"
+      >
+        <p>
+          Do you really want to reset the browser profile of {domainToBeReset}? Its cookies are removed and the cookie
+          consent is dismissed again on the next request.
+        </p>
+      </Modal>
+      <Table
+        size="small"
+        rowKey="domain"
+        pagination={false}
+        empty={<Empty description="No browser profiles have been created yet." />}
+        dataSource={profiles}
+        columns={[
+          {
+            title: 'Domain',
+            dataIndex: 'domain',
+          },
+          {
+            title: 'Cookie consent',
+            dataIndex: 'consentDismissedAt',
+            render: (value) =>
+              value != null ? (
+                <Tag color="green" size="small">
+                  Dismissed {format(value, false)}
+                </Tag>
+              ) : (
+                <Tag color="grey" size="small">
+                  Not dismissed
+                </Tag>
+              ),
+          },
+          {
+            title: 'Last used',
+            dataIndex: 'lastUsedAt',
+            render: (value) => (value != null ? format(value, false) : '---'),
+          },
+          {
+            title: 'Size',
+            dataIndex: 'size',
+            render: (value) => formatSize(value),
+          },
+          {
+            title: (
+              <div className="browserProfiles__actions">
+                <Button size="small" theme="borderless" icon={<IconRefresh />} onClick={loadProfiles} />
+              </div>
+            ),
+            dataIndex: 'actions',
+            render: (_, profile) => (
+              <div className="browserProfiles__actions">
+                <Button size="small" type="danger" onClick={() => setDomainToBeReset(profile.domain)}>
+                  Reset
+                </Button>
+              </div>
+            ),
+          },
+        ]}
+      />
+    </div>
+  );
+}
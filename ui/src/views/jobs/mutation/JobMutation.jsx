@@ -9,11 +9,13 @@ import NotificationAdapterMutator from './components/notificationAdapter/Notific
 import NotificationAdapterTable from '../../../components/table/NotificationAdapterTable';
 import ProviderTable from '../../../components/table/ProviderTable';
 import ProviderMutator from './components/provider/ProviderMutator';
+import JobPreview from './components/preview/JobPreview';
+import BlacklistEditor from './components/blacklist/BlacklistEditor';
 import Headline from '../../../components/headline/Headline';
 import { useActions, useSelector } from '../../../services/state/store';
 import { xhrPost } from '../../../services/xhr';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
-import { Divider, Input, Switch, Button, TagInput, Toast, Select } from '@douyinfe/semi-ui-19';
+import { Divider, Input, InputNumber, Switch, Button, Toast, Select, TimePicker, Tag } from '@douyinfe/semi-ui-19';
 import './JobMutation.less';
 import { SegmentPart } from '../../../components/segment/SegmentPart';
 import {
@@ -24,11 +26,33 @@ import {
   IconPlusCircle,
   IconUser,
   IconClear,
+  IconFilter,
+  IconLayers,
+  IconEyeOpened,
+  IconCalendarClock,
+  IconFlowChartStroked,
 } from '@douyinfe/semi-icons';
 
+const STAGE_HOOK_LABELS = {
+  afterNormalize: 'After parsing',
+  afterFindNew: 'New listings',
+  beforeNotify: 'Before notification',
+};
+
+const FILTER_RULE_FIELDS = [
+  { key: 'minPrice', label: 'Min. price', suffix: '€' },
+  { key: 'maxPrice', label: 'Max. price', suffix: '€' },
+  { key: 'minSize', label: 'Min. size', suffix: 'm²' },
+  { key: 'maxSize', label: 'Max. size', suffix: 'm²' },
+  { key: 'minRooms', label: 'Min. rooms' },
+  { key: 'maxRooms', label: 'Max. rooms' },
+  { key: 'maxPricePerSqm', label: 'Max. price per m²', suffix: '€/m²' },
+];
+
 export default function JobMutator() {
   const jobs = useSelector((state) => state.jobsData.jobs);
   const shareableUserList = useSelector((state) => state.jobsData.shareableUserList);
+  const availableStages = useSelector((state) => state.stages);
   const params = useParams();
   const location = useLocation();
 
@@ -39,6 +63,10 @@ export default function JobMutator() {
   const sourceJob = jobToBeEdit || jobToClone;
 
   const defaultBlacklist = sourceJob?.blacklist || [];
+  const defaultFilterRules = sourceJob?.filterRules || {};
+  const defaultMaxPages = sourceJob?.maxPages ?? 1;
+  const defaultStages = sourceJob?.stages ?? [];
+  const defaultSchedule = { type: 'global', interval: null, cron: null, activeWindow: null, ...sourceJob?.schedule };
   const defaultName = jobToClone ? `Copy of - ${sourceJob?.name}` : sourceJob?.name || null;
   const defaultProviderData = sourceJob?.provider || [];
   const defaultNotificationAdapter = sourceJob?.notificationAdapter || [];
@@ -52,14 +80,37 @@ export default function JobMutator() {
   const [providerData, setProviderData] = useState(defaultProviderData);
   const [name, setName] = useState(defaultName);
   const [blacklist, setBlacklist] = useState(defaultBlacklist);
+  const [filterRules, setFilterRules] = useState(defaultFilterRules);
+  const [maxPages, setMaxPages] = useState(defaultMaxPages);
+  const [schedule, setSchedule] = useState(defaultSchedule);
+  const [stages, setStages] = useState(defaultStages);
   const [notificationAdapterData, setNotificationAdapterData] = useState(defaultNotificationAdapter);
   const [shareWithUsers, setShareWithUsers] = useState(defaultShareWithUsers);
   const [enabled, setEnabled] = useState(defaultEnabled);
+  const [preview, setPreview] = useState([]);
+  const [previewLoading, setPreviewLoading] = useState(false);
   const navigate = useNavigate();
   const actions = useActions();
 
+  const isScheduleValid = () => {
+    if (schedule.activeWindow != null && (schedule.activeWindow.from == null || schedule.activeWindow.to == null)) {
+      return false;
+    }
+    if (schedule.type === 'interval') return schedule.interval != null && schedule.interval >= 1;
+    if (schedule.type === 'cron') return schedule.cron != null && schedule.cron.trim().length > 0;
+    return true;
+  };
+
   const isSavingEnabled = () => {
-    return Boolean(notificationAdapterData.length && providerData.length && name);
+    return Boolean(notificationAdapterData.length && providerData.length && name && isScheduleValid());
+  };
+
+  const setActiveWindow = (key, value) => {
+    const activeWindow = { from: null, to: null, ...schedule.activeWindow, [key]: value || null };
+    setSchedule({
+      ...schedule,
+      activeWindow: activeWindow.from == null && activeWindow.to == null ? null : activeWindow,
+    });
   };
 
   const handleProviderEdit = (data) => {
@@ -68,6 +119,23 @@ export default function JobMutator() {
     );
   };
 
+  const previewJob = async () => {
+    setPreviewLoading(true);
+    try {
+      const response = await xhrPost('/api/jobs/preview', {
+        provider: providerData,
+        blacklist,
+        filterRules,
+      });
+      setPreview(response.json || []);
+    } catch (Exception) {
+      console.error(Exception);
+      Toast.error(Exception.json != null ? Exception.json.message : 'Could not create the preview');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
   const mutateJob = async () => {
     try {
       await xhrPost('/api/jobs', {
@@ -76,6 +144,10 @@ export default function JobMutator() {
         shareWithUsers,
         name,
         blacklist,
+        filterRules,
+        maxPages,
+        schedule,
+        stages,
         enabled,
         jobId: jobToBeEdit?.id || null,
       });
@@ -108,6 +180,8 @@ export default function JobMutator() {
             setNotificationCreationVisibility(visible);
           }}
           selected={notificationAdapterData}
+          templateEditable
+          deliveryEditable
           editNotificationAdapter={
             editNotificationAdapter == null
               ? null
@@ -141,6 +215,7 @@ export default function JobMutator() {
             A provider is essentially the service (e.g. ImmoScout24, Kleinanzeigen) that Fredy searches for new listings.
             Fredy will open a new tab pointing to the website of this provider. You have to adjust your search parameter
             and click on "Search". If the results are being shown, copy the browser URL in here.
+            Use "Preview" to check which listings Fredy would find and which of them would be filtered out.
             `}
         >
           <Button
@@ -157,6 +232,8 @@ export default function JobMutator() {
 
           <ProviderTable
             providerData={providerData}
+            providerHealth={sourceJob?.providerHealth}
+            cooldowns={sourceJob?.cooldowns}
             onRemove={(providerUrl) => {
               setProviderData(providerData.filter((provider) => provider.url !== providerUrl));
             }}
@@ -165,6 +242,16 @@ export default function JobMutator() {
               setProviderToEdit(provider);
             }}
           />
+          <Button
+            icon={<IconEyeOpened />}
+            className="jobMutation__previewButton"
+            loading={previewLoading}
+            disabled={providerData.length === 0}
+            onClick={previewJob}
+          >
+            Preview
+          </Button>
+          <JobPreview preview={preview} />
         </SegmentPart>
         <Divider margin="1rem" />
         <SegmentPart
@@ -197,13 +284,115 @@ export default function JobMutator() {
         <SegmentPart
           Icon={IconClear}
           name="Blacklist"
-          helpText="If a listing contains one of these words, it will be filtered out. Type in a word, then hit enter."
+          helpText="Listings matching an 'Exclude' entry will be filtered out. If 'Must contain' entries exist, a listing has to match at least one of them. 'Contains' matches any part of a word, 'Whole word' only complete words (so 'Tausch' does not match 'Austausch') and 'Regular expression' lets you write your own pattern. Upper and lower case is ignored."
         >
-          <TagInput
-            value={blacklist || []}
-            placeholder="Add a word for filtering..."
-            onChange={(v) => setBlacklist([...v])}
-          />
+          <BlacklistEditor blacklist={blacklist || []} onChange={setBlacklist} />
+        </SegmentPart>
+        <Divider margin="1rem" />
+        <SegmentPart
+          Icon={IconFilter}
+          name="Filter rules"
+          helpText="Listings outside of these ranges will be filtered out. Leave a field empty to ignore it. If a provider does not deliver a value (e.g. the number of rooms), the listing will not be filtered by it."
+        >
+          <div className="jobMutation__filterRules">
+            {FILTER_RULE_FIELDS.map(({ key, label, suffix }) => (
+              <InputNumber
+                key={key}
+                min={0}
+                prefix={label}
+                suffix={suffix}
+                value={filterRules[key] ?? undefined}
+                onChange={(value) =>
+                  setFilterRules({ ...filterRules, [key]: value === '' || value == null ? null : value })
+                }
+              />
+            ))}
+          </div>
+        </SegmentPart>
+        <Divider margin="1rem" />
+        <SegmentPart
+          Icon={IconLayers}
+          name="Max pages"
+          helpText="How many result pages Fredy fetches per provider and run. Fredy stops earlier as soon as a page contains only known listings. Only providers supporting pagination (e.g. ImmoScout, Immowelt, Kleinanzeigen) fetch more than one page. More pages mean more requests, which increases the risk of being detected as a bot."
+        >
+          <InputNumber min={1} max={10} value={maxPages} onChange={(value) => setMaxPages(value || 1)} />
+        </SegmentPart>
+        <Divider margin="1rem" />
+        <SegmentPart
+          Icon={IconCalendarClock}
+          name="Schedule"
+          helpText="When Fredy runs this job. Use the global interval from the general settings, an own interval in minutes or a cron expression (e.g. '0 8,18 * * *' for 8am and 6pm). If an active window is set, the job only runs within this time window, otherwise the working hours from the general settings apply."
+        >
+          <div className="jobMutation__schedule">
+            <Select
+              value={schedule.type}
+              onChange={(type) => setSchedule({ ...schedule, type })}
+              optionList={[
+                { value: 'global', label: 'Global interval' },
+                { value: 'interval', label: 'Own interval' },
+                { value: 'cron', label: 'Cron expression' },
+              ]}
+            />
+            {schedule.type === 'interval' && (
+              <InputNumber
+                min={1}
+                suffix="min"
+                placeholder="Interval"
+                value={schedule.interval ?? undefined}
+                onChange={(value) =>
+                  setSchedule({ ...schedule, interval: value === '' || value == null ? null : value })
+                }
+              />
+            )}
+            {schedule.type === 'cron' && (
+              <Input
+                placeholder="*/5 * * * *"
+                value={schedule.cron ?? ''}
+                onChange={(value) => setSchedule({ ...schedule, cron: value })}
+              />
+            )}
+          </div>
+          <div className="jobMutation__schedule">
+            <TimePicker
+              format="HH:mm"
+              insetLabel="Active from"
+              placeholder=""
+              value={schedule.activeWindow?.from ?? undefined}
+              onChange={(_, value) => setActiveWindow('from', value)}
+            />
+            <TimePicker
+              format="HH:mm"
+              insetLabel="Until"
+              placeholder=""
+              value={schedule.activeWindow?.to ?? undefined}
+              onChange={(_, value) => setActiveWindow('to', value)}
+            />
+          </div>
+        </SegmentPart>
+        <Divider margin="1rem" />
+        <SegmentPart
+          Icon={IconFlowChartStroked}
+          name="Pipeline stages"
+          helpText="Additional processing steps for the listings of this job. Stages are provided by Fredy (see lib/pipeline/stage) and run in the given step of the pipeline, e.g. to enrich or drop listings."
+        >
+          {availableStages.length === 0 ? (
+            <div>No pipeline stages available.</div>
+          ) : (
+            availableStages.map((stage) => (
+              <div className="jobMutation__stage" key={stage.id}>
+                <Switch
+                  checked={stages.includes(stage.id)}
+                  onChange={(checked) =>
+                    setStages(checked ? [...stages, stage.id] : stages.filter((id) => id !== stage.id))
+                  }
+                />
+                <div>
+                  <b>{stage.name ?? stage.id}</b> <Tag size="small">{STAGE_HOOK_LABELS[stage.hook] ?? stage.hook}</Tag>
+                  {stage.description && <div className="jobMutation__stageDescription">{stage.description}</div>}
+                </div>
+              </div>
+            ))
+          )}
         </SegmentPart>
         <Divider margin="1rem" />
         <SegmentPart
@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React, { useState } from 'react';
+import { Button, Empty, Input, Select, Table, Tag, Toast } from '@douyinfe/semi-ui-19';
+import { IconDelete, IconPlus } from '@douyinfe/semi-icons';
+import './BlacklistEditor.less';
+
+const MODES = [
+  { value: 'exclude', label: 'Exclude', color: 'red' },
+  { value: 'require', label: 'Must contain', color: 'green' },
+];
+
+const MATCH_TYPES = [
+  { value: 'contains', label: 'Contains' },
+  { value: 'word', label: 'Whole word' },
+  { value: 'regex', label: 'Regular expression' },
+];
+
+const FIELDS = [
+  { value: 'title', label: 'Title' },
+  { value: 'description', label: 'Description' },
+  { value: 'address', label: 'Address' },
+];
+
+const DEFAULT_FIELDS = ['title', 'description'];
+
+function labelOf(list, value) {
+  return list.find((item) => item.value === value)?.label ?? value;
+}
+
+function isValidRegex(value) {
+  try {
+    new RegExp(value, 'iu');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Editor for the blacklist of a job. Every entry either excludes listings or is required (must contain)
+ * and is matched against the chosen listing fields.
+ */
+export default function BlacklistEditor({ blacklist = [], onChange }) {
+  const [mode, setMode] = useState('exclude');
+  const [match, setMatch] = useState('contains');
+  const [fields, setFields] = useState(DEFAULT_FIELDS);
+  const [value, setValue] = useState('');
+
+  const addEntry = () => {
+    const trimmed = value.trim();
+    if (trimmed.length === 0) return;
+    if (match === 'regex' && !isValidRegex(trimmed)) {
+      Toast.error('This is not a valid regular expression.');
+      return;
+    }
+    onChange([...blacklist, { value: trimmed, match, mode, fields: fields.length > 0 ? fields : DEFAULT_FIELDS }]);
+    setValue('');
+  };
+
+  return (
+    <div className="blacklistEditor">
+      <div className="blacklistEditor__form">
+        <Select value={mode} onChange={setMode} optionList={MODES} style={{ width: '10rem' }} />
+        <Select value={match} onChange={setMatch} optionList={MATCH_TYPES} style={{ width: '12rem' }} />
+        <Select
+          multiple
+          value={fields}
+          onChange={setFields}
+          optionList={FIELDS}
+          placeholder="Fields"
+          style={{ width: '18rem' }}
+        />
+        <Input
+          value={value}
+          placeholder={match === 'regex' ? 'e.g. (?<!kein )WBS' : 'Add a word...'}
+          onChange={setValue}
+          onEnterPress={addEntry}
+        />
+        <Button icon={<IconPlus />} disabled={value.trim().length === 0} onClick={addEntry}>
+          Add
+        </Button>
+      </div>
+      <Table
+        size="small"
+        rowKey={(entry) => `${entry.mode}-${entry.match}-${entry.value}-${entry.fields.join(',')}`}
+        pagination={false}
+        empty={<Empty description="No blacklist entries yet." />}
+        dataSource={blacklist}
+        columns={[
+          {
+            title: 'Mode',
+            dataIndex: 'mode',
+            render: (entryMode) => {
+              const modeInfo = MODES.find((m) => m.value === entryMode) ?? MODES[0];
+              return (
+                <Tag color={modeInfo.color} size="small">
+                  {modeInfo.label}
+                </Tag>
+              );
+            },
+          },
+          {
+            title: 'Value',
+            dataIndex: 'value',
+            render: (entryValue, entry) => (entry.match === 'regex' ? <code>{entryValue}</code> : entryValue),
+          },
+          {
+            title: 'Match',
+            dataIndex: 'match',
+            render: (entryMatch) => labelOf(MATCH_TYPES, entryMatch),
+          },
+          {
+            title: 'Fields',
+            dataIndex: 'fields',
+            render: (entryFields) => entryFields.map((field) => labelOf(FIELDS, field)).join(', '),
+          },
+          {
+            title: '',
+            dataIndex: 'tools',
+            render: (_, entry) => (
+              <Button
+                type="danger"
+                icon={<IconDelete />}
+                aria-label="Remove entry"
+                onClick={() => onChange(blacklist.filter((e) => e !== entry))}
+              />
+            ),
+          },
+        ]}
+      />
+    </div>
+  );
+}
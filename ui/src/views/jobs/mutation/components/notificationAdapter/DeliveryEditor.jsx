@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+import { Radio, RadioGroup, Select, TimePicker, Typography } from '@douyinfe/semi-ui-19';
+
+import './DeliveryEditor.less';
+
+const { Text } = Typography;
+
+const DEFAULT_DIGEST_TIME = '08:00';
+
+/**
+ * Delivery of a notification adapter: every listing instantly, or a digest of all new listings every hour or once a
+ * day.
+ */
+export default function DeliveryEditor({ value, onChange }) {
+  const mode = value?.mode === 'digest' ? 'digest' : 'instant';
+  const schedule = value?.schedule ?? 'daily';
+
+  return (
+    <div className="deliveryEditor">
+      <Text strong>Delivery</Text>
+      <RadioGroup
+        value={mode}
+        onChange={(e) =>
+          onChange(
+            e.target.value === 'digest' ? { mode: 'digest', schedule: 'daily', time: DEFAULT_DIGEST_TIME } : null,
+          )
+        }
+      >
+        <Radio value="instant">Instant, a message per listing</Radio>
+        <Radio value="digest">Digest, a single message summarizing all new listings</Radio>
+      </RadioGroup>
+      {mode === 'digest' && (
+        <div className="deliveryEditor__schedule">
+          <Select
+            value={schedule}
+            onChange={(newSchedule) => onChange({ ...value, schedule: newSchedule })}
+            optionList={[
+              { value: 'hourly', label: 'Every hour' },
+              { value: 'daily', label: 'Daily' },
+            ]}
+          />
+          {schedule === 'daily' && (
+            <TimePicker
+              format="HH:mm"
+              insetLabel="At"
+              placeholder=""
+              value={value?.time ?? DEFAULT_DIGEST_TIME}
+              onChange={(_, time) => onChange({ ...value, time: time || DEFAULT_DIGEST_TIME })}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
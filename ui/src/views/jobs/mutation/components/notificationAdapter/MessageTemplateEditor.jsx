@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Button, TextArea, Typography } from '@douyinfe/semi-ui-19';
+import { IconRefresh } from '@douyinfe/semi-icons';
+import { xhrPost } from '../../../../../services/xhr';
+
+import './MessageTemplateEditor.less';
+
+const { Text } = Typography;
+
+const PREVIEW_DELAY_MS = 400;
+
+/**
+ * Editor of the message template of a notification adapter, with a live preview rendered against a sample listing.
+ * An empty template means the adapter sends its default message.
+ */
+export default function MessageTemplateEditor({ adapter, value, onChange, onValidation }) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  const template = value != null && value.trim().length > 0 ? value : adapter.template.default;
+
+  useEffect(() => {
+    let cancelled = false;
+    const timeout = setTimeout(() => {
+      xhrPost('/api/jobs/notificationAdapter/preview', { id: adapter.id, template })
+        .then(({ json }) => {
+          if (cancelled) return;
+          setPreview(json.valid ? json.message : null);
+          setError(json.valid ? null : json.error);
+          onValidation?.(json.valid ? null : json.error);
+        })
+        .catch(() => {
+          if (!cancelled) setError('The preview could not be rendered.');
+        });
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [adapter.id, template]);
+
+  return (
+    <div className="messageTemplateEditor">
+      <div className="messageTemplateEditor__header">
+        <Text strong>Message template</Text>
+        <Button
+          size="small"
+          icon={<IconRefresh />}
+          disabled={value == null || value.length === 0}
+          onClick={() => onChange('')}
+        >
+          Reset to default
+        </Button>
+      </div>
+      <Text type="tertiary" size="small">
+        {adapter.template.description != null && (
+          <>
+            {adapter.template.description}
+            <br />
+          </>
+        )}
+        Handlebars template rendered for every listing. Use any field of the listing (e.g. <code>{'{{title}}'}</code>,{' '}
+        <code>{'{{price}}'}</code>, <code>{'{{size}}'}</code>, <code>{'{{address}}'}</code>, <code>{'{{link}}'}</code>
+        ), <code>{'{{jobName}}'}</code>, <code>{'{{provider}}'}</code> and <code>{'{{distance}}'}</code> (distance to
+        your home address, if known). Helpers: <code>{'{{truncate title 50}}'}</code>,{' '}
+        <code>{'{{join address price}}'}</code>, <code>{'{{or size "n/a"}}'}</code>.
+      </Text>
+      <TextArea
+        className="messageTemplateEditor__input"
+        autosize={{ minRows: 4, maxRows: 12 }}
+        value={value != null && value.length > 0 ? value : adapter.template.default}
+        onChange={(text) => onChange(text === adapter.template.default ? '' : text)}
+      />
+      <Text strong>Preview</Text>
+      {error != null ? (
+        <div className="messageTemplateEditor__error">{error}</div>
+      ) : adapter.template.format === 'html' ? (
+        // rendered in a sandbox, templates may be shared with other users
+        <iframe className="messageTemplateEditor__preview" title="Preview" sandbox="" srcDoc={preview ?? ''} />
+      ) : (
+        <pre className="messageTemplateEditor__preview">{preview}</pre>
+      )}
+    </div>
+  );
+}
@@ -8,6 +8,8 @@ import React, { useState } from 'react';
 import { transform } from '../../../../../services/transformer/notificationAdapterTransformer';
 import { xhrPost } from '../../../../../services/xhr';
 import Help from './NotificationHelpDisplay';
+import MessageTemplateEditor from './MessageTemplateEditor';
+import DeliveryEditor from './DeliveryEditor';
 import { useSelector } from '../../../../../services/state/store';
 import { Banner, Button, Form, Modal, Select, Switch } from '@douyinfe/semi-ui-19';
 
@@ -66,6 +68,8 @@ export default function NotificationAdapterMutator({
   selected = [],
   editNotificationAdapter,
   onData,
+  templateEditable = false,
+  deliveryEditable = false,
 } = {}) {
   const adapter = useSelector((state) => state.notificationAdapter);
 
@@ -75,9 +79,14 @@ export default function NotificationAdapterMutator({
   spreadPrefilledAdapterWithValues(preFilledSelectedAdapter, editNotificationAdapter?.fields);
 
   const [selectedAdapter, setSelectedAdapter] = useState(preFilledSelectedAdapter);
+  const [messageTemplate, setMessageTemplate] = useState(editNotificationAdapter?.template ?? '');
+  const [templateError, setTemplateError] = useState(null);
+  const [delivery, setDelivery] = useState(editNotificationAdapter?.delivery ?? null);
   const [validationMessage, setValidationMessage] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
 
+  const hasTemplate = templateEditable && selectedAdapter?.template != null;
+
   const width = useScreenWidth();
   const isMobile = width <= 850;
 
@@ -88,12 +97,18 @@ export default function NotificationAdapterMutator({
         setValidationMessage(validationResults.join('<br/>'));
         return;
       }
+      if (hasTemplate && templateError != null) {
+        setValidationMessage('The message template is invalid, please check the preview.');
+        return;
+      }
 
       onData(
         transform({
           id: selectedAdapter.id,
           name: selectedAdapter.name,
           fields: selectedAdapter.fields || {},
+          template: hasTemplate ? messageTemplate : null,
+          delivery: deliveryEditable ? delivery : null,
         }),
       );
 
@@ -120,6 +135,7 @@ export default function NotificationAdapterMutator({
       fields: {
         ...selectedAdapter.fields,
       },
+      template: hasTemplate && messageTemplate.length > 0 ? messageTemplate : undefined,
     })
       .then(() => {
         setSuccessMessage('It seems like it worked! Please check your service.');
@@ -253,6 +269,9 @@ export default function NotificationAdapterMutator({
           setValidationMessage(null);
           const selectedAdapter = adapter.find((a) => a.id === value);
           setSelectedAdapter(Object.assign({}, selectedAdapter));
+          setMessageTemplate('');
+          setTemplateError(null);
+          setDelivery(null);
         }}
       />
       <br />
@@ -265,6 +284,15 @@ export default function NotificationAdapterMutator({
           {selectedAdapter.readme != null && <Help readme={selectedAdapter.readme} />}
           <br />
           {getFieldsFor(selectedAdapter)}
+          {hasTemplate && (
+            <MessageTemplateEditor
+              adapter={selectedAdapter}
+              value={messageTemplate}
+              onChange={setMessageTemplate}
+              onValidation={setTemplateError}
+            />
+          )}
+          {deliveryEditable && <DeliveryEditor value={delivery} onChange={setDelivery} />}
         </>
       )}
     </Modal>
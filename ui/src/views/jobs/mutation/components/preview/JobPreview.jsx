@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+import { Banner, Collapse, Empty, Table, Tag, Typography } from '@douyinfe/semi-ui-19';
+
+const { Text } = Typography;
+
+const FILTER_REASONS = {
+  incomplete: { color: 'grey', label: 'Incomplete' },
+  blacklist: { color: 'red', label: 'Blacklist' },
+  filterRules: { color: 'orange', label: 'Filter rules' },
+};
+
+/**
+ * Shows the result of a job preview (dry-run), one section per provider.
+ */
+export default function JobPreview({ preview = [] }) {
+  if (preview.length === 0) return null;
+  return (
+    <Collapse defaultActiveKey={preview.map((p) => p.providerId)} className="jobMutation__preview">
+      {preview.map((result) => {
+        const kept = result.listings.filter((l) => l.filteredBy == null).length;
+        return (
+          <Collapse.Panel
+            key={result.providerId}
+            itemKey={result.providerId}
+            header={`${result.name ?? result.providerId}: ${result.listings.length} found, ${kept} kept`}
+          >
+            {result.error != null ? (
+              <Banner type="danger" bordered fullMode={false} description={result.error} />
+            ) : (
+              <Table
+                size="small"
+                rowKey={(record) => record.id ?? record.link}
+                pagination={{ pageSize: 10 }}
+                empty={<Empty description="The provider did not return any listings for this url." />}
+                dataSource={result.listings}
+                columns={[
+                  {
+                    title: 'Title',
+                    dataIndex: 'title',
+                    render: (title, record) => <Text link={{ href: record.link, target: '_blank' }}>{title}</Text>,
+                  },
+                  { title: 'Price', dataIndex: 'price' },
+                  { title: 'Size', dataIndex: 'size' },
+                  { title: 'Address', dataIndex: 'address' },
+                  {
+                    title: 'Status',
+                    dataIndex: 'filteredBy',
+                    render: (filteredBy) => {
+                      if (filteredBy == null) {
+                        return (
+                          <Tag color="green" size="small">
+                            Kept
+                          </Tag>
+                        );
+                      }
+                      const reason = FILTER_REASONS[filteredBy] || { color: 'grey', label: filteredBy };
+                      return (
+                        <Tag color={reason.color} size="small">
+                          Dropped: {reason.label}
+                        </Tag>
+                      );
+                    },
+                  },
+                ]}
+              />
+            )}
+          </Collapse.Panel>
+        );
+      })}
+    </Collapse>
+  );
+}
@@ -14,6 +14,7 @@ import {
   Row,
   Col,
   Image,
+  ImagePreview,
   Tag,
   Divider,
   Descriptions,
@@ -32,6 +33,12 @@ import {
   IconStar,
   IconStarStroked,
   IconRealSize,
+  IconHome,
+  IconLayers,
+  IconCalendar,
+  IconBulb,
+  IconSun,
+  IconCoinMoney,
 } from '@douyinfe/semi-icons';
 import maplibregl from 'maplibre-gl';
 import 'maplibre-gl/dist/maplibre-gl.css';
@@ -39,6 +46,7 @@ import no_image from '../../assets/no_image.jpg';
 import * as timeService from '../../services/time/timeService.js';
 import { distanceMeters, getBoundsFromCoords } from './mapUtils.js';
 import { xhrPost } from '../../services/xhr.js';
+import PriceHistoryChart from '../../components/cards/PriceHistoryChart.jsx';
 
 import './ListingDetail.less';
 
@@ -282,6 +290,29 @@ export default function ListingDetail() {
     },
   ];
 
+  // details of the expose page, only fetched by some providers
+  const details = [
+    { key: 'Rooms', value: listing.rooms != null ? `${listing.rooms} rooms` : null, Icon: <IconHome /> },
+    { key: 'Floor', value: listing.floor ? `Floor: ${listing.floor}` : null, Icon: <IconLayers /> },
+    {
+      key: 'Construction year',
+      value: listing.construction_year != null ? `Built in ${listing.construction_year}` : null,
+      Icon: <IconCalendar />,
+    },
+    {
+      key: 'Energy class',
+      value: listing.energy_class ? `Energy class ${listing.energy_class}` : null,
+      Icon: <IconBulb />,
+    },
+    { key: 'Heating', value: listing.heating, Icon: <IconSun /> },
+    {
+      key: 'Additional costs',
+      value: listing.additional_costs != null ? `${listing.additional_costs} € additional costs` : null,
+      Icon: <IconCoinMoney />,
+    },
+  ].filter((item) => item.value != null && item.value !== '');
+  const images = listing.images ?? [];
+
   return (
     <div className="listing-detail">
       <div className="listing-detail__back">
@@ -325,12 +356,21 @@ export default function ListingDetail() {
           <Col span={24} lg={12}>
             <div className="listing-detail__image-container">
               <Image
-                src={listing.image_url}
+                src={listing.image_url ?? images[0]}
                 fallback={no_image}
                 style={{ width: '100%', height: '100%' }}
                 preview={true}
               />
             </div>
+            {images.length > 1 && (
+              <div className="listing-detail__gallery">
+                <ImagePreview>
+                  {images.map((src) => (
+                    <Image key={src} src={src} width={96} height={72} fallback={no_image} />
+                  ))}
+                </ImagePreview>
+              </div>
+            )}
           </Col>
           <Col span={24} lg={12}>
             <div className="listing-detail__info-section">
@@ -338,7 +378,7 @@ export default function ListingDetail() {
                 Details
               </Title>
               <Descriptions column={1}>
-                {data.map((item, index) => (
+                {[...data, ...details].map((item, index) => (
                   <Descriptions.Item key={index}>
                     <Space>
                       {item.Icon}
@@ -354,6 +394,37 @@ export default function ListingDetail() {
               <Text type="secondary" style={{ whiteSpace: 'pre-wrap' }}>
                 {listing.description || 'No description available.'}
               </Text>
+              <Divider margin="1.5rem" />
+              <Title heading={4} style={{ marginBottom: '1rem' }}>
+                Price history
+              </Title>
+              <PriceHistoryChart createdAt={listing.created_at} changeSet={listing.change_set} />
+
+              {listing.also_listed_on?.length > 0 && (
+                <>
+                  <Divider margin="1.5rem" />
+                  <Title heading={4} style={{ marginBottom: '1rem' }}>
+                    Also listed on
+                  </Title>
+                  <Space vertical align="start">
+                    {listing.also_listed_on.map((other) => (
+                      <Space key={other.id} align="center">
+                        <Text link={{ href: other.link, target: '_blank' }} icon={<IconLink />} underline>
+                          {other.provider.charAt(0).toUpperCase() + other.provider.slice(1)}
+                        </Text>
+                        {other.price != null && <Tag size="small">{other.price} €</Tag>}
+                        <Button
+                          size="small"
+                          theme="borderless"
+                          onClick={() => navigate(`/listings/listing/${other.id}`)}
+                        >
+                          Details
+                        </Button>
+                      </Space>
+                    ))}
+                  </Space>
+                </>
+              )}
 
               {listing.distance_to_destination && (
                 <>
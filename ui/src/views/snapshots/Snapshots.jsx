@@ -0,0 +1,180 @@
+/*
+ * Copyright (c) 2026 by Christian Kellner.
+ * Licensed under Apache-2.0 with Commons Clause and Attribution/Naming Clause
+ */
+
+import React from 'react';
+
+import { IllustrationNoResult, IllustrationNoResultDark } from '@douyinfe/semi-illustrations';
+import { Banner, Button, Empty, Modal, Select, Table, Toast } from '@douyinfe/semi-ui-19';
+import { IconDelete, IconDownload, IconEyeOpened, IconRefresh } from '@douyinfe/semi-icons';
+import { useSelector } from '../../services/state/store';
+import { xhrDelete, xhrGet } from '../../services/xhr';
+import { format } from '../../services/time/timeService';
+
+import './Snapshots.less';
+
+const empty = (
+  <Empty
+    image={<IllustrationNoResult />}
+    darkModeImage={<IllustrationNoResultDark />}
+    description={'No snapshots found. Enable them in the general settings to capture failed extractions.'}
+  />
+);
+
+const snapshotUrl = (snapshot, kind, download = false) =>
+  `/api/admin/snapshots/${encodeURIComponent(snapshot.providerId)}/${encodeURIComponent(snapshot.id)}/${kind}${
+    download ? '?download=true' : ''
+  }`;
+
+/**
+ * Admin page listing the html and screenshots of pages the extraction failed on (see snapshotService.js).
+ */
+export default function Snapshots() {
+  const providers = useSelector((state) => state.provider);
+  const [snapshots, setSnapshots] = React.useState([]);
+  const [providerFilter, setProviderFilter] = React.useState(null);
+  const [preview, setPreview] = React.useState(null);
+  const [providerToBeCleared, setProviderToBeCleared] = React.useState(null);
+
+  const providerName = (id) => providers.find((provider) => provider.id === id)?.name ?? id;
+
+  const loadSnapshots = React.useCallback(async () => {
+    try {
+      const response = await xhrGet('/api/admin/snapshots');
+      setSnapshots(response.json);
+    } catch (e) {
+      console.error(e);
+      Toast.error('Could not load the snapshots.');
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  const onClear = async () => {
+    try {
+      await xhrDelete(`/api/admin/snapshots/${encodeURIComponent(providerToBeCleared)}`);
+      Toast.success('Snapshots removed.');
+      setProviderFilter(null);
+      await loadSnapshots();
+    } catch (error) {
+      console.error(error);
+      Toast.error(typeof error === 'string' ? error : 'Could not remove the snapshots.');
+    } finally {
+      setProviderToBeCleared(null);
+    }
+  };
+
+  const providerIds = [...new Set(snapshots.map((snapshot) => snapshot.providerId))];
+  const filtered =
+    providerFilter == null ? snapshots : snapshots.filter((snapshot) => snapshot.providerId === providerFilter);
+
+  return (
+    <div className="snapshots">
+      <Banner
+        type="info"
+        closeIcon={null}
+        description="Snapshots contain the html and a screenshot of pages Fredy could not find any listings on or has been detected as a bot on. Use them to find out why a provider stopped working. Only the latest snapshots of every provider are kept."
+      />
+
+      <Modal
+        title="Removing snapshots"
+        visible={providerToBeCleared != null}
+        onOk={onClear}
+        onCancel={() => setProviderToBeCleared(null)}
+        okText="Remove"
+      >
+        <p>Do you really want to remove all snapshots of {providerName(providerToBeCleared)}?</p>
+      </Modal>
+
+      <Modal
+        title={preview != null ? `${providerName(preview.providerId)}: ${preview.reason}` : ''}
+        visible={preview != null}
+        onCancel={() => setPreview(null)}
+        footer={null}
+        width="80vw"
+      >
+        {preview != null && (
+          <img className="snapshots__screenshot" src={snapshotUrl(preview, 'screenshot')} alt={preview.url} />
+        )}
+      </Modal>
+
+      <div className="snapshots__toolbar">
+        <Select
+          showClear
+          value={providerFilter}
+          onChange={(value) => setProviderFilter(value ?? null)}
+          optionList={providerIds.map((id) => ({ value: id, label: providerName(id) }))}
+          placeholder="All providers"
+          style={{ width: '16rem' }}
+        />
+        <Button icon={<IconRefresh />} onClick={loadSnapshots}>
+          Refresh
+        </Button>
+        {providerFilter != null && (
+          <Button type="danger" icon={<IconDelete />} onClick={() => setProviderToBeCleared(providerFilter)}>
+            Remove snapshots of {providerName(providerFilter)}
+          </Button>
+        )}
+      </div>
+
+      <Table
+        pagination={{ pageSize: 20 }}
+        empty={empty}
+        rowKey={(snapshot) => `${snapshot.providerId}/${snapshot.id}`}
+        dataSource={filtered}
+        columns={[
+          {
+            title: 'Captured',
+            dataIndex: 'createdAt',
+            render: (value) => format(value),
+          },
+          {
+            title: 'Provider',
+            dataIndex: 'providerId',
+            render: (value) => providerName(value),
+          },
+          {
+            title: 'Reason',
+            dataIndex: 'reason',
+            render: (value, snapshot) =>
+              snapshot.statusCode != null ? `${value} (status ${snapshot.statusCode})` : value,
+          },
+          {
+            title: 'Url',
+            dataIndex: 'url',
+            render: (value) => (
+              <a className="snapshots__url" href={value} target="_blank" rel="noopener noreferrer">
+                {value}
+              </a>
+            ),
+          },
+          {
+            title: '',
+            dataIndex: 'tools',
+            render: (value, snapshot) => (
+              <div className="snapshots__tools">
+                <Button
+                  icon={<IconEyeOpened />}
+                  disabled={!snapshot.hasScreenshot}
+                  onClick={() => setPreview(snapshot)}
+                  title="Show screenshot"
+                />
+                <a href={snapshotUrl(snapshot, 'html')} download>
+                  <Button icon={<IconDownload />}>Html</Button>
+                </a>
+                {snapshot.hasScreenshot && (
+                  <a href={snapshotUrl(snapshot, 'screenshot', true)} download>
+                    <Button icon={<IconDownload />}>Screenshot</Button>
+                  </a>
+                )}
+              </div>
+            ),
+          },
+        ]}
+      />
+    </div>
+  );
+}